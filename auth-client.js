@@ -0,0 +1,57 @@
+// Auth headers for the backend test UIs.
+// The functions accept a Supabase access token ("Authorization: Bearer <jwt>"). The token is taken from
+// the Supabase session stored by the RapidTools frontend on this origin (which it keeps refreshed),
+// then from localStorage.rapidtools_access_token, and the user is asked to paste one if neither exists.
+// rapidtoolsFetch forgets a pasted token the backend rejects and asks for a new one.
+
+(function () {
+    const TOKEN_KEY = 'rapidtools_access_token';
+
+    function getSupabaseSessionToken() {
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (/^sb-.*-auth-token$/.test(key)) {
+                try {
+                    const session = JSON.parse(localStorage.getItem(key));
+                    if (session && session.access_token) return session.access_token;
+                } catch (e) {
+                    // Ignore entries that aren't sessions
+                }
+            }
+        }
+        return null;
+    }
+
+    function getAccessToken() {
+        let token = getSupabaseSessionToken() || localStorage.getItem(TOKEN_KEY);
+        if (!token) {
+            token = window.prompt('Paste your RapidTools access token to call the backend functions:');
+            if (token) localStorage.setItem(TOKEN_KEY, token.trim());
+        }
+        return token ? token.trim() : null;
+    }
+
+    // Merge the Authorization header into a fetch headers object
+    window.rapidtoolsAuthHeaders = function (headers) {
+        const token = getAccessToken();
+        return token ? Object.assign({}, headers, { 'Authorization': 'Bearer ' + token }) : Object.assign({}, headers);
+    };
+
+    // Forget a pasted token (e.g. after a 401) so the next call asks again
+    window.rapidtoolsClearAuth = function () {
+        localStorage.removeItem(TOKEN_KEY);
+    };
+
+    // fetch with the Authorization header. A 401 for a pasted token clears it and the call is made
+    // once more with the token the user is prompted for.
+    window.rapidtoolsFetch = async function (url, options) {
+        options = options || {};
+        const send = () => fetch(url, Object.assign({}, options, { headers: window.rapidtoolsAuthHeaders(options.headers) }));
+        const usedPastedToken = !getSupabaseSessionToken() && Boolean(localStorage.getItem(TOKEN_KEY));
+        const response = await send();
+        if (response.status !== 401 || !usedPastedToken) return response;
+
+        window.rapidtoolsClearAuth();
+        return send();
+    };
+})();
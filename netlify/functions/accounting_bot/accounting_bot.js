@@ -1,3 +1,15 @@
+const { withAuth } = require('../utils/auth');
+const { sumOrderPayments, compareOrderLines } = require('../utils/orderReconciliation');
+const {
+  toCents,
+  fromCents,
+  amountsMatch,
+  classifyMaropostPaidStatus,
+  classifyXeroPaidStatus,
+  statusStyle,
+  matchStyle
+} = require('../utils/paidStatusRules');
+
 const handler = async (event) => {
   // Add CORS headers for production
   const headers = {
@@ -135,98 +147,48 @@ const handler = async (event) => {
     const exportedToXero = xeroData.foundCount > 0 && xeroData.invoices && Array.isArray(xeroData.invoices) && xeroData.invoices.length > 0;
 
     // 5. Prepare Response Data with safe access
-    const maropostPaymentsSum = order.OrderPayment && Array.isArray(order.OrderPayment)
-      ? order.OrderPayment.reduce((sum, payment) => sum + parseFloat(payment.Amount || 0), 0)
-      : 0;
-    const maropostGrandTotal = parseFloat(order.GrandTotal || 0);
-
-    let maropost_paid_status;
-    if (maropostGrandTotal === 0) {
-      maropost_paid_status = "free";
-    } else if (maropostPaymentsSum === maropostGrandTotal) {
-      maropost_paid_status = "paid";
-    } else if (maropostPaymentsSum > maropostGrandTotal) {
-      maropost_paid_status = "overpaid";
-    } else if (maropostPaymentsSum > 0) {
-      maropost_paid_status = "partial";
-    } else {
-      maropost_paid_status = "unpaid";
-    }
+    const maropostPaymentsSum = sumOrderPayments(order);
+    const maropostGrandTotal = fromCents(toCents(order.GrandTotal));
+    const maropostRemaining = fromCents(toCents(maropostGrandTotal) - toCents(maropostPaymentsSum));
 
-    // Calculate xero_paid_status with safe access
-    const xero_paid_status = exportedToXero
-      ? (() => {
-          const invoice = xeroData.invoices[0];
-          const total = parseFloat(invoice.total || 0);
-          const amountPaid = parseFloat(invoice.amountPaid || 0);
-          const amountDue = parseFloat(invoice.amountDue || 0);
-
-          if (total === amountPaid && amountDue === 0) {
-            return "paid";
-          } else if (amountPaid === 0 && amountDue === 0 && total === 0) {
-            return "free";
-          } else if (amountPaid === 0 && amountDue > 0) {
-            return "unpaid";
-          } else if (total !== amountPaid) {
-            return amountDue > 0 ? "partial" : "overpaid";
-          } else {
-            return "unknown";
-          }
-        })()
-      : "not_exported";
-
-    // Calculate styling values
-    const maropost_paid_status_background = (() => {
-      switch (maropost_paid_status) {
-        case "paid": return "rgb(76, 175, 80)";      // Green
-        case "free": return "rgb(156, 39, 176)";     // Purple
-        case "partial": return "rgb(255, 193, 7)";   // Amber
-        case "overpaid": return "rgb(255, 152, 0)";  // Orange
-        case "unpaid": return "rgb(244, 67, 54)";    // Red
-        default: return "rgb(96, 125, 139)";         // Blue Grey
-      }
-    })();
-    
-    const maropost_paid_status_font = ["paid", "free", "unpaid"].includes(maropost_paid_status) ? "rgb(255, 255, 255)" : "rgb(0, 0, 0)";
-    
-    const xero_paid_status_background = (() => {
-      switch (xero_paid_status) {
-        case "paid": return "rgb(76, 175, 80)";      // Green
-        case "free": return "rgb(156, 39, 176)";     // Purple
-        case "partial": return "rgb(255, 193, 7)";   // Amber
-        case "overpaid": return "rgb(255, 152, 0)";  // Orange
-        case "unknown": return "rgb(96, 125, 139)";  // Blue Grey
-        default: return "rgb(117, 117, 117)";        // Grey (not_exported)
-      }
-    })();
-    
-    const xero_paid_status_font = ["paid", "free", "unknown", "not_exported"].includes(xero_paid_status) ? "rgb(255, 255, 255)" : "rgb(0, 0, 0)";
-    
-    const total_background = exportedToXero && (maropostGrandTotal - maropostPaymentsSum) !== parseFloat(xeroData.invoices[0].amountDue || 0)
-      ? "rgb(244, 67, 54)" // Red for mismatch
-      : "rgb(76, 175, 80)"; // Green for match
-    
-    const total_font = "rgb(255, 255, 255)";
+    const maropost_paid_status = classifyMaropostPaidStatus(maropostGrandTotal, maropostPaymentsSum);
+    const xero_paid_status = classifyXeroPaidStatus(exportedToXero ? xeroData.invoices[0] : null);
+
+    // Labels and colours come from the shared status palette (utils/paidStatusRules)
+    const maropostStyle = statusStyle(maropost_paid_status, { source: 'maropost' });
+    const xeroStyle = statusStyle(xero_paid_status, { source: 'xero' });
+    const { background: maropost_paid_status_background, font: maropost_paid_status_font } = maropostStyle;
+    const { background: xero_paid_status_background, font: xero_paid_status_font } = xeroStyle;
+
+    const amountsAgree = exportedToXero && amountsMatch(maropostRemaining, xeroData.invoices[0].amountDue);
+    const { background: total_background, font: total_font } = matchStyle(!exportedToXero || amountsAgree);
     
-    const maropost_total = (maropostGrandTotal - maropostPaymentsSum).toFixed(2);
+    const maropost_total = maropostRemaining.toFixed(2);
     const xero_total = exportedToXero ? xeroData.invoices[0].amountDue.toString() : "Not Yet Exported";
     const difference = exportedToXero 
-      ? (() => {
-          const maropostRemaining = maropostGrandTotal - maropostPaymentsSum;
-          const xeroAmountDue = parseFloat(xeroData.invoices[0].amountDue || 0);
-          return maropostRemaining === xeroAmountDue 
-            ? "0" 
-            : Math.abs(maropostRemaining - xeroAmountDue).toFixed(2);
-        })()
+      ? (amountsAgree
+          ? "0"
+          : fromCents(Math.abs(toCents(maropostRemaining) - toCents(xeroData.invoices[0].amountDue))).toFixed(2))
       : "Not Available";
     
     const debug_notes = exportedToXero
-      ? ((maropostGrandTotal - maropostPaymentsSum) === parseFloat(xeroData.invoices[0].amountDue || 0)
+      ? (amountsAgree
           ? "Amounts match."
           : "Amounts mismatch detected."
         )
       : "Invoice not found in Xero.";
 
+    // Line-item, shipping and GST comparison (needs xeroData from getInvoices with include_line_items)
+    const xeroInvoice = exportedToXero ? xeroData.invoices[0] : null;
+    const line_comparison = xeroInvoice && Array.isArray(xeroInvoice.lineItems)
+      ? compareOrderLines(order, xeroInvoice)
+      : null;
+    const line_summary = line_comparison
+      ? `${line_comparison.summary.matched} matched, ${line_comparison.summary.rounding} rounding, ${line_comparison.summary.mismatched} mismatched, ` +
+        `${line_comparison.summary.missingInXero} missing in Xero, ${line_comparison.summary.missingInMaropost} missing in Maropost; ` +
+        `shipping ${line_comparison.shipping.status}, GST ${line_comparison.gst.status}`
+      : null;
+
     const message = 'Data received successfully';
     const timestamp_utc = new Date().toISOString();
     const timestamp_sydney = new Date().toLocaleDateString('en-AU', {
@@ -258,14 +220,20 @@ const handler = async (event) => {
 
 <span style="color: rgb(85, 85, 85);">Difference</span>: <b><strong class="editor-text-bold">${difference === "Not Available" ? difference : `$${difference}`}</strong></b>
 
-<span style="color: rgb(85, 85, 85);">Maropost Paid Status: </span><b><strong class="editor-text-bold" style="background-color: ${maropost_paid_status_background}; color: ${maropost_paid_status_font};">${maropost_paid_status.charAt(0).toUpperCase() + maropost_paid_status.slice(1).replace(/_/g, ' ')}</strong></b>
+<span style="color: rgb(85, 85, 85);">Maropost Paid Status: </span><b><strong class="editor-text-bold" style="background-color: ${maropost_paid_status_background}; color: ${maropost_paid_status_font};">${maropostStyle.label}</strong></b>
+
+<span style="color: rgb(85, 85, 85);">Xero Paid Status:</span><b><strong class="editor-text-bold" style="color: rgb(85, 85, 85);"> </strong></b><b><strong class="editor-text-bold" style="background-color: ${xero_paid_status_background}; color: ${xero_paid_status_font};">${xeroStyle.label}</strong></b>
 
-<span style="color: rgb(85, 85, 85);">Xero Paid Status:</span><b><strong class="editor-text-bold" style="color: rgb(85, 85, 85);"> </strong></b><b><strong class="editor-text-bold" style="background-color: ${xero_paid_status_background}; color: ${xero_paid_status_font};">${xero_paid_status.charAt(0).toUpperCase() + xero_paid_status.slice(1).replace(/_/g, ' ')}</strong></b>
+${line_summary ? `<span style="color: rgb(85, 85, 85);">Line Items:</span> <b><strong class="editor-text-bold">${line_summary}</strong></b>
 
-Notes: <b><strong class="editor-text-bold">${debug_notes}</strong></b>
+` : ''}Notes: <b><strong class="editor-text-bold">${debug_notes}</strong></b>
 </p>`,
+      line_comparison,
       debug: {
         notes: debug_notes,
+        ...(exportedToXero && !line_comparison ? {
+          line_comparison: 'Skipped: xeroData.invoices[0].lineItems missing (call getInvoices with include_line_items)'
+        } : {})
       },
       maropost_paid_status_background,
       maropost_paid_status_font,
@@ -277,7 +245,7 @@ Notes: <b><strong class="editor-text-bold">${debug_notes}</strong></b>
 
     // Save to Firestore (simplified data)
     try {
-      const { db } = require('./utils/firebaseInit');
+      const { db } = require('../utils/firebaseInit');
 
       // Prepare Firestore document with safe data access
       const firestoreDoc = {
@@ -289,7 +257,8 @@ Notes: <b><strong class="editor-text-bold">${debug_notes}</strong></b>
         xero_total,
         difference,
         xero_paid_status,
-        notes: debug_notes
+        notes: debug_notes,
+        line_summary: line_comparison ? line_comparison.summary : null
       };
 
       await db.collection('accounting_bot').add(firestoreDoc);
@@ -332,4 +301,4 @@ Notes: <b><strong class="editor-text-bold">${debug_notes}</strong></b>
   }
 };
 
-module.exports = { handler }; 
\ No newline at end of file
+module.exports = { handler: withAuth(handler, { role: 'read', methods: 'POST, OPTIONS' }) }; 
\ No newline at end of file
@@ -0,0 +1,167 @@
+// Aged receivables across active Maropost customers (see utils/agedReceivables)
+//
+// GET query or POST body:
+//   {}                                        - per-customer Current / 1-30 / 31-60 / 61-90 / 90+ totals
+//   { "username": "..." }                     - drill-down: one customer and its invoices
+//   { "bucket": "days_over_90" }              - drill-down: every invoice in one bucket
+//   { "include_invoices": true }              - every invoice as well as the totals
+//   { "format": "csv" }                       - customer rows, or invoice rows when drilling down
+//   { "xero_check": true, "tenant_id": "..." } - compare each customer with Xero's AgedReceivablesByContact
+//                                               (mapped customers only, at most xero_check_limit of them)
+
+const { getXeroSession } = require('../utils/xeroSession');
+const {
+  AGING_BUCKETS,
+  SUMMARY_COLUMNS,
+  INVOICE_COLUMNS,
+  MAX_XERO_CHECKS,
+  buildAgedReceivables,
+  crossCheckXero,
+  summaryRows
+} = require('../utils/agedReceivables');
+const { toCsv } = require('../utils/xeroInvoiceFormat');
+const { withAuth } = require('../utils/auth');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+const FORMATS = ['json', 'csv'];
+const BUCKET_KEYS = AGING_BUCKETS.map(bucket => bucket.key);
+
+const respond = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body, null, 2) });
+
+const badRequest = (error, message, field) =>
+  respond(400, { success: false, error, ...(field ? { field } : {}), message });
+
+const isTrue = (value) => value === true || value === 'true';
+
+const handler = async function(event, context) {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return respond(405, {
+      success: false,
+      error: 'Method not allowed',
+      message: 'This endpoint accepts GET and POST requests'
+    });
+  }
+
+  let params;
+  if (event.httpMethod === 'GET') {
+    params = event.queryStringParameters || {};
+  } else {
+    try {
+      params = JSON.parse(event.body || '{}');
+    } catch (error) {
+      return badRequest('Invalid JSON in request body', 'Please provide valid JSON');
+    }
+  }
+
+  const format = String(params.format || 'json').toLowerCase();
+  if (!FORMATS.includes(format)) {
+    return badRequest('Invalid format', `format must be one of ${FORMATS.join(', ')}`, 'format');
+  }
+  if (params.bucket && !BUCKET_KEYS.includes(params.bucket)) {
+    return badRequest('Invalid bucket', `bucket must be one of ${BUCKET_KEYS.join(', ')}`, 'bucket');
+  }
+  const xeroCheck = isTrue(params.xero_check);
+  if (xeroCheck && !params.tenant_id) {
+    return badRequest('Missing tenant_id', 'Please provide tenant_id for the Xero check', 'tenant_id');
+  }
+  const xeroCheckLimit = Math.min(Math.max(parseInt(params.xero_check_limit || MAX_XERO_CHECKS) || MAX_XERO_CHECKS, 1), 100);
+
+  const username = params.username ? String(params.username).trim() : null;
+  const drillDown = Boolean(username || params.bucket);
+
+  try {
+    const report = await buildAgedReceivables({ usernames: username ? [username] : undefined });
+
+    let customers = report.customers;
+    let xeroSummary = null;
+    if (xeroCheck) {
+      const session = await getXeroSession(params.tenant_id);
+      const result = await crossCheckXero(session, customers, { asAt: report.asAt, limit: xeroCheckLimit });
+      customers = result.customers;
+      xeroSummary = result.summary;
+    }
+
+    const invoices = params.bucket
+      ? report.invoices.filter(invoice => invoice.bucket === params.bucket)
+      : report.invoices;
+    const includeInvoices = drillDown || isTrue(params.include_invoices);
+
+    if (format === 'csv') {
+      const csvHeaders = {
+        ...headers,
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="aged-receivables-${report.asAt}${includeInvoices ? '-invoices' : ''}.csv"`
+      };
+      return {
+        statusCode: 200,
+        headers: csvHeaders,
+        body: includeInvoices
+          ? toCsv(invoices, { columns: INVOICE_COLUMNS })
+          : toCsv(summaryRows(customers), { columns: SUMMARY_COLUMNS })
+      };
+    }
+
+    if (username && customers.length === 0) {
+      return respond(404, {
+        success: false,
+        error: 'Nothing outstanding',
+        message: `No outstanding dispatched orders for active customer ${username}`,
+        username
+      });
+    }
+
+    return respond(200, {
+      success: true,
+      asAt: report.asAt,
+      buckets: report.buckets,
+      totals: report.totals,
+      ...(xeroSummary ? { xeroCheck: xeroSummary } : {}),
+      customers,
+      ...(includeInvoices ? { invoices } : {}),
+      excludedInactive: report.excludedInactive,
+      truncated: report.truncated
+    });
+  } catch (error) {
+    console.error('Error building aged receivables:', error);
+
+    if (error.message === 'No Xero tokens found for user') {
+      return respond(401, {
+        success: false,
+        error: 'Authentication required',
+        message: 'Please complete Xero OAuth flow first',
+        authUrl: '/.netlify/functions/auth'
+      });
+    }
+
+    if (error.message.includes('Token refresh failed')) {
+      return respond(401, {
+        success: false,
+        error: 'Token refresh failed',
+        message: 'Please re-authenticate with Xero',
+        authUrl: '/.netlify/functions/auth'
+      });
+    }
+
+    if (error.status === 429) {
+      return {
+        statusCode: 429,
+        headers: { ...headers, 'Retry-After': '60' },
+        body: JSON.stringify({ success: false, error: 'Xero rate limit exceeded', message: error.message }, null, 2)
+      };
+    }
+
+    return respond(500, { success: false, error: 'Failed to build aged receivables', details: error.message });
+  }
+};
+
+exports.handler = withAuth(handler, { role: 'read', methods: 'GET, POST, OPTIONS' });
@@ -0,0 +1,206 @@
+// Post the payments recorded on Maropost orders to their Xero invoices, for orders accounting_bot
+// reports as paid in Maropost but unpaid or part paid in Xero (see utils/xeroPaymentPush).
+//
+// POST { "tenant_id": "...", "order_id": "N12345", "dry_run": true }
+// POST { "tenant_id": "...", "order_ids": ["N12345", "N12346"] }
+//   - each Maropost payment comes back with the action taken (posted, already_in_xero, unmapped, ...)
+// GET ?order_id=N12345[&tenant_id=...] - the audit trail of payments posted
+//
+// Payment types map to Xero bank accounts through XERO_PAYMENT_ACCOUNTS.
+
+const { applyOrderPayments, listPaymentPostings } = require('../utils/xeroPaymentPush');
+const { withAuth } = require('../utils/auth');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+// Each order costs several Xero calls; keep a batch inside one function invocation
+const MAX_ORDERS = 20;
+const MAX_POSTINGS = 500;
+
+const badRequest = (error, message, field) => ({
+  statusCode: 400,
+  headers,
+  body: JSON.stringify({ success: false, error, ...(field ? { field } : {}), message }, null, 2)
+});
+
+// Errors that would fail every other order in the batch too
+const stopsBatch = (error) =>
+  error.message === 'No Xero tokens found for user' ||
+  error.message.includes('Token refresh failed') ||
+  error.message.includes('XERO_PAYMENT_ACCOUNTS') ||
+  error.message === 'Supabase client not initialized' ||
+  error.status === 429;
+
+const listPostings = async (query) => {
+  const limit = Math.min(Math.max(parseInt(query.limit || '100') || 100, 1), MAX_POSTINGS);
+  const postings = await listPaymentPostings({ tenantId: query.tenant_id, orderId: query.order_id, limit });
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ success: true, count: postings.length, postings }, null, 2)
+  };
+};
+
+const handler = async function(event, context) {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST' && event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Method not allowed',
+        message: 'This endpoint accepts GET (audit trail) and POST (apply payments) requests',
+        example: { tenant_id: 'your-xero-tenant-id', order_id: 'N12345', dry_run: true }
+      }, null, 2)
+    };
+  }
+
+  if (event.httpMethod === 'GET') {
+    try {
+      return await listPostings(event.queryStringParameters || {});
+    } catch (error) {
+      console.error('Error loading payment postings:', error);
+      return {
+        statusCode: 500,
+        headers,
+        body: JSON.stringify({ success: false, error: 'Failed to load payment postings', details: error.message }, null, 2)
+      };
+    }
+  }
+
+  let requestBody;
+  try {
+    requestBody = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return badRequest('Invalid JSON in request body', 'Please provide valid JSON');
+  }
+
+  const { tenant_id: tenantId, order_id: orderId, order_ids: orderIdList } = requestBody;
+  const dryRun = requestBody.dry_run === true || requestBody.dry_run === 'true';
+
+  if (!tenantId) {
+    return badRequest('Missing tenant_id', 'Please provide tenant_id in the request body');
+  }
+
+  const orderIds = [...new Set((orderIdList ? (Array.isArray(orderIdList) ? orderIdList : [orderIdList]) : [orderId])
+    .filter(id => id !== undefined && id !== null)
+    .map(id => String(id).trim())
+    .filter(Boolean))];
+  if (orderIds.length === 0) {
+    return badRequest('Missing order_id', 'Please provide order_id or order_ids');
+  }
+  if (orderIds.length > MAX_ORDERS) {
+    return badRequest('Too many orders', `At most ${MAX_ORDERS} orders can be processed per request`, 'order_ids');
+  }
+
+  try {
+    const results = [];
+    for (const id of orderIds) {
+      try {
+        results.push(await applyOrderPayments(tenantId, id, { dryRun, postedBy: event.auth?.name }));
+      } catch (error) {
+        // A single order gets the specific status code below; a batch carries on with the rest
+        if (orderIds.length === 1 || stopsBatch(error)) throw error;
+        console.error(`Failed to apply payments for order ${id}:`, error.message);
+        results.push({ orderId: id, error: error.message });
+      }
+    }
+
+    const summary = results.reduce((acc, result) => {
+      Object.entries(result.summary || { order_failed: 1 }).forEach(([action, count]) => {
+        acc[action] = (acc[action] || 0) + count;
+      });
+      return acc;
+    }, {});
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        dryRun,
+        tenantId,
+        summary,
+        results
+      }, null, 2)
+    };
+
+  } catch (error) {
+    console.error('Error applying payments to Xero:', error);
+
+    if (error.message === 'No Xero tokens found for user') {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: 'Authentication required',
+          message: 'Please complete Xero OAuth flow first',
+          authUrl: '/.netlify/functions/auth'
+        }, null, 2)
+      };
+    }
+
+    if (error.message.includes('Token refresh failed')) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: 'Token refresh failed',
+          message: 'Please re-authenticate with Xero',
+          authUrl: '/.netlify/functions/auth'
+        }, null, 2)
+      };
+    }
+
+    if (error.status === 429) {
+      return {
+        statusCode: 429,
+        headers: { ...headers, 'Retry-After': '60' },
+        body: JSON.stringify({
+          success: false,
+          error: 'Xero rate limit exceeded',
+          message: error.message
+        }, null, 2)
+      };
+    }
+
+    if (error.status === 404 || error.status === 409) {
+      return {
+        statusCode: error.status,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: error.status === 404 ? 'Order not found' : 'Order not exported',
+          message: error.message,
+          orderId: orderIds[0]
+        }, null, 2)
+      };
+    }
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Failed to apply payments',
+        details: error.message
+      }, null, 2)
+    };
+  }
+};
+
+exports.handler = withAuth(handler, {
+  role: (event) => (event.httpMethod === 'POST' ? 'write' : 'read'),
+  methods: 'GET, POST, OPTIONS'
+});
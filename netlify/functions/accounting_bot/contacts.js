@@ -0,0 +1,230 @@
+// Xero contacts and their links to Maropost customers (see utils/contactMappings)
+//
+// Read (GET query or POST body):
+//   { "action": "lookup", "tenant_id": "...", "search": "acme", "page": 1 }   - Xero contacts
+//   { "action": "reviews", "tenant_id": "...", "username": "..." }           - matches waiting for review
+//   { "action": "mappings", "tenant_id": "...", "username": "..." }          - confirmed links
+// Write (POST):
+//   { "action": "match", "tenant_id": "...", "page": 0 | "usernames": [...], "auto_confirm": true, "rematch": false,
+//     "refresh_contacts": false }  - Xero contacts are cached per tenant between pages (see utils/contactMappings)
+//   { "action": "confirm", "tenant_id": "...", "username": "...", "xero_contact_id": "..." }
+//   { "action": "reject", "tenant_id": "...", "username": "...", "xero_contact_id": "..." }
+//   { "action": "unlink", "tenant_id": "...", "username": "..." }
+
+const { getXeroSession } = require('../utils/xeroSession');
+const { fetchContactsPage } = require('../utils/xeroContacts');
+const {
+  fetchContact,
+  runContactMatching,
+  confirmMapping,
+  rejectCandidate,
+  removeMapping,
+  listPendingCandidates,
+  listMappings
+} = require('../utils/contactMappings');
+const { withAuth, roleByAction } = require('../utils/auth');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+const READ_ACTIONS = ['lookup', 'reviews', 'mappings'];
+const WRITE_ACTIONS = ['match', 'confirm', 'reject', 'unlink'];
+const MAX_PAGE_SIZE = 500;
+// GetCustomer by username in one request
+const MAX_USERNAMES = 100;
+
+const respond = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body, null, 2) });
+
+const badRequest = (error, message, field) =>
+  respond(400, { success: false, error, ...(field ? { field } : {}), message });
+
+const paging = (params) => ({
+  page: Math.max(parseInt(params.page || '1') || 1, 1),
+  pageSize: Math.min(Math.max(parseInt(params.page_size || '100') || 100, 1), MAX_PAGE_SIZE)
+});
+
+const isTrue = (value) => value === true || value === 'true';
+
+const handler = async function(event, context) {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return respond(405, {
+      success: false,
+      error: 'Method not allowed',
+      message: 'This endpoint accepts GET (read actions) and POST requests'
+    });
+  }
+
+  let params;
+  if (event.httpMethod === 'GET') {
+    params = event.queryStringParameters || {};
+  } else {
+    try {
+      params = JSON.parse(event.body || '{}');
+    } catch (error) {
+      return badRequest('Invalid JSON in request body', 'Please provide valid JSON');
+    }
+  }
+
+  const { action, tenant_id: tenantId, username } = params;
+  if (![...READ_ACTIONS, ...WRITE_ACTIONS].includes(action)) {
+    return badRequest('Invalid action', `Supported actions: ${[...READ_ACTIONS, ...WRITE_ACTIONS].join(', ')}`, 'action');
+  }
+  if (event.httpMethod === 'GET' && WRITE_ACTIONS.includes(action)) {
+    return respond(405, { success: false, error: 'Method not allowed', message: `Use POST for ${action}` });
+  }
+  if (!tenantId) {
+    return badRequest('Missing tenant_id', 'Please provide tenant_id');
+  }
+  if (['confirm', 'reject', 'unlink'].includes(action) && !username) {
+    return badRequest('Missing username', `Please provide the Maropost username to ${action}`, 'username');
+  }
+  if (['confirm', 'reject'].includes(action) && !params.xero_contact_id) {
+    return badRequest('Missing xero_contact_id', `Please provide the Xero contact to ${action}`, 'xero_contact_id');
+  }
+
+  try {
+    switch (action) {
+      case 'lookup': {
+        const session = await getXeroSession(tenantId);
+        const page = Math.max(parseInt(params.page || '1') || 1, 1);
+        const { contacts, hasMore } = await fetchContactsPage(session, { page, searchTerm: params.search });
+        return respond(200, { success: true, page, nextPage: hasMore ? page + 1 : null, count: contacts.length, contacts });
+      }
+
+      case 'reviews': {
+        const { page, pageSize } = paging(params);
+        const candidates = await listPendingCandidates(tenantId, { username, page, pageSize });
+        // One entry per customer with its candidates best first
+        const byUsername = candidates.reduce((acc, row) => {
+          (acc[row.maropost_username] = acc[row.maropost_username] || []).push({
+            xeroContactId: row.xero_contact_id,
+            xeroContactName: row.xero_contact_name,
+            score: row.score,
+            evidence: row.evidence
+          });
+          return acc;
+        }, {});
+        const reviews = Object.entries(byUsername).map(([reviewUsername, reviewCandidates]) => ({
+          username: reviewUsername,
+          customer: candidates.find(row => row.maropost_username === reviewUsername).customer,
+          candidates: reviewCandidates
+        }));
+        return respond(200, {
+          success: true,
+          pagination: { page, pageSize, recordsReturned: candidates.length, nextPage: candidates.length === pageSize ? page + 1 : null },
+          reviews
+        });
+      }
+
+      case 'mappings': {
+        const { page, pageSize } = paging(params);
+        const mappings = await listMappings(tenantId, { username, page, pageSize });
+        return respond(200, {
+          success: true,
+          pagination: { page, pageSize, recordsReturned: mappings.length, nextPage: mappings.length === pageSize ? page + 1 : null },
+          mappings
+        });
+      }
+
+      case 'match': {
+        const usernames = params.usernames
+          ? (Array.isArray(params.usernames) ? params.usernames : String(params.usernames).split(',')).map(name => String(name).trim()).filter(Boolean)
+          : undefined;
+        if (usernames && usernames.length > MAX_USERNAMES) {
+          return badRequest('Too many usernames', `At most ${MAX_USERNAMES} usernames per request`, 'usernames');
+        }
+        const session = await getXeroSession(tenantId);
+        const result = await runContactMatching(session, {
+          usernames,
+          page: Math.max(parseInt(params.page || '0') || 0, 0),
+          autoConfirm: isTrue(params.auto_confirm),
+          rematch: isTrue(params.rematch),
+          refreshContacts: isTrue(params.refresh_contacts),
+          requestedBy: event.auth?.name
+        });
+        return respond(200, {
+          success: true,
+          ...result,
+          ...(result.hasMore ? { next: { action: 'match', tenant_id: tenantId, page: result.nextPage } } : {})
+        });
+      }
+
+      case 'confirm': {
+        const session = await getXeroSession(tenantId);
+        const contact = await fetchContact(session, params.xero_contact_id);
+        if (!contact) {
+          return respond(404, { success: false, error: 'Xero contact not found', xeroContactId: params.xero_contact_id });
+        }
+        // Confirming a suggested candidate keeps its score; any other contact is a manual link
+        const candidate = (await listPendingCandidates(tenantId, { username }))
+          .find(row => row.xero_contact_id === contact.contactID);
+        const mapping = await confirmMapping(tenantId, username, contact, {
+          score: candidate ? candidate.score : null,
+          matchedOn: candidate ? (candidate.evidence || []).filter(item => item.strength > 0).map(item => item.field) : [],
+          source: candidate ? 'review' : 'manual',
+          confirmedBy: event.auth?.name
+        });
+        return respond(200, { success: true, mapping });
+      }
+
+      case 'reject': {
+        const candidate = await rejectCandidate(tenantId, username, params.xero_contact_id, { reviewedBy: event.auth?.name });
+        if (!candidate) {
+          return respond(404, { success: false, error: 'Match candidate not found', username, xeroContactId: params.xero_contact_id });
+        }
+        return respond(200, { success: true, candidate });
+      }
+
+      case 'unlink': {
+        const removed = await removeMapping(tenantId, username);
+        return respond(removed ? 200 : 404, removed
+          ? { success: true, username, message: 'Mapping removed' }
+          : { success: false, error: 'Mapping not found', username });
+      }
+    }
+  } catch (error) {
+    console.error(`Error in contacts ${action}:`, error);
+
+    if (error.field) {
+      return badRequest('Invalid parameter', error.message, error.field);
+    }
+
+    if (error.message === 'No Xero tokens found for user') {
+      return respond(401, {
+        success: false,
+        error: 'Authentication required',
+        message: 'Please complete Xero OAuth flow first',
+        authUrl: '/.netlify/functions/auth'
+      });
+    }
+
+    if (error.message.includes('Token refresh failed')) {
+      return respond(401, {
+        success: false,
+        error: 'Token refresh failed',
+        message: 'Please re-authenticate with Xero',
+        authUrl: '/.netlify/functions/auth'
+      });
+    }
+
+    if (error.status === 429) {
+      return {
+        statusCode: 429,
+        headers: { ...headers, 'Retry-After': '60' },
+        body: JSON.stringify({ success: false, error: 'Xero rate limit exceeded', message: error.message }, null, 2)
+      };
+    }
+
+    return respond(500, { success: false, error: `Contacts ${action} failed`, details: error.message });
+  }
+};
+
+exports.handler = withAuth(handler, { role: roleByAction(READ_ACTIONS), methods: 'GET, POST, OPTIONS' });
@@ -0,0 +1,41 @@
+// Fetches Xero credit notes with the same semantics as getInvoices / getInvoicesBatch
+// Each credit note includes the invoices it has been allocated to.
+// GET:  ?tenant_id=...&credit_note_ids=id1,id2&page=1&page_size=10
+// POST: {
+//   "tenant_id": "your-tenant-id",
+//   "credit_note_ids": ["id1", "id2", ...],      // optional, any number (chunked automatically)
+//   "filters": {                                 // optional, see utils/xeroFilter (credit_notes)
+//     "type": "ACCRECCREDIT",
+//     "status": ["AUTHORISED", "PAID"],
+//     "contact_id": "contact-id",
+//     "remaining_credit_greater_than": 0
+//   },
+//   "page": 1, "page_size": 10,                  // when no credit_note_ids are given
+//   "options": { "load_mode": "progressive", "return_chunks": true, "chunk_size": 25, "max_parallel": 5 }
+// }
+
+const { createXeroRecordsHandler } = require('../utils/xeroRecordsHandler');
+const { formatXeroCreditNote } = require('../utils/xeroInvoiceFormat');
+const { withAuth } = require('../utils/auth');
+
+const handler = createXeroRecordsHandler({
+  entity: 'credit_notes',
+  path: 'CreditNotes',
+  idParam: 'credit_note_ids',
+  idField: 'CreditNoteID',
+  formattedIdKey: 'creditNoteID',
+  responseKey: 'creditNotes',
+  label: 'credit notes',
+  order: 'Date DESC',
+  format: (creditNote) => formatXeroCreditNote(creditNote),
+  summarise: (creditNotes) => ({
+    totalAmount: creditNotes.reduce((sum, creditNote) => sum + (creditNote.total || 0), 0),
+    totalRemainingCredit: creditNotes.reduce((sum, creditNote) => sum + (creditNote.remainingCredit || 0), 0),
+    statusBreakdown: creditNotes.reduce((acc, creditNote) => {
+      acc[creditNote.status] = (acc[creditNote.status] || 0) + 1;
+      return acc;
+    }, {})
+  })
+});
+
+exports.handler = withAuth(handler, { role: 'read' });
@@ -3,75 +3,144 @@
 // GET: /getInvoices?tenant_id=YOUR_TENANT_ID&invoice_numbers=INV-001,INV-002
 // POST: /getInvoices with payload: {"tenant_id": "YOUR_TENANT_ID", "invoice_numbers": ["INV-001", "INV-002"]}
 // POST with filters: {"tenant_id": "ID", "filters": {"status": ["PAID"], "date_from": "2023-01-01"}}
+// Export (all pages): {"tenant_id": "ID", "mode": "export", "format": "csv", "filters": {...}}
+//   then repeat with {"tenant_id": "ID", "mode": "export", "cursor": "..."} until complete
 
-const { getValidToken } = require('./utils/tokenManager');
-const { parseString } = require('xml2js');
-
-// Helper function to build Xero API where clause
-function buildWhereClause(filters) {
-  const conditions = [];
-  
-  // Handle status filter in where clause (when combined with specific invoices)
-  if (filters.status && Array.isArray(filters.status) && filters.status.length > 0) {
-    const validStatuses = ['DRAFT', 'SUBMITTED', 'AUTHORISED', 'PAID', 'VOIDED', 'DELETED'];
-    const filteredStatuses = filters.status.filter(status => validStatuses.includes(status.toUpperCase()));
-    if (filteredStatuses.length > 0) {
-      const statusConditions = filteredStatuses.map(status => `Status="${status}"`).join(' OR ');
-      conditions.push(`(${statusConditions})`);
-    }
-  }
-  
-  if (filters.invoice_number_contains) {
-    conditions.push(`InvoiceNumber.Contains("${filters.invoice_number_contains}")`);
-  }
-  
-  if (filters.date_from) {
-    conditions.push(`Date >= DateTime(${new Date(filters.date_from).getFullYear()}, ${new Date(filters.date_from).getMonth() + 1}, ${new Date(filters.date_from).getDate()})`);
-  }
-  
-  if (filters.date_to) {
-    conditions.push(`Date <= DateTime(${new Date(filters.date_to).getFullYear()}, ${new Date(filters.date_to).getMonth() + 1}, ${new Date(filters.date_to).getDate()})`);
-  }
-  
-  if (filters.due_date_from) {
-    conditions.push(`DueDate >= DateTime(${new Date(filters.due_date_from).getFullYear()}, ${new Date(filters.due_date_from).getMonth() + 1}, ${new Date(filters.due_date_from).getDate()})`);
-  }
-  
-  if (filters.due_date_to) {
-    conditions.push(`DueDate <= DateTime(${new Date(filters.due_date_to).getFullYear()}, ${new Date(filters.due_date_to).getMonth() + 1}, ${new Date(filters.due_date_to).getDate()})`);
-  }
-  
-  if (filters.total_greater_than) {
-    conditions.push(`Total >= ${filters.total_greater_than}`);
-  }
-  
-  if (filters.total_less_than) {
-    conditions.push(`Total <= ${filters.total_less_than}`);
-  }
-  
-  if (filters.amount_due_greater_than) {
-    conditions.push(`AmountDue >= ${filters.amount_due_greater_than}`);
-  }
-  
-  if (filters.contact_name_contains) {
-    conditions.push(`Contact.Name.Contains("${filters.contact_name_contains}")`);
-  }
-  
-  return conditions.length > 0 ? conditions.join(' AND ') : null;
+const { getXeroSession, buildXeroUrl, getXeroCollection } = require('../utils/xeroSession');
+const { formatXeroInvoice, flattenInvoiceLines, toCsv, toNdjson } = require('../utils/xeroInvoiceFormat');
+const { buildXeroWhere, normaliseStatuses, xeroString, xeroGuid } = require('../utils/xeroFilter');
+const { withAuth } = require('../utils/auth');
+
+// Export settings: Xero returns line items on paged invoice requests, 100 invoices per page
+const EXPORT_FORMATS = ['json', 'csv', 'ndjson'];
+const EXPORT_PAGE_SIZE = 100;
+const EXPORT_DEFAULT_MAX_PAGES = 10; // keeps each response well under the 6MB function payload limit
+const EXPORT_DEFAULT_BUDGET_MS = 8000;
+const EXPORT_SAFETY_MS = 2000;
+
+// The cursor carries the request's filters, format and next page so follow-up calls only need
+// tenant_id and the cursor. It is not trusted: the Xero query is rebuilt from the filters (and
+// validated) on every call, the same as for the first one.
+function encodeExportCursor({ filters, format, page }) {
+  return Buffer.from(JSON.stringify({ filters, format, page })).toString('base64url');
 }
 
-// Helper function to format date for Xero API
-function formatDateForXero(dateString) {
+function decodeExportCursor(value) {
   try {
-    const date = new Date(dateString);
-    if (isNaN(date.getTime())) return null;
-    return date.toISOString().split('T')[0]; // YYYY-MM-DD format
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    if (!cursor || typeof cursor !== 'object' || !Number.isInteger(cursor.page) || cursor.page < 1) {
+      return null;
+    }
+    if (!cursor.filters || typeof cursor.filters !== 'object' || Array.isArray(cursor.filters)) {
+      return null;
+    }
+    if (cursor.format !== undefined && typeof cursor.format !== 'string') {
+      return null;
+    }
+    return { filters: cursor.filters, format: cursor.format, page: cursor.page };
   } catch {
     return null;
   }
 }
 
-exports.handler = async function(event, context) {
+// How long this invocation may keep fetching pages
+function getExportBudgetMs(context, requestedBudgetMs) {
+  const remaining = typeof context?.getRemainingTimeInMillis === 'function'
+    ? context.getRemainingTimeInMillis() - EXPORT_SAFETY_MS
+    : EXPORT_DEFAULT_BUDGET_MS;
+  return requestedBudgetMs > 0 ? Math.min(requestedBudgetMs, remaining) : remaining;
+}
+
+// Walk pages of query from cursor.page until the last page, maxPages, or the time budget runs out
+async function runInvoiceExport(session, query, cursor, { budgetMs, maxPages }) {
+  const startedAt = Date.now();
+  const invoices = [];
+  let page = cursor.page;
+  let pagesFetched = 0;
+  let slowestPageMs = 0;
+  let complete = false;
+
+  while (pagesFetched < maxPages) {
+    // Always fetch at least one page, then stop if another page might not fit in the budget
+    if (pagesFetched > 0 && Date.now() - startedAt + slowestPageMs > budgetMs) break;
+
+    const pageStartedAt = Date.now();
+    let body;
+    try {
+      ({ body } = await session.request('Invoices', {
+        query: { ...query, page, pagesize: EXPORT_PAGE_SIZE }
+      }));
+    } catch (error) {
+      // Rate limited part-way: return what we have and let the caller resume from the cursor
+      if (error.status === 429 && pagesFetched > 0) break;
+      throw error;
+    }
+    const pageInvoices = getXeroCollection(body, 'Invoices');
+    slowestPageMs = Math.max(slowestPageMs, Date.now() - pageStartedAt);
+
+    invoices.push(...pageInvoices.map(invoice => formatXeroInvoice(invoice, { includeLineItems: true })));
+    pagesFetched++;
+    page++;
+
+    if (pageInvoices.length < EXPORT_PAGE_SIZE) {
+      complete = true;
+      break;
+    }
+  }
+
+  return {
+    invoices,
+    pagesFetched,
+    complete,
+    nextCursor: complete ? null : encodeExportCursor({ ...cursor, page }),
+    elapsedMs: Date.now() - startedAt
+  };
+}
+
+function buildExportResponse(result, { format, firstChunk, tenantId, throttling }) {
+  const exportHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Expose-Headers': 'X-Export-Cursor, X-Export-Complete',
+    'X-Export-Complete': String(result.complete),
+    ...(result.nextCursor ? { 'X-Export-Cursor': result.nextCursor } : {})
+  };
+
+  if (format === 'json') {
+    return {
+      statusCode: 200,
+      headers: { ...exportHeaders, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        success: true,
+        tenantId: tenantId,
+        requestType: 'export',
+        export: {
+          complete: result.complete,
+          cursor: result.nextCursor,
+          pagesFetched: result.pagesFetched,
+          invoicesReturned: result.invoices.length,
+          elapsedMs: result.elapsedMs
+        },
+        invoices: result.invoices,
+        metadata: { throttling },
+        fetchedAt: new Date().toISOString()
+      }, null, 2)
+    };
+  }
+
+  // CSV/NDJSON chunks are one row per line item; the CSV header is only sent with the first
+  // chunk so the caller can append chunks to one file
+  const rows = flattenInvoiceLines(result.invoices);
+  return {
+    statusCode: 200,
+    headers: {
+      ...exportHeaders,
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson'
+    },
+    body: format === 'csv' ? toCsv(rows, { includeHeader: firstChunk }) : toNdjson(rows)
+  };
+}
+
+const handler = async function(event, context) {
   try {
     // Handle preflight CORS request
     if (event.httpMethod === 'OPTIONS') {
@@ -87,6 +156,7 @@ exports.handler = async function(event, context) {
     }
 
     let tenantId, invoiceIds, invoiceNumbers, page, pageSize, filters = {};
+    let mode, exportFormat, exportCursor, timeBudgetMs, maxPages, includeLineItems;
 
     // Handle both GET and POST requests
     if (event.httpMethod === 'GET') {
@@ -96,6 +166,12 @@ exports.handler = async function(event, context) {
       invoiceNumbers = event.queryStringParameters?.invoice_numbers;
       page = parseInt(event.queryStringParameters?.page || '1');
       pageSize = Math.min(parseInt(event.queryStringParameters?.page_size || '10'), 100);
+      mode = event.queryStringParameters?.mode;
+      includeLineItems = event.queryStringParameters?.include_line_items === 'true';
+      exportFormat = event.queryStringParameters?.format;
+      exportCursor = event.queryStringParameters?.cursor;
+      timeBudgetMs = parseInt(event.queryStringParameters?.time_budget_ms || '0');
+      maxPages = parseInt(event.queryStringParameters?.max_pages || '0');
     } else if (event.httpMethod === 'POST') {
       // POST request - parameters from body
       let requestBody;
@@ -125,6 +201,12 @@ exports.handler = async function(event, context) {
       page = parseInt(requestBody.page || '1');
       pageSize = Math.min(parseInt(requestBody.page_size || '10'), 100);
       filters = requestBody.filters || {};
+      mode = requestBody.mode;
+      includeLineItems = requestBody.include_line_items === true || requestBody.include_line_items === 'true';
+      exportFormat = requestBody.format;
+      exportCursor = requestBody.cursor;
+      timeBudgetMs = parseInt(requestBody.time_budget_ms || '0');
+      maxPages = parseInt(requestBody.max_pages || '0');
     } else {
       return {
         statusCode: 405,
@@ -192,6 +274,15 @@ exports.handler = async function(event, context) {
                 tenant_id: 'YOUR_TENANT_ID',
                 invoice_ids: ['id1', 'id2', 'id3']
               }
+            },
+            post_export: {
+              method: 'POST',
+              body: {
+                tenant_id: 'YOUR_TENANT_ID',
+                mode: 'export',
+                format: 'csv',
+                filters: { status: ['AUTHORISED', 'PAID'], date_from: '2023-06-01', date_to: '2023-06-30' }
+              }
             }
           },
           parameters: {
@@ -200,35 +291,81 @@ exports.handler = async function(event, context) {
             invoice_numbers: 'Optional - Invoice numbers (comma-separated for GET, array for POST)',
             page: 'Optional - Page number (default: 1)',
             page_size: 'Optional - Records per page (default: 10, max: 100)',
+            include_line_items: 'Optional - true to add lineItems and lineAmountTypes to each invoice (e.g. for accounting_bot line comparison)',
+            mode: 'Optional - "export" walks every page for the filters (line items included)',
+            format: 'Optional - Export format: "json" (default), "csv" or "ndjson"; CSV/NDJSON have one row per line item',
+            cursor: 'Optional - Continuation cursor from the previous export response (body.export.cursor or X-Export-Cursor)',
+            time_budget_ms: 'Optional - Stop fetching pages after this long and return a cursor',
+            max_pages: `Optional - Pages per export response (default: ${EXPORT_DEFAULT_MAX_PAGES})`,
             filters: {
               description: 'Optional - Filters for POST requests only',
               status: 'Array of statuses: ["DRAFT", "SUBMITTED", "AUTHORISED", "PAID", "VOIDED", "DELETED"]',
-              date_from: 'Date string (YYYY-MM-DD) - Invoice date from',
-              date_to: 'Date string (YYYY-MM-DD) - Invoice date to',
-              due_date_from: 'Date string (YYYY-MM-DD) - Due date from',
-              due_date_to: 'Date string (YYYY-MM-DD) - Due date to',
+              type: 'ACCREC or ACCPAY (string or array)',
+              date_from: 'Date string (YYYY-MM-DD, Australia/Sydney) - Invoice date from',
+              date_to: 'Date string (YYYY-MM-DD, Australia/Sydney) - Invoice date to',
+              due_date_from: 'Date string (YYYY-MM-DD, Australia/Sydney) - Due date from',
+              due_date_to: 'Date string (YYYY-MM-DD, Australia/Sydney) - Due date to',
+              updated_since: 'Date (Sydney midnight) or ISO timestamp with zone - UpdatedDateUTC from',
+              updated_before: 'Date (Sydney midnight) or ISO timestamp with zone - UpdatedDateUTC before',
+              invoice_number: 'String or array - Exact invoice number(s)',
               invoice_number_contains: 'String - Filter by invoice number containing text',
+              reference: 'String or array - Exact reference(s)',
+              reference_contains: 'String - Filter by reference containing text',
+              contact_id: 'Contact ID or array of IDs',
+              contact_name_contains: 'String - Filter by contact name containing text',
+              currency_code: 'String or array - e.g. "AUD"',
               total_greater_than: 'Number - Minimum total amount',
               total_less_than: 'Number - Maximum total amount',
               amount_due_greater_than: 'Number - Minimum amount due',
-              contact_name_contains: 'String - Filter by contact name containing text'
+              any: 'Array of filter objects, matched if any of them match (OR)',
+              all: 'Array of filter objects, matched if all of them match (AND)'
             }
           }
         }, null, 2)
       };
     }
 
-    // Get valid token from Firestore (auto-refresh if needed)
-    const accessToken = await getValidToken(tenantId);
+    const isExport = mode === 'export';
+    let decodedCursor = null;
 
-    console.log('Fetching invoices with access token for tenant:', tenantId);
+    if (isExport) {
+      const exportError = (error, message) => ({
+        statusCode: 400,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ success: false, error, message }, null, 2)
+      });
+
+      if (invoiceIds || invoiceNumbers) {
+        return exportError('Export does not support invoice_ids or invoice_numbers', 'Use filters to select invoices for export');
+      }
+
+      if (exportCursor) {
+        decodedCursor = decodeExportCursor(exportCursor);
+        if (!decodedCursor) {
+          return exportError('Invalid cursor', 'Pass the cursor exactly as returned by the previous export call');
+        }
+        exportFormat = exportFormat || decodedCursor.format;
+        filters = decodedCursor.filters;
+      }
+
+      exportFormat = (exportFormat || 'json').toLowerCase();
+      if (!EXPORT_FORMATS.includes(exportFormat)) {
+        return exportError('Invalid format', `Supported formats: ${EXPORT_FORMATS.join(', ')}`);
+      }
+    }
+
+    // Open a Xero session (tokens come from Firestore and auto-refresh if needed)
+    const session = await getXeroSession(tenantId);
+
+    console.log('Fetching invoices for tenant:', tenantId);
     console.log('Request method:', event.httpMethod);
     console.log('Filters applied:', Object.keys(filters).length > 0 ? filters : 'None');
-    console.log('Access token (first 20 chars):', accessToken ? accessToken.substring(0, 20) + '...' : 'null');
 
     // Check if specific invoice IDs or numbers are requested
-    let apiUrl = 'https://api.xero.com/api.xro/2.0/Invoices';
-    let queryParams = [];
+    const queryParams = {};
 
     if (invoiceIds && invoiceNumbers) {
       return {
@@ -286,15 +423,15 @@ exports.handler = async function(event, context) {
       }
 
       // Use where clause to combine IDs with filters
-      const whereConditions = [`InvoiceID=Guid("${idsArray.join('") OR InvoiceID=Guid("')}")`];
+      const whereConditions = [idsArray.map(id => `InvoiceID=${xeroGuid(id, 'invoice_ids')}`).join(' OR ')];
       
       // Add other filter conditions
-      const additionalFilters = buildWhereClause(filters);
+      const additionalFilters = buildXeroWhere(filters);
       if (additionalFilters) {
         whereConditions.push(additionalFilters);
       }
       
-      queryParams.push(`where=${encodeURIComponent(`(${whereConditions.join(') AND (')})`)}`);
+      queryParams.where = `(${whereConditions.join(') AND (')})`;
       
     } else if (invoiceNumbers) {
       // Fetch specific invoices by Numbers with optional filtering
@@ -336,133 +473,66 @@ exports.handler = async function(event, context) {
       }
 
       // Use where clause to combine invoice numbers with filters
-      const whereConditions = [`InvoiceNumber="${numbersArray.join('" OR InvoiceNumber="')}"`];
+      const whereConditions = [numbersArray.map(number => `InvoiceNumber=${xeroString(number)}`).join(' OR ')];
       
       // Add other filter conditions
-      const additionalFilters = buildWhereClause(filters);
+      const additionalFilters = buildXeroWhere(filters);
       if (additionalFilters) {
         whereConditions.push(additionalFilters);
       }
       
-      queryParams.push(`where=${encodeURIComponent(`(${whereConditions.join(') AND (')})`)}`);
+      queryParams.where = `(${whereConditions.join(') AND (')})`;
       
     } else {
       // Apply filters for general invoice fetching
       
       // Handle status filter using Xero's Statuses parameter (only when not using specific IDs/numbers)
-      if (filters.status && Array.isArray(filters.status) && filters.status.length > 0) {
-        const validStatuses = ['DRAFT', 'SUBMITTED', 'AUTHORISED', 'PAID', 'VOIDED', 'DELETED'];
-        const filteredStatuses = filters.status.filter(status => validStatuses.includes(status.toUpperCase()));
-        if (filteredStatuses.length > 0) {
-          queryParams.push(`Statuses=${filteredStatuses.join(',')}`);
-        }
+      if (filters.status) {
+        queryParams.Statuses = normaliseStatuses(filters.status).join(',');
       }
       
       // Build where clause for other filters
-      const whereClause = buildWhereClause(filters);
+      const whereClause = buildXeroWhere(filters, { skip: ['status'] });
       if (whereClause) {
-        queryParams.push(`where=${encodeURIComponent(whereClause)}`);
+        queryParams.where = whereClause;
       }
     }
     
-    // Add pagination for all cases
-    queryParams.push(`page=${page}`);
-    queryParams.push(`pagesize=${pageSize}`);
-    
-    console.log(`Fetching invoices from Xero (page ${page}, size ${pageSize})...`);
-
-    // Build final API URL
-    if (queryParams.length > 0) {
-      apiUrl += '?' + queryParams.join('&');
-    }
-
-    console.log('API URL:', apiUrl);
+    if (isExport) {
+      // A fixed order keeps page boundaries stable between export calls
+      const cursor = { filters, format: exportFormat, page: decodedCursor ? decodedCursor.page : 1 };
+      console.log(`Exporting invoices from page ${cursor.page} as ${exportFormat}`);
 
-    // Fetch invoices from Xero Accounting API
-    const invoicesResponse = await fetch(apiUrl, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json',
-        'Xero-tenant-id': tenantId
-      }
-    });
+      const result = await runInvoiceExport(session, { ...queryParams, order: 'InvoiceNumber ASC' }, cursor, {
+        budgetMs: getExportBudgetMs(context, timeBudgetMs),
+        maxPages: maxPages > 0 ? maxPages : EXPORT_DEFAULT_MAX_PAGES
+      });
+      console.log(`Exported ${result.invoices.length} invoices over ${result.pagesFetched} pages (complete: ${result.complete})`);
 
-    if (!invoicesResponse.ok) {
-      const errorText = await invoicesResponse.text();
-      throw new Error(`Failed to fetch invoices: ${invoicesResponse.status} ${invoicesResponse.statusText} - ${errorText}`);
+      return buildExportResponse(result, {
+        format: exportFormat,
+        firstChunk: !decodedCursor,
+        tenantId,
+        throttling: session.getStats()
+      });
     }
 
-    // Handle both JSON and XML responses from Xero
-    const contentType = invoicesResponse.headers.get('content-type') || '';
-    console.log('Response content-type:', contentType);
+    // Add pagination for all cases
+    queryParams.page = page;
+    queryParams.pagesize = pageSize;
     
-    let invoicesData;
-    let invoices = [];
-
-    if (contentType.includes('application/json')) {
-      console.log('Parsing JSON response...');
-      invoicesData = await invoicesResponse.json();
-      invoices = invoicesData.Invoices || [];
-    } 
-    else if (contentType.includes('text/xml') || contentType.includes('application/xml')) {
-      console.log('Parsing XML response...');
-      const xmlData = await invoicesResponse.text();
-      
-      // Parse XML to JavaScript object
-      invoicesData = await new Promise((resolve, reject) => {
-        parseString(xmlData, { 
-          explicitArray: false,
-          mergeAttrs: true,
-          normalize: true,
-          normalizeTags: true,
-          trim: true
-        }, (err, result) => {
-          if (err) {
-            reject(new Error(`XML parse error: ${err.message}`));
-          } else {
-            resolve(result.response || result.Response);
-          }
-        });
-      });
+    console.log(`Fetching invoices from Xero (page ${page}, size ${pageSize})...`);
 
-      // Handle XML structure - invoices can be single object or array
-      if (invoicesData.invoices) {
-        const xmlInvoices = invoicesData.invoices.invoice || invoicesData.invoices.Invoice;
-        invoices = Array.isArray(xmlInvoices) ? xmlInvoices : [xmlInvoices];
-      }
-    }
-    else {
-      const responseText = await invoicesResponse.text();
-      console.error('Unsupported response format:', {
-        status: invoicesResponse.status,
-        contentType,
-        responseText: responseText.substring(0, 500)
-      });
-      throw new Error(`Unsupported content-type: ${contentType}. Response: ${responseText.substring(0, 200)}`);
-    }
+    console.log('API URL:', buildXeroUrl('Invoices', queryParams));
+
+    // Fetch invoices from Xero Accounting API (JSON or XML responses are normalised by the session)
+    const { body: invoicesData } = await session.request('Invoices', { query: queryParams });
+    const invoices = getXeroCollection(invoicesData, 'Invoices');
 
     console.log(`Successfully fetched ${invoices.length} invoices`);
 
     // Format the response with useful information (handles both JSON and XML structures)
-    const formattedInvoices = invoices.map(invoice => ({
-      invoiceID: invoice.InvoiceID || invoice.invoiceid,
-      invoiceNumber: invoice.InvoiceNumber || invoice.invoicenumber,
-      type: invoice.Type || invoice.type,
-      status: invoice.Status || invoice.status,
-      date: invoice.Date || invoice.date,
-      dueDate: invoice.DueDate || invoice.duedate,
-      total: parseFloat(invoice.Total || invoice.total || 0),
-      amountDue: parseFloat(invoice.AmountDue || invoice.amountdue || 0),
-      amountPaid: parseFloat(invoice.AmountPaid || invoice.amountpaid || 0),
-      contact: {
-        contactID: invoice.Contact?.ContactID || invoice.contact?.contactid,
-        name: invoice.Contact?.Name || invoice.contact?.name
-      },
-      currencyCode: invoice.CurrencyCode || invoice.currencycode,
-      reference: invoice.Reference || invoice.reference
-    }));
+    const formattedInvoices = invoices.map(invoice => formatXeroInvoice(invoice, { includeLineItems }));
 
     // Build response based on request type
     const searchType = invoiceIds ? 'specific_invoices_by_id' : 
@@ -513,6 +583,23 @@ exports.handler = async function(event, context) {
   } catch (error) {
     console.error('Error fetching invoices:', error);
     
+    // Invalid filter values (from the where-clause builder)
+    if (error.field) {
+      return {
+        statusCode: 400,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ 
+          success: false,
+          error: 'Invalid filter',
+          field: error.field,
+          message: error.message
+        }, null, 2)
+      };
+    }
+    
     // Handle specific token errors
     if (error.message === 'No Xero tokens found for user') {
       return {
@@ -565,4 +652,6 @@ exports.handler = async function(event, context) {
       }, null, 2)
     };
   }
-}; 
\ No newline at end of file
+};
+
+exports.handler = withAuth(handler, { role: 'read' });
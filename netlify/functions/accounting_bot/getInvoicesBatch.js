@@ -9,12 +9,16 @@
 //     "load_mode": "all|progressive",
 //     "chunk_size": 40,
 //     "return_chunks": false,
-//     "max_parallel": 5
+//     "max_parallel": 5,
+//     "embed_allocations": false
 //   }
 // }
+// embed_allocations adds each invoice's applied payments, credit notes, prepayments and
+// overpayments ({ allocations, amountCredited }) from the same Xero response.
 
-const { getValidToken } = require('./utils/tokenManager');
-const { parseString } = require('xml2js');
+const { getXeroSession, getXeroCollection } = require('../utils/xeroSession');
+const { formatXeroInvoice } = require('../utils/xeroInvoiceFormat');
+const { withAuth } = require('../utils/auth');
 
 // Helper function to chunk array into smaller arrays
 function chunkArray(array, chunkSize) {
@@ -26,86 +30,18 @@ function chunkArray(array, chunkSize) {
 }
 
 // Helper function to fetch invoices for a chunk of IDs
-async function fetchInvoiceChunk(accessToken, tenantId, invoiceIds) {
-  const apiUrl = `https://api.xero.com/api.xro/2.0/Invoices?IDs=${invoiceIds.join(',')}`;
-  
-  const response = await fetch(apiUrl, {
-    method: 'GET',
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-      'Accept': 'application/json',
-      'Content-Type': 'application/json',
-      'Xero-tenant-id': tenantId
-    }
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Failed to fetch invoice chunk: ${response.status} ${response.statusText} - ${errorText}`);
-  }
-
-  const contentType = response.headers.get('content-type') || '';
-  let invoicesData;
-  let invoices = [];
-
-  if (contentType.includes('application/json')) {
-    invoicesData = await response.json();
-    invoices = invoicesData.Invoices || [];
-  } 
-  else if (contentType.includes('text/xml') || contentType.includes('application/xml')) {
-    const xmlData = await response.text();
-    
-    invoicesData = await new Promise((resolve, reject) => {
-      parseString(xmlData, { 
-        explicitArray: false,
-        mergeAttrs: true,
-        normalize: true,
-        normalizeTags: true,
-        trim: true
-      }, (err, result) => {
-        if (err) {
-          reject(new Error(`XML parse error: ${err.message}`));
-        } else {
-          resolve(result.response || result.Response);
-        }
-      });
-    });
-
-    if (invoicesData.invoices) {
-      const xmlInvoices = invoicesData.invoices.invoice || invoicesData.invoices.Invoice;
-      invoices = Array.isArray(xmlInvoices) ? xmlInvoices : [xmlInvoices];
-    }
-  }
-  else {
-    const responseText = await response.text();
-    throw new Error(`Unsupported content-type: ${contentType}. Response: ${responseText.substring(0, 200)}`);
+async function fetchInvoiceChunk(session, invoiceIds) {
+  try {
+    const { body } = await session.request('Invoices', { query: { IDs: invoiceIds.join(',') } });
+    return getXeroCollection(body, 'Invoices');
+  } catch (error) {
+    const chunkError = new Error(`Failed to fetch invoice chunk: ${error.message}`);
+    chunkError.status = error.status;
+    throw chunkError;
   }
-
-  return invoices;
-}
-
-// Helper function to format invoices
-function formatInvoices(invoices) {
-  return invoices.map(invoice => ({
-    invoiceID: invoice.InvoiceID || invoice.invoiceid,
-    invoiceNumber: invoice.InvoiceNumber || invoice.invoicenumber,
-    type: invoice.Type || invoice.type,
-    status: invoice.Status || invoice.status,
-    date: invoice.Date || invoice.date,
-    dueDate: invoice.DueDate || invoice.duedate,
-    total: parseFloat(invoice.Total || invoice.total || 0),
-    amountDue: parseFloat(invoice.AmountDue || invoice.amountdue || 0),
-    amountPaid: parseFloat(invoice.AmountPaid || invoice.amountpaid || 0),
-    contact: {
-      contactID: invoice.Contact?.ContactID || invoice.contact?.contactid,
-      name: invoice.Contact?.Name || invoice.contact?.name
-    },
-    currencyCode: invoice.CurrencyCode || invoice.currencycode,
-    reference: invoice.Reference || invoice.reference
-  }));
 }
 
-exports.handler = async function(event, context) {
+const handler = async function(event, context) {
   try {
     // Handle preflight CORS request
     if (event.httpMethod === 'OPTIONS') {
@@ -157,7 +93,8 @@ exports.handler = async function(event, context) {
                   load_mode: 'progressive',
                   chunk_size: 20,
                   return_chunks: true,
-                  max_parallel: 3
+                  max_parallel: 3,
+                  embed_allocations: true
                 }
               }
             }
@@ -191,20 +128,6 @@ exports.handler = async function(event, context) {
       options = {}
     } = requestBody;
 
-    // Parse options with smart defaults
-    const {
-      load_mode = 'all',
-      chunk_size = 40,
-      return_chunks = false,
-      max_parallel = Math.min(5, Math.ceil(validIds.length / 40)) // Auto-adjust based on data size
-    } = options;
-
-    // Auto-optimize chunk size for better performance
-    let smartChunkSize = chunk_size;
-    if (validIds.length > 200) {
-      smartChunkSize = Math.min(30, chunk_size); // Smaller chunks for large datasets
-    }
-
     // Validate required parameters
     if (!tenantId) {
       return {
@@ -264,12 +187,32 @@ exports.handler = async function(event, context) {
       };
     }
 
+    // Parse options with smart defaults
+    const {
+      load_mode = 'all',
+      chunk_size = 40,
+      return_chunks = false,
+      max_parallel = Math.min(5, Math.ceil(validIds.length / 40)), // Auto-adjust based on data size (capped at Xero's 5 concurrent calls)
+      embed_allocations = false
+    } = options;
+
+    const formatInvoices = (invoices) =>
+      invoices.map(invoice => formatXeroInvoice(invoice, { includeAllocations: embed_allocations === true }));
+
+    // Auto-optimize chunk size for better performance
+    let smartChunkSize = chunk_size;
+    if (validIds.length > 200) {
+      smartChunkSize = Math.min(30, chunk_size); // Smaller chunks for large datasets
+    }
+
     // Validate chunk size (Xero API limit is ~40 due to URL length)
     const effectiveChunkSize = Math.min(Math.max(smartChunkSize, 1), 40);
     const effectiveMaxParallel = Math.min(Math.max(max_parallel, 1), 10);
 
-    // Get valid token from Firestore
-    const accessToken = await getValidToken(tenantId);
+    // Open a Xero session (tokens come from Firestore and auto-refresh if needed).
+    // Its requests go through the per-tenant scheduler, which enforces Xero's
+    // 5 concurrent / 60 per minute limits and retries 429 and 503 responses.
+    const session = await getXeroSession(tenantId);
     console.log('Fetching batch invoices for tenant:', tenantId);
     console.log('Total invoice IDs requested:', validIds.length);
     console.log('Load mode:', load_mode, 'Chunk size:', effectiveChunkSize);
@@ -289,7 +232,7 @@ exports.handler = async function(event, context) {
         const batchPromises = batchChunks.map(async (chunk, batchIndex) => {
           const globalIndex = i + batchIndex;
           try {
-            const invoices = await fetchInvoiceChunk(accessToken, tenantId, chunk);
+            const invoices = await fetchInvoiceChunk(session, chunk);
             const formatted = formatInvoices(invoices);
             console.log(`Chunk ${globalIndex + 1}/${chunks.length}: fetched ${invoices.length} invoices`);
             
@@ -346,13 +289,16 @@ exports.handler = async function(event, context) {
           },
           chunks: chunkResults,
           missingIds: missingIds,
+          metadata: {
+            throttling: session.getStats()
+          },
           fetchedAt: new Date().toISOString()
         }, null, 2)
       };
     } else {
       // Standard mode - return all invoices combined (existing functionality)
       const chunkPromises = chunks.map((chunk, index) => 
-        fetchInvoiceChunk(accessToken, tenantId, chunk)
+        fetchInvoiceChunk(session, chunk)
           .then(invoices => {
             console.log(`Chunk ${index + 1}/${chunks.length}: fetched ${invoices.length} invoices`);
             return invoices;
@@ -383,6 +329,9 @@ exports.handler = async function(event, context) {
         foundIds: foundIds,
         missingIds: missingIds,
         invoices: formattedInvoices,
+        metadata: {
+          throttling: session.getStats()
+        },
         fetchedAt: new Date().toISOString()
       };
 
@@ -433,6 +382,24 @@ exports.handler = async function(event, context) {
         }, null, 2)
       };
     }
+
+    // Rate limits still exceeded after the scheduler's retries
+    if (error.status === 429) {
+      return {
+        statusCode: 429,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Content-Type': 'application/json',
+          'Retry-After': '60'
+        },
+        body: JSON.stringify({
+          success: false,
+          error: 'Xero rate limit exceeded',
+          message: error.message,
+          suggestion: 'Retry later or use load_mode "progressive" with return_chunks to get partial results'
+        }, null, 2)
+      };
+    }
     
     return {
       statusCode: 500,
@@ -448,4 +415,6 @@ exports.handler = async function(event, context) {
       }, null, 2)
     };
   }
-}; 
\ No newline at end of file
+};
+
+exports.handler = withAuth(handler, { role: 'read', methods: 'POST, OPTIONS' });
@@ -0,0 +1,44 @@
+// Fetches Xero payments with the same semantics as getInvoices / getInvoicesBatch
+// GET:  ?tenant_id=...&payment_ids=id1,id2&page=1&page_size=10
+// POST: {
+//   "tenant_id": "your-tenant-id",
+//   "payment_ids": ["id1", "id2", ...],          // optional, any number (chunked automatically)
+//   "filters": {                                 // optional, see utils/xeroFilter (payments)
+//     "invoice_id": ["invoice-id"],
+//     "status": "AUTHORISED",
+//     "payment_type": "ACCRECPAYMENT",
+//     "date_from": "2024-01-01",
+//     "is_reconciled": false
+//   },
+//   "page": 1, "page_size": 10,                  // when no payment_ids are given
+//   "options": { "load_mode": "progressive", "return_chunks": true, "chunk_size": 25, "max_parallel": 5 }
+// }
+
+const { createXeroRecordsHandler } = require('../utils/xeroRecordsHandler');
+const { formatXeroPayment } = require('../utils/xeroInvoiceFormat');
+const { withAuth } = require('../utils/auth');
+
+const handler = createXeroRecordsHandler({
+  entity: 'payments',
+  path: 'Payments',
+  idParam: 'payment_ids',
+  idField: 'PaymentID',
+  formattedIdKey: 'paymentID',
+  responseKey: 'payments',
+  label: 'payments',
+  order: 'Date DESC',
+  format: formatXeroPayment,
+  summarise: (payments) => ({
+    totalAmount: payments.reduce((sum, payment) => sum + (payment.amount || 0), 0),
+    statusBreakdown: payments.reduce((acc, payment) => {
+      acc[payment.status] = (acc[payment.status] || 0) + 1;
+      return acc;
+    }, {}),
+    typeBreakdown: payments.reduce((acc, payment) => {
+      acc[payment.paymentType] = (acc[payment.paymentType] || 0) + 1;
+      return acc;
+    }, {})
+  })
+});
+
+exports.handler = withAuth(handler, { role: 'read' });
@@ -1,6 +1,7 @@
-const { getAvailableTenants } = require('./utils/tokenManager');
+const { getAvailableTenants } = require('../utils/xeroTokenManager');
+const { withAuth } = require('../utils/auth');
 
-exports.handler = async function(event, context) {
+const handler = async function(event, context) {
   try {
     const tenants = await getAvailableTenants();
     
@@ -16,6 +17,10 @@ exports.handler = async function(event, context) {
         success: true,
         message: 'Available Xero tenant connections',
         tenants: tenants,
+        // Tenants whose last keep-alive check (xero-keepalive) didn't come back ok
+        unhealthyTenants: tenants
+          .filter(tenant => tenant.health && tenant.health.status !== 'ok')
+          .map(tenant => ({ tenantId: tenant.tenantId, tenantName: tenant.tenantName, status: tenant.health.status })),
         usage: {
           getInvoices: '/.netlify/functions/getInvoices?tenant_id=TENANT_ID',
           example: tenants.length > 0 ? `/.netlify/functions/getInvoices?tenant_id=${tenants[0].tenantId}` : 'No tenants available'
@@ -39,4 +44,6 @@ exports.handler = async function(event, context) {
       }, null, 2)
     };
   }
-}; 
\ No newline at end of file
+};
+
+exports.handler = withAuth(handler, { role: 'read', methods: 'GET, OPTIONS' });
@@ -0,0 +1,189 @@
+// Create the Xero invoice for Maropost orders that accounting_bot reports as not_exported
+// (see utils/xeroInvoicePush for how the invoice is built and kept idempotent).
+//
+// POST { "tenant_id": "...", "order_id": "N12345", "dry_run": true }
+// POST { "tenant_id": "...", "order_ids": ["N12345", "N12346"], "status": "AUTHORISED" }
+//
+// dry_run returns the contact match and the invoice that would be sent without writing to Xero.
+// Orders that already have a live invoice come back as already_exported.
+
+const { pushOrderToXero } = require('../utils/xeroInvoicePush');
+const { withAuth } = require('../utils/auth');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+// Each order costs several Xero calls; keep a batch inside one function invocation
+const MAX_ORDERS = 20;
+
+const badRequest = (error, message, field) => ({
+  statusCode: 400,
+  headers,
+  body: JSON.stringify({ success: false, error, ...(field ? { field } : {}), message }, null, 2)
+});
+
+const isTokenError = (error) =>
+  error.message === 'No Xero tokens found for user' || error.message.includes('Token refresh failed');
+
+// Errors that would fail every other order in the batch too
+const stopsBatch = (error) => Boolean(error.field) || isTokenError(error) || error.status === 429;
+
+const handler = async function(event, context) {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Method not allowed',
+        message: 'This endpoint only accepts POST requests',
+        example: { tenant_id: 'your-xero-tenant-id', order_id: 'N12345', dry_run: true }
+      }, null, 2)
+    };
+  }
+
+  let requestBody;
+  try {
+    requestBody = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return badRequest('Invalid JSON in request body', 'Please provide valid JSON');
+  }
+
+  const { tenant_id: tenantId, order_id: orderId, order_ids: orderIdList, status } = requestBody;
+  const dryRun = requestBody.dry_run === true || requestBody.dry_run === 'true';
+
+  if (!tenantId) {
+    return badRequest('Missing tenant_id', 'Please provide tenant_id in the request body');
+  }
+
+  const orderIds = [...new Set((orderIdList ? (Array.isArray(orderIdList) ? orderIdList : [orderIdList]) : [orderId])
+    .filter(id => id !== undefined && id !== null)
+    .map(id => String(id).trim())
+    .filter(Boolean))];
+  if (orderIds.length === 0) {
+    return badRequest('Missing order_id', 'Please provide order_id or order_ids');
+  }
+  if (orderIds.length > MAX_ORDERS) {
+    return badRequest('Too many orders', `At most ${MAX_ORDERS} orders can be pushed per request`, 'order_ids');
+  }
+
+  try {
+    const results = [];
+    for (const id of orderIds) {
+      try {
+        results.push(await pushOrderToXero(tenantId, id, { dryRun, status }));
+      } catch (error) {
+        // A single order gets the specific status code below; a batch carries on with the rest
+        if (orderIds.length === 1 || stopsBatch(error)) throw error;
+        console.error(`Failed to push order ${id}:`, error.message);
+        results.push({ orderId: id, outcome: 'failed', error: error.message });
+      }
+    }
+
+    const summary = results.reduce((acc, result) => ({ ...acc, [result.outcome]: (acc[result.outcome] || 0) + 1 }), {});
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        dryRun,
+        tenantId,
+        summary,
+        results
+      }, null, 2)
+    };
+
+  } catch (error) {
+    console.error('Error pushing orders to Xero:', error);
+
+    if (error.field) {
+      return badRequest('Invalid status', error.message, error.field);
+    }
+
+    if (error.message === 'No Xero tokens found for user') {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: 'Authentication required',
+          message: 'Please complete Xero OAuth flow first',
+          authUrl: '/.netlify/functions/auth'
+        }, null, 2)
+      };
+    }
+
+    if (error.message.includes('Token refresh failed')) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: 'Token refresh failed',
+          message: 'Please re-authenticate with Xero',
+          authUrl: '/.netlify/functions/auth'
+        }, null, 2)
+      };
+    }
+
+    if (error.status === 429) {
+      return {
+        statusCode: 429,
+        headers: { ...headers, 'Retry-After': '60' },
+        body: JSON.stringify({
+          success: false,
+          error: 'Xero rate limit exceeded',
+          message: error.message
+        }, null, 2)
+      };
+    }
+
+    if (error.status === 404 || error.status === 409 || error.status === 422) {
+      return {
+        statusCode: error.status,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: error.status === 404 ? 'Order not found' : 'Order cannot be invoiced',
+          message: error.message,
+          orderId: orderIds[0]
+        }, null, 2)
+      };
+    }
+
+    // Xero validation errors (unknown item code, account, tax type...)
+    if (error.status === 400) {
+      return {
+        statusCode: 422,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: 'Xero rejected the invoice',
+          details: error.message,
+          orderId: orderIds[0]
+        }, null, 2)
+      };
+    }
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Failed to push order to Xero',
+        details: error.message
+      }, null, 2)
+    };
+  }
+};
+
+exports.handler = withAuth(handler, { role: 'write', methods: 'POST, OPTIONS' });
@@ -0,0 +1,210 @@
+// Batch Maropost vs Xero reconciliation over a DatePlaced range
+// Pulls the Maropost orders and their Xero invoices itself, compares totals, payment status,
+// line items and GST, and stores each discrepancy in Supabase (see utils/reconciliationRuns).
+//
+// Start a run:
+// POST { "tenant_id": "...", "date_from": "2024-06-01", "date_to": "2024-06-30", "order_status": ["Dispatched"] }
+// Continue a run that ran out of time (the response says when):
+// POST { "run_id": "..." }
+// Optional: "time_budget_ms" caps how long one call keeps fetching pages.
+//
+// Results: GET /.netlify/functions/reconciliationSummary?run_id=...
+
+const {
+  DEFAULT_ORDER_STATUSES,
+  startReconciliationRun,
+  getReconciliationRun,
+  continueReconciliationRun,
+  countDiscrepanciesByType
+} = require('../utils/reconciliationRuns');
+const { parseSydneyDate } = require('../utils/xeroFilter');
+const { withAuth } = require('../utils/auth');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+const DEFAULT_BUDGET_MS = 8000;
+const SAFETY_MS = 2000;
+
+// Stop starting new pages early enough to save progress and respond
+function getBudgetMs(context, requestedBudgetMs) {
+  const remaining = typeof context?.getRemainingTimeInMillis === 'function'
+    ? context.getRemainingTimeInMillis() - SAFETY_MS
+    : DEFAULT_BUDGET_MS;
+  return requestedBudgetMs > 0 ? Math.min(requestedBudgetMs, remaining) : remaining;
+}
+
+const formatDate = ({ year, month, day }) =>
+  `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+const formatRun = (run) => ({
+  runId: run.id,
+  tenantId: run.tenant_id,
+  dateFrom: run.date_from,
+  dateTo: run.date_to,
+  orderStatuses: run.order_statuses,
+  status: run.status,
+  pagesProcessed: run.next_page,
+  ordersChecked: run.orders_checked,
+  discrepancyCount: run.discrepancy_count,
+  lastError: run.last_error,
+  startedAt: run.started_at,
+  completedAt: run.completed_at
+});
+
+const badRequest = (error, message, field) => ({
+  statusCode: 400,
+  headers,
+  body: JSON.stringify({ success: false, error, ...(field ? { field } : {}), message }, null, 2)
+});
+
+const handler = async function(event, context) {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Method not allowed',
+        message: 'This endpoint only accepts POST requests',
+        example: { tenant_id: 'your-xero-tenant-id', date_from: '2024-06-01', date_to: '2024-06-30' }
+      }, null, 2)
+    };
+  }
+
+  let requestBody;
+  try {
+    requestBody = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return badRequest('Invalid JSON in request body', 'Please provide valid JSON');
+  }
+
+  let run;
+  try {
+    if (requestBody.run_id) {
+      run = await getReconciliationRun(requestBody.run_id);
+      if (!run) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ success: false, error: 'Reconciliation run not found', runId: requestBody.run_id }, null, 2)
+        };
+      }
+    } else {
+      const { tenant_id: tenantId, date_from: dateFrom, date_to: dateTo, order_status: orderStatus } = requestBody;
+      if (!tenantId) {
+        return badRequest('Missing tenant_id', 'Please provide tenant_id to start a run, or run_id to continue one');
+      }
+      if (!dateFrom || !dateTo) {
+        return badRequest('Missing date range', 'Please provide date_from and date_to (YYYY-MM-DD)');
+      }
+
+      const from = formatDate(parseSydneyDate(dateFrom, 'date_from'));
+      const to = formatDate(parseSydneyDate(dateTo, 'date_to'));
+      if (from > to) {
+        return badRequest('Invalid date range', 'date_from must not be after date_to', 'date_from');
+      }
+
+      const orderStatuses = orderStatus
+        ? (Array.isArray(orderStatus) ? orderStatus : String(orderStatus).split(',')).map(status => String(status).trim()).filter(Boolean)
+        : DEFAULT_ORDER_STATUSES;
+
+      run = await startReconciliationRun({
+        tenantId,
+        dateFrom: from,
+        dateTo: to,
+        orderStatuses,
+        requestedBy: event.auth?.name
+      });
+      console.log('Started reconciliation run:', { runId: run.id, tenantId, from, to, orderStatuses });
+    }
+
+    const deadline = Date.now() + getBudgetMs(context, parseInt(requestBody.time_budget_ms || '0'));
+    run = await continueReconciliationRun(run, { deadline });
+    const complete = run.status === 'completed';
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        complete,
+        run: formatRun(run),
+        discrepancyCounts: await countDiscrepanciesByType(run.id),
+        ...(complete ? {} : {
+          next: { run_id: run.id },
+          message: 'The run is not finished yet; POST again with run_id to continue'
+        }),
+        summaryUrl: `/.netlify/functions/reconciliationSummary?run_id=${run.id}`
+      }, null, 2)
+    };
+
+  } catch (error) {
+    console.error('Error running reconciliation:', error);
+
+    if (error.field) {
+      return badRequest('Invalid date', error.message, error.field);
+    }
+
+    if (error.message === 'No Xero tokens found for user') {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: 'Authentication required',
+          message: 'Please complete Xero OAuth flow first',
+          authUrl: '/.netlify/functions/auth'
+        }, null, 2)
+      };
+    }
+
+    if (error.message.includes('Token refresh failed')) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: 'Token refresh failed',
+          message: 'Please re-authenticate with Xero',
+          authUrl: '/.netlify/functions/auth'
+        }, null, 2)
+      };
+    }
+
+    // Rate limits still exceeded after the scheduler's retries; the run can be continued later
+    if (error.status === 429) {
+      return {
+        statusCode: 429,
+        headers: { ...headers, 'Retry-After': '60' },
+        body: JSON.stringify({
+          success: false,
+          error: 'Xero rate limit exceeded',
+          message: error.message,
+          ...(run ? { next: { run_id: run.id } } : {})
+        }, null, 2)
+      };
+    }
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Reconciliation failed',
+        details: error.message,
+        ...(run ? { next: { run_id: run.id } } : {})
+      }, null, 2)
+    };
+  }
+};
+
+exports.handler = withAuth(handler, { role: 'write', methods: 'POST, OPTIONS' });
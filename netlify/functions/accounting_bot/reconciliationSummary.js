@@ -0,0 +1,131 @@
+// Results of batch reconciliation runs (started with reconcileOrders)
+// GET ?run_id=RUN_ID[&type=amount_mismatch][&page=1][&page_size=100]
+//     - the run, discrepancy counts per type and one page of discrepancies
+// GET ?tenant_id=TENANT_ID (optional) - the most recent runs
+
+const {
+  getReconciliationRun,
+  listReconciliationRuns,
+  countDiscrepanciesByType,
+  listDiscrepancies
+} = require('../utils/reconciliationRuns');
+const { DISCREPANCY_TYPES } = require('../utils/orderReconciliation');
+const { withAuth } = require('../utils/auth');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS'
+};
+
+const MAX_PAGE_SIZE = 500;
+
+const formatRun = (run) => ({
+  runId: run.id,
+  tenantId: run.tenant_id,
+  dateFrom: run.date_from,
+  dateTo: run.date_to,
+  orderStatuses: run.order_statuses,
+  status: run.status,
+  ordersChecked: run.orders_checked,
+  discrepancyCount: run.discrepancy_count,
+  lastError: run.last_error,
+  requestedBy: run.requested_by,
+  startedAt: run.started_at,
+  completedAt: run.completed_at
+});
+
+const handler = async function(event, context) {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Method not allowed',
+        message: 'This endpoint only accepts GET requests'
+      }, null, 2)
+    };
+  }
+
+  const query = event.queryStringParameters || {};
+
+  try {
+    if (!query.run_id) {
+      const runs = await listReconciliationRuns({ tenantId: query.tenant_id });
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true, runs: runs.map(formatRun) }, null, 2)
+      };
+    }
+
+    if (query.type && !DISCREPANCY_TYPES.includes(query.type)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: 'Invalid type',
+          message: `type must be one of ${DISCREPANCY_TYPES.join(', ')}`
+        }, null, 2)
+      };
+    }
+
+    const run = await getReconciliationRun(query.run_id);
+    if (!run) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ success: false, error: 'Reconciliation run not found', runId: query.run_id }, null, 2)
+      };
+    }
+
+    const page = Math.max(parseInt(query.page || '1') || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(query.page_size || '100') || 100, 1), MAX_PAGE_SIZE);
+    const [counts, discrepancies] = await Promise.all([
+      countDiscrepanciesByType(run.id),
+      listDiscrepancies(run.id, { type: query.type, page, pageSize })
+    ]);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        run: formatRun(run),
+        summary: {
+          ordersChecked: run.orders_checked,
+          discrepancyCounts: counts
+        },
+        filter: query.type || null,
+        pagination: {
+          page,
+          pageSize,
+          recordsReturned: discrepancies.length,
+          nextPage: discrepancies.length === pageSize ? page + 1 : null
+        },
+        discrepancies
+      }, null, 2)
+    };
+
+  } catch (error) {
+    console.error('Error loading reconciliation summary:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Failed to load reconciliation summary',
+        details: error.message
+      }, null, 2)
+    };
+  }
+};
+
+exports.handler = withAuth(handler, { role: 'read', methods: 'GET, OPTIONS' });
@@ -0,0 +1,54 @@
+// Paid-status definitions and colours for UIs, so they match accounting_bot and the email templates
+// GET - { toleranceCents, statuses: { paid: { label, background, font, description }, ... }, sources, indicators }
+// sources holds per-source changes to statuses, e.g. sources.xero.unpaid
+// Configured with PAID_STATUS_CONFIG (see utils/paidStatusRules).
+
+const { getStatusConfig } = require('../utils/paidStatusRules');
+const { withAuth } = require('../utils/auth');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS'
+};
+
+const handler = async function(event, context) {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Method not allowed',
+        message: 'This endpoint only accepts GET requests'
+      }, null, 2)
+    };
+  }
+
+  try {
+    const { toleranceCents, statuses, sources, indicators } = getStatusConfig();
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ success: true, toleranceCents, statuses, sources, indicators }, null, 2)
+    };
+  } catch (error) {
+    console.error('Error loading status palette:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Failed to load status palette',
+        details: error.message
+      }, null, 2)
+    };
+  }
+};
+
+exports.handler = withAuth(handler, { role: 'read', methods: 'GET, OPTIONS' });
@@ -1,6 +1,8 @@
 /**
  * Proxy B2 private bucket objects so the browser loads them same-origin (avoids ORB/CORS).
  * GET /.netlify/functions/b2-image?key=<base64url-encoded-object-key>
+ * Not behind withAuth: it is loaded from <img src> which can't send auth headers, and it
+ * only redirects to short-lived presigned URLs for keys the caller already knows.
  */
 
 const { getB2Client } = require('./utils/b2Presigned');
@@ -1,6 +1,7 @@
 const { supabase } = require('../utils/supabaseInit');
+const { withAuth } = require('../utils/auth');
 
-exports.handler = async function (event, context) {
+const handler = async function (event, context) {
   try {
     // Validate Supabase environment variables
     const requiredVars = {
@@ -680,3 +681,5 @@ exports.handler = async function (event, context) {
     };
   }
 };
+
+exports.handler = withAuth(handler, { role: 'write' });
@@ -1,6 +1,7 @@
 const { supabase } = require('../utils/supabaseInit');
 const { filterCustomersByBalance, formatCustomerNameFromBillingAddress, fetchCustomerByUsername } = require('./customerUtils');
 const { generateStatementHTML, generateEmailHTML } = require('./statementTemplates');
+const { withAuth, roleByAction } = require('../utils/auth');
 
 const handler = async (event) => {
     console.log('=== Generate Invoices Statements Function Invoked ===');
@@ -678,5 +679,10 @@ const handler = async (event) => {
     }
 };
 
-module.exports = { handler, filterCustomersByBalance, generateStatementHTML, generateEmailHTML };
+module.exports = {
+  handler: withAuth(handler, { role: roleByAction(['customers_only', 'invoices']), methods: 'POST, OPTIONS' }),
+  filterCustomersByBalance,
+  generateStatementHTML,
+  generateEmailHTML
+};
 
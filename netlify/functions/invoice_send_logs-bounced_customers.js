@@ -0,0 +1,3 @@
+const { handler } = require('./invoice_send_logs/bounced_customers');
+
+module.exports = { handler };
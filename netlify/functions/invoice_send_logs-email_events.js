@@ -0,0 +1,3 @@
+const { handler } = require('./invoice_send_logs/email_events');
+
+module.exports = { handler };
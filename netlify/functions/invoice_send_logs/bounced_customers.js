@@ -0,0 +1,105 @@
+// Customers whose email addresses bounce (see invoice_send_logs/email_events)
+// GET [?since=2026-01-01][&include_soft=true][&include_resolved=true][&limit=1000]
+//   - one entry per Maropost customer: worst bounce type, last bounce, their orders, and each of
+//     their addresses with its last bounce and reason. Addresses that have had an email delivered
+//     since their last bounce are left out unless include_resolved is set.
+//   - logs without a customer are resolved through their order's Username in Maropost (and the
+//     username saved on the log); addresses whose orders can't be resolved are listed as unresolved.
+
+const { listBouncedAddresses, saveCustomerUsernames, groupBouncesByCustomer } = require('../utils/invoiceSendLogs');
+const { maropostRequest, ORDER_PAGE_SIZE } = require('../utils/maropostApi');
+const { withAuth } = require('../utils/auth');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS'
+};
+
+const MAX_LIMIT = 5000;
+
+const respond = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body, null, 2) });
+
+const badRequest = (error, message, field) =>
+  respond(400, { success: false, error, ...(field ? { field } : {}), message });
+
+const isTrue = (value) => String(value || '').toLowerCase() === 'true';
+
+// Usernames of the given orders from Maropost, { orderId: username }
+async function fetchOrderUsernames(orderIds) {
+  const usernames = {};
+  for (let i = 0; i < orderIds.length; i += ORDER_PAGE_SIZE) {
+    const data = await maropostRequest('GetOrder', {
+      OrderID: orderIds.slice(i, i + ORDER_PAGE_SIZE),
+      OutputSelector: ['OrderID', 'Username']
+    });
+    for (const order of data?.Order || []) {
+      if (order.OrderID && order.Username) usernames[order.OrderID] = order.Username;
+    }
+  }
+  return usernames;
+}
+
+// Fill in the customer of orders whose logs don't record one
+async function resolveCustomers(addresses) {
+  const missing = [...new Set(addresses.flatMap(entry =>
+    entry.orderIds.filter(orderId => !entry.usernameByOrderId[orderId])
+  ))];
+  if (missing.length === 0) return;
+
+  let usernames;
+  try {
+    usernames = await fetchOrderUsernames(missing);
+  } catch (error) {
+    // Still report the bounces; those addresses are listed as unresolved
+    console.warn('Could not look up order customers in Maropost:', error.message);
+    return;
+  }
+
+  for (const entry of addresses) {
+    for (const orderId of entry.orderIds) {
+      entry.usernameByOrderId[orderId] = entry.usernameByOrderId[orderId] || usernames[orderId] || null;
+    }
+  }
+  await saveCustomerUsernames(usernames).catch(error => console.warn('Could not save order customers:', error.message));
+}
+
+const handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return respond(405, {
+      success: false,
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts GET requests'
+    });
+  }
+
+  const query = event.queryStringParameters || {};
+  if (query.since && isNaN(new Date(query.since).getTime())) {
+    return badRequest('Invalid since', 'since must be a date (YYYY-MM-DD)', 'since');
+  }
+  const limit = Math.min(Math.max(parseInt(query.limit || '1000') || 1000, 1), MAX_LIMIT);
+
+  try {
+    const addresses = await listBouncedAddresses({
+      since: query.since ? new Date(query.since).toISOString() : undefined,
+      includeSoft: isTrue(query.include_soft),
+      includeResolved: isTrue(query.include_resolved),
+      limit
+    });
+    await resolveCustomers(addresses);
+    const { customers, unresolved } = groupBouncesByCustomer(addresses);
+    return respond(200, { success: true, count: customers.length, customers, unresolved });
+  } catch (error) {
+    console.error('Error listing bounced customers:', error);
+    return respond(500, { success: false, error: 'Failed to load bounced customers', details: error.message });
+  }
+};
+
+module.exports = {
+  handler: withAuth(handler, { role: 'read', methods: 'GET, OPTIONS' })
+};
@@ -0,0 +1,162 @@
+// Inbound delivery, bounce and complaint notifications for sent invoices (see utils/emailEvents for
+// the formats). Each event is matched to its invoice_send_logs row by Message-ID or document_id and
+// sets delivered_at, or email_bounced and the bounce details.
+//
+// POST generic JSON, a raw DSN / feedback report, a Graph message, or a Graph change notification.
+// Senders that can't set headers can pass the API key as ?api_key=.
+// Graph subscriptions (only accepted when GRAPH_NOTIFICATION_CLIENT_STATE is set): the validation
+// request (?validationToken=) is answered, notifications must carry that clientState, and only
+// messages in the MAIL_FROM mailbox are fetched.
+
+const { parseEmailEvents, parseGraphMessage } = require('../utils/emailEvents');
+const { applyEmailEvent } = require('../utils/invoiceSendLogs');
+const { graphRequest } = require('../utils/mailTransport');
+const { withAuth } = require('../utils/auth');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+const respond = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body, null, 2) });
+
+const getHeader = (event, name) => {
+  const eventHeaders = event.headers || {};
+  const match = Object.keys(eventHeaders).find(key => key.toLowerCase() === name);
+  return match ? eventHeaders[match] : undefined;
+};
+
+// Graph names the mailbox in a notification's resource by its user object ID, not its address
+let mailboxIdCache = null;
+
+async function getMailboxId(mailbox) {
+  if (mailboxIdCache?.mailbox !== mailbox) {
+    const user = await graphRequest('GET', `/users/${encodeURIComponent(mailbox)}?$select=id`);
+    mailboxIdCache = { mailbox, id: user.id };
+  }
+  return mailboxIdCache.id;
+}
+
+// The message path for a notification's resource, or null unless it's a message in the sending mailbox
+async function graphMessagePath(resource) {
+  const mailbox = process.env.MAIL_FROM;
+  if (!mailbox || typeof resource !== 'string') return null;
+  const match = /^users\/([^/]+)\/messages\/([A-Za-z0-9=_-]+)$/i.exec(resource);
+  if (!match) return null;
+  const user = decodeURIComponent(match[1]).toLowerCase();
+  if (user !== mailbox.toLowerCase() && user !== String(await getMailboxId(mailbox)).toLowerCase()) return null;
+  return `/users/${encodeURIComponent(mailbox)}/messages/${match[2]}`;
+}
+
+// Fetch the messages Graph notified us about and parse them
+async function eventsFromGraphNotifications(notifications, clientState) {
+  const events = [];
+  const errors = [];
+  for (const notification of notifications) {
+    if (notification.clientState !== clientState) {
+      errors.push({ resource: notification.resource, error: 'clientState does not match' });
+      continue;
+    }
+    try {
+      const messagePath = await graphMessagePath(notification.resource);
+      if (!messagePath) {
+        errors.push({ resource: notification.resource, error: 'Resource is not a message in the MAIL_FROM mailbox' });
+        continue;
+      }
+      const message = await graphRequest('GET', `${messagePath}?$select=subject,body,receivedDateTime`);
+      events.push(...parseGraphMessage(message));
+    } catch (error) {
+      errors.push({ resource: notification.resource, error: error.message });
+    }
+  }
+  return { events, errors };
+}
+
+const handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return respond(405, {
+      success: false,
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts POST requests'
+    });
+  }
+
+  const graphClientState = process.env.GRAPH_NOTIFICATION_CLIENT_STATE;
+  const graphNotAccepted = () => respond(403, {
+    success: false,
+    error: 'Graph notifications are not accepted',
+    message: 'Set GRAPH_NOTIFICATION_CLIENT_STATE (and use it as the subscription clientState) to accept them'
+  });
+
+  // Graph checks a subscription's notification URL by having it echo the token back
+  const validationToken = event.queryStringParameters?.validationToken;
+  if (validationToken) {
+    if (!graphClientState) return graphNotAccepted();
+    return { statusCode: 200, headers: { ...headers, 'Content-Type': 'text/plain' }, body: validationToken };
+  }
+
+  const body = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : (event.body || '');
+  if (!body.trim()) {
+    return respond(400, { success: false, error: 'Request body is required', message: 'Post a notification in a supported format' });
+  }
+
+  let parsed;
+  try {
+    parsed = parseEmailEvents(body, getHeader(event, 'content-type'));
+  } catch (error) {
+    return respond(400, { success: false, error: 'Invalid JSON in request body', message: error.message });
+  }
+
+  if (parsed.graphNotifications.length > 0 && !graphClientState) {
+    return graphNotAccepted();
+  }
+
+  try {
+    const fromGraph = await eventsFromGraphNotifications(parsed.graphNotifications, graphClientState);
+    const events = [...parsed.events, ...fromGraph.events];
+
+    const results = [];
+    for (const emailEvent of events) {
+      const applied = await applyEmailEvent(emailEvent);
+      results.push({
+        type: emailEvent.type,
+        permanent: emailEvent.permanent,
+        messageId: emailEvent.messageId,
+        documentId: emailEvent.documentId,
+        recipient: emailEvent.recipient,
+        ...applied
+      });
+    }
+
+    const matched = results.filter(result => result.matched).length;
+    console.log('Email events processed:', JSON.stringify({
+      received: events.length,
+      matched,
+      unmatched: events.length - matched,
+      graph_errors: fromGraph.errors.length
+    }));
+
+    // Unmatched events are answered with 200 too; the sender retrying won't make them match
+    return respond(200, {
+      success: true,
+      received: events.length,
+      matched,
+      updated: results.filter(result => result.updated).length,
+      results,
+      ...(fromGraph.errors.length > 0 ? { graphErrors: fromGraph.errors } : {})
+    });
+  } catch (error) {
+    console.error('Error processing email events:', error);
+    return respond(500, { success: false, error: 'Failed to process email events', details: error.message });
+  }
+};
+
+module.exports = {
+  handler: withAuth(handler, { role: 'write', methods: 'POST, OPTIONS', allowQueryKey: true })
+};
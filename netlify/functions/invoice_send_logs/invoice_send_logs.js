@@ -1,4 +1,5 @@
 const { supabase } = require('../utils/supabaseInit');
+const { withAuth } = require('../utils/auth');
 
 /**
  * Invoice Send Logs - Netlify Function
@@ -111,6 +112,7 @@ const handler = async (event) => {
         // Prepare database record
         const dbRecord = {
             order_id: payload.order_id,
+            customer_username: payload.customer_username || null,
             customer_email: payload.customer_email,
             order_details: orderDetails,
             document_id: payload.document_id || null,
@@ -195,4 +197,4 @@ const handler = async (event) => {
     }
 };
 
-module.exports = { handler };
+module.exports = { handler: withAuth(handler, { role: 'write', methods: 'POST, OPTIONS' }) };
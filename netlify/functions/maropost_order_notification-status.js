@@ -0,0 +1,3 @@
+const { handler } = require('./maropost_order_notification/status');
+
+module.exports = { handler };
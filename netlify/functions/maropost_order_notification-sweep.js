@@ -0,0 +1,25 @@
+// Scheduled sweep of the order notification queue (schedule is set in netlify.toml).
+// Runs retries once their backoff has passed, and jobs whose background worker never started or died.
+// Scheduled functions can't be invoked by URL in production, so this isn't wrapped in withAuth.
+
+const { runNotificationJobs } = require('./maropost_order_notification/worker');
+
+// Scheduled functions get 30 seconds; a job can take several Power Automate round-trips, so one is
+// only claimed while there's time for a whole run. A job cut off at the limit counts as an attempt.
+const SWEEP_BUDGET_MS = 27000;
+const SWEEP_JOB_TIME_MS = 20000;
+
+exports.handler = async function(event, context) {
+  const summary = await runNotificationJobs({ budgetMs: SWEEP_BUDGET_MS, jobTimeMs: SWEEP_JOB_TIME_MS });
+
+  console.log('Notification sweep completed:', JSON.stringify({
+    completed: summary.completed,
+    retrying: summary.retrying,
+    dead: summary.dead
+  }));
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({ success: true, ...summary }, null, 2)
+  };
+};
@@ -0,0 +1,28 @@
+// Background function (Netlify answers the caller with 202 straight away and gives it 15 minutes)
+// that works through queued order notifications. Triggered by maropost_order_notification after
+// it queues a job; POST with a write-role key to run the queue by hand.
+
+const { runNotificationJobs } = require('./maropost_order_notification/worker');
+const { withAuth } = require('./utils/auth');
+
+// Leave a margin under the 15 minute limit for the job that's running when the budget runs out
+const WORKER_BUDGET_MS = 10 * 60 * 1000;
+
+const handler = async (event) => {
+  const startedAt = Date.now();
+  const summary = await runNotificationJobs({ budgetMs: WORKER_BUDGET_MS });
+
+  console.log('Notification worker finished:', JSON.stringify({
+    elapsedMs: Date.now() - startedAt,
+    completed: summary.completed,
+    retrying: summary.retrying,
+    dead: summary.dead
+  }));
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({ success: true, ...summary }, null, 2)
+  };
+};
+
+module.exports = { handler: withAuth(handler, { role: 'write', methods: 'POST, OPTIONS' }) };
@@ -0,0 +1,164 @@
+// Customer email templates keyed by Maropost OrderStatus.
+// Dispatched keeps the dispatch email (with the tax invoice attached); every other status gets the
+// status email with its own subject and message. Statuses without a template get a generic
+// "order update" email rather than the dispatch one.
+
+const { generateDispatchEmailHTML } = require('./dispatch-email-template');
+const { generateStatusEmailHTML } = require('./status-email-template');
+
+const EMAIL_TEMPLATES = {
+  'New': {
+    subject: (orderId) => `We've received your order #${orderId}`,
+    content: {
+      title: 'Order Received',
+      icon: '🧾',
+      paragraphs: [
+        'Thank you for shopping with RapidClean Illawarra.',
+        "We've received your order and will let you know as it moves through picking, packing and dispatch."
+      ],
+      itemsHeading: 'Items Ordered',
+      showShipTo: true,
+      showBackorders: true
+    }
+  },
+  'Pick': {
+    subject: (orderId) => `Your order #${orderId} is being picked`,
+    content: {
+      title: 'Order Being Picked',
+      icon: '🛒',
+      paragraphs: ['Our warehouse team has started picking the items on your order.'],
+      itemsHeading: 'Items Being Picked'
+    }
+  },
+  'Pack': {
+    subject: (orderId) => `Your order #${orderId} is being packed`,
+    content: {
+      title: 'Order Being Packed',
+      icon: '📦',
+      paragraphs: [
+        'Your order has been picked and is being packed.',
+        "We'll email you again with your tax invoice once it has been dispatched."
+      ],
+      itemsHeading: 'Items Being Packed',
+      showShipTo: true
+    }
+  },
+  'Dispatched': {
+    subject: (orderId) => `Your order #${orderId} has been dispatched`,
+    render: generateDispatchEmailHTML
+  },
+  'On Hold': {
+    subject: (orderId) => `Your order #${orderId} is on hold`,
+    content: {
+      title: 'Order On Hold',
+      icon: '⏸️',
+      accent: '#E0A526',
+      paragraphs: [
+        'Your order has been placed on hold.',
+        'This usually means we need a little more information from you, or payment is still to be confirmed. Our team will be in touch, or you can reply to this email to get it moving again.'
+      ],
+      itemsHeading: 'Items On Hold'
+    }
+  },
+  'Cancelled': {
+    subject: (orderId) => `Your order #${orderId} has been cancelled`,
+    content: {
+      title: 'Order Cancelled',
+      icon: '✖️',
+      accent: '#C0392B',
+      paragraphs: [
+        'Your order has been cancelled and will not be dispatched.',
+        "If you've already paid, your refund will be processed to your original payment method. If you didn't expect this, please reply to this email."
+      ],
+      itemsHeading: 'Cancelled Items'
+    }
+  },
+  'Backorder Approved': {
+    subject: (orderId) => `Backorder approved for order #${orderId}`,
+    content: {
+      title: 'Backorder Approved',
+      icon: '⏳',
+      paragraphs: [
+        'The items below are out of stock and have been placed on backorder.',
+        "We'll dispatch them as soon as they arrive and let you know when they're on their way."
+      ],
+      itemsHeading: 'Items on Backorder'
+    }
+  },
+  'Refunded': {
+    subject: (orderId) => `Refund processed for order #${orderId}`,
+    content: {
+      title: 'Refund Processed',
+      icon: '💳',
+      paragraphs: [
+        'A refund has been processed for your order.',
+        'Depending on your bank, it can take 3-5 business days to appear on your statement.'
+      ],
+      itemsHeading: 'Items on This Order'
+    }
+  }
+};
+
+const FALLBACK_TEMPLATE = {
+  subject: (orderId) => `An update on your order #${orderId}`,
+  content: {
+    title: 'Order Update',
+    icon: '🔔',
+    paragraphs: ["There's been an update to your order. Its current status is shown below."],
+    itemsHeading: 'Items on This Order'
+  }
+};
+
+// Other names Maropost (or our test payloads) use for the statuses above
+const STATUS_ALIASES = {
+  'dispatch': 'Dispatched',
+  'pending dispatch': 'Pack',
+  'pending pickup': 'Pack',
+  'canceled': 'Cancelled',
+  'backorder': 'Backorder Approved',
+  'new backorder': 'Backorder Approved'
+};
+
+const templatesByKey = Object.fromEntries(Object.keys(EMAIL_TEMPLATES).map(status => [status.toLowerCase(), status]));
+
+/**
+ * The template key for an OrderStatus (case and spacing don't matter).
+ * @param {string} orderStatus
+ * @returns {string|null} A key of EMAIL_TEMPLATES, or null when the fallback applies
+ */
+const resolveTemplateStatus = (orderStatus) => {
+  const key = String(orderStatus || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  return templatesByKey[key] || STATUS_ALIASES[key] || null;
+};
+
+/**
+ * Render the customer email for an order status.
+ * @param {string} orderStatus - Webhook OrderStatus (the order's own status is used when omitted)
+ * @param {Object} orderDetails - GetOrder response
+ * @param {Object} productImages
+ * @param {Object} relatedBackorders
+ * @param {string} documentId
+ * @returns {{template: string, subject: string, html: string}} template is the registry key or "fallback"
+ */
+const renderOrderEmail = (orderStatus, orderDetails, productImages, relatedBackorders, documentId) => {
+  const order = orderDetails?.Order?.[0];
+  const status = resolveTemplateStatus(orderStatus || order?.OrderStatus);
+  const template = status ? EMAIL_TEMPLATES[status] : FALLBACK_TEMPLATE;
+  const orderId = order?.ID || '';
+
+  const html = template.render
+    ? template.render(orderDetails, productImages, relatedBackorders, documentId)
+    : generateStatusEmailHTML(orderDetails, productImages, relatedBackorders, documentId, template.content);
+
+  return {
+    template: status || 'fallback',
+    subject: `${template.subject(orderId)} - RapidClean Illawarra`,
+    html
+  };
+};
+
+module.exports = {
+  EMAIL_TEMPLATES,
+  resolveTemplateStatus,
+  renderOrderEmail
+};
@@ -1,12 +1,17 @@
 // Import utilities
-const { escapeHtml, generateDocumentId, formatFolderDate, formatFileNameDate, traceRelatedOrderIds } = require('./utils');
-
-// Import templates
-const { generateDispatchEmailHTML } = require('./dispatch-email-template');
+const { escapeHtml, generateDocumentId } = require('./utils');
+const { processOrderNotification, buildNotificationResult } = require('./processNotification');
+const { triggerNotificationWorker } = require('./worker');
 const { generateTaxInvoiceHTML } = require('./tax-invoice-template');
+const { withAuth } = require('../utils/auth');
+const { verifyWebhook } = require('../utils/webhookVerification');
+const { claimWebhookEvent, completeWebhookEvent, failWebhookEvent } = require('../utils/webhookEvents');
+const { enqueueNotificationJob } = require('../utils/notificationJobs');
+
+// These only render HTML for viewing, so they run straight away and aren't recorded as processing the event
+const RENDER_ONLY_DISPLAY_MODES = ['email', 'pdf'];
 
-// Import fetchers
-const { fetchOrderData, fetchCustomerData, fetchRelatedBackorders, fetchRelatedOrderLinks, fetchRelatedOrdersDetails, fetchRmaByOrderId, fetchProductImages, getPreferredImage } = require('./fetchers');
+const statusUrl = (documentId) => `/.netlify/functions/maropost_order_notification-status?document_id=${encodeURIComponent(documentId)}`;
 
 const handler = async (event) => {
   // Add CORS headers for production
@@ -42,6 +47,24 @@ const handler = async (event) => {
     };
   }
 
+  // Only accept requests signed with the shared secret or carrying an allow-listed token
+  const verification = verifyWebhook(event);
+  if (!verification.verified) {
+    console.warn('Rejected unverified order notification:', verification.reason);
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({
+        message: 'Webhook verification failed',
+        debug: {
+          reason: verification.reason,
+          suggestion: 'Sign the body with MAROPOST_WEBHOOK_SECRET (X-Webhook-Signature) or pass an allow-listed token (X-Webhook-Token or ?token=).',
+        },
+      }),
+    };
+  }
+
+  let storedEvent = null;
   try {
     // Validate request body exists
     if (!event.body) {
@@ -103,184 +126,79 @@ const handler = async (event) => {
       order_status: payload.OrderStatus
     });
 
-    // Fetch detailed order information for all notifications
-    let orderDetails = null;
-    try {
-      orderDetails = await fetchOrderData(payload.OrderID);
-      console.log('Order details retrieved:', {
-        order_id: payload.OrderID,
-        customer_email: orderDetails?.Order?.[0]?.Email,
-        customer_name: `${orderDetails?.Order?.[0]?.BillFirstName} ${orderDetails?.Order?.[0]?.BillLastName}`,
-        items_count: orderDetails?.Order?.[0]?.OrderLine?.length || 0
-      });
-    } catch (fetchError) {
-      console.error('Failed to fetch order data:', fetchError.message);
-      // Continue processing even if order fetch fails
-    }
-
-    // Fetch customer data (EmailAddress, SecondaryEmailAddress) when username is available
-    let customerData = null;
-    try {
-      const username = orderDetails?.Order?.[0]?.Username;
-      if (username) {
-        customerData = await fetchCustomerData(username);
-      } else {
-        console.log('No username found in order details, skipping customer data fetch');
-      }
-    } catch (customerError) {
-      console.error('Failed to fetch customer data:', customerError.message);
-      customerData = null;
-    }
-
-    // Fetch related backorder information
-    let relatedBackorders = null;
-    try {
-      // Get username from the order details we just fetched
-      const username = orderDetails?.Order?.[0]?.Username;
-      if (username) {
-        relatedBackorders = await fetchRelatedBackorders(payload.OrderID, username);
-
-        // Filter backorders to only include those with RelatedOrderID matching the main order ID
-        if (relatedBackorders?.Order) {
-          const originalCount = relatedBackorders.Order.length;
-          relatedBackorders.Order = relatedBackorders.Order.filter(order =>
-            order.RelatedOrderID === payload.OrderID
-          );
-          const filteredCount = relatedBackorders.Order.length;
-
-          console.log('Related backorders filtered:', {
-            main_order_id: payload.OrderID,
-            original_backorder_count: originalCount,
-            filtered_backorder_count: filteredCount,
-            backorder_ids: relatedBackorders.Order.map(order => order.ID)
-          });
-        } else {
-          console.log('No backorders found for filtering');
-        }
-      } else {
-        console.log('No username found in order details, skipping backorder fetch');
-      }
-    } catch (backorderError) {
-      console.error('Failed to fetch related backorders:', backorderError.message);
-      // Continue processing even if backorder fetch fails
-    }
-
-    // Fetch related orders (chain via ID + RelatedOrderID), then full details for table
-    let relatedOrdersWithDetails = null;
-    try {
-      const username = orderDetails?.Order?.[0]?.Username;
-      if (username) {
-        const linksResponse = await fetchRelatedOrderLinks(username);
-        const relatedIds = traceRelatedOrderIds(linksResponse?.Order || [], payload.OrderID);
-        if (relatedIds.length > 0) {
-          relatedOrdersWithDetails = await fetchRelatedOrdersDetails(username, relatedIds);
-          console.log('Related orders with details fetched:', {
-            main_order_id: payload.OrderID,
-            related_count: relatedOrdersWithDetails?.Order?.length || 0,
-            related_ids: relatedIds
+    // Maropost retries deliveries, so each EventID + OrderStatus is only processed once.
+    // Test payloads and HTML previews are processed here and now; everything else is queued
+    // for the worker so the webhook answers before Maropost gives up on it.
+    const displayMode = payload.Display || 'json';
+    if (!isTestMode && !RENDER_ONLY_DISPLAY_MODES.includes(displayMode)) {
+      try {
+        const claim = await claimWebhookEvent({
+          eventId: payload.EventID,
+          orderStatus: payload.OrderStatus,
+          orderId: payload.OrderID,
+          eventType: payload.EventType,
+          displayMode,
+          documentId
+        });
+        if (!claim.claimed) {
+          console.log('Duplicate order notification ignored:', {
+            event_id: payload.EventID,
+            order_status: payload.OrderStatus,
+            status: claim.event.status,
+            replay_count: (claim.event.replay_count || 0) + 1
           });
+          return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+              message: 'Duplicate event ignored',
+              duplicate: true,
+              processed: false,
+              order_id: payload.OrderID,
+              event_id: payload.EventID,
+              order_status: payload.OrderStatus,
+              document_id: claim.event.document_id,
+              status: claim.event.status,
+              status_url: claim.event.document_id ? statusUrl(claim.event.document_id) : null,
+              outcome: claim.event.outcome || null
+            }),
+          };
         }
+        storedEvent = claim.event;
+      } catch (storeError) {
+        // Better to risk a duplicate than to drop a notification
+        console.error('Webhook event store unavailable, processing without idempotency:', storeError.message);
       }
-    } catch (relatedOrdersError) {
-      console.error('Failed to fetch related orders for table:', relatedOrdersError.message);
-    }
-
-    // Fetch RMA (RefundTotal) for each related order for the Related Orders table
-    let rmaByOrderId = {};
-    if (relatedOrdersWithDetails?.Order?.length > 0) {
-      const rmaResults = await Promise.allSettled(
-        relatedOrdersWithDetails.Order.map((ord) => {
-          const oid = ord.ID || ord.OrderID || '';
-          return oid ? fetchRmaByOrderId(oid) : Promise.resolve({ Rma: '' });
-        })
-      );
-      relatedOrdersWithDetails.Order.forEach((ord, i) => {
-        const oid = ord.ID || ord.OrderID || '';
-        if (!oid) return;
-        const result = rmaResults[i];
-        if (result.status === 'fulfilled' && result.value) {
-          const rma = result.value.Rma;
-          const refundTotal =
-            rma && typeof rma === 'object' && rma.RefundTotal != null && rma.RefundTotal !== ''
-              ? parseFloat(rma.RefundTotal)
-              : 0;
-          rmaByOrderId[oid] = refundTotal;
-        } else {
-          rmaByOrderId[oid] = 0;
-        }
-      });
-      console.log('RMA data fetched for related orders:', { order_ids: Object.keys(rmaByOrderId), rma_by_order: rmaByOrderId });
-    }
-
-    // Fetch product images for order items (main order + backorders)
-    let productImages = null;
-    try {
-      // Extract unique SKUs from main order lines
-      const mainOrderLines = orderDetails?.Order?.[0]?.OrderLine || [];
-      let allSkus = [...new Set(mainOrderLines.map(line => line.SKU).filter(sku => sku))];
 
-      // Extract unique SKUs from related backorders
-      if (relatedBackorders?.Order) {
-        const backorderLines = relatedBackorders.Order.flatMap(order => order.OrderLine || []);
-        const backorderSkus = backorderLines.map(line => line.SKU).filter(sku => sku);
-        allSkus = [...new Set([...allSkus, ...backorderSkus])];
+      // A failure to queue falls through to the 500 below, so Maropost retries the delivery
+      const job = await enqueueNotificationJob({ documentId, payload, webhookEventId: storedEvent?.id });
+      if (storedEvent) {
+        // The event is handled once it's queued; the worker records the final outcome
+        await completeWebhookEvent(storedEvent.id, { document_id: documentId, display_mode: displayMode, verified_by: verification.method, queued: true })
+          .catch(storeError => console.error('Failed to record webhook event outcome:', storeError.message));
       }
 
-      if (allSkus.length > 0) {
-        productImages = await fetchProductImages(allSkus);
-
-        // Process images to include preferred image for each product
-        if (productImages?.Item) {
-          productImages.Item = productImages.Item.map(product => ({
-            ...product,
-            preferredImage: getPreferredImage(product.Images)
-          }));
-        }
-
-        console.log('Product images processed:', {
-          skus_requested: allSkus.length,
-          main_order_skus: mainOrderLines.length,
-          backorder_skus: allSkus.length - [...new Set(mainOrderLines.map(line => line.SKU).filter(sku => sku))].length,
-          products_found: productImages?.Item?.length || 0,
-          products_with_preferred_images: productImages?.Item?.filter(p => p.preferredImage)?.length || 0
-        });
-      } else {
-        console.log('No SKUs found in order details or backorders, skipping image fetch');
-      }
-    } catch (imageError) {
-      console.error('Failed to fetch product images:', imageError.message);
-      // Continue processing even if image fetch fails
-    }
+      const workerStarted = await triggerNotificationWorker(event);
+      console.log('Order notification queued:', { order_id: payload.OrderID, document_id: documentId, job_id: job.id, worker_started: workerStarted });
 
-    // Generate HTML email template for dispatch notifications (or when testing)
-    let htmlEmail = null;
-    if (orderDetails) {
-      try {
-        htmlEmail = generateDispatchEmailHTML(orderDetails, productImages, relatedBackorders, documentId);
-        console.log('HTML email template generated successfully');
-      } catch (htmlError) {
-        console.error('Failed to generate HTML email template:', {
-          error: htmlError.message,
-          stack: htmlError.stack
-        });
-        // Continue processing even if HTML generation fails
-      }
+      return {
+        statusCode: 202,
+        headers,
+        body: JSON.stringify({
+          message: 'Order notification queued',
+          queued: true,
+          order_id: payload.OrderID,
+          event_id: payload.EventID,
+          order_status: payload.OrderStatus,
+          document_id: documentId,
+          status_url: statusUrl(documentId),
+          worker_started: workerStarted
+        }),
+      };
     }
 
-    // Generate Tax Invoice HTML template for PDF generation when Display is "pdf"
-    let taxInvoiceHtml = null;
-    if (orderDetails && (payload.Display === 'pdf' || payload.Display === 'data')) {
-      try {
-        taxInvoiceHtml = generateTaxInvoiceHTML(orderDetails, productImages, relatedBackorders, documentId, relatedOrdersWithDetails, rmaByOrderId);
-        console.log('Tax Invoice HTML template generated successfully');
-      } catch (invoiceError) {
-        console.error('Failed to generate Tax Invoice HTML template:', {
-          error: invoiceError.message,
-          stack: invoiceError.stack
-        });
-        // Continue processing even if HTML generation fails
-      }
-    }
+    const processed = await processOrderNotification(payload, documentId);
+    const { orderDetails, htmlEmail, taxInvoiceHtml } = processed;
 
     // Check if Display field is set to "email" or "pdf" to return HTML, otherwise return JSON
     const returnHtml = payload.Display === 'email';
@@ -397,62 +315,19 @@ const handler = async (event) => {
       };
     }
 
-    // Concatenate EmailAddress and SecondaryEmailAddress from customer data (semicolon-separated)
-    const customerAdditionalEmails = [customerData?.EmailAddress, customerData?.SecondaryEmailAddress]
-      .filter(Boolean)
-      .join(';');
-
-    // Check if Display field is set to "data" to return JSON with email and PDF HTML
-    if (payload.Display === 'data') {
-      return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify({
-          order_id: payload.OrderID,
-          document_id: documentId,
-          customer_email: orderDetails?.Order?.[0]?.Email || '',
-          customer_secondary_email: customerData?.SecondaryEmailAddress ?? '',
-          customer_additional_emails: customerAdditionalEmails,
-          customer_username: orderDetails?.Order?.[0]?.Username || '',
-          folder_name: `Sent Invoices/${formatFolderDate()}`,
-          file_name: `${payload.OrderID}-${orderDetails?.Order?.[0]?.Username || ''}-${formatFileNameDate()}-${documentId}`,
-          created_by: 'Power Automate',
-          email_html: htmlEmail || null,
-          pdf_html: taxInvoiceHtml || null
-        }),
-      };
-    }
-
-    // Return JSON response with order details
+    // Test payloads get the processed result straight back
     return {
       statusCode: 200,
       headers,
-        body: JSON.stringify({
-          message: 'Order notification processed successfully',
-          order_id: payload.OrderID,
-          document_id: documentId,
-          customer_email: orderDetails?.Order?.[0]?.Email || '',
-          order_status: payload.OrderStatus,
-          event_id: payload.EventID,
-          display_mode: payload.Display || 'json',
-          processed: true,
-          customer_additional_emails: customerAdditionalEmails,
-          html_generated: htmlEmail !== null,
-          tax_invoice_html_generated: taxInvoiceHtml !== null,
-          order_details_fetched: orderDetails !== null,
-          order_details: orderDetails,
-          customer_data_fetched: customerData != null,
-          customer_data: customerData,
-          related_backorders_fetched: relatedBackorders !== null,
-          related_backorders: relatedBackorders,
-          product_images_fetched: productImages !== null,
-          product_images: productImages,
-          timestamp: payload.CurrentTime
-        }),
+      body: JSON.stringify(buildNotificationResult(payload, documentId, processed)),
     };
 
   } catch (error) {
     console.error('Error processing maropost order notification:', error);
+    if (storedEvent) {
+      await failWebhookEvent(storedEvent.id, error.message)
+        .catch(storeError => console.error('Failed to record webhook event failure:', storeError.message));
+    }
     return {
       statusCode: 500,
       headers,
@@ -468,4 +343,9 @@ const handler = async (event) => {
   }
 };
 
-module.exports = { handler, generateTaxInvoiceHTML };
+// The API key may also be passed as ?api_key= for senders that can only be given a URL (they then
+// pass the webhook token as ?token= too; see utils/webhookVerification)
+module.exports = {
+  handler: withAuth(handler, { role: 'write', methods: 'POST, OPTIONS', allowQueryKey: true }),
+  generateTaxInvoiceHTML
+};
@@ -0,0 +1,105 @@
+// Preview the customer email templates (see email-templates.js)
+// GET                                   - the templates and their subject lines
+// GET ?order_id=ID[&status=Pick]        - render the template for that status (default: the order's own
+//     [&format=html|json]                 status) against the live order; html is the email itself,
+//                                         json adds the subject and which template was used
+
+const { EMAIL_TEMPLATES } = require('./email-templates');
+const { processOrderNotification } = require('./processNotification');
+const { generateDocumentId } = require('./utils');
+const { withAuth } = require('../utils/auth');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS'
+};
+
+const FORMATS = ['html', 'json'];
+
+const respond = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body, null, 2) });
+
+const badRequest = (error, message, field) =>
+  respond(400, { success: false, error, ...(field ? { field } : {}), message });
+
+const handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return respond(405, {
+      success: false,
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts GET requests'
+    });
+  }
+
+  const query = event.queryStringParameters || {};
+
+  if (!query.order_id) {
+    return respond(200, {
+      success: true,
+      templates: [
+        ...Object.keys(EMAIL_TEMPLATES).map(status => ({
+          status,
+          subject: EMAIL_TEMPLATES[status].subject('{OrderID}')
+        })),
+        { status: 'fallback', subject: null, note: 'Used for any other OrderStatus' }
+      ]
+    });
+  }
+
+  const format = (query.format || 'html').toLowerCase();
+  if (!FORMATS.includes(format)) {
+    return badRequest('Invalid format', `format must be one of ${FORMATS.join(', ')}`, 'format');
+  }
+
+  try {
+    const documentId = generateDocumentId();
+    const { orderDetails, htmlEmail, emailSubject, emailTemplate } = await processOrderNotification(
+      { OrderID: query.order_id, OrderStatus: query.status, Display: 'email' },
+      documentId
+    );
+
+    if (!orderDetails?.Order?.[0]) {
+      return respond(404, { success: false, error: 'Order not found', orderId: query.order_id });
+    }
+    if (!htmlEmail) {
+      return respond(500, { success: false, error: 'Email template could not be rendered', template: emailTemplate });
+    }
+
+    if (format === 'json') {
+      return respond(200, {
+        success: true,
+        orderId: query.order_id,
+        orderStatus: orderDetails.Order[0].OrderStatus || null,
+        requestedStatus: query.status || null,
+        template: emailTemplate,
+        subject: emailSubject,
+        documentId,
+        html: htmlEmail
+      });
+    }
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'Content-Type': 'text/html',
+        'X-Email-Template': emailTemplate,
+        // Header values must be ASCII; the subject is only informational here
+        'X-Email-Subject': encodeURIComponent(emailSubject)
+      },
+      body: htmlEmail
+    };
+  } catch (error) {
+    console.error('Error rendering email preview:', error);
+    return respond(500, { success: false, error: 'Failed to render email preview', details: error.message });
+  }
+};
+
+module.exports = {
+  handler: withAuth(handler, { role: 'read', methods: 'GET, OPTIONS' })
+};
@@ -0,0 +1,292 @@
+// Fetches everything an order notification needs from Maropost (through Power Automate) and renders
+// the customer email for the order's status and the tax invoice. Used by the webhook for previews,
+// the template preview endpoint and the job worker.
+
+const { formatFolderDate, formatFileNameDate, traceRelatedOrderIds } = require('./utils');
+const { renderOrderEmail } = require('./email-templates');
+const { generateTaxInvoiceHTML } = require('./tax-invoice-template');
+const { fetchOrderData, fetchCustomerData, fetchRelatedBackorders, fetchRelatedOrderLinks, fetchRelatedOrdersDetails, fetchRmaByOrderId, fetchProductImages, getPreferredImage } = require('./fetchers');
+
+/**
+ * Fetch the order and everything around it, then render the status email (and the tax invoice when
+ * Display is "pdf" or "data", or when asked for). Fetch and render failures are logged and leave that
+ * part null.
+ * @param {Object} payload - Webhook payload (OrderID, OrderStatus, Display, ...)
+ * @param {string} documentId
+ * @param {Object} [options]
+ * @param {boolean} [options.includeTaxInvoice] - Render the tax invoice whatever the Display mode
+ * @returns {Promise<Object>} { orderDetails, customerData, relatedBackorders, relatedOrdersWithDetails,
+ *   rmaByOrderId, productImages, htmlEmail, emailSubject, emailTemplate, taxInvoiceHtml }
+ */
+const processOrderNotification = async (payload, documentId, { includeTaxInvoice = false } = {}) => {
+  // Fetch detailed order information for all notifications
+  let orderDetails = null;
+  try {
+    orderDetails = await fetchOrderData(payload.OrderID);
+    console.log('Order details retrieved:', {
+      order_id: payload.OrderID,
+      customer_email: orderDetails?.Order?.[0]?.Email,
+      customer_name: `${orderDetails?.Order?.[0]?.BillFirstName} ${orderDetails?.Order?.[0]?.BillLastName}`,
+      items_count: orderDetails?.Order?.[0]?.OrderLine?.length || 0
+    });
+  } catch (fetchError) {
+    console.error('Failed to fetch order data:', fetchError.message);
+    // Continue processing even if order fetch fails
+  }
+
+  // Fetch customer data (EmailAddress, SecondaryEmailAddress) when username is available
+  let customerData = null;
+  try {
+    const username = orderDetails?.Order?.[0]?.Username;
+    if (username) {
+      customerData = await fetchCustomerData(username);
+    } else {
+      console.log('No username found in order details, skipping customer data fetch');
+    }
+  } catch (customerError) {
+    console.error('Failed to fetch customer data:', customerError.message);
+    customerData = null;
+  }
+
+  // Fetch related backorder information
+  let relatedBackorders = null;
+  try {
+    // Get username from the order details we just fetched
+    const username = orderDetails?.Order?.[0]?.Username;
+    if (username) {
+      relatedBackorders = await fetchRelatedBackorders(payload.OrderID, username);
+
+      // Filter backorders to only include those with RelatedOrderID matching the main order ID
+      if (relatedBackorders?.Order) {
+        const originalCount = relatedBackorders.Order.length;
+        relatedBackorders.Order = relatedBackorders.Order.filter(order =>
+          order.RelatedOrderID === payload.OrderID
+        );
+        const filteredCount = relatedBackorders.Order.length;
+
+        console.log('Related backorders filtered:', {
+          main_order_id: payload.OrderID,
+          original_backorder_count: originalCount,
+          filtered_backorder_count: filteredCount,
+          backorder_ids: relatedBackorders.Order.map(order => order.ID)
+        });
+      } else {
+        console.log('No backorders found for filtering');
+      }
+    } else {
+      console.log('No username found in order details, skipping backorder fetch');
+    }
+  } catch (backorderError) {
+    console.error('Failed to fetch related backorders:', backorderError.message);
+    // Continue processing even if backorder fetch fails
+  }
+
+  // Fetch related orders (chain via ID + RelatedOrderID), then full details for table
+  let relatedOrdersWithDetails = null;
+  try {
+    const username = orderDetails?.Order?.[0]?.Username;
+    if (username) {
+      const linksResponse = await fetchRelatedOrderLinks(username);
+      const relatedIds = traceRelatedOrderIds(linksResponse?.Order || [], payload.OrderID);
+      if (relatedIds.length > 0) {
+        relatedOrdersWithDetails = await fetchRelatedOrdersDetails(username, relatedIds);
+        console.log('Related orders with details fetched:', {
+          main_order_id: payload.OrderID,
+          related_count: relatedOrdersWithDetails?.Order?.length || 0,
+          related_ids: relatedIds
+        });
+      }
+    }
+  } catch (relatedOrdersError) {
+    console.error('Failed to fetch related orders for table:', relatedOrdersError.message);
+  }
+
+  // Fetch RMA (RefundTotal) for each related order for the Related Orders table
+  let rmaByOrderId = {};
+  if (relatedOrdersWithDetails?.Order?.length > 0) {
+    const rmaResults = await Promise.allSettled(
+      relatedOrdersWithDetails.Order.map((ord) => {
+        const oid = ord.ID || ord.OrderID || '';
+        return oid ? fetchRmaByOrderId(oid) : Promise.resolve({ Rma: '' });
+      })
+    );
+    relatedOrdersWithDetails.Order.forEach((ord, i) => {
+      const oid = ord.ID || ord.OrderID || '';
+      if (!oid) return;
+      const result = rmaResults[i];
+      if (result.status === 'fulfilled' && result.value) {
+        const rma = result.value.Rma;
+        const refundTotal =
+          rma && typeof rma === 'object' && rma.RefundTotal != null && rma.RefundTotal !== ''
+            ? parseFloat(rma.RefundTotal)
+            : 0;
+        rmaByOrderId[oid] = refundTotal;
+      } else {
+        rmaByOrderId[oid] = 0;
+      }
+    });
+    console.log('RMA data fetched for related orders:', { order_ids: Object.keys(rmaByOrderId), rma_by_order: rmaByOrderId });
+  }
+
+  // Fetch product images for order items (main order + backorders)
+  let productImages = null;
+  try {
+    // Extract unique SKUs from main order lines
+    const mainOrderLines = orderDetails?.Order?.[0]?.OrderLine || [];
+    let allSkus = [...new Set(mainOrderLines.map(line => line.SKU).filter(sku => sku))];
+
+    // Extract unique SKUs from related backorders
+    if (relatedBackorders?.Order) {
+      const backorderLines = relatedBackorders.Order.flatMap(order => order.OrderLine || []);
+      const backorderSkus = backorderLines.map(line => line.SKU).filter(sku => sku);
+      allSkus = [...new Set([...allSkus, ...backorderSkus])];
+    }
+
+    if (allSkus.length > 0) {
+      productImages = await fetchProductImages(allSkus);
+
+      // Process images to include preferred image for each product
+      if (productImages?.Item) {
+        productImages.Item = productImages.Item.map(product => ({
+          ...product,
+          preferredImage: getPreferredImage(product.Images)
+        }));
+      }
+
+      console.log('Product images processed:', {
+        skus_requested: allSkus.length,
+        main_order_skus: mainOrderLines.length,
+        backorder_skus: allSkus.length - [...new Set(mainOrderLines.map(line => line.SKU).filter(sku => sku))].length,
+        products_found: productImages?.Item?.length || 0,
+        products_with_preferred_images: productImages?.Item?.filter(p => p.preferredImage)?.length || 0
+      });
+    } else {
+      console.log('No SKUs found in order details or backorders, skipping image fetch');
+    }
+  } catch (imageError) {
+    console.error('Failed to fetch product images:', imageError.message);
+    // Continue processing even if image fetch fails
+  }
+
+  // Generate the HTML email from the template for this OrderStatus
+  let htmlEmail = null;
+  let emailSubject = null;
+  let emailTemplate = null;
+  if (orderDetails) {
+    try {
+      ({ html: htmlEmail, subject: emailSubject, template: emailTemplate } = renderOrderEmail(
+        payload.OrderStatus, orderDetails, productImages, relatedBackorders, documentId
+      ));
+      console.log('HTML email template generated successfully:', { template: emailTemplate });
+    } catch (htmlError) {
+      console.error('Failed to generate HTML email template:', {
+        error: htmlError.message,
+        stack: htmlError.stack
+      });
+      // Continue processing even if HTML generation fails
+    }
+  }
+
+  // Generate Tax Invoice HTML template for PDF generation when Display is "pdf" (or it's being emailed)
+  let taxInvoiceHtml = null;
+  if (orderDetails && (includeTaxInvoice || payload.Display === 'pdf' || payload.Display === 'data')) {
+    try {
+      taxInvoiceHtml = generateTaxInvoiceHTML(orderDetails, productImages, relatedBackorders, documentId, relatedOrdersWithDetails, rmaByOrderId);
+      console.log('Tax Invoice HTML template generated successfully');
+    } catch (invoiceError) {
+      console.error('Failed to generate Tax Invoice HTML template:', {
+        error: invoiceError.message,
+        stack: invoiceError.stack
+      });
+      // Continue processing even if HTML generation fails
+    }
+  }
+
+  return {
+    orderDetails,
+    customerData,
+    relatedBackorders,
+    relatedOrdersWithDetails,
+    rmaByOrderId,
+    productImages,
+    htmlEmail,
+    emailSubject,
+    emailTemplate,
+    taxInvoiceHtml
+  };
+};
+
+/**
+ * Tax invoice file name (without extension), as the Power Automate flow saves it.
+ * @param {Object} payload
+ * @param {string} documentId
+ * @param {Object} orderDetails
+ * @returns {string}
+ */
+const invoiceFileName = (payload, documentId, orderDetails) =>
+  `${payload.OrderID}-${orderDetails?.Order?.[0]?.Username || ''}-${formatFileNameDate()}-${documentId}`;
+
+/**
+ * The JSON response for a processed notification: the email/PDF payload the Power Automate flow
+ * sends when Display is "data", otherwise the full details.
+ * @param {Object} payload
+ * @param {string} documentId
+ * @param {Object} processed - From processOrderNotification
+ * @returns {Object}
+ */
+const buildNotificationResult = (payload, documentId, processed) => {
+  const { orderDetails, customerData, relatedBackorders, productImages, htmlEmail, emailSubject, emailTemplate, taxInvoiceHtml } = processed;
+
+  // Concatenate EmailAddress and SecondaryEmailAddress from customer data (semicolon-separated)
+  const customerAdditionalEmails = [customerData?.EmailAddress, customerData?.SecondaryEmailAddress]
+    .filter(Boolean)
+    .join(';');
+
+  if (payload.Display === 'data') {
+    return {
+      order_id: payload.OrderID,
+      document_id: documentId,
+      customer_email: orderDetails?.Order?.[0]?.Email || '',
+      customer_secondary_email: customerData?.SecondaryEmailAddress ?? '',
+      customer_additional_emails: customerAdditionalEmails,
+      customer_username: orderDetails?.Order?.[0]?.Username || '',
+      folder_name: `Sent Invoices/${formatFolderDate()}`,
+      file_name: invoiceFileName(payload, documentId, orderDetails),
+      created_by: 'Power Automate',
+      email_subject: emailSubject || null,
+      email_html: htmlEmail || null,
+      pdf_html: taxInvoiceHtml || null
+    };
+  }
+
+  return {
+    message: 'Order notification processed successfully',
+    order_id: payload.OrderID,
+    document_id: documentId,
+    customer_email: orderDetails?.Order?.[0]?.Email || '',
+    order_status: payload.OrderStatus,
+    event_id: payload.EventID,
+    display_mode: payload.Display || 'json',
+    processed: true,
+    customer_additional_emails: customerAdditionalEmails,
+    html_generated: htmlEmail !== null,
+    email_template: emailTemplate,
+    email_subject: emailSubject,
+    tax_invoice_html_generated: taxInvoiceHtml !== null,
+    order_details_fetched: orderDetails !== null,
+    order_details: orderDetails,
+    customer_data_fetched: customerData != null,
+    customer_data: customerData,
+    related_backorders_fetched: relatedBackorders !== null,
+    related_backorders: relatedBackorders,
+    product_images_fetched: productImages !== null,
+    product_images: productImages,
+    timestamp: payload.CurrentTime
+  };
+};
+
+module.exports = {
+  processOrderNotification,
+  invoiceFileName,
+  buildNotificationResult
+};
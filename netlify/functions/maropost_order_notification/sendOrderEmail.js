@@ -0,0 +1,145 @@
+// Sends the customer's order email from the backend (see utils/mailTransport) and records it in
+// invoice_send_logs. The dispatch email carries the tax invoice as a PDF.
+//
+// Env:
+//   MAIL_TRANSPORT        see utils/mailTransport; unset leaves sending to the Power Automate flow
+//   ORDER_EMAIL_STATUSES  comma-separated order statuses that are emailed (default "Dispatched")
+
+const { resolveTemplateStatus } = require('./email-templates');
+const { createMailTransport } = require('../utils/mailTransport');
+const { renderPdf } = require('../utils/htmlToPdf');
+const { recordInvoiceSend, findSentInvoiceLog } = require('../utils/invoiceSendLogs');
+
+// Templates whose email has the tax invoice attached
+const TAX_INVOICE_TEMPLATES = ['Dispatched'];
+
+const isOrderEmailEnabled = () => Boolean(process.env.MAIL_TRANSPORT);
+
+const emailedTemplates = () => (process.env.ORDER_EMAIL_STATUSES || 'Dispatched')
+  .split(',')
+  .map(resolveTemplateStatus)
+  .filter(Boolean);
+
+// EmailAddress and SecondaryEmailAddress from the customer (either may hold a list), falling back to
+// the address on the order
+const customerRecipients = (customerData, orderDetails) => {
+  const addresses = [customerData?.EmailAddress, customerData?.SecondaryEmailAddress]
+    .flatMap(value => String(value || '').split(/[;,]/))
+    .map(address => address.trim())
+    .filter(Boolean);
+  if (addresses.length === 0 && orderDetails?.Order?.[0]?.Email) {
+    addresses.push(orderDetails.Order[0].Email.trim());
+  }
+  const seen = new Set();
+  return addresses.filter(address => {
+    const key = address.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Email the customer for a processed notification. A document is only ever sent once, so a retried
+ * job picks up the earlier send instead of sending again.
+ * @param {Object} payload - Webhook payload
+ * @param {string} documentId
+ * @param {Object} processed - From processOrderNotification (with the tax invoice rendered)
+ * @param {Object} [options]
+ * @param {string} options.fileName - Tax invoice file name, without extension
+ * @param {Object} [options.transport] - Defaults to MAIL_TRANSPORT's
+ * @returns {Promise<Object>} { sent, provider, messageId, recipients, pdfAttached, logId } or
+ *   { sent: false, skipped } when there's nothing to send
+ */
+const sendOrderEmail = async (payload, documentId, processed, { fileName, transport = createMailTransport() } = {}) => {
+  if (!transport) {
+    return { sent: false, skipped: 'MAIL_TRANSPORT is not set' };
+  }
+
+  const { orderDetails, customerData, htmlEmail, emailSubject, emailTemplate, taxInvoiceHtml } = processed;
+  if (!emailedTemplates().includes(emailTemplate)) {
+    return { sent: false, skipped: `${emailTemplate} emails are not sent (ORDER_EMAIL_STATUSES)` };
+  }
+  if (!htmlEmail) {
+    throw new Error('Order email could not be rendered');
+  }
+
+  const previous = await findSentInvoiceLog(documentId);
+  if (previous) {
+    console.log('Order email already sent:', { document_id: documentId, message_id: previous.provider_message_id });
+    return {
+      sent: true,
+      alreadySent: true,
+      provider: previous.mail_provider,
+      messageId: previous.provider_message_id,
+      recipients: previous.customer_email ? previous.customer_email.split(';') : [],
+      logId: previous.id
+    };
+  }
+
+  const recipients = customerRecipients(customerData, orderDetails);
+  const customerUsername = orderDetails?.Order?.[0]?.Username;
+  if (recipients.length === 0) {
+    // Retrying won't find an address, so record it and move on
+    const log = await recordInvoiceSend({
+      orderId: payload.OrderID,
+      customerUsername,
+      recipients,
+      documentId,
+      orderDetails: true,
+      pdfExists: false,
+      emailSent: false,
+      template: emailTemplate,
+      error: 'No customer email address'
+    });
+    return { sent: false, skipped: 'No customer email address', logId: log.id };
+  }
+
+  const attachments = [];
+  if (TAX_INVOICE_TEMPLATES.includes(emailTemplate)) {
+    if (!taxInvoiceHtml) {
+      throw new Error('Tax invoice could not be rendered');
+    }
+    attachments.push({
+      filename: `${fileName || `${payload.OrderID}-${documentId}`}.pdf`,
+      content: await renderPdf(taxInvoiceHtml),
+      contentType: 'application/pdf'
+    });
+  }
+
+  const { provider, messageId } = await transport.send({
+    to: recipients,
+    subject: emailSubject,
+    html: htmlEmail,
+    attachments,
+    // Lets bounce and delivery reports be matched back to the document
+    headers: { 'X-Document-ID': documentId, 'X-Order-ID': String(payload.OrderID) }
+  });
+  console.log('Order email sent:', { order_id: payload.OrderID, document_id: documentId, provider, message_id: messageId, recipients });
+
+  const sent = { sent: true, provider, messageId, recipients, pdfAttached: attachments.length > 0 };
+  try {
+    const log = await recordInvoiceSend({
+      orderId: payload.OrderID,
+      customerUsername,
+      recipients,
+      documentId,
+      orderDetails: true,
+      pdfExists: sent.pdfAttached,
+      emailSent: true,
+      provider,
+      messageId,
+      template: emailTemplate
+    });
+    return { ...sent, logId: log.id };
+  } catch (error) {
+    // The email has gone; failing the job now would only send it again
+    console.error(`Order email for ${documentId} sent but not logged:`, error.message);
+    return { ...sent, logError: error.message };
+  }
+};
+
+module.exports = {
+  isOrderEmailEnabled,
+  sendOrderEmail
+};
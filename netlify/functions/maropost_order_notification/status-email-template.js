@@ -0,0 +1,220 @@
+const { escapeHtml, getOrderLineSequence } = require('./utils');
+
+// Format "2026-01-20 13:00:00" as "January 20, 2026" (same as the dispatch email)
+const formatDate = (dateStr) => {
+  if (!dateStr) return 'N/A';
+  const date = new Date(dateStr);
+  if (isNaN(date.getTime())) return dateStr;
+  const month = date.toLocaleString('en-US', { month: 'long' });
+  return `${month} ${date.getDate()}, ${date.getFullYear()}`;
+};
+
+// SKU -> preferred image URL
+const buildImageMap = (productImages) => {
+  const imageMap = {};
+  (productImages?.Item || []).forEach(item => {
+    if (item.SKU && item.preferredImage?.URL) {
+      imageMap[item.SKU] = item.preferredImage.URL;
+    }
+  });
+  return imageMap;
+};
+
+const sortLines = (lines) => [...(lines || [])].sort((a, b) =>
+  getOrderLineSequence(a.OrderLineID) - getOrderLineSequence(b.OrderLineID)
+);
+
+const itemRows = (lines, imageMap) => {
+  if (lines.length === 0) {
+    return `
+                    <tr>
+                      <td colspan="3" style="padding:30px;text-align:center;color:#888;">No items found in this order.</td>
+                    </tr>`;
+  }
+  return lines.map((line, index) => {
+    const sku = line.SKU || '';
+    const productName = escapeHtml(line.ProductName || '');
+    const quantity = line.Quantity || line.Qty || 0;
+    const imgUrl = imageMap[sku] || '';
+    const desc = sku ? `${productName} (${escapeHtml(sku)})` : productName;
+    const imgCell = imgUrl
+      ? `<img src="${escapeHtml(imgUrl)}" alt="${escapeHtml(desc)}" style="width:60px;height:60px;object-fit:contain;border-radius:6px;border:1px solid #eee;" />`
+      : '<span style="color:#999;font-size:11px;">No image</span>';
+    const bgColor = index % 2 === 0 ? '#fff' : '#f9fbfa';
+    return `
+                    <tr style="background:${bgColor};">
+                      <td style="padding:12px;vertical-align:middle;">${imgCell}</td>
+                      <td style="padding:12px;text-align:center;vertical-align:middle;font-weight:600;color:#333;">${quantity}</td>
+                      <td style="padding:12px;vertical-align:middle;font-size:14px;color:#444;">${desc}</td>
+                    </tr>`;
+  }).join('');
+};
+
+const itemsTable = (heading, accent, rows) => `
+          <tr>
+            <td style="padding:0 40px 30px;">
+              <div style="border:1px solid #e0e6ed;border-radius:8px;overflow:hidden;">
+                <div style="background:${accent};padding:15px 20px;">
+                  <h2 style="margin:0;color:#fff;font-size:18px;font-weight:600;">${escapeHtml(heading)}</h2>
+                </div>
+                <table width="100%" cellpadding="0" cellspacing="0" style="border-collapse:collapse;">
+                  <thead>
+                    <tr style="background:#f8faf9;">
+                      <th style="padding:14px 12px;text-align:left;font-weight:600;color:#222222;border-bottom:2px solid ${accent};font-size:13px;">Image</th>
+                      <th style="padding:14px 12px;text-align:center;font-weight:600;color:#222222;border-bottom:2px solid ${accent};font-size:13px;width:50px;">Qty</th>
+                      <th style="padding:14px 12px;text-align:left;font-weight:600;color:#222222;border-bottom:2px solid ${accent};font-size:13px;">Description</th>
+                    </tr>
+                  </thead>
+                  <tbody>${rows}
+                  </tbody>
+                </table>
+              </div>
+            </td>
+          </tr>`;
+
+/**
+ * Generate the customer email for any order status other than Dispatched, in the dispatch email's
+ * look: header, greeting, the status-specific message, the items and the order summary.
+ * @param {Object} orderDetails - GetOrder response
+ * @param {Object} productImages - GetItem response with preferredImage set
+ * @param {Object} relatedBackorders - Backorders of this order
+ * @param {string} documentId
+ * @param {Object} content - From the template registry
+ * @param {string} content.title - Page title and header
+ * @param {string} content.icon
+ * @param {string} [content.accent='#80BB3D'] - Header accent colour
+ * @param {string[]} content.paragraphs - Message after the greeting (plain text)
+ * @param {string} [content.itemsHeading] - Items table heading; omit to leave the items out
+ * @param {boolean} [content.showShipTo]
+ * @param {boolean} [content.showBackorders]
+ * @param {string} [accountUrl]
+ * @returns {string} HTML
+ */
+const generateStatusEmailHTML = (orderDetails, productImages, relatedBackorders, documentId, content, accountUrl = 'https://www.rapidsupplies.com.au/_myacct') => {
+  const order = orderDetails?.Order?.[0];
+  if (!order) {
+    return '<p>Order details not available.</p>';
+  }
+
+  const accent = content.accent || '#80BB3D';
+  const firstName = order.BillFirstName || '';
+  const lastName = order.BillLastName || '';
+  const customerName = (firstName || lastName)
+    ? `${firstName} ${lastName}`.trim()
+    : (order.Username || 'Customer');
+  const orderId = order.ID || '';
+  const imageMap = buildImageMap(productImages);
+
+  const backorderLines = content.showBackorders
+    ? sortLines((relatedBackorders?.Order || []).flatMap(boOrder => boOrder.OrderLine || []))
+    : [];
+
+  const paragraphs = content.paragraphs.map(text => `
+              <p style="margin:0 0 15px;font-size:15px;line-height:1.6;color:#555;">
+                ${escapeHtml(text)}
+              </p>`).join('');
+
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(content.title)} - RapidClean Illawarra</title>
+</head>
+<body style="margin:0;padding:0;font-family:'Segoe UI',Arial,sans-serif;background-color:#f4f7fa;color:#333;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color:#f4f7fa;padding:20px 0;">
+    <tr>
+      <td align="center">
+        <table width="100%" cellpadding="0" cellspacing="0" style="max-width:700px;margin:0 auto;background:#fff;border-radius:12px;box-shadow:0 4px 20px rgba(0,0,0,0.08);overflow:hidden;">
+
+          <!-- Header Banner -->
+          <tr>
+            <td style="background:#222222;padding:30px 40px;text-align:center;">
+              <img src="https://www.rapidsupplies.com.au/assets/images/company_logo_white.png" alt="RapidClean Illawarra" style="max-width:200px;height:auto;margin-bottom:20px;display:block;margin-left:auto;margin-right:auto;" />
+              <h1 style="margin:0;color:#fff;font-size:24px;font-weight:600;">${content.icon} ${escapeHtml(content.title)}</h1>
+              <p style="margin:12px 0 0;color:${accent};font-size:22px;font-weight:700;letter-spacing:0.5px;">Order #${escapeHtml(orderId)}</p>
+            </td>
+          </tr>
+
+          <!-- Greeting Section -->
+          <tr>
+            <td style="padding:30px 40px 20px;">
+              <p style="margin:0 0 15px;font-size:16px;line-height:1.6;color:#333;">
+                Dear <strong>${escapeHtml(customerName)}</strong>,
+              </p>${paragraphs}
+              <p style="margin:0;font-size:15px;line-height:1.6;color:#555;">
+                To see this and other orders online please go to
+                <a href="${escapeHtml(accountUrl)}" style="color:#1a5f7a;text-decoration:underline;font-weight:500;">your account</a>.
+              </p>
+            </td>
+          </tr>
+${content.itemsHeading ? itemsTable(content.itemsHeading, accent, itemRows(sortLines(order.OrderLine), imageMap)) : ''}
+${backorderLines.length > 0 ? itemsTable('⏳ Items on Backorder', '#222222', itemRows(backorderLines, imageMap)) : ''}
+          <!-- Order Summary Section -->
+          <tr>
+            <td style="padding:0 40px 30px;">
+              <div style="border:1px solid #e0e6ed;border-radius:8px;overflow:hidden;">
+                <div style="background:#222222;padding:15px 20px;">
+                  <h2 style="margin:0;color:#fff;font-size:18px;font-weight:600;">📋 Order #${escapeHtml(orderId)}</h2>
+                </div>
+                <table width="100%" cellpadding="0" cellspacing="0" style="border-collapse:collapse;">
+                  <tr>
+                    <td style="padding:25px;vertical-align:top;width:50%;${content.showShipTo ? 'border-right:1px solid #eee;' : ''}">
+                      <table cellpadding="0" cellspacing="0" style="font-size:14px;">
+                        ${order.PurchaseOrderNumber ? `
+                        <tr>
+                          <td style="padding:5px 0;color:#666;width:120px;">PO #:</td>
+                          <td style="padding:5px 0;color:#333;font-weight:500;">${escapeHtml(order.PurchaseOrderNumber)}</td>
+                        </tr>` : ''}
+                        <tr>
+                          <td style="padding:5px 0;color:#666;width:120px;">Status:</td>
+                          <td style="padding:5px 0;"><span style="background:${accent};color:#fff;padding:4px 12px;border-radius:12px;font-size:12px;font-weight:600;">${escapeHtml(order.OrderStatus || content.title)}</span></td>
+                        </tr>
+                        <tr>
+                          <td style="padding:5px 0;color:#666;">Date Placed:</td>
+                          <td style="padding:5px 0;color:#333;">${escapeHtml(formatDate(order.DatePlaced))}</td>
+                        </tr>
+                      </table>
+                    </td>
+                    ${content.showShipTo ? `
+                    <td style="padding:25px;vertical-align:top;width:50%;">
+                      <h3 style="margin:0 0 15px;font-size:15px;color:${accent};font-weight:600;">Ship To</h3>
+                      <div style="font-size:14px;line-height:1.6;color:#444;">
+                        ${order.ShipCompany ? `<strong>${escapeHtml(order.ShipCompany)}</strong><br>` : ''}
+                        ${escapeHtml(order.ShipFirstName || '')} ${escapeHtml(order.ShipLastName || '')}<br>
+                        ${escapeHtml([order.ShipStreetLine1, order.ShipStreetLine2].filter(Boolean).join(', '))}<br>
+                        ${escapeHtml([order.ShipCity, order.ShipState, order.ShipPostCode].filter(Boolean).join(' '))}<br>
+                        ${escapeHtml(order.ShipCountry || 'Australia')}
+                      </div>
+                    </td>` : ''}
+                  </tr>
+                </table>
+              </div>
+            </td>
+          </tr>
+
+          <!-- Footer -->
+          <tr>
+            <td style="background:#f5f7fa;padding:25px 40px;border-top:1px solid #e0e6ed;">
+              <p style="margin:0;font-size:13px;color:#777;text-align:center;">
+                Thank you for choosing <strong style="color:#80BB3D;">RapidClean Illawarra</strong>
+              </p>
+              <p style="margin:10px 0 0;font-size:11px;color:#999;text-align:center;">
+                Document ID: ${escapeHtml(documentId)}
+              </p>
+            </td>
+          </tr>
+
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `.trim();
+
+  return html;
+};
+
+module.exports = { generateStatusEmailHTML };
@@ -0,0 +1,111 @@
+// Status of queued order notifications (see utils/notificationJobs)
+// GET  ?document_id=ID            - the job's status and, once completed, its result
+//                                   (the same JSON the webhook used to answer with)
+// GET  ?status=dead[&limit=50]    - recent jobs, e.g. the dead-letter list
+// POST { "document_id": "ID", "action": "retry" } - requeue a dead-lettered job
+
+const { JOB_STATUSES, getJobByDocumentId, listJobs, requeueDeadJob } = require('../utils/notificationJobs');
+const { triggerNotificationWorker } = require('./worker');
+const { withAuth } = require('../utils/auth');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+const MAX_LIMIT = 200;
+
+const respond = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body, null, 2) });
+
+const badRequest = (error, message, field) =>
+  respond(400, { success: false, error, ...(field ? { field } : {}), message });
+
+const formatJob = (job) => ({
+  documentId: job.document_id,
+  orderId: job.order_id,
+  orderStatus: job.order_status,
+  eventId: job.event_id,
+  status: job.status,
+  attempts: job.attempts,
+  maxAttempts: job.max_attempts,
+  nextAttemptAt: job.status === 'queued' ? job.run_after : null,
+  lastError: job.last_error,
+  createdAt: job.created_at,
+  completedAt: job.completed_at
+});
+
+const handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    if (event.httpMethod === 'GET') {
+      const query = event.queryStringParameters || {};
+
+      if (query.document_id) {
+        const job = await getJobByDocumentId(query.document_id);
+        if (!job) {
+          return respond(404, { success: false, error: 'Job not found', documentId: query.document_id });
+        }
+        return respond(200, {
+          success: true,
+          job: formatJob(job),
+          ...(job.status === 'completed' ? { result: job.result } : {})
+        });
+      }
+
+      if (query.status && !JOB_STATUSES.includes(query.status)) {
+        return badRequest('Invalid status', `status must be one of ${JOB_STATUSES.join(', ')}`, 'status');
+      }
+      const limit = Math.min(Math.max(parseInt(query.limit || '50') || 50, 1), MAX_LIMIT);
+      const jobs = await listJobs({ status: query.status, limit });
+      return respond(200, { success: true, count: jobs.length, jobs: jobs.map(formatJob) });
+    }
+
+    if (event.httpMethod === 'POST') {
+      let body;
+      try {
+        body = JSON.parse(event.body || '{}');
+      } catch (error) {
+        return badRequest('Invalid JSON in request body', 'Please provide valid JSON');
+      }
+      if (body.action !== 'retry') {
+        return badRequest('Invalid action', 'Supported actions: retry', 'action');
+      }
+      if (!body.document_id) {
+        return badRequest('Missing document_id', 'Please provide the document_id of the job to retry', 'document_id');
+      }
+
+      const job = await requeueDeadJob(body.document_id);
+      if (!job) {
+        const existing = await getJobByDocumentId(body.document_id);
+        return existing
+          ? respond(409, { success: false, error: 'Job is not dead-lettered', job: formatJob(existing) })
+          : respond(404, { success: false, error: 'Job not found', documentId: body.document_id });
+      }
+
+      console.log('Requeued dead-lettered notification job:', { document_id: job.document_id, requested_by: event.auth?.name });
+      const workerStarted = await triggerNotificationWorker(event);
+      return respond(202, { success: true, job: formatJob(job), workerStarted });
+    }
+
+    return respond(405, {
+      success: false,
+      error: 'Method not allowed',
+      message: 'This endpoint accepts GET and POST requests'
+    });
+  } catch (error) {
+    console.error('Error in notification job status:', error);
+    return respond(500, { success: false, error: 'Failed to load notification jobs', details: error.message });
+  }
+};
+
+module.exports = {
+  handler: withAuth(handler, {
+    role: (event) => (event.httpMethod === 'POST' ? 'write' : 'read'),
+    methods: 'GET, POST, OPTIONS'
+  })
+};
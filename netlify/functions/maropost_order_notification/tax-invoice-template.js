@@ -1,4 +1,5 @@
 const { escapeHtml, formatInvoiceDate, formatCurrency, formatShipAddress, formatBillAddress, getOrderLineSequence } = require('./utils');
+const { toCents, fromCents, classifyMaropostPaidStatus } = require('../utils/paidStatusRules');
 
 // Generate HTML template for Tax Invoice PDF
 const generateTaxInvoiceHTML = (orderDetails, productImages, relatedBackorders, documentId, relatedOrdersWithDetails = null, rmaByOrderId = null) => {
@@ -68,9 +69,11 @@ const generateTaxInvoiceHTML = (orderDetails, productImages, relatedBackorders,
 
   // Determine payment terms - if fully paid, show "Paid", otherwise use original terms
   const paymentTerms = order.PaymentTerms || 'Due 30 days after EOM';
-  const finalPaymentTerms = amountPaid >= grandTotal ? 'Paid' : paymentTerms;
+  // Compared in whole cents with the same rules as accounting_bot, so float error can't leave a paid order owing
+  const paidStatus = classifyMaropostPaidStatus(grandTotal, amountPaid);
+  const finalPaymentTerms = ['paid', 'overpaid', 'free'].includes(paidStatus) ? 'Paid' : paymentTerms;
 
-  const balanceDue = Math.max(0, grandTotal - amountPaid);
+  const balanceDue = finalPaymentTerms === 'Paid' ? 0 : fromCents(Math.max(0, toCents(grandTotal) - toCents(amountPaid)));
 
   // Sum Amount Owed for related orders with status "Dispatched" (when related orders available). RMA deducts from amount owed.
   let dispatchedAmountOwedSum = 0;
@@ -89,7 +92,7 @@ const generateTaxInvoiceHTML = (orderDetails, productImages, relatedBackorders,
         return sum + amountOwed;
       }, 0);
   }
-  const totalBalance = dispatchedAmountOwedSum;
+  const totalBalance = fromCents(toCents(dispatchedAmountOwedSum));
   const hasRelatedOrders = relatedOrdersWithDetails?.Order?.length > 0;
   const hasOtherRelatedOrders = (relatedOrdersWithDetails?.Order || []).some(
     (ord) => String(ord.ID || ord.OrderID || '') !== String(orderId)
@@ -0,0 +1,146 @@
+// Runs queued order notifications (see utils/notificationJobs), emailing the customer when the
+// backend sends order emails (see sendOrderEmail).
+// The webhook triggers the background function after queueing a job; the scheduled sweep picks up
+// retries and anything a trigger missed.
+
+const { processOrderNotification, invoiceFileName, buildNotificationResult } = require('./processNotification');
+const { isOrderEmailEnabled, sendOrderEmail } = require('./sendOrderEmail');
+const { claimDueJobs, completeJob, failJob } = require('../utils/notificationJobs');
+const { completeWebhookEvent, failWebhookEvent } = require('../utils/webhookEvents');
+const { generateDocumentId } = require('./utils');
+
+const WORKER_FUNCTION = 'maropost_order_notification-worker-background';
+
+// Keep the webhook event in step with its job; losing that record mustn't fail the job
+const recordEventOutcome = async (job, record) => {
+  if (!job.webhook_event_id) return;
+  try {
+    await record();
+  } catch (error) {
+    console.error(`Failed to update webhook event for job ${job.document_id}:`, error.message);
+  }
+};
+
+const runJob = async (job) => {
+  const processed = await processOrderNotification(job.payload, job.document_id, { includeTaxInvoice: isOrderEmailEnabled() });
+  // Without the order there's nothing to send, so let a later attempt try again
+  if (!processed.orderDetails) {
+    throw new Error('Order details could not be fetched');
+  }
+  // A failed send fails the job, so it's retried
+  const email = await sendOrderEmail(job.payload, job.document_id, processed, {
+    fileName: invoiceFileName(job.payload, job.document_id, processed.orderDetails)
+  });
+  return { processed, email, result: { ...buildNotificationResult(job.payload, job.document_id, processed), email } };
+};
+
+/**
+ * Run due jobs one at a time until none are left or the time budget runs out.
+ * @param {Object} options
+ * @param {number} options.budgetMs - Every job claimed should have finished by then
+ * @param {number} [options.jobTimeMs=0] - Time to allow for one job; none is claimed with less than this left
+ * @param {string} [options.workerId]
+ * @returns {Promise<Object>} { completed, retrying, dead, jobs: [{ documentId, status, error }] }
+ */
+const runNotificationJobs = async ({ budgetMs, jobTimeMs = 0, workerId = generateDocumentId() }) => {
+  const deadline = Date.now() + budgetMs;
+  const summary = { completed: 0, retrying: 0, dead: 0, jobs: [] };
+
+  while (Date.now() + jobTimeMs < deadline) {
+    const { jobs: [job], deadLettered } = await claimDueJobs({ limit: 1, workerId });
+    // Jobs whose worker died during their last attempt
+    for (const dead of deadLettered) {
+      await recordEventOutcome(dead, () => failWebhookEvent(dead.webhook_event_id, `Dead-lettered: ${dead.last_error}`));
+      summary.dead++;
+      summary.jobs.push({ documentId: dead.document_id, status: 'dead', error: dead.last_error });
+    }
+    if (!job) {
+      if (deadLettered.length > 0) continue;
+      break;
+    }
+
+    console.log('Running order notification job:', {
+      document_id: job.document_id,
+      order_id: job.order_id,
+      order_status: job.order_status,
+      attempt: job.attempts
+    });
+
+    try {
+      const { processed, email, result } = await runJob(job);
+      await completeJob(job, result);
+      await recordEventOutcome(job, () => completeWebhookEvent(job.webhook_event_id, {
+        document_id: job.document_id,
+        display_mode: job.payload.Display || 'json',
+        attempts: job.attempts,
+        order_details_fetched: true,
+        customer_data_fetched: processed.customerData != null,
+        html_generated: processed.htmlEmail !== null,
+        tax_invoice_html_generated: processed.taxInvoiceHtml !== null,
+        email_sent: email.sent,
+        email_message_id: email.messageId || null
+      }));
+      summary.completed++;
+      summary.jobs.push({ documentId: job.document_id, status: 'completed' });
+    } catch (error) {
+      console.error(`Order notification job ${job.document_id} failed (attempt ${job.attempts}):`, error.message);
+      const updated = await failJob(job, error.message);
+      if (updated.status === 'dead') {
+        // A dead-lettered event can be processed again if Maropost sends it again
+        await recordEventOutcome(job, () => failWebhookEvent(job.webhook_event_id, `Dead-lettered: ${error.message}`));
+        summary.dead++;
+      } else {
+        summary.retrying++;
+      }
+      summary.jobs.push({ documentId: job.document_id, status: updated.status, error: error.message });
+    }
+  }
+
+  return summary;
+};
+
+// Credentials the worker is called with: the ones the webhook itself was called with
+const forwardedAuthHeaders = (event) => {
+  const headers = event.headers || {};
+  const find = (name) => headers[Object.keys(headers).find(key => key.toLowerCase() === name)];
+  const apiKey = find('x-api-key') || event.queryStringParameters?.api_key;
+  const authorization = find('authorization');
+  return {
+    ...(apiKey ? { 'X-API-Key': apiKey } : {}),
+    ...(authorization ? { Authorization: authorization } : {})
+  };
+};
+
+/**
+ * Start the background worker. Failing to start it only delays the job until the next sweep.
+ * @param {Object} event - The request that queued the job (its credentials are reused)
+ * @returns {Promise<boolean>} Whether the worker was started
+ */
+const triggerNotificationWorker = async (event) => {
+  // URL is set by Netlify to the site's main address
+  const siteUrl = process.env.URL;
+  if (!siteUrl) {
+    console.warn('URL is not set; queued notifications will run on the next sweep');
+    return false;
+  }
+  try {
+    const response = await fetch(`${siteUrl.replace(/\/$/, '')}/.netlify/functions/${WORKER_FUNCTION}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...forwardedAuthHeaders(event) },
+      body: '{}'
+    });
+    if (!response.ok) {
+      console.warn(`Notification worker did not start: HTTP ${response.status}`);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.warn('Notification worker did not start:', error.message);
+    return false;
+  }
+};
+
+module.exports = {
+  runNotificationJobs,
+  triggerNotificationWorker
+};
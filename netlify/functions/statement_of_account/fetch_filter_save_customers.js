@@ -1,5 +1,6 @@
 const { supabase } = require('../utils/supabaseInit');
 const { filterCustomersByBalance } = require('../generate_invoices_statements/customerUtils');
+const { withAuth } = require('../utils/auth');
 
 const API_URL = 'https://default61576f99244849ec8803974b47673f.57.environment.api.powerplatform.com:443/powerautomate/automations/direct/workflows/ef89e5969a8f45778307f167f435253c/triggers/manual/paths/invoke?api-version=1&sp=%2Ftriggers%2Fmanual%2Frun&sv=1.0&sig=pPhk80gODQOi843ixLjZtPPWqTeXIbIt9ifWZP6CJfY';
 
@@ -223,4 +224,4 @@ const handler = async (event) => {
     }
 };
 
-module.exports = { handler, getSydneyTodayUtcRange };
+module.exports = { handler: withAuth(handler, { role: 'write', methods: 'POST, OPTIONS' }), getSydneyTodayUtcRange };
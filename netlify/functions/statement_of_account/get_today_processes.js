@@ -1,6 +1,7 @@
 const { supabase } = require('../utils/supabaseInit');
+const { withAuth } = require('../utils/auth');
 
-exports.handler = async (event) => {
+const handler = async (event) => {
   const headers = {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
@@ -100,3 +101,5 @@ exports.handler = async (event) => {
     };
   }
 };
+
+exports.handler = withAuth(handler, { role: 'read' });
@@ -4,6 +4,7 @@ const GEN_PDF_ENDPOINT = 'https://default61576f99244849ec8803974b47673f.57.envir
 const { generateStatementHTML } = require('../generate_invoices_statements/statementTemplates');
 const { formatCustomerNameFromBillingAddress, fetchCustomerByUsername } = require('../generate_invoices_statements/customerUtils');
 const { supabase } = require('../utils/supabaseInit');
+const { withAuth, roleByAction } = require('../utils/auth');
 
 /**
  * Netlify Function: statement_table_calculation
@@ -297,4 +298,4 @@ const handler = async (event) => {
     }
 };
 
-module.exports = { handler };
+module.exports = { handler: withAuth(handler, { role: roleByAction(['calculate'], 'write', 'calculate'), methods: 'POST, OPTIONS' }) };
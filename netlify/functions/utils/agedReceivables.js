@@ -0,0 +1,306 @@
+/**
+ * Aged receivables from Maropost: what active customers still owe on dispatched orders,
+ * bucketed by how far past DatePaymentDue each order is (as of today in Sydney).
+ * Outstanding is GrandTotal less OrderPayment, the same way statement_table_calculation works it
+ * out for one customer; orders without a due date count as current.
+ *
+ * The optional Xero cross-check compares each customer's total with Xero's AgedReceivablesByContact
+ * report for the contact it's mapped to (utils/contactMappings). Xero only has that report per
+ * contact, so it costs one API call per customer and is capped per request, largest balances first.
+ */
+
+const { fetchOutstandingOrders, fetchCustomers, CUSTOMER_PAGE_SIZE } = require('./maropostApi');
+const { formatCustomerNameFromBillingAddress } = require('../generate_invoices_statements/customerUtils');
+const { getXeroCollection } = require('./xeroSession');
+const { parseSydneyDate } = require('./xeroFilter');
+const { getContactMappings } = require('./contactMappings');
+const { toCents, fromCents, amountsMatch } = require('./paidStatusRules');
+
+// Days past due; anything not yet due is current
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 0 },
+  { key: 'days_1_30', label: '1-30 days', maxDays: 30 },
+  { key: 'days_31_60', label: '31-60 days', maxDays: 60 },
+  { key: 'days_61_90', label: '61-90 days', maxDays: 90 },
+  { key: 'days_over_90', label: '90+ days', maxDays: Infinity }
+];
+const BUCKET_KEYS = AGING_BUCKETS.map(bucket => bucket.key);
+
+// 50 orders a page; stop well short of the function timeout
+const MAX_ORDER_PAGES = 100;
+const MAX_XERO_CHECKS = 25;
+
+const SUMMARY_COLUMNS = [
+  'username', 'customerName', 'invoiceCount', ...BUCKET_KEYS, 'total', 'oldestDueDate', 'maxDaysOverdue',
+  'xeroStatus', 'xeroContactName', 'xeroOutstanding', 'xeroDifference'
+];
+const INVOICE_COLUMNS = [
+  'orderId', 'username', 'customerName', 'purchaseOrderNumber', 'datePlaced', 'dateInvoiced', 'dueDate',
+  'daysOverdue', 'bucket', 'grandTotal', 'paid', 'outstanding'
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+// Maropost dates are "YYYY-MM-DD hh:mm:ss" in Sydney time; unset dates come back as 0000-00-00
+const orderDate = (value) =>
+  value && DATE_PATTERN.test(value) && !String(value).startsWith('0000') ? String(value).slice(0, 10) : null;
+
+const formatDate = ({ year, month, day }) =>
+  `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+const sydneyToday = () => formatDate(parseSydneyDate(new Date().toISOString(), 'as_at'));
+
+const daysBetween = (from, to) =>
+  Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+
+/**
+ * @param {number} daysOverdue
+ * @returns {string} Bucket key
+ */
+function agingBucket(daysOverdue) {
+  return AGING_BUCKETS.find(bucket => daysOverdue <= bucket.maxDays).key;
+}
+
+/**
+ * Age one order.
+ * @param {Object} order - Maropost order (AGING_ORDER_FIELDS)
+ * @param {string} asAt - YYYY-MM-DD
+ * @returns {Object|null} The invoice row, or null when nothing is owing
+ */
+function ageOrder(order, asAt) {
+  const grandTotal = toCents(order.GrandTotal);
+  const paid = (order.OrderPayment || []).reduce((sum, payment) => sum + toCents(payment.Amount), 0);
+  const outstanding = grandTotal - paid;
+  if (outstanding <= 0) return null;
+
+  const dueDate = orderDate(order.DatePaymentDue);
+  const daysOverdue = dueDate ? Math.max(daysBetween(dueDate, asAt), 0) : 0;
+  return {
+    orderId: order.OrderID,
+    username: order.Username || null,
+    purchaseOrderNumber: order.PurchaseOrderNumber || null,
+    datePlaced: orderDate(order.DatePlaced),
+    dateInvoiced: orderDate(order.DateInvoiced),
+    dueDate,
+    daysOverdue,
+    bucket: agingBucket(daysOverdue),
+    grandTotal: fromCents(grandTotal),
+    paid: fromCents(paid),
+    outstanding: fromCents(outstanding)
+  };
+}
+
+const emptyBuckets = () => ({ ...BUCKET_KEYS.reduce((acc, key) => ({ ...acc, [key]: 0 }), {}), total: 0 });
+
+// Bucket amounts are summed in cents and converted once
+const bucketsFromCents = (cents) =>
+  Object.entries(cents).reduce((acc, [key, value]) => ({ ...acc, [key]: fromCents(value) }), {});
+
+/**
+ * Per-customer bucket totals.
+ * @param {Object[]} invoices - ageOrder rows (with customerName)
+ * @returns {Object[]} Customers, largest balance first
+ */
+function summariseByCustomer(invoices) {
+  const customers = new Map();
+  invoices.forEach(invoice => {
+    if (!customers.has(invoice.username)) {
+      customers.set(invoice.username, {
+        username: invoice.username,
+        customerName: invoice.customerName,
+        invoiceCount: 0,
+        cents: emptyBuckets(),
+        oldestDueDate: null,
+        maxDaysOverdue: 0
+      });
+    }
+    const customer = customers.get(invoice.username);
+    const cents = toCents(invoice.outstanding);
+    customer.invoiceCount++;
+    customer.cents[invoice.bucket] += cents;
+    customer.cents.total += cents;
+    if (invoice.dueDate && (!customer.oldestDueDate || invoice.dueDate < customer.oldestDueDate)) {
+      customer.oldestDueDate = invoice.dueDate;
+    }
+    customer.maxDaysOverdue = Math.max(customer.maxDaysOverdue, invoice.daysOverdue);
+  });
+
+  return [...customers.values()]
+    .sort((a, b) => b.cents.total - a.cents.total)
+    .map(({ cents, ...customer }) => ({ ...customer, ...bucketsFromCents(cents) }));
+}
+
+/**
+ * Build the aged receivables report.
+ * @param {Object} [options]
+ * @param {string[]} [options.usernames] - Only these customers (drill-down)
+ * @param {number} [options.maxPages=MAX_ORDER_PAGES]
+ * @returns {Promise<Object>} { asAt, buckets, totals, customers, invoices, excludedInactive, truncated }
+ */
+async function buildAgedReceivables({ usernames, maxPages = MAX_ORDER_PAGES } = {}) {
+  const asAt = sydneyToday();
+
+  const orders = [];
+  let truncated = false;
+  for (let page = 0; ; page++) {
+    if (page >= maxPages) {
+      truncated = true;
+      console.warn(`Stopped fetching outstanding orders after ${maxPages} pages`);
+      break;
+    }
+    const result = await fetchOutstandingOrders({ usernames, page });
+    orders.push(...result.orders);
+    if (!result.hasMore) break;
+  }
+
+  const aged = orders.map(order => ageOrder(order, asAt)).filter(Boolean);
+
+  // Only active customers are reported; their billing name is the one statements use
+  const orderUsernames = [...new Set(aged.map(invoice => invoice.username).filter(Boolean))];
+  const names = new Map();
+  for (let i = 0; i < orderUsernames.length; i += CUSTOMER_PAGE_SIZE) {
+    const { customers } = await fetchCustomers({
+      usernames: orderUsernames.slice(i, i + CUSTOMER_PAGE_SIZE),
+      outputSelector: ['Username', 'BillingAddress'],
+      activeOnly: true
+    });
+    customers.forEach(customer => names.set(
+      customer.Username,
+      formatCustomerNameFromBillingAddress(customer.BillingAddress) || customer.Username
+    ));
+  }
+
+  const invoices = aged
+    .filter(invoice => names.has(invoice.username))
+    .map(invoice => ({ ...invoice, customerName: names.get(invoice.username) }))
+    .sort((a, b) => b.daysOverdue - a.daysOverdue || String(a.orderId).localeCompare(String(b.orderId)));
+  const customers = summariseByCustomer(invoices);
+
+  const totalCents = customers.reduce((acc, customer) => {
+    [...BUCKET_KEYS, 'total'].forEach(key => { acc[key] += toCents(customer[key]); });
+    return acc;
+  }, emptyBuckets());
+
+  return {
+    asAt,
+    buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    totals: { customers: customers.length, invoices: invoices.length, ...bucketsFromCents(totalCents) },
+    customers,
+    invoices,
+    excludedInactive: aged.length - invoices.length,
+    truncated
+  };
+}
+
+/**
+ * Amount due on an AgedReceivablesByContact report (its Total row's "Due" column).
+ * @param {Object} body - Parsed JSON report response
+ * @returns {number}
+ */
+function reportAmountDue(body) {
+  const [report] = getXeroCollection(body, 'Reports');
+  const rows = report?.Rows || [];
+  const header = rows.find(row => row.RowType === 'Header');
+  const columns = (header?.Cells || []).map(cell => String(cell.Value || '').trim());
+  const summary = rows
+    .flatMap(row => (row.RowType === 'Section' ? row.Rows || [] : [row]))
+    .filter(row => row.RowType === 'SummaryRow')
+    .pop();
+  // A contact with nothing owing has no rows at all
+  if (!summary) return 0;
+
+  const cells = summary.Cells || [];
+  const dueIndex = columns.lastIndexOf('Due');
+  return fromCents(toCents(cells[dueIndex >= 0 ? dueIndex : cells.length - 1]?.Value));
+}
+
+/**
+ * Compare customers' totals with Xero.
+ * @param {Object} session - From getXeroSession
+ * @param {Object[]} customers - From buildAgedReceivables
+ * @param {Object} options
+ * @param {string} options.asAt - YYYY-MM-DD
+ * @param {number} [options.limit=MAX_XERO_CHECKS] - Most customers to look up
+ * @returns {Promise<{customers: Object[], summary: Object}>} Customers with a xero entry
+ *   (status match | mismatch | unmapped | not_checked | error)
+ */
+async function crossCheckXero(session, customers, { asAt, limit = MAX_XERO_CHECKS }) {
+  const mappings = customers.length > 0
+    ? await getContactMappings(session.tenantId, customers.map(customer => customer.username))
+    : [];
+  const byUsername = new Map(mappings.map(mapping => [mapping.maropost_username, mapping]));
+
+  const checked = [];
+  let lookups = 0;
+  for (const customer of customers) {
+    const mapping = byUsername.get(customer.username);
+    if (!mapping) {
+      checked.push({ ...customer, xero: { status: 'unmapped' } });
+      continue;
+    }
+
+    const contact = { contactId: mapping.xero_contact_id, contactName: mapping.xero_contact_name };
+    if (lookups >= limit) {
+      checked.push({ ...customer, xero: { status: 'not_checked', ...contact } });
+      continue;
+    }
+
+    lookups++;
+    try {
+      const { body } = await session.request('Reports/AgedReceivablesByContact', {
+        query: { contactId: mapping.xero_contact_id, date: asAt }
+      });
+      const outstanding = reportAmountDue(body);
+      checked.push({
+        ...customer,
+        xero: {
+          status: amountsMatch(customer.total, outstanding) ? 'match' : 'mismatch',
+          ...contact,
+          outstanding,
+          difference: fromCents(toCents(customer.total) - toCents(outstanding))
+        }
+      });
+    } catch (error) {
+      // Rate limits and lost connections stop the check; anything else is this contact's problem
+      if (error.status === 429 || error.message === 'No Xero tokens found for user' || error.message.includes('Token refresh failed')) {
+        throw error;
+      }
+      console.error(`Aged receivables check failed for ${customer.username}:`, error.message);
+      checked.push({ ...customer, xero: { status: 'error', ...contact, error: error.message } });
+    }
+  }
+
+  const summary = checked.reduce((acc, customer) => ({
+    ...acc,
+    [customer.xero.status]: (acc[customer.xero.status] || 0) + 1
+  }), {});
+  return { customers: checked, summary };
+}
+
+/**
+ * Customer rows flattened for CSV (SUMMARY_COLUMNS).
+ * @param {Object[]} customers
+ * @returns {Object[]}
+ */
+function summaryRows(customers) {
+  return customers.map(({ xero, ...customer }) => ({
+    ...customer,
+    xeroStatus: xero?.status,
+    xeroContactName: xero?.contactName,
+    xeroOutstanding: xero?.outstanding,
+    xeroDifference: xero?.difference
+  }));
+}
+
+module.exports = {
+  AGING_BUCKETS,
+  SUMMARY_COLUMNS,
+  INVOICE_COLUMNS,
+  MAX_XERO_CHECKS,
+  agingBucket,
+  ageOrder,
+  buildAgedReceivables,
+  reportAmountDue,
+  crossCheckXero,
+  summaryRows
+};
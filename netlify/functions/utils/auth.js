@@ -0,0 +1,206 @@
+/**
+ * Shared authentication for Netlify function handlers.
+ * Callers authenticate with either:
+ *   - an API key in the X-API-Key header (Power Automate and other server-to-server callers), or
+ *   - a Supabase access token in "Authorization: Bearer <jwt>" (browser UIs).
+ *
+ * Roles are ordered read < write < admin; an endpoint declares the minimum role it needs.
+ *
+ * Env:
+ *   API_KEYS                JSON array of { "name": "...", "key": "...", "role": "read|write|admin" }
+ *   AUTH_DEFAULT_USER_ROLE  Role for Supabase users without app_metadata.role (default "read")
+ */
+
+const crypto = require('crypto');
+const { supabase } = require('./supabaseInit');
+
+const ROLES = ['read', 'write', 'admin'];
+const USER_CACHE_MS = 60000;
+
+const corsHeaders = (methods) => ({
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+  'Access-Control-Allow-Methods': methods
+});
+
+/** @type {Map<string, {auth: Object, expiresAt: number}>} */
+const userCache = new Map();
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+const isValidRole = (role) => ROLES.includes(role);
+
+const hasRole = (role, requiredRole) => ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+
+// Headers arrive lower-cased from Netlify, but be lenient for local tooling
+const getHeader = (event, name) => {
+  const headers = event.headers || {};
+  const match = Object.keys(headers).find(key => key.toLowerCase() === name);
+  return match ? headers[match] : undefined;
+};
+
+function loadApiKeys() {
+  if (!process.env.API_KEYS) return [];
+  try {
+    const keys = JSON.parse(process.env.API_KEYS);
+    return Array.isArray(keys) ? keys.filter(entry => entry && entry.key && isValidRole(entry.role)) : [];
+  } catch (error) {
+    console.error('API_KEYS is not valid JSON; API key authentication is disabled');
+    return [];
+  }
+}
+
+// Compare digests so the check takes the same time whatever the key
+function authenticateApiKey(apiKey) {
+  const presented = hash(apiKey);
+  const entry = loadApiKeys().find(candidate => crypto.timingSafeEqual(hash(candidate.key), presented));
+  return entry ? { type: 'api_key', name: entry.name || 'api-key', role: entry.role } : null;
+}
+
+async function authenticateSupabaseToken(token) {
+  const cacheKey = hash(token).toString('hex');
+  const cached = userCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.auth;
+  }
+
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data?.user) {
+    return null;
+  }
+
+  // app_metadata can only be set with the service role, so users can't grant themselves a role
+  const user = data.user;
+  const role = user.app_metadata?.role;
+  const auth = {
+    type: 'user',
+    userId: user.id,
+    name: user.email || user.id,
+    email: user.email || null,
+    role: isValidRole(role) ? role : (process.env.AUTH_DEFAULT_USER_ROLE || 'read')
+  };
+
+  userCache.set(cacheKey, { auth, expiresAt: Date.now() + USER_CACHE_MS });
+  return auth;
+}
+
+/**
+ * Work out who is calling. Returns null when no (valid) credentials were presented.
+ * @param {Object} event - Netlify function event
+ * @param {Object} [options]
+ * @param {boolean} [options.allowQueryKey=false] - Also accept the API key as ?api_key= (for webhooks that can't set headers)
+ * @returns {Promise<{type: string, name: string, role: string, userId?: string, email?: string}|null>}
+ */
+async function authenticate(event, { allowQueryKey = false } = {}) {
+  const apiKey = getHeader(event, 'x-api-key') || (allowQueryKey ? event.queryStringParameters?.api_key : undefined);
+  if (apiKey) {
+    return authenticateApiKey(apiKey);
+  }
+
+  const authorization = getHeader(event, 'authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  if (match) {
+    return authenticateSupabaseToken(match[1].trim());
+  }
+
+  return null;
+}
+
+/**
+ * Role resolver for endpoints that take an "action" in the body (or query string):
+ * listed actions only need read access, everything else needs defaultRole.
+ * @param {string[]} readActions
+ * @param {string} [defaultRole='write']
+ * @param {string} [defaultAction] - The action the handler runs when the request doesn't name one
+ * @returns {Function} (event) => role
+ */
+function roleByAction(readActions, defaultRole = 'write', defaultAction) {
+  return (event) => {
+    let action = event.queryStringParameters?.action;
+    if (event.body) {
+      try {
+        const body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
+        action = body?.action ?? action;
+      } catch (error) {
+        // Leave invalid JSON for the handler to report
+      }
+    }
+    if (action === undefined) action = defaultAction;
+    return readActions.includes(action) ? 'read' : defaultRole;
+  };
+}
+
+/**
+ * Wrap a handler so it only runs for authenticated callers with the required role.
+ * Preflight (OPTIONS) requests are answered here so the handler never runs unauthenticated.
+ * The caller's identity is available to the handler as event.auth.
+ * @param {Function} handler - Netlify handler (event, context)
+ * @param {Object} options
+ * @param {string|Function} options.role - 'read' | 'write' | 'admin', or (event) => role
+ * @param {string} [options.methods='GET, POST, OPTIONS'] - Advertised in preflight responses
+ * @param {boolean} [options.allowQueryKey=false]
+ * @returns {Function}
+ */
+function withAuth(handler, { role, methods = 'GET, POST, OPTIONS', allowQueryKey = false }) {
+  return async (event, context) => {
+    const headers = { ...corsHeaders(methods), 'Content-Type': 'application/json' };
+
+    if (event.httpMethod === 'OPTIONS') {
+      return { statusCode: 204, headers: corsHeaders(methods), body: '' };
+    }
+
+    let auth;
+    try {
+      auth = await authenticate(event, { allowQueryKey });
+    } catch (error) {
+      console.error('Authentication error:', error);
+      return {
+        statusCode: 500,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: 'Authentication unavailable',
+          details: error.message
+        }, null, 2)
+      };
+    }
+
+    if (!auth) {
+      return {
+        statusCode: 401,
+        headers: { ...headers, 'WWW-Authenticate': 'Bearer' },
+        body: JSON.stringify({
+          success: false,
+          error: 'Unauthorized',
+          message: 'Provide an X-API-Key header or an Authorization: Bearer token'
+        }, null, 2)
+      };
+    }
+
+    const requiredRole = typeof role === 'function' ? role(event) : role;
+    if (!hasRole(auth.role, requiredRole)) {
+      console.warn(`Forbidden: ${auth.type} ${auth.name} (${auth.role}) needs ${requiredRole}`);
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: 'Forbidden',
+          message: `This action requires the ${requiredRole} role`
+        }, null, 2)
+      };
+    }
+
+    return handler({ ...event, auth }, context);
+  };
+}
+
+module.exports = {
+  withAuth,
+  roleByAction,
+  authenticate
+};
@@ -0,0 +1,397 @@
+/**
+ * Links between Maropost customers (Username) and Xero contacts, stored in Supabase.
+ * A matching pass scores each customer against the tenant's Xero contacts (utils/contactMatching);
+ * confident matches can be confirmed straight away, the rest wait as candidates for someone to
+ * confirm or reject.
+ *
+ * Tables:
+ *   xero_contact_mappings          (tenant_id, maropost_username, xero_contact_id, xero_contact_name,
+ *                                   score numeric, matched_on text[], source auto|review|manual,
+ *                                   confirmed_by, confirmed_at)
+ *                                   unique (tenant_id, maropost_username)
+ *   xero_contact_match_candidates  (tenant_id, maropost_username, xero_contact_id, xero_contact_name,
+ *                                   score numeric, evidence jsonb, customer jsonb, status pending|confirmed|rejected,
+ *                                   created_at, reviewed_by, reviewed_at)
+ *                                   unique (tenant_id, maropost_username, xero_contact_id)
+ *   xero_contact_cache             (tenant_id primary key, contacts jsonb, contact_count, fetched_at)
+ *                                   the tenant's formatted contacts, reused by matching passes for
+ *                                   CONTACT_CACHE_TTL_MINUTES (default 60) so each page of customers
+ *                                   doesn't page through every Xero contact again
+ */
+
+const { supabase } = require('./supabaseInit');
+const { getXeroCollection } = require('./xeroSession');
+const { xeroGuid } = require('./xeroFilter');
+const { fetchContactsPage, formatXeroContact } = require('./xeroContacts');
+const { fetchCustomers } = require('./maropostApi');
+const { buildContactIndex, matchCustomer } = require('./contactMatching');
+
+// 100 contacts a page; stop well short of the function timeout
+const MAX_CONTACT_PAGES = 50;
+const DEFAULT_CONTACT_CACHE_TTL_MINUTES = 60;
+
+const contactCacheTtlMs = () =>
+  (parseInt(process.env.CONTACT_CACHE_TTL_MINUTES, 10) || DEFAULT_CONTACT_CACHE_TTL_MINUTES) * 60000;
+
+function requireSupabase() {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+  return supabase;
+}
+
+/**
+ * Every active contact for the session's tenant.
+ * @param {Object} session - From getXeroSession
+ * @returns {Promise<Object[]>} Formatted contacts
+ */
+async function fetchAllContacts(session) {
+  const contacts = [];
+  for (let page = 1; page <= MAX_CONTACT_PAGES; page++) {
+    const result = await fetchContactsPage(session, { page });
+    contacts.push(...result.contacts);
+    if (!result.hasMore) return contacts;
+  }
+  console.warn(`Stopped fetching Xero contacts after ${MAX_CONTACT_PAGES} pages`);
+  return contacts;
+}
+
+/**
+ * The tenant's contacts for matching: from xero_contact_cache while it's fresh, otherwise fetched
+ * from Xero and cached.
+ * @param {Object} session - From getXeroSession
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - Fetch from Xero even when the cache is fresh
+ * @returns {Promise<{contacts: Object[], fetchedAt: string, cached: boolean}>}
+ */
+async function loadContactsForMatching(session, { refresh = false } = {}) {
+  const db = requireSupabase();
+  if (!refresh) {
+    const { data, error } = await db
+      .from('xero_contact_cache')
+      .select('contacts, fetched_at')
+      .eq('tenant_id', session.tenantId)
+      .maybeSingle();
+    if (error) throw new Error(`Failed to load contact cache: ${error.message}`);
+    if (data && Date.now() - new Date(data.fetched_at).getTime() < contactCacheTtlMs()) {
+      return { contacts: data.contacts || [], fetchedAt: data.fetched_at, cached: true };
+    }
+  }
+
+  const contacts = await fetchAllContacts(session);
+  const fetchedAt = new Date().toISOString();
+  const { error } = await db
+    .from('xero_contact_cache')
+    .upsert({ tenant_id: session.tenantId, contacts, contact_count: contacts.length, fetched_at: fetchedAt }, { onConflict: 'tenant_id' });
+  // The contacts are still good for this pass; the next one fetches them again
+  if (error) console.warn(`Failed to save contact cache for ${session.tenantId}:`, error.message);
+  return { contacts, fetchedAt, cached: false };
+}
+
+/**
+ * One contact by ID, or null when Xero doesn't know it.
+ * @param {Object} session - From getXeroSession
+ * @param {string} contactId
+ * @returns {Promise<Object|null>}
+ */
+async function fetchContact(session, contactId) {
+  // Throws a field error for anything that isn't a GUID
+  xeroGuid(contactId, 'xero_contact_id');
+  try {
+    const { body } = await session.request(`Contacts/${String(contactId).trim()}`);
+    const [contact] = getXeroCollection(body, 'Contacts');
+    return contact ? formatXeroContact(contact) : null;
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * @param {string} tenantId
+ * @param {string[]} usernames
+ * @returns {Promise<Object[]>} The confirmed mappings among these customers
+ */
+async function getContactMappings(tenantId, usernames) {
+  const { data, error } = await requireSupabase()
+    .from('xero_contact_mappings')
+    .select('*')
+    .eq('tenant_id', tenantId)
+    .in('maropost_username', usernames);
+  if (error) throw new Error(`Failed to load contact mappings: ${error.message}`);
+  return data || [];
+}
+
+async function loadRejectedPairs(tenantId, usernames) {
+  const { data, error } = await requireSupabase()
+    .from('xero_contact_match_candidates')
+    .select('maropost_username, xero_contact_id')
+    .eq('tenant_id', tenantId)
+    .eq('status', 'rejected')
+    .in('maropost_username', usernames);
+  if (error) throw new Error(`Failed to load rejected candidates: ${error.message}`);
+  return new Set((data || []).map(row => `${row.maropost_username}|${row.xero_contact_id}`));
+}
+
+/**
+ * Store a confirmed link and settle the customer's other candidates.
+ * @param {string} tenantId
+ * @param {string} username - Maropost Username
+ * @param {Object} contact - { contactID, name }
+ * @param {Object} [details]
+ * @param {number} [details.score]
+ * @param {string[]} [details.matchedOn]
+ * @param {string} [details.source='review'] - auto | review | manual
+ * @param {string} [details.confirmedBy]
+ * @returns {Promise<Object>} The mapping row
+ */
+async function confirmMapping(tenantId, username, contact, { score = null, matchedOn = [], source = 'review', confirmedBy } = {}) {
+  const db = requireSupabase();
+  const now = new Date().toISOString();
+
+  const { data, error } = await db
+    .from('xero_contact_mappings')
+    .upsert({
+      tenant_id: tenantId,
+      maropost_username: username,
+      xero_contact_id: contact.contactID,
+      xero_contact_name: contact.name,
+      score,
+      matched_on: matchedOn,
+      source,
+      confirmed_by: confirmedBy || null,
+      confirmed_at: now
+    }, { onConflict: 'tenant_id,maropost_username' })
+    .select()
+    .single();
+  if (error) throw new Error(`Failed to save contact mapping: ${error.message}`);
+
+  const review = { reviewed_by: confirmedBy || null, reviewed_at: now };
+  const { error: confirmError } = await db
+    .from('xero_contact_match_candidates')
+    .update({ status: 'confirmed', ...review })
+    .eq('tenant_id', tenantId)
+    .eq('maropost_username', username)
+    .eq('xero_contact_id', contact.contactID);
+  if (confirmError) throw new Error(`Failed to update match candidates: ${confirmError.message}`);
+
+  const { error: rejectError } = await db
+    .from('xero_contact_match_candidates')
+    .update({ status: 'rejected', ...review })
+    .eq('tenant_id', tenantId)
+    .eq('maropost_username', username)
+    .eq('status', 'pending')
+    .neq('xero_contact_id', contact.contactID);
+  if (rejectError) throw new Error(`Failed to update match candidates: ${rejectError.message}`);
+
+  return data;
+}
+
+/**
+ * Mark a candidate as not a match so later passes don't suggest it again.
+ * @param {string} tenantId
+ * @param {string} username
+ * @param {string} contactId
+ * @param {Object} [options]
+ * @param {string} [options.reviewedBy]
+ * @returns {Promise<Object|null>} The candidate row, or null when there was no such candidate
+ */
+async function rejectCandidate(tenantId, username, contactId, { reviewedBy } = {}) {
+  const { data, error } = await requireSupabase()
+    .from('xero_contact_match_candidates')
+    .update({ status: 'rejected', reviewed_by: reviewedBy || null, reviewed_at: new Date().toISOString() })
+    .eq('tenant_id', tenantId)
+    .eq('maropost_username', username)
+    .eq('xero_contact_id', contactId)
+    .select()
+    .maybeSingle();
+  if (error) throw new Error(`Failed to reject match candidate: ${error.message}`);
+  return data;
+}
+
+/**
+ * Remove a confirmed link (e.g. one confirmed by mistake).
+ * @param {string} tenantId
+ * @param {string} username
+ * @returns {Promise<boolean>} Whether a mapping was removed
+ */
+async function removeMapping(tenantId, username) {
+  const { data, error } = await requireSupabase()
+    .from('xero_contact_mappings')
+    .delete()
+    .eq('tenant_id', tenantId)
+    .eq('maropost_username', username)
+    .select();
+  if (error) throw new Error(`Failed to remove contact mapping: ${error.message}`);
+  return (data || []).length > 0;
+}
+
+/**
+ * @param {string} tenantId
+ * @param {string} username
+ * @returns {Promise<Object|null>} The confirmed mapping for a customer
+ */
+async function getContactMapping(tenantId, username) {
+  const { data, error } = await requireSupabase()
+    .from('xero_contact_mappings')
+    .select('*')
+    .eq('tenant_id', tenantId)
+    .eq('maropost_username', username)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to load contact mapping: ${error.message}`);
+  return data;
+}
+
+/**
+ * Match a page of Maropost customers (or the given usernames) to the tenant's Xero contacts.
+ * Customers that already have a mapping are skipped unless rematch is set; a rematch only
+ * auto-confirms over mappings that were themselves auto-confirmed.
+ * @param {Object} session - From getXeroSession
+ * @param {Object} [options]
+ * @param {string[]} [options.usernames]
+ * @param {number} [options.page=0] - Maropost customer page when no usernames are given
+ * @param {boolean} [options.autoConfirm=false] - Confirm high-confidence matches without review
+ * @param {boolean} [options.rematch=false]
+ * @param {boolean} [options.refreshContacts=false] - Don't use the cached Xero contacts
+ * @param {string} [options.requestedBy]
+ * @returns {Promise<Object>} { summary, results, hasMore, nextPage, contactsFetchedAt }
+ */
+async function runContactMatching(session, { usernames, page = 0, autoConfirm = false, rematch = false, refreshContacts = false, requestedBy } = {}) {
+  const tenantId = session.tenantId;
+  const db = requireSupabase();
+
+  const { customers, hasMore } = await fetchCustomers({ usernames, page });
+  const customerUsernames = customers.map(customer => customer.Username).filter(Boolean);
+  if (customerUsernames.length === 0) {
+    return { summary: { customersChecked: 0 }, results: [], hasMore: false, nextPage: null };
+  }
+
+  const mapped = new Map((await getContactMappings(tenantId, customerUsernames)).map(row => [row.maropost_username, row]));
+  const rejected = await loadRejectedPairs(tenantId, customerUsernames);
+  // Nothing to match means no need to page through every contact
+  const toMatch = rematch ? customerUsernames : customerUsernames.filter(username => !mapped.has(username));
+  const contactList = toMatch.length > 0 ? await loadContactsForMatching(session, { refresh: refreshContacts }) : null;
+  const index = buildContactIndex(contactList ? contactList.contacts : []);
+
+  const results = [];
+  for (const customer of customers) {
+    const username = customer.Username;
+    if (!username) continue;
+    if (mapped.has(username) && !rematch) {
+      results.push({ username, outcome: 'already_mapped' });
+      continue;
+    }
+
+    const { profile, candidates: allCandidates, confidence } = matchCustomer(customer, index);
+    const candidates = allCandidates.filter(candidate => !rejected.has(`${username}|${candidate.contact.contactID}`));
+    const summarised = candidates.map(candidate => ({
+      contactID: candidate.contact.contactID,
+      name: candidate.contact.name,
+      score: candidate.score,
+      evidence: candidate.evidence
+    }));
+
+    const replaceable = !mapped.has(username) || mapped.get(username).source === 'auto';
+    if (confidence === 'high' && autoConfirm && replaceable && candidates[0] === allCandidates[0]) {
+      const [best] = candidates;
+      await confirmMapping(tenantId, username, best.contact, {
+        score: best.score,
+        matchedOn: best.evidence.filter(item => item.strength > 0).map(item => item.field),
+        source: 'auto',
+        confirmedBy: requestedBy
+      });
+      results.push({ username, outcome: 'auto_confirmed', contact: summarised[0] });
+      continue;
+    }
+
+    if (candidates.length === 0) {
+      results.push({ username, outcome: 'no_match' });
+      continue;
+    }
+
+    // Pairs already on record keep their status (and review); only new pairs are added
+    const { error } = await db
+      .from('xero_contact_match_candidates')
+      .upsert(candidates.map(candidate => ({
+        tenant_id: tenantId,
+        maropost_username: username,
+        xero_contact_id: candidate.contact.contactID,
+        xero_contact_name: candidate.contact.name,
+        score: candidate.score,
+        evidence: candidate.evidence,
+        customer: profile,
+        status: 'pending',
+        created_at: new Date().toISOString()
+      })), { onConflict: 'tenant_id,maropost_username,xero_contact_id', ignoreDuplicates: true });
+    if (error) throw new Error(`Failed to save match candidates: ${error.message}`);
+
+    results.push({ username, outcome: confidence === 'high' ? 'suggested' : 'needs_review', candidates: summarised });
+  }
+
+  const summary = results.reduce((acc, result) => ({ ...acc, [result.outcome]: (acc[result.outcome] || 0) + 1 }), {
+    customersChecked: results.length
+  });
+  return { summary, results, hasMore, nextPage: hasMore ? page + 1 : null, contactsFetchedAt: contactList ? contactList.fetchedAt : null };
+}
+
+/**
+ * Candidates waiting for review, best first within each customer.
+ * @param {string} tenantId
+ * @param {Object} [options]
+ * @param {string} [options.username]
+ * @param {number} [options.page=1]
+ * @param {number} [options.pageSize=100]
+ * @returns {Promise<Object[]>}
+ */
+async function listPendingCandidates(tenantId, { username, page = 1, pageSize = 100 } = {}) {
+  let query = requireSupabase()
+    .from('xero_contact_match_candidates')
+    .select('*')
+    .eq('tenant_id', tenantId)
+    .eq('status', 'pending')
+    .order('maropost_username', { ascending: true })
+    .order('score', { ascending: false })
+    .range((page - 1) * pageSize, page * pageSize - 1);
+  if (username) query = query.eq('maropost_username', username);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to load match candidates: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Confirmed mappings.
+ * @param {string} tenantId
+ * @param {Object} [options]
+ * @param {string} [options.username]
+ * @param {number} [options.page=1]
+ * @param {number} [options.pageSize=100]
+ * @returns {Promise<Object[]>}
+ */
+async function listMappings(tenantId, { username, page = 1, pageSize = 100 } = {}) {
+  let query = requireSupabase()
+    .from('xero_contact_mappings')
+    .select('*')
+    .eq('tenant_id', tenantId)
+    .order('maropost_username', { ascending: true })
+    .range((page - 1) * pageSize, page * pageSize - 1);
+  if (username) query = query.eq('maropost_username', username);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to load contact mappings: ${error.message}`);
+  return data || [];
+}
+
+module.exports = {
+  fetchAllContacts,
+  loadContactsForMatching,
+  fetchContact,
+  runContactMatching,
+  confirmMapping,
+  rejectCandidate,
+  removeMapping,
+  getContactMapping,
+  getContactMappings,
+  listPendingCandidates,
+  listMappings
+};
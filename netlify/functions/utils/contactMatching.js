@@ -0,0 +1,258 @@
+/**
+ * Fuzzy matching of Maropost customers to Xero contacts.
+ *
+ * Each piece of evidence (username as ContactNumber, email, ABN, company, billing name, billing
+ * address) contributes a weight; weights combine as independent signals, so two moderate matches
+ * beat one, and an ABN that's present on both sides but different pulls the score right down.
+ * Customers are read from GetCustomer (Username, EmailAddress, ABN and the BillingAddress fields
+ * customerUtils reads); contacts are formatted with formatXeroContact.
+ */
+
+// Best candidates at or above this are confident enough to confirm without review
+const AUTO_CONFIRM_SCORE = 0.9;
+// ...as long as the runner-up is at least this far behind
+const AUTO_CONFIRM_MARGIN = 0.15;
+// Candidates below this aren't worth showing
+const MIN_CANDIDATE_SCORE = 0.35;
+const MAX_CANDIDATES = 3;
+
+const WEIGHTS = {
+  username: 0.98,
+  abn: 0.95,
+  email: 0.9,
+  company: 0.75,
+  address: 0.6,
+  name: 0.5,
+  postcode: 0.1
+};
+// Multiplier when both sides have an ABN and they differ
+const ABN_CONFLICT_FACTOR = 0.25;
+
+const COMPANY_NOISE = /\b(pty|ltd|limited|proprietary|p ?l|inc|incorporated|co|company|corp|the|atf|trustee|trust|for|t ?a|trading as)\b/g;
+const STREET_ABBREVIATIONS = {
+  street: 'st', road: 'rd', avenue: 'ave', drive: 'dr', place: 'pl', court: 'ct', crescent: 'cres',
+  parade: 'pde', highway: 'hwy', lane: 'ln', boulevard: 'blvd', terrace: 'tce', close: 'cl', circuit: 'cct',
+  unit: 'u', level: 'lvl', suite: 'ste'
+};
+
+const clean = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const normaliseEmail = (value) => {
+  const email = String(value || '').trim().toLowerCase();
+  return email.includes('@') ? email : null;
+};
+
+const normaliseAbn = (value) => {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length === 11 ? digits : null;
+};
+
+const normaliseCompany = (value) => clean(value).replace(COMPANY_NOISE, ' ').replace(/\s+/g, ' ').trim() || null;
+
+const normaliseStreet = (value) => clean(value)
+  .split(' ')
+  .map(word => STREET_ABBREVIATIONS[word] || word)
+  .join(' ') || null;
+
+const normalisePostcode = (value) => String(value || '').replace(/\D/g, '') || null;
+
+function bigrams(text) {
+  const padded = ` ${text} `;
+  const grams = new Map();
+  for (let i = 0; i < padded.length - 1; i++) {
+    const gram = padded.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+/**
+ * Dice coefficient over character bigrams: 1 for identical text, 0 for nothing in common.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  let overlap = 0;
+  let total = 0;
+  gramsA.forEach((count, gram) => {
+    overlap += Math.min(count, gramsB.get(gram) || 0);
+    total += count;
+  });
+  gramsB.forEach(count => { total += count; });
+  return total ? (2 * overlap) / total : 0;
+}
+
+/**
+ * The fields of a Maropost customer used for matching.
+ * @param {Object} customer - From GetCustomer
+ * @returns {Object}
+ */
+function customerProfile(customer) {
+  const billing = customer.BillingAddress || {};
+  const personName = [billing.BillFirstName, billing.BillLastName]
+    .map(part => (part || '').trim())
+    .filter(Boolean)
+    .join(' ');
+  return {
+    username: customer.Username || null,
+    email: normaliseEmail(customer.EmailAddress),
+    abn: normaliseAbn(customer.ABN),
+    company: normaliseCompany(billing.BillCompany),
+    name: clean(personName) || null,
+    street: normaliseStreet([billing.BillStreetLine1, billing.BillStreetLine2].filter(Boolean).join(' ')),
+    postcode: normalisePostcode(billing.BillPostCode)
+  };
+}
+
+/**
+ * The fields of a Xero contact used for matching.
+ * @param {Object} contact - From formatXeroContact
+ * @returns {Object}
+ */
+function contactProfile(contact) {
+  // The billing (POBOX) address first, then the street address
+  const addresses = [...(contact.addresses || [])]
+    .sort((a, b) => (a.addressType === 'POBOX' ? -1 : 0) - (b.addressType === 'POBOX' ? -1 : 0));
+  const personName = [contact.firstName, contact.lastName].filter(Boolean).join(' ');
+  return {
+    contactNumber: contact.contactNumber ? String(contact.contactNumber).trim().toLowerCase() : null,
+    email: normaliseEmail(contact.emailAddress),
+    abn: normaliseAbn(contact.taxNumber),
+    company: normaliseCompany(contact.name),
+    name: clean(personName || contact.name) || null,
+    addresses: addresses.map(address => ({
+      street: normaliseStreet([address.addressLine1, address.addressLine2].filter(Boolean).join(' ')),
+      postcode: normalisePostcode(address.postalCode)
+    }))
+  };
+}
+
+/**
+ * Score one customer against one contact.
+ * @param {Object} customer - customerProfile output
+ * @param {Object} contact - contactProfile output
+ * @returns {{score: number, evidence: Object[]}}
+ */
+function scoreMatch(customer, contact) {
+  const evidence = [];
+  const add = (field, strength, detail) => evidence.push({ field, strength: Math.round(strength * 1000) / 1000, ...detail });
+
+  if (customer.username && contact.contactNumber === customer.username.toLowerCase()) {
+    add('username', 1);
+  }
+  if (customer.email && customer.email === contact.email) {
+    add('email', 1);
+  }
+
+  let abnConflict = false;
+  if (customer.abn && contact.abn) {
+    if (customer.abn === contact.abn) add('abn', 1);
+    else abnConflict = true;
+  }
+
+  const companySimilarity = similarity(customer.company, contact.company);
+  if (companySimilarity >= 0.6) add('company', companySimilarity);
+
+  const nameSimilarity = similarity(customer.name, contact.name);
+  if (nameSimilarity >= 0.7) add('name', nameSimilarity);
+
+  const address = (contact.addresses || [])
+    .filter(candidate => customer.postcode && candidate.postcode === customer.postcode)
+    .map(candidate => ({ ...candidate, similarity: similarity(customer.street, candidate.street) }))
+    .sort((a, b) => b.similarity - a.similarity)[0];
+  if (address && address.similarity >= 0.6) {
+    add('address', address.similarity);
+  } else if (address) {
+    add('postcode', 1);
+  }
+
+  const miss = evidence.reduce((product, item) => product * (1 - WEIGHTS[item.field] * item.strength), 1);
+  const score = (1 - miss) * (abnConflict ? ABN_CONFLICT_FACTOR : 1);
+  if (abnConflict) evidence.push({ field: 'abn', strength: 0, conflict: true });
+
+  return { score: Math.round(score * 1000) / 1000, evidence };
+}
+
+const firstToken = (text) => (text ? text.split(' ')[0] : null);
+
+/**
+ * Index contacts by the exact keys a plausible match shares, so each customer is only
+ * scored against contacts it has something in common with.
+ * @param {Object[]} contacts - Formatted Xero contacts
+ * @returns {Object}
+ */
+function buildContactIndex(contacts) {
+  const index = { entries: [], byKey: new Map() };
+  const addKey = (key, entry) => {
+    if (!key) return;
+    if (!index.byKey.has(key)) index.byKey.set(key, new Set());
+    index.byKey.get(key).add(entry);
+  };
+
+  contacts.forEach(contact => {
+    const entry = { contact, profile: contactProfile(contact) };
+    index.entries.push(entry);
+    addKey(entry.profile.contactNumber && `number:${entry.profile.contactNumber}`, entry);
+    addKey(entry.profile.email && `email:${entry.profile.email}`, entry);
+    addKey(entry.profile.abn && `abn:${entry.profile.abn}`, entry);
+    addKey(firstToken(entry.profile.company) && `word:${firstToken(entry.profile.company)}`, entry);
+    addKey(firstToken(entry.profile.name) && `word:${firstToken(entry.profile.name)}`, entry);
+    entry.profile.addresses.forEach(address => addKey(address.postcode && `postcode:${address.postcode}`, entry));
+  });
+  return index;
+}
+
+/**
+ * Ranked Xero contact candidates for a Maropost customer.
+ * @param {Object} customer - From GetCustomer
+ * @param {Object} index - From buildContactIndex
+ * @returns {{profile: Object, candidates: Object[], confidence: string}}
+ *   confidence is "high" (safe to confirm), "review" or "none"
+ */
+function matchCustomer(customer, index) {
+  const profile = customerProfile(customer);
+  const keys = [
+    profile.username && `number:${profile.username.toLowerCase()}`,
+    profile.email && `email:${profile.email}`,
+    profile.abn && `abn:${profile.abn}`,
+    firstToken(profile.company) && `word:${firstToken(profile.company)}`,
+    firstToken(profile.name) && `word:${firstToken(profile.name)}`,
+    profile.postcode && `postcode:${profile.postcode}`
+  ].filter(Boolean);
+
+  const entries = new Set();
+  keys.forEach(key => (index.byKey.get(key) || []).forEach(entry => entries.add(entry)));
+
+  const candidates = [...entries]
+    .map(entry => ({ contact: entry.contact, ...scoreMatch(profile, entry.profile) }))
+    .filter(candidate => candidate.score >= MIN_CANDIDATE_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_CANDIDATES);
+
+  const [best, runnerUp] = candidates;
+  const confidence = !best
+    ? 'none'
+    : (best.score >= AUTO_CONFIRM_SCORE && (!runnerUp || best.score - runnerUp.score >= AUTO_CONFIRM_MARGIN) ? 'high' : 'review');
+
+  return { profile, candidates, confidence };
+}
+
+module.exports = {
+  AUTO_CONFIRM_SCORE,
+  MIN_CANDIDATE_SCORE,
+  similarity,
+  customerProfile,
+  contactProfile,
+  scoreMatch,
+  buildContactIndex,
+  matchCustomer
+};
@@ -0,0 +1,222 @@
+/**
+ * Parses delivery, bounce and complaint notifications for sent emails into one shape:
+ *   { type: delivered|bounce|complaint, permanent, messageId, documentId, recipient, reason,
+ *     status, occurredAt, source: json|dsn|graph }
+ *
+ * Accepted formats:
+ *   - Generic JSON: { "type": "bounce", "message_id": "...", "document_id": "...", "recipient": "...",
+ *     "reason": "...", "bounce_type": "hard|soft", "timestamp": "..." }, an array of them, or { "events": [...] }
+ *   - SMTP delivery status notifications (RFC 3464 multipart/report) and feedback reports
+ *     (RFC 5965, complaints), posted raw or as { "raw": "..." }
+ *   - Microsoft Graph messages (e.g. an Exchange non-delivery report forwarded by a flow), and Graph
+ *     change notifications, which name the message to fetch (see graphNotifications)
+ *
+ * messageId is the original email's Message-ID without angle brackets; documentId comes from the
+ * X-Document-ID header the backend adds, or the "Document ID:" line in the email footer.
+ */
+
+const TYPE_ALIASES = {
+  delivered: 'delivered',
+  delivery: 'delivered',
+  bounce: 'bounce',
+  bounced: 'bounce',
+  hard_bounce: 'bounce',
+  soft_bounce: 'bounce',
+  failed: 'bounce',
+  undeliverable: 'bounce',
+  complaint: 'complaint',
+  complained: 'complaint',
+  spam: 'complaint',
+  spamreport: 'complaint',
+  abuse: 'complaint'
+};
+
+const UUID = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}';
+
+const normaliseMessageId = (value) => {
+  if (!value) return null;
+  const id = String(value).trim().replace(/^<|>$/g, '').trim();
+  return id || null;
+};
+
+const toTimestamp = (value) => {
+  const date = value ? new Date(value) : new Date();
+  return isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+};
+
+// Join folded header lines so each field is on one line
+const unfold = (text) => String(text).replace(/\r\n/g, '\n').replace(/\n[ \t]+/g, ' ');
+
+const fieldValue = (text, name) => {
+  const match = new RegExp(`^${name}:[ \\t]*(.+)$`, 'im').exec(text);
+  return match ? match[1].trim() : null;
+};
+
+// Addresses in fields like "rfc822; someone@example.com"
+const addressOf = (value) => {
+  if (!value) return null;
+  const match = /([^\s<>;:"]+@[^\s<>;"]+)/.exec(value);
+  return match ? match[1].toLowerCase() : null;
+};
+
+// The returned original's headers: after the message/rfc822 or text/rfc822-headers part header, or
+// Exchange's "Original message headers:" block
+function originalHeaders(text) {
+  const marker = /(Content-Type:\s*(message\/rfc822|text\/rfc822-headers|message\/rfc822-headers)|Original message headers:)/i.exec(text);
+  return marker ? text.slice(marker.index + marker[0].length) : '';
+}
+
+function findIds(text) {
+  const original = originalHeaders(text);
+  const documentId = fieldValue(text, 'X-Document-ID')
+    || (new RegExp(`Document ID:\\s*(${UUID})`, 'i').exec(text) || [])[1]
+    || null;
+  return {
+    messageId: normaliseMessageId(fieldValue(text, 'Original-Message-ID') || (original && fieldValue(original, 'Message-ID'))),
+    documentId
+  };
+}
+
+/**
+ * @param {string} raw - DSN or feedback report (MIME text)
+ * @returns {Object[]} One event per recipient
+ */
+function parseDsn(raw) {
+  const text = unfold(raw);
+  const ids = findIds(text);
+  const occurredAt = toTimestamp(fieldValue(text, 'Arrival-Date') || fieldValue(text, 'Received-Date') || fieldValue(text, 'Date'));
+
+  if (/report-type="?feedback-report/i.test(text) || fieldValue(text, 'Feedback-Type')) {
+    return [{
+      type: 'complaint',
+      permanent: true,
+      ...ids,
+      recipient: addressOf(fieldValue(text, 'Original-Rcpt-To')),
+      reason: `Feedback report: ${fieldValue(text, 'Feedback-Type') || 'abuse'}`,
+      status: null,
+      occurredAt,
+      source: 'dsn'
+    }];
+  }
+
+  // Per-recipient blocks start at Final-Recipient (or Original-Recipient)
+  const blocks = text.split(/^(?=(?:Final|Original)-Recipient:)/im).filter(block => /^(Final|Original)-Recipient:/i.test(block));
+  return blocks.flatMap(block => {
+    const action = (fieldValue(block, 'Action') || '').toLowerCase();
+    const status = (fieldValue(block, 'Status') || '').split(/\s/)[0] || null;
+    const recipient = addressOf(fieldValue(block, 'Final-Recipient') || fieldValue(block, 'Original-Recipient'));
+    const reason = fieldValue(block, 'Diagnostic-Code') || (status ? `Status ${status}` : null);
+
+    if (action === 'delivered' || action === 'relayed' || action === 'expanded') {
+      return [{ type: 'delivered', permanent: null, ...ids, recipient, reason: null, status, occurredAt, source: 'dsn' }];
+    }
+    if (action === 'failed' || action === 'delayed') {
+      // 4.x.x and delays are temporary; the server is still trying
+      const permanent = action === 'failed' && !/^4\./.test(status || '');
+      return [{ type: 'bounce', permanent, ...ids, recipient, reason, status, occurredAt, source: 'dsn' }];
+    }
+    return [];
+  });
+}
+
+const stripHtml = (html) => String(html || '')
+  .replace(/<br\s*\/?>|<\/(p|div|tr|li|h\d)>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&#039;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const BOUNCE_SUBJECT = /^(undeliverable|undelivered mail|delivery has failed|delivery status notification \(failure\)|mail delivery failed|returned mail|failure notice)/i;
+const DELAY_SUBJECT = /^(delivery (has been )?delayed|delivery status notification \(delay\))/i;
+const DELIVERED_SUBJECT = /^(delivered|delivery status notification \(success\)|relayed)\b/i;
+
+/**
+ * A Graph message resource: an NDR or delivery receipt in the sending mailbox.
+ * @param {Object} message - { subject, body: { content }, receivedDateTime, ... }
+ * @returns {Object[]}
+ */
+function parseGraphMessage(message) {
+  const text = unfold(stripHtml(message.body?.content || message.bodyPreview || ''));
+
+  // Some servers return a proper DSN; Exchange's NDR body carries the same fields
+  if (/^Action:/im.test(text) && /^(Final|Original)-Recipient:/im.test(text)) {
+    return parseDsn(text).map(event => ({ ...event, source: 'graph' }));
+  }
+
+  const subject = String(message.subject || '').trim();
+  const delayed = DELAY_SUBJECT.test(subject);
+  const type = BOUNCE_SUBJECT.test(subject) || delayed ? 'bounce' : DELIVERED_SUBJECT.test(subject) ? 'delivered' : null;
+  if (!type) return [];
+
+  const status = (/\b([45]\.\d{1,3}\.\d{1,3})\b/.exec(text) || [])[1] || null;
+  const recipientMatch = /(?:message to|couldn't be delivered to|delivery to the following recipients? failed[.:]?|recipients?:)\s*<?([^\s<>@]+@[a-z0-9-]+(?:\.[a-z0-9-]+)+)/i.exec(text);
+  return [{
+    type,
+    permanent: type === 'bounce' ? !delayed && !/^4\./.test(status || '') : null,
+    ...findIds(text),
+    recipient: recipientMatch ? recipientMatch[1].toLowerCase() : null,
+    reason: type === 'bounce' ? (status ? `${subject} (${status})` : subject) : null,
+    status,
+    occurredAt: toTimestamp(message.receivedDateTime),
+    source: 'graph'
+  }];
+}
+
+function parseJsonEvent(item) {
+  const type = TYPE_ALIASES[String(item.type || item.event || item.eventType || item.notificationType || '').trim().toLowerCase()];
+  if (!type) return [];
+  const bounceType = String(item.bounce_type || item.bounceType || '').toLowerCase();
+  const status = item.status ? String(item.status) : null;
+  return [{
+    type,
+    permanent: type === 'bounce'
+      ? !(bounceType === 'soft' || bounceType === 'transient' || item.permanent === false || /^4\./.test(status || ''))
+      : type === 'complaint' ? true : null,
+    messageId: normaliseMessageId(item.message_id || item.messageId || item['Message-ID'] || item.internetMessageId),
+    documentId: item.document_id || item.documentId || null,
+    recipient: item.recipient || item.email ? String(item.recipient || item.email).trim().toLowerCase() : null,
+    reason: item.reason || item.diagnostic || item.description || null,
+    status,
+    occurredAt: toTimestamp(item.timestamp || item.occurred_at || item.occurredAt),
+    source: 'json'
+  }];
+}
+
+const isGraphMessage = (item) => Boolean(item && (item.internetMessageHeaders || (item.subject !== undefined && item.body?.content !== undefined)));
+
+function parseItem(item) {
+  if (!item || typeof item !== 'object') return [];
+  if (typeof item.raw === 'string' || typeof item.dsn === 'string') return parseDsn(item.raw || item.dsn);
+  if (isGraphMessage(item)) return parseGraphMessage(item);
+  return parseJsonEvent(item);
+}
+
+/**
+ * @param {string} body - Request body
+ * @param {string} [contentType]
+ * @returns {{events: Object[], graphNotifications: Object[]}} graphNotifications are Graph change
+ *   notifications whose message still has to be fetched and passed to parseGraphMessage
+ */
+function parseEmailEvents(body, contentType = '') {
+  const text = String(body || '');
+  if (/multipart\/report|message\/delivery-status|message\/rfc822|text\/plain/i.test(contentType) || !/^\s*[[{]/.test(text)) {
+    return { events: parseDsn(text), graphNotifications: [] };
+  }
+
+  const parsed = JSON.parse(text);
+  if (Array.isArray(parsed?.value) && parsed.value.every(item => item.subscriptionId)) {
+    return { events: [], graphNotifications: parsed.value };
+  }
+  const items = Array.isArray(parsed) ? parsed : Array.isArray(parsed.events) ? parsed.events : [parsed];
+  return { events: items.flatMap(parseItem), graphNotifications: [] };
+}
+
+module.exports = {
+  parseEmailEvents,
+  parseDsn,
+  parseGraphMessage,
+  normaliseMessageId
+};
@@ -0,0 +1,47 @@
+/**
+ * Converts HTML (e.g. the tax invoice) to PDF through an HTML-to-PDF service.
+ * Functions can't run a browser themselves, so the conversion is done by a Gotenberg-compatible
+ * endpoint: a multipart POST with the page as "index.html", answered with the PDF.
+ *
+ * Env:
+ *   PDF_RENDER_URL   full conversion URL, e.g. https://pdf.example.com/forms/chromium/convert/html
+ *   PDF_RENDER_AUTH  optional Authorization header value for that service
+ */
+
+const PDF_MAGIC = '%PDF';
+
+/**
+ * @param {string} html - A complete page
+ * @returns {Promise<Buffer>} The PDF, on A4
+ */
+async function renderPdf(html) {
+  const url = process.env.PDF_RENDER_URL;
+  if (!url) throw new Error('PDF_RENDER_URL is not set');
+
+  const form = new FormData();
+  form.append('files', new Blob([html], { type: 'text/html' }), 'index.html');
+  // A4, in inches
+  form.append('paperWidth', '8.27');
+  form.append('paperHeight', '11.7');
+  form.append('printBackground', 'true');
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: process.env.PDF_RENDER_AUTH ? { Authorization: process.env.PDF_RENDER_AUTH } : {},
+    body: form
+  });
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`PDF rendering failed: HTTP ${response.status}${detail ? ` ${detail.slice(0, 200)}` : ''}`);
+  }
+
+  const pdf = Buffer.from(await response.arrayBuffer());
+  if (pdf.subarray(0, 4).toString('latin1') !== PDF_MAGIC) {
+    throw new Error('PDF rendering failed: the service did not return a PDF');
+  }
+  return pdf;
+}
+
+module.exports = {
+  renderPdf
+};
@@ -0,0 +1,300 @@
+/**
+ * invoice_send_logs rows for emails the backend sends itself (the invoice_send_logs endpoint
+ * records the ones Power Automate sends), and the delivery, bounce and complaint reports that come
+ * back for them (see utils/emailEvents).
+ *
+ * Table:
+ *   invoice_send_logs  (id, order_id, customer_username, customer_email, order_details bool,
+ *                       document_id, pdf_path, pdf_exists bool, email_sent bool, email_bounced bool,
+ *                       created_at, mail_provider, provider_message_id, email_template, email_error,
+ *                       delivered_at, bounced_at, bounce_type hard|soft|complaint, bounce_reason,
+ *                       bounced_recipient)
+ *
+ * email_bounced is set by hard bounces and complaints; a soft bounce is recorded without it.
+ * customer_username is the order's Maropost customer; older rows are filled in when a bounce report
+ * looks them up (see saveCustomerUsernames).
+ */
+
+const { supabase } = require('./supabaseInit');
+
+const BOUNCE_COLUMNS = 'id, order_id, customer_username, customer_email, document_id, bounce_type, bounce_reason, bounced_recipient, bounced_at';
+
+function requireSupabase() {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+  return supabase;
+}
+
+/**
+ * @param {Object} log
+ * @param {string} log.orderId
+ * @param {string} [log.customerUsername] - Maropost customer
+ * @param {string[]} log.recipients
+ * @param {string} log.documentId
+ * @param {boolean} log.orderDetails - Whether the order could be fetched
+ * @param {boolean} log.pdfExists - Whether the tax invoice PDF was attached
+ * @param {boolean} log.emailSent
+ * @param {string} [log.provider] - Mail transport
+ * @param {string} [log.messageId] - The provider's Message-ID
+ * @param {string} [log.template] - Email template (OrderStatus key)
+ * @param {string} [log.error] - Why the email wasn't sent
+ * @returns {Promise<Object>} The row
+ */
+async function recordInvoiceSend({ orderId, customerUsername, recipients, documentId, orderDetails, pdfExists, emailSent, provider, messageId, template, error: sendError }) {
+  const { data, error } = await requireSupabase()
+    .from('invoice_send_logs')
+    .insert({
+      order_id: orderId,
+      customer_username: customerUsername || null,
+      customer_email: recipients.length > 0 ? recipients.join(';') : null,
+      order_details: orderDetails,
+      document_id: documentId,
+      pdf_path: null,
+      pdf_exists: pdfExists,
+      email_sent: emailSent,
+      mail_provider: provider || null,
+      provider_message_id: messageId || null,
+      email_template: template || null,
+      email_error: sendError || null
+    })
+    .select('id, email_sent, provider_message_id')
+    .single();
+  if (error) throw new Error(`Failed to save invoice send log: ${error.message}`);
+  return data;
+}
+
+/**
+ * The log of an email already sent for a document, so a retried job doesn't send it twice.
+ * @param {string} documentId
+ * @returns {Promise<Object|null>}
+ */
+async function findSentInvoiceLog(documentId) {
+  const { data, error } = await requireSupabase()
+    .from('invoice_send_logs')
+    .select('id, provider_message_id, mail_provider, customer_email, created_at')
+    .eq('document_id', documentId)
+    .eq('email_sent', true)
+    .limit(1)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to load invoice send log: ${error.message}`);
+  return data;
+}
+
+// The log an email event refers to: by Message-ID first, then by document ID (latest send)
+async function findLogForEmailEvent({ messageId, documentId }) {
+  const db = requireSupabase();
+  if (messageId) {
+    const { data, error } = await db
+      .from('invoice_send_logs')
+      .select('*')
+      .in('provider_message_id', [messageId, `<${messageId}>`])
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) throw new Error(`Failed to load invoice send log: ${error.message}`);
+    if (data) return { log: data, matchedOn: 'message_id' };
+  }
+  if (documentId) {
+    const { data, error } = await db
+      .from('invoice_send_logs')
+      .select('*')
+      .eq('document_id', documentId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) throw new Error(`Failed to load invoice send log: ${error.message}`);
+    if (data) return { log: data, matchedOn: 'document_id' };
+  }
+  return null;
+}
+
+// The columns an event changes; null when it changes nothing (repeats, or a soft bounce after a hard one)
+function emailEventChanges(log, event) {
+  if (event.type === 'delivered') {
+    return log.delivered_at ? null : { delivered_at: event.occurredAt };
+  }
+  const bounce = {
+    bounced_at: event.occurredAt,
+    bounce_reason: event.reason || null,
+    bounced_recipient: event.recipient || log.bounced_recipient || null
+  };
+  if (event.type === 'complaint') {
+    return { ...bounce, email_bounced: true, bounce_type: 'complaint' };
+  }
+  if (event.permanent) {
+    return { ...bounce, email_bounced: true, bounce_type: 'hard' };
+  }
+  return log.email_bounced ? null : { ...bounce, bounce_type: 'soft' };
+}
+
+/**
+ * Record a delivery, bounce or complaint against the log of the email it's about.
+ * @param {Object} event - From utils/emailEvents
+ * @returns {Promise<{matched: boolean, logId?: number, matchedOn?: string, updated?: boolean}>}
+ */
+async function applyEmailEvent(event) {
+  const found = await findLogForEmailEvent(event);
+  if (!found) return { matched: false };
+
+  const changes = emailEventChanges(found.log, event);
+  if (changes) {
+    const { error } = await requireSupabase()
+      .from('invoice_send_logs')
+      .update(changes)
+      .eq('id', found.log.id);
+    if (error) throw new Error(`Failed to update invoice send log: ${error.message}`);
+  }
+  return { matched: true, logId: found.log.id, matchedOn: found.matchedOn, updated: Boolean(changes) };
+}
+
+// Ranks bounce types, so each address is reported with its worst
+const BOUNCE_SEVERITY = { complaint: 3, hard: 2, soft: 1 };
+
+/**
+ * Addresses whose emails bounced (or complained), one entry per address, most recent first.
+ * An address counts as resolved when an email to it was delivered after its last bounce.
+ * @param {Object} [options]
+ * @param {string} [options.since] - Only bounces at or after this date
+ * @param {boolean} [options.includeSoft=false]
+ * @param {boolean} [options.includeResolved=false]
+ * @param {number} [options.limit=1000] - Log rows to read
+ * @returns {Promise<Object[]>} [{ email, bounceType, lastBouncedAt, lastReason, bounceCount, orderIds,
+ *   documentIds, deliveredSince, usernameByOrderId }] where usernameByOrderId has null for orders
+ *   whose customer isn't recorded yet
+ */
+async function listBouncedAddresses({ since, includeSoft = false, includeResolved = false, limit = 1000 } = {}) {
+  const db = requireSupabase();
+  let query = db
+    .from('invoice_send_logs')
+    .select(BOUNCE_COLUMNS)
+    .order('bounced_at', { ascending: false })
+    .limit(limit);
+  query = includeSoft ? query.in('bounce_type', Object.keys(BOUNCE_SEVERITY)) : query.eq('email_bounced', true);
+  if (since) query = query.gte('bounced_at', since);
+
+  const { data: rows, error } = await query;
+  if (error) throw new Error(`Failed to load bounced emails: ${error.message}`);
+
+  const byAddress = new Map();
+  for (const row of rows || []) {
+    // Without the bounced recipient, all the log's addresses are suspect
+    const emails = row.bounced_recipient
+      ? [row.bounced_recipient]
+      : String(row.customer_email || '').split(';').map(email => email.trim()).filter(Boolean);
+    for (const email of emails.map(address => address.toLowerCase())) {
+      const entry = byAddress.get(email) || {
+        email,
+        bounceType: row.bounce_type,
+        lastBouncedAt: row.bounced_at,
+        lastReason: row.bounce_reason,
+        bounceCount: 0,
+        orderIds: [],
+        documentIds: [],
+        deliveredSince: null,
+        usernameByOrderId: {}
+      };
+      entry.bounceCount++;
+      if ((BOUNCE_SEVERITY[row.bounce_type] || 0) > (BOUNCE_SEVERITY[entry.bounceType] || 0)) entry.bounceType = row.bounce_type;
+      if (row.order_id && !entry.orderIds.includes(row.order_id)) entry.orderIds.push(row.order_id);
+      if (row.order_id) entry.usernameByOrderId[row.order_id] = entry.usernameByOrderId[row.order_id] || row.customer_username || null;
+      if (row.document_id && !entry.documentIds.includes(row.document_id)) entry.documentIds.push(row.document_id);
+      byAddress.set(email, entry);
+    }
+  }
+  const addresses = [...byAddress.values()];
+  if (addresses.length === 0) return [];
+
+  // Deliveries after the oldest bounce, to spot addresses that have recovered (a delivery of the
+  // email that bounced only means another recipient got it)
+  const oldestBounce = addresses.reduce((oldest, entry) => (entry.lastBouncedAt < oldest ? entry.lastBouncedAt : oldest), addresses[0].lastBouncedAt);
+  const { data: deliveries, error: deliveriesError } = await db
+    .from('invoice_send_logs')
+    .select('document_id, customer_email, delivered_at')
+    .gt('delivered_at', oldestBounce)
+    .order('delivered_at', { ascending: false })
+    .limit(limit);
+  if (deliveriesError) throw new Error(`Failed to load delivered emails: ${deliveriesError.message}`);
+
+  for (const delivery of deliveries || []) {
+    const emails = String(delivery.customer_email || '').toLowerCase().split(';').map(email => email.trim());
+    for (const entry of addresses) {
+      if (!entry.deliveredSince && emails.includes(entry.email) && delivery.delivered_at > entry.lastBouncedAt
+        && !entry.documentIds.includes(delivery.document_id)) {
+        entry.deliveredSince = delivery.delivered_at;
+      }
+    }
+  }
+
+  return includeResolved ? addresses : addresses.filter(entry => !entry.deliveredSince);
+}
+
+/**
+ * Record the Maropost customer of orders whose logs don't have one yet.
+ * @param {Object<string, string>} usernameByOrderId
+ * @returns {Promise<void>}
+ */
+async function saveCustomerUsernames(usernameByOrderId) {
+  const db = requireSupabase();
+  for (const [orderId, username] of Object.entries(usernameByOrderId)) {
+    if (!username) continue;
+    const { error } = await db
+      .from('invoice_send_logs')
+      .update({ customer_username: username })
+      .eq('order_id', orderId)
+      .is('customer_username', null);
+    if (error) throw new Error(`Failed to update invoice send logs: ${error.message}`);
+  }
+}
+
+/**
+ * Group bounced addresses (from listBouncedAddresses, with usernameByOrderId filled in) by customer.
+ * An address used on several customers' orders is listed under each, with that customer's orders.
+ * @param {Object[]} addresses
+ * @returns {{customers: Object[], unresolved: Object[]}} customers: [{ username, bounceType,
+ *   lastBouncedAt, orderIds, addresses }], most recent bounce first; unresolved: addresses with
+ *   orders whose customer isn't known
+ */
+function groupBouncesByCustomer(addresses) {
+  const byCustomer = new Map();
+  const unresolved = [];
+
+  for (const { usernameByOrderId, ...entry } of addresses) {
+    const ordersByUsername = new Map();
+    const unknownOrderIds = entry.orderIds.filter(orderId => !usernameByOrderId[orderId]);
+    for (const orderId of entry.orderIds) {
+      const username = usernameByOrderId[orderId];
+      if (username) ordersByUsername.set(username, [...(ordersByUsername.get(username) || []), orderId]);
+    }
+    if (unknownOrderIds.length > 0 || entry.orderIds.length === 0) {
+      unresolved.push({ ...entry, orderIds: unknownOrderIds });
+    }
+
+    for (const [username, orderIds] of ordersByUsername) {
+      const customer = byCustomer.get(username) || {
+        username,
+        bounceType: entry.bounceType,
+        lastBouncedAt: entry.lastBouncedAt,
+        orderIds: [],
+        addresses: []
+      };
+      if ((BOUNCE_SEVERITY[entry.bounceType] || 0) > (BOUNCE_SEVERITY[customer.bounceType] || 0)) customer.bounceType = entry.bounceType;
+      if (entry.lastBouncedAt > customer.lastBouncedAt) customer.lastBouncedAt = entry.lastBouncedAt;
+      customer.orderIds.push(...orderIds.filter(orderId => !customer.orderIds.includes(orderId)));
+      customer.addresses.push({ ...entry, orderIds });
+      byCustomer.set(username, customer);
+    }
+  }
+
+  const customers = [...byCustomer.values()].sort((a, b) => (a.lastBouncedAt < b.lastBouncedAt ? 1 : -1));
+  return { customers, unresolved };
+}
+
+module.exports = {
+  recordInvoiceSend,
+  findSentInvoiceLog,
+  applyEmailEvent,
+  listBouncedAddresses,
+  saveCustomerUsernames,
+  groupBouncesByCustomer
+};
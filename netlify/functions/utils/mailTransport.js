@@ -0,0 +1,224 @@
+/**
+ * Pluggable mail transport for emails sent by the backend.
+ *
+ * Every transport takes the same message and resolves to { provider, messageId }, where messageId
+ * is the provider's Internet Message-ID (what bounce and delivery reports refer back to).
+ *
+ *   smtp   nodemailer over SMTP
+ *   graph  Microsoft Graph: the message is saved as a draft in the sender's mailbox (which gives
+ *          us its Message-ID) and then sent
+ *   file   writes each message to MAIL_CAPTURE_DIR as JSON (attachments as separate files), for
+ *          local runs and testing
+ *
+ * Env:
+ *   MAIL_TRANSPORT        smtp | graph | file (unset: the backend doesn't send email)
+ *   MAIL_FROM             sender address (for graph, the mailbox that sends)
+ *   MAIL_REPLY_TO         optional reply-to address
+ *   SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ("true" for implicit TLS), SMTP_USER, SMTP_PASS
+ *   GRAPH_TENANT_ID, GRAPH_CLIENT_ID, GRAPH_CLIENT_SECRET  app registration with Mail.Send
+ *   MAIL_CAPTURE_DIR      file transport output (default <tmp>/mail-capture)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const TRANSPORTS = ['smtp', 'graph', 'file'];
+const GRAPH_BASE_URL = 'https://graph.microsoft.com/v1.0';
+
+/**
+ * @typedef {Object} MailMessage
+ * @property {string[]} to
+ * @property {string[]} [cc]
+ * @property {string} subject
+ * @property {string} html
+ * @property {{filename: string, content: Buffer, contentType: string}[]} [attachments]
+ * @property {Object<string, string>} [headers] - Extra headers (X-... only for graph)
+ */
+
+const mailFrom = () => {
+  const from = process.env.MAIL_FROM;
+  if (!from) throw new Error('MAIL_FROM is not set');
+  return from;
+};
+
+// ---------------------------------------------------------------------------
+// SMTP
+// ---------------------------------------------------------------------------
+
+function createSmtpTransport() {
+  if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST is not set');
+  // Only the SMTP transport needs nodemailer, so load it when it's used
+  const nodemailer = require('nodemailer');
+  const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail({
+        from: mailFrom(),
+        replyTo: process.env.MAIL_REPLY_TO || undefined,
+        to: message.to,
+        cc: message.cc,
+        subject: message.subject,
+        html: message.html,
+        headers: message.headers,
+        attachments: (message.attachments || []).map(attachment => ({
+          filename: attachment.filename,
+          content: attachment.content,
+          contentType: attachment.contentType
+        }))
+      });
+      return { provider: 'smtp', messageId: info.messageId };
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Microsoft Graph
+// ---------------------------------------------------------------------------
+
+const graphToken = { value: null, expiresAt: 0 };
+
+async function getGraphToken() {
+  // Reuse the token while it has more than a minute left
+  if (graphToken.value && graphToken.expiresAt - 60000 > Date.now()) return graphToken.value;
+
+  const { GRAPH_TENANT_ID, GRAPH_CLIENT_ID, GRAPH_CLIENT_SECRET } = process.env;
+  if (!GRAPH_TENANT_ID || !GRAPH_CLIENT_ID || !GRAPH_CLIENT_SECRET) {
+    throw new Error('GRAPH_TENANT_ID, GRAPH_CLIENT_ID and GRAPH_CLIENT_SECRET must be set');
+  }
+  const response = await fetch(`https://login.microsoftonline.com/${encodeURIComponent(GRAPH_TENANT_ID)}/oauth2/v2.0/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_id: GRAPH_CLIENT_ID,
+      client_secret: GRAPH_CLIENT_SECRET,
+      scope: 'https://graph.microsoft.com/.default'
+    }).toString()
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || !body.access_token) {
+    throw new Error(`Graph token request failed: ${body.error_description || body.error || `HTTP ${response.status}`}`);
+  }
+  graphToken.value = body.access_token;
+  graphToken.expiresAt = Date.now() + (body.expires_in || 3600) * 1000;
+  return graphToken.value;
+}
+
+async function graphRequest(method, pathname, body) {
+  const token = await getGraphToken();
+  const response = await fetch(`${GRAPH_BASE_URL}${pathname}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    const failure = new Error(`Graph ${method} ${pathname.split('?')[0]} failed: ${error.error?.message || `HTTP ${response.status}`}`);
+    failure.status = response.status;
+    throw failure;
+  }
+  return response.status === 202 || response.status === 204 ? null : response.json();
+}
+
+const graphRecipients = (addresses) => (addresses || []).map(address => ({ emailAddress: { address } }));
+
+function createGraphTransport() {
+  return {
+    name: 'graph',
+    async send(message) {
+      const mailbox = `/users/${encodeURIComponent(mailFrom())}`;
+      // sendMail doesn't return anything to track the message by, so save a draft first
+      const draft = await graphRequest('POST', `${mailbox}/messages`, {
+        subject: message.subject,
+        body: { contentType: 'HTML', content: message.html },
+        toRecipients: graphRecipients(message.to),
+        ccRecipients: graphRecipients(message.cc),
+        ...(process.env.MAIL_REPLY_TO ? { replyTo: graphRecipients([process.env.MAIL_REPLY_TO]) } : {}),
+        // Graph only accepts custom headers starting with X-
+        internetMessageHeaders: Object.entries(message.headers || {})
+          .filter(([name]) => /^x-/i.test(name))
+          .map(([name, value]) => ({ name, value: String(value) })),
+        attachments: (message.attachments || []).map(attachment => ({
+          '@odata.type': '#microsoft.graph.fileAttachment',
+          name: attachment.filename,
+          contentType: attachment.contentType,
+          contentBytes: attachment.content.toString('base64')
+        }))
+      });
+      await graphRequest('POST', `${mailbox}/messages/${encodeURIComponent(draft.id)}/send`);
+      return { provider: 'graph', messageId: draft.internetMessageId };
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// File / capture
+// ---------------------------------------------------------------------------
+
+function createFileTransport() {
+  const directory = process.env.MAIL_CAPTURE_DIR || path.join(os.tmpdir(), 'mail-capture');
+
+  return {
+    name: 'file',
+    async send(message) {
+      const id = crypto.randomUUID();
+      const messageId = `<${id}@mail-capture.local>`;
+      const stored = {
+        messageId,
+        from: process.env.MAIL_FROM || null,
+        to: message.to,
+        cc: message.cc || [],
+        subject: message.subject,
+        headers: message.headers || {},
+        html: message.html,
+        attachments: (message.attachments || []).map((attachment, index) => ({
+          filename: attachment.filename,
+          contentType: attachment.contentType,
+          size: attachment.content.length,
+          file: `${id}-${index}-${attachment.filename}`
+        })),
+        sentAt: new Date().toISOString()
+      };
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(path.join(directory, `${id}.json`), JSON.stringify(stored, null, 2));
+      await Promise.all((message.attachments || []).map((attachment, index) =>
+        fs.writeFile(path.join(directory, stored.attachments[index].file), attachment.content)
+      ));
+
+      console.log(`Captured email ${messageId} in ${directory}`);
+      return { provider: 'file', messageId };
+    }
+  };
+}
+
+/**
+ * The transport named by MAIL_TRANSPORT (or the one asked for).
+ * @param {string} [name]
+ * @returns {{name: string, send: function(MailMessage): Promise<{provider: string, messageId: string}>}|null}
+ *   null when no transport is configured
+ */
+function createMailTransport(name = process.env.MAIL_TRANSPORT) {
+  if (!name) return null;
+  const transport = String(name).trim().toLowerCase();
+  if (transport === 'smtp') return createSmtpTransport();
+  if (transport === 'graph') return createGraphTransport();
+  if (transport === 'file') return createFileTransport();
+  throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected ${TRANSPORTS.join(', ')})`);
+}
+
+module.exports = {
+  TRANSPORTS,
+  createMailTransport,
+  graphRequest
+};
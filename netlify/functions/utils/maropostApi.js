@@ -0,0 +1,229 @@
+/**
+ * Maropost (Neto) API access through the Power Automate flow the other functions post to.
+ * The flow forwards { Filter, action } to the Neto API and returns its JSON response.
+ */
+
+const MAROPOST_API_URL = 'https://default61576f99244849ec8803974b47673f.57.environment.api.powerplatform.com:443/powerautomate/automations/direct/workflows/ef89e5969a8f45778307f167f435253c/triggers/manual/paths/invoke?api-version=1&sp=%2Ftriggers%2Fmanual%2Frun&sv=1.0&sig=pPhk80gODQOi843ixLjZtPPWqTeXIbIt9ifWZP6CJfY';
+
+const ORDER_PAGE_SIZE = 50;
+
+// Order fields needed to compare an order with its Xero invoice
+const RECONCILIATION_ORDER_FIELDS = [
+  'ID',
+  'OrderID',
+  'Username',
+  'OrderStatus',
+  'DatePlaced',
+  'DateInvoiced',
+  'GrandTotal',
+  'TaxInclusive',
+  'OrderTax',
+  'ShippingTotal',
+  'ShippingTax',
+  'ShippingDiscount',
+  'OrderPayment',
+  'OrderPayment.PaymentType',
+  'OrderLine',
+  'OrderLine.OrderLineID',
+  'OrderLine.SKU',
+  'OrderLine.ProductName',
+  'OrderLine.Quantity',
+  'OrderLine.UnitPrice',
+  'OrderLine.PercentDiscount',
+  'OrderLine.ProductDiscount',
+  'OrderLine.Tax',
+  'OrderLine.TaxCode'
+];
+
+// Reconciliation fields plus what a Xero invoice, its contact and its payments need
+const INVOICE_ORDER_FIELDS = [
+  ...RECONCILIATION_ORDER_FIELDS,
+  'OrderPayment.Id',
+  'OrderPayment.DatePaid',
+  'Email',
+  'PurchaseOrderNumber',
+  'DatePaymentDue',
+  'BillFirstName',
+  'BillLastName',
+  'BillCompany',
+  'BillStreetLine1',
+  'BillStreetLine2',
+  'BillCity',
+  'BillState',
+  'BillPostCode',
+  'BillCountry',
+  'BillPhone'
+];
+
+// Customer fields used to match customers to Xero contacts (BillingAddress as customerUtils reads it)
+const CUSTOMER_MATCH_FIELDS = [
+  'Username',
+  'EmailAddress',
+  'ABN',
+  'BillingAddress'
+];
+
+const CUSTOMER_PAGE_SIZE = 100;
+
+// Order fields for ageing what a customer still owes
+const AGING_ORDER_FIELDS = [
+  'ID',
+  'OrderID',
+  'Username',
+  'OrderStatus',
+  'DatePlaced',
+  'DateInvoiced',
+  'DatePaymentDue',
+  'PurchaseOrderNumber',
+  'GrandTotal',
+  'OrderPayment',
+  'OrderPayment.Amount',
+  'OrderPayment.PaymentType',
+  'BillFirstName',
+  'BillLastName',
+  'BillCompany'
+];
+
+/**
+ * Call a Neto API action through the Power Automate flow.
+ * @param {string} action - e.g. 'GetOrder'
+ * @param {Object} filter - Neto Filter object
+ * @returns {Promise<Object>} Parsed response
+ */
+async function maropostRequest(action, filter) {
+  const response = await fetch(MAROPOST_API_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ Filter: filter, action })
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Maropost ${action} failed: HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const data = await response.json();
+  // Neto answers "Warning" for things like an empty result set
+  if (data.Ack && data.Ack !== 'Success' && data.Ack !== 'Warning') {
+    throw new Error(`Maropost ${action} returned ${data.Ack}`);
+  }
+  return data;
+}
+
+/**
+ * Fetch one page of orders placed between two Sydney calendar dates (inclusive).
+ * @param {Object} options
+ * @param {string} options.dateFrom - YYYY-MM-DD
+ * @param {string} options.dateTo - YYYY-MM-DD
+ * @param {string[]} [options.orderStatus] - Neto OrderStatus values
+ * @param {number} [options.page=0] - Zero-based page
+ * @param {number} [options.limit=ORDER_PAGE_SIZE]
+ * @param {string[]} [options.outputSelector=RECONCILIATION_ORDER_FIELDS]
+ * @returns {Promise<{orders: Object[], hasMore: boolean}>}
+ */
+async function fetchOrdersPlacedBetween({
+  dateFrom,
+  dateTo,
+  orderStatus,
+  page = 0,
+  limit = ORDER_PAGE_SIZE,
+  outputSelector = RECONCILIATION_ORDER_FIELDS
+}) {
+  const filter = {
+    DatePlacedFrom: `${dateFrom} 00:00:00`,
+    DatePlacedTo: `${dateTo} 23:59:59`,
+    Page: page,
+    Limit: limit,
+    OutputSelector: outputSelector
+  };
+  if (orderStatus && orderStatus.length > 0) filter.OrderStatus = orderStatus;
+
+  const data = await maropostRequest('GetOrder', filter);
+  const orders = data?.Order || [];
+  return { orders, hasMore: orders.length === limit };
+}
+
+/**
+ * Fetch one order by OrderID.
+ * @param {string} orderId
+ * @param {string[]} [outputSelector=INVOICE_ORDER_FIELDS]
+ * @returns {Promise<Object|null>} The order, or null when Maropost has no such order
+ */
+async function fetchOrderById(orderId, outputSelector = INVOICE_ORDER_FIELDS) {
+  const data = await maropostRequest('GetOrder', {
+    OrderID: [orderId],
+    OutputSelector: outputSelector
+  });
+  const orders = data?.Order || [];
+  return orders.find(order => order.OrderID === orderId) || null;
+}
+
+/**
+ * Fetch one page of dispatched orders that aren't fully paid (what statements show as owing).
+ * @param {Object} [options]
+ * @param {string[]} [options.usernames] - Only these customers' orders
+ * @param {number} [options.page=0] - Zero-based page
+ * @param {number} [options.limit=ORDER_PAGE_SIZE]
+ * @param {string[]} [options.outputSelector=AGING_ORDER_FIELDS]
+ * @returns {Promise<{orders: Object[], hasMore: boolean}>}
+ */
+async function fetchOutstandingOrders({
+  usernames,
+  page = 0,
+  limit = ORDER_PAGE_SIZE,
+  outputSelector = AGING_ORDER_FIELDS
+} = {}) {
+  const filter = {
+    OrderStatus: ['Dispatched'],
+    PaymentStatus: ['Pending', 'PartialPaid'],
+    Page: page,
+    Limit: limit,
+    OutputSelector: outputSelector
+  };
+  if (usernames && usernames.length > 0) filter.Username = usernames;
+
+  const data = await maropostRequest('GetOrder', filter);
+  const orders = data?.Order || [];
+  return { orders, hasMore: orders.length === limit };
+}
+
+/**
+ * Fetch customers, either by username or one page of active customers.
+ * @param {Object} options
+ * @param {string[]} [options.usernames] - Fetch these customers instead of a page
+ * @param {number} [options.page=0] - Zero-based page
+ * @param {number} [options.limit=CUSTOMER_PAGE_SIZE]
+ * @param {string[]} [options.outputSelector=CUSTOMER_MATCH_FIELDS]
+ * @param {boolean} [options.activeOnly=false] - Leave inactive customers out of a username lookup
+ * @returns {Promise<{customers: Object[], hasMore: boolean}>}
+ */
+async function fetchCustomers({
+  usernames,
+  page = 0,
+  limit = CUSTOMER_PAGE_SIZE,
+  outputSelector = CUSTOMER_MATCH_FIELDS,
+  activeOnly = false
+} = {}) {
+  const filter = usernames && usernames.length > 0
+    ? { Username: usernames, ...(activeOnly ? { Active: true } : {}), OutputSelector: outputSelector }
+    : { Active: true, Page: page, Limit: limit, OutputSelector: outputSelector };
+
+  const data = await maropostRequest('GetCustomer', filter);
+  const customers = data?.Customer || [];
+  return { customers, hasMore: !usernames?.length && customers.length === limit };
+}
+
+module.exports = {
+  maropostRequest,
+  fetchOrdersPlacedBetween,
+  fetchOrderById,
+  fetchOutstandingOrders,
+  fetchCustomers,
+  RECONCILIATION_ORDER_FIELDS,
+  INVOICE_ORDER_FIELDS,
+  AGING_ORDER_FIELDS,
+  CUSTOMER_MATCH_FIELDS,
+  ORDER_PAGE_SIZE,
+  CUSTOMER_PAGE_SIZE
+};
@@ -0,0 +1,259 @@
+/**
+ * Supabase-backed queue for Maropost order notifications.
+ *
+ * The webhook stores the event as a job and answers straight away; the worker
+ * (maropost_order_notification-worker-background, plus a scheduled sweep for retries) claims due
+ * jobs, runs them and stores the result. A failed job is retried with exponential backoff and is
+ * dead-lettered after its last attempt. Jobs are looked up by the document_id the webhook returned.
+ *
+ * Table:
+ *   order_notification_jobs  (id uuid default gen_random_uuid(), document_id text unique, event_id, order_id,
+ *                             order_status, webhook_event_id, payload jsonb,
+ *                             status queued|processing|completed|dead, attempts int, max_attempts int,
+ *                             run_after timestamptz, locked_at, locked_by, last_error, result jsonb,
+ *                             created_at, updated_at, completed_at)
+ *
+ * Env:
+ *   NOTIFICATION_JOB_MAX_ATTEMPTS  attempts before a job is dead-lettered (default 5)
+ */
+
+const { supabase } = require('./supabaseInit');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 30 * 60 * 1000;
+// A job still locked after this long belongs to a worker that died
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const JOB_STATUSES = ['queued', 'processing', 'completed', 'dead'];
+
+function requireSupabase() {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+  return supabase;
+}
+
+const maxAttempts = () => parseInt(process.env.NOTIFICATION_JOB_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+
+// 30s, 1m, 2m, 4m, ... capped at 30 minutes
+const retryDelayMs = (attempts) => Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+
+/**
+ * Queue a notification.
+ * @param {Object} job
+ * @param {string} job.documentId
+ * @param {Object} job.payload - Webhook payload
+ * @param {string} [job.webhookEventId] - maropost_webhook_events id, completed along with the job
+ * @returns {Promise<Object>} The job row
+ */
+async function enqueueNotificationJob({ documentId, payload, webhookEventId }) {
+  const now = new Date().toISOString();
+  const { data, error } = await requireSupabase()
+    .from('order_notification_jobs')
+    .insert({
+      document_id: documentId,
+      event_id: payload.EventID != null ? String(payload.EventID) : null,
+      order_id: payload.OrderID || null,
+      order_status: payload.OrderStatus || null,
+      webhook_event_id: webhookEventId || null,
+      payload,
+      status: 'queued',
+      attempts: 0,
+      max_attempts: maxAttempts(),
+      run_after: now,
+      created_at: now,
+      updated_at: now
+    })
+    .select()
+    .single();
+  if (error) throw new Error(`Failed to queue notification job: ${error.message}`);
+  return data;
+}
+
+// Lock a job for this worker; the guard on status and locked_at means only one worker wins
+async function lockJob(job, workerId) {
+  const now = new Date().toISOString();
+  let query = requireSupabase()
+    .from('order_notification_jobs')
+    .update({ status: 'processing', attempts: (job.attempts || 0) + 1, locked_at: now, locked_by: workerId, updated_at: now })
+    .eq('id', job.id)
+    .eq('status', job.status);
+  query = job.locked_at ? query.eq('locked_at', job.locked_at) : query.is('locked_at', null);
+
+  const { data, error } = await query.select().maybeSingle();
+  if (error) throw new Error(`Failed to lock notification job: ${error.message}`);
+  return data;
+}
+
+// Dead-letter a job whose worker died during its last attempt, with the same guard as lockJob
+async function deadLetterAbandonedJob(job) {
+  const now = new Date().toISOString();
+  const { data, error } = await requireSupabase()
+    .from('order_notification_jobs')
+    .update({
+      status: 'dead',
+      last_error: `Worker stopped during attempt ${job.attempts}${job.last_error ? ` (previous error: ${job.last_error})` : ''}`,
+      locked_at: null,
+      locked_by: null,
+      completed_at: now,
+      updated_at: now
+    })
+    .eq('id', job.id)
+    .eq('status', 'processing')
+    .eq('locked_at', job.locked_at)
+    .select()
+    .maybeSingle();
+  if (error) throw new Error(`Failed to dead-letter notification job: ${error.message}`);
+  return data;
+}
+
+/**
+ * Claim jobs that are due: queued jobs whose retry time has come, and jobs whose worker died.
+ * A job whose worker died during its last attempt is dead-lettered instead of being claimed.
+ * @param {Object} [options]
+ * @param {number} [options.limit=5]
+ * @param {string} options.workerId
+ * @returns {Promise<Object>} { jobs: locked jobs, deadLettered: jobs dead-lettered on the way }
+ */
+async function claimDueJobs({ limit = 5, workerId }) {
+  const db = requireSupabase();
+  const now = new Date();
+
+  const { data: queued, error } = await db
+    .from('order_notification_jobs')
+    .select('*')
+    .eq('status', 'queued')
+    .lte('run_after', now.toISOString())
+    .order('run_after', { ascending: true })
+    .limit(limit);
+  if (error) throw new Error(`Failed to load notification jobs: ${error.message}`);
+
+  const { data: abandoned, error: abandonedError } = await db
+    .from('order_notification_jobs')
+    .select('*')
+    .eq('status', 'processing')
+    .lt('locked_at', new Date(now.getTime() - LOCK_TIMEOUT_MS).toISOString())
+    .order('locked_at', { ascending: true })
+    .limit(limit);
+  if (abandonedError) throw new Error(`Failed to load notification jobs: ${abandonedError.message}`);
+
+  const claimed = [];
+  const deadLettered = [];
+  for (const job of [...(abandoned || []), ...(queued || [])].slice(0, limit)) {
+    if (job.status === 'processing' && job.attempts >= (job.max_attempts || maxAttempts())) {
+      const dead = await deadLetterAbandonedJob(job);
+      if (dead) deadLettered.push(dead);
+      continue;
+    }
+    const locked = await lockJob(job, workerId);
+    if (locked) claimed.push(locked);
+  }
+  return { jobs: claimed, deadLettered };
+}
+
+/**
+ * @param {Object} job - A locked job
+ * @param {Object} result - Stored for the status endpoint
+ * @returns {Promise<Object>} The updated job
+ */
+async function completeJob(job, result) {
+  const now = new Date().toISOString();
+  const { data, error } = await requireSupabase()
+    .from('order_notification_jobs')
+    .update({ status: 'completed', result, last_error: null, locked_at: null, locked_by: null, completed_at: now, updated_at: now })
+    .eq('id', job.id)
+    .select()
+    .single();
+  if (error) throw new Error(`Failed to complete notification job: ${error.message}`);
+  return data;
+}
+
+/**
+ * Schedule a retry, or dead-letter the job after its last attempt.
+ * @param {Object} job - A locked job
+ * @param {string} message
+ * @returns {Promise<Object>} The updated job (status queued or dead)
+ */
+async function failJob(job, message) {
+  const now = new Date();
+  const dead = job.attempts >= (job.max_attempts || maxAttempts());
+  const { data, error } = await requireSupabase()
+    .from('order_notification_jobs')
+    .update({
+      status: dead ? 'dead' : 'queued',
+      last_error: message,
+      run_after: dead ? job.run_after : new Date(now.getTime() + retryDelayMs(job.attempts)).toISOString(),
+      locked_at: null,
+      locked_by: null,
+      updated_at: now.toISOString(),
+      ...(dead ? { completed_at: now.toISOString() } : {})
+    })
+    .eq('id', job.id)
+    .select()
+    .single();
+  if (error) throw new Error(`Failed to record notification job failure: ${error.message}`);
+  return data;
+}
+
+/**
+ * Put a dead-lettered job back on the queue with a fresh set of attempts.
+ * @param {string} documentId
+ * @returns {Promise<Object|null>} The job, or null when there's no dead job with that document ID
+ */
+async function requeueDeadJob(documentId) {
+  const now = new Date().toISOString();
+  const { data, error } = await requireSupabase()
+    .from('order_notification_jobs')
+    .update({ status: 'queued', attempts: 0, run_after: now, completed_at: null, updated_at: now })
+    .eq('document_id', documentId)
+    .eq('status', 'dead')
+    .select()
+    .maybeSingle();
+  if (error) throw new Error(`Failed to requeue notification job: ${error.message}`);
+  return data;
+}
+
+/**
+ * @param {string} documentId
+ * @returns {Promise<Object|null>}
+ */
+async function getJobByDocumentId(documentId) {
+  const { data, error } = await requireSupabase()
+    .from('order_notification_jobs')
+    .select('*')
+    .eq('document_id', documentId)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to load notification job: ${error.message}`);
+  return data;
+}
+
+/**
+ * Jobs by status, newest first (e.g. the dead-letter list).
+ * @param {Object} [options]
+ * @param {string} [options.status]
+ * @param {number} [options.limit=50]
+ * @returns {Promise<Object[]>} Jobs without payload or result
+ */
+async function listJobs({ status, limit = 50 } = {}) {
+  let query = requireSupabase()
+    .from('order_notification_jobs')
+    .select('id, document_id, event_id, order_id, order_status, status, attempts, max_attempts, run_after, last_error, created_at, completed_at')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (status) query = query.eq('status', status);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to load notification jobs: ${error.message}`);
+  return data || [];
+}
+
+module.exports = {
+  JOB_STATUSES,
+  enqueueNotificationJob,
+  claimDueJobs,
+  completeJob,
+  failJob,
+  requeueDeadJob,
+  getJobByDocumentId,
+  listJobs
+};
@@ -0,0 +1,326 @@
+/**
+ * Maropost order vs Xero invoice comparison, shared by accounting_bot (one order at a time)
+ * and the batch reconciliation run.
+ *
+ * Orders are matched to invoices by number: the Xero InvoiceNumber is the Maropost OrderID.
+ * Invoices passed in here are formatted with formatXeroInvoice (camelCase fields).
+ */
+
+const {
+  toCents,
+  fromCents,
+  amountsMatch,
+  classifyMaropostPaidStatus,
+  classifyXeroPaidStatus
+} = require('./paidStatusRules');
+
+const DISCREPANCY_TYPES = [
+  'not_exported',          // no live Xero invoice for the order
+  'amount_mismatch',       // GrandTotal differs from the invoice total
+  'paid_in_maropost_only', // paid in Maropost, unpaid or part paid in Xero
+  'paid_in_xero_only',     // paid in Xero, unpaid or part paid in Maropost
+  'balance_mismatch',      // outstanding amounts differ for any other reason
+  'gst_mismatch',          // GST differs from the invoice's total tax by more than rounding
+  'shipping_mismatch',     // freight differs from the invoice's freight lines
+  'line_items_mismatch'    // lines missing on either side, or quantity/price/discount/tax differs
+];
+
+// Voided or deleted invoices don't count as the order having been exported
+const INACTIVE_INVOICE_STATUSES = ['VOIDED', 'DELETED'];
+
+/**
+ * @param {Object} order - Maropost order
+ * @returns {number} Sum of OrderPayment amounts
+ */
+function sumOrderPayments(order) {
+  return order.OrderPayment && Array.isArray(order.OrderPayment)
+    ? fromCents(order.OrderPayment.reduce((sum, payment) => sum + toCents(payment.Amount), 0))
+    : 0;
+}
+
+/**
+ * Pick the invoice that represents an order, ignoring voided and deleted ones.
+ * @param {Object[]} invoices - Formatted invoices with this order's number
+ * @returns {Object|null}
+ */
+function selectOrderInvoice(invoices) {
+  return (invoices || []).find(invoice => !INACTIVE_INVOICE_STATUSES.includes(invoice.status)) || null;
+}
+
+const GST_RATE = 0.1;
+// Per-field differences up to this many cents are reported as rounding, not as mismatches
+const ROUNDING_TOLERANCE_CENTS = 2;
+// Xero lines without an item code that carry freight
+const SHIPPING_LINE_PATTERN = /\b(freight|shipping|delivery|postage|courier)\b/i;
+
+const roundToCents = (value) => fromCents(toCents(value));
+const isTaxFree = (line) => String(line.TaxCode || '').toUpperCase() === 'FRE';
+const isTaxInclusive = (order) => String(order.TaxInclusive || '').toLowerCase() === 'true';
+
+/**
+ * Maropost line values on the same basis as the tax invoice template:
+ * net = Quantity x UnitPrice - ProductDiscount, GST at 10% unless TaxCode is FRE.
+ * Unit prices are compared ex GST.
+ */
+function maropostLineValues(line, taxInclusive) {
+  const quantity = parseFloat(line.Quantity ?? line.Qty ?? 0);
+  const unitPrice = parseFloat(line.UnitPrice || 0);
+  const discount = parseFloat(line.ProductDiscount || 0);
+  const net = quantity * unitPrice - discount;
+  const taxFree = isTaxFree(line);
+  const taxAmount = taxFree ? 0 : (taxInclusive ? net - net / (1 + GST_RATE) : net * GST_RATE);
+
+  return {
+    sku: line.SKU || null,
+    productName: line.ProductName || null,
+    quantity,
+    unitPriceExGst: roundToCents(taxInclusive && !taxFree ? unitPrice / (1 + GST_RATE) : unitPrice),
+    discount: roundToCents(discount),
+    lineAmountExGst: roundToCents(taxInclusive ? net - taxAmount : net),
+    taxAmount: roundToCents(taxAmount),
+    taxCode: line.TaxCode || null
+  };
+}
+
+// Xero line values; discounts are either a DiscountAmount or a DiscountRate percentage,
+// Inclusive invoices carry GST in unitAmount
+function xeroLineValues(line, lineAmountTypes) {
+  const quantity = parseFloat(line.quantity || 0);
+  const inclusive = lineAmountTypes === 'Inclusive';
+  // Share of an inclusive line that isn't GST; discounts scale price and tax alike
+  const exGstRatio = inclusive && line.lineAmount ? (line.lineAmount - line.taxAmount) / line.lineAmount : 1;
+  const gross = quantity * line.unitAmount;
+
+  return {
+    itemCode: line.itemCode || null,
+    description: line.description || null,
+    quantity,
+    unitPriceExGst: roundToCents(line.unitAmount * exGstRatio),
+    discount: roundToCents(line.discountAmount || gross * (line.discountRate || 0) / 100),
+    lineAmountExGst: roundToCents(inclusive ? line.lineAmount - line.taxAmount : line.lineAmount),
+    taxAmount: roundToCents(line.taxAmount),
+    taxType: line.taxType || null
+  };
+}
+
+// Compare one numeric field; whole units for quantity, cents for money
+function fieldDifference(field, maropostValue, xeroValue) {
+  if (field === 'quantity') {
+    return maropostValue === xeroValue
+      ? null
+      : { field, maropost: maropostValue, xero: xeroValue, difference: maropostValue - xeroValue, kind: 'mismatch' };
+  }
+  const cents = toCents(maropostValue) - toCents(xeroValue);
+  if (cents === 0) return null;
+  return {
+    field,
+    maropost: roundToCents(maropostValue),
+    xero: roundToCents(xeroValue),
+    difference: fromCents(cents),
+    kind: Math.abs(cents) <= ROUNDING_TOLERANCE_CENTS ? 'rounding' : 'mismatch'
+  };
+}
+
+const COMPARED_LINE_FIELDS = ['quantity', 'unitPriceExGst', 'discount', 'lineAmountExGst', 'taxAmount'];
+
+const lineStatus = (differences) => {
+  if (differences.length === 0) return 'match';
+  return differences.some(difference => difference.kind === 'mismatch') ? 'mismatch' : 'rounding';
+};
+
+/**
+ * GST Maropost charged: OrderTax when returned, otherwise worked out like the tax invoice
+ * template (10% of taxable lines plus freight net of ShippingDiscount).
+ * @param {Object} order
+ * @returns {number}
+ */
+function calculateMaropostGst(order) {
+  if (order.OrderTax !== undefined && order.OrderTax !== null && order.OrderTax !== '') {
+    return parseFloat(order.OrderTax);
+  }
+  const taxInclusive = isTaxInclusive(order);
+  const taxableProducts = (order.OrderLine || [])
+    .filter(line => !isTaxFree(line))
+    .reduce((sum, line) => sum + parseFloat(line.Quantity ?? line.Qty ?? 0) * parseFloat(line.UnitPrice || 0) - parseFloat(line.ProductDiscount || 0), 0);
+  const taxable = taxableProducts + parseFloat(order.ShippingTotal || 0) - parseFloat(order.ShippingDiscount || 0);
+  return fromCents(Math.round(taxInclusive ? taxable / (1 + GST_RATE) * GST_RATE * 100 : taxable * GST_RATE * 100));
+}
+
+/**
+ * Per-line comparison of a Maropost order with its Xero invoice.
+ * Maropost OrderLine entries are matched to Xero LineItems by SKU / ItemCode (in order when a SKU
+ * appears more than once). Xero lines without an item code are treated as shipping when their
+ * description looks like freight, and listed as unmatched otherwise. Differences within
+ * ROUNDING_TOLERANCE_CENTS are reported with kind "rounding".
+ * @param {Object} order - Maropost order with OrderLine
+ * @param {Object} invoice - Formatted invoice with lineItems (formatXeroInvoice includeLineItems)
+ * @returns {Object} { basis, lines, unmatchedXeroLines, shipping, gst, rounding, summary }
+ */
+function compareOrderLines(order, invoice) {
+  const taxInclusive = isTaxInclusive(order);
+  const lineAmountTypes = invoice.lineAmountTypes || 'Exclusive';
+  const maropostLines = (order.OrderLine || []).map(line => maropostLineValues(line, taxInclusive));
+  const xeroLines = (invoice.lineItems || []).map(line => xeroLineValues(line, lineAmountTypes));
+
+  const xeroBySku = {};
+  const shippingLines = [];
+  const unmatchedXeroLines = [];
+  xeroLines.forEach(line => {
+    if (line.itemCode) {
+      (xeroBySku[line.itemCode] = xeroBySku[line.itemCode] || []).push(line);
+    } else if (SHIPPING_LINE_PATTERN.test(line.description || '')) {
+      shippingLines.push(line);
+    } else {
+      unmatchedXeroLines.push(line);
+    }
+  });
+
+  const lines = maropostLines.map(maropostLine => {
+    const xeroLine = maropostLine.sku && xeroBySku[maropostLine.sku] ? xeroBySku[maropostLine.sku].shift() : null;
+    if (!xeroLine) {
+      return { sku: maropostLine.sku, productName: maropostLine.productName, status: 'missing_in_xero', maropost: maropostLine, xero: null, differences: [] };
+    }
+    const differences = COMPARED_LINE_FIELDS
+      .map(field => fieldDifference(field, maropostLine[field], xeroLine[field]))
+      .filter(Boolean);
+    return { sku: maropostLine.sku, productName: maropostLine.productName, status: lineStatus(differences), maropost: maropostLine, xero: xeroLine, differences };
+  });
+
+  // Item codes left over were invoiced in Xero but aren't on the order
+  Object.values(xeroBySku).flat().forEach(xeroLine => {
+    lines.push({ sku: xeroLine.itemCode, productName: xeroLine.description, status: 'missing_in_maropost', maropost: null, xero: xeroLine, differences: [] });
+  });
+
+  const maropostShipping = parseFloat(order.ShippingTotal || 0) - parseFloat(order.ShippingDiscount || 0);
+  const maropostShippingExGst = taxInclusive ? maropostShipping / (1 + GST_RATE) : maropostShipping;
+  const xeroShippingExGst = shippingLines.reduce((sum, line) => sum + line.lineAmountExGst, 0);
+  const shippingDifference = fieldDifference('shippingExGst', maropostShippingExGst, xeroShippingExGst);
+  const shipping = {
+    maropost: roundToCents(maropostShippingExGst),
+    xero: roundToCents(xeroShippingExGst),
+    xeroLines: shippingLines.length,
+    status: shippingDifference ? lineStatus([shippingDifference]) : 'match',
+    difference: shippingDifference ? shippingDifference.difference : 0
+  };
+
+  const maropostGst = calculateMaropostGst(order);
+  const gstDifferenceCents = toCents(maropostGst) - toCents(invoice.totalTax);
+  // GST is rounded per line in Xero, so allow a cent per line before calling it a mismatch
+  const gstTolerance = Math.max(ROUNDING_TOLERANCE_CENTS, xeroLines.length);
+  const gst = {
+    maropost: maropostGst,
+    xero: invoice.totalTax,
+    difference: fromCents(gstDifferenceCents),
+    status: gstDifferenceCents === 0 ? 'match' : (Math.abs(gstDifferenceCents) <= gstTolerance ? 'rounding' : 'mismatch')
+  };
+
+  const roundingDifferences = lines.flatMap(line => line.differences).filter(difference => difference.kind === 'rounding');
+  const count = (status) => lines.filter(line => line.status === status).length;
+
+  return {
+    basis: { maropost: taxInclusive ? 'Inclusive' : 'Exclusive', xero: lineAmountTypes },
+    lines,
+    unmatchedXeroLines,
+    shipping,
+    gst,
+    rounding: {
+      lines: count('rounding'),
+      lineAmountDifference: fromCents(roundingDifferences
+        .filter(difference => difference.field === 'lineAmountExGst')
+        .reduce((sum, difference) => sum + toCents(difference.difference), 0))
+    },
+    summary: {
+      matched: count('match'),
+      rounding: count('rounding'),
+      mismatched: count('mismatch'),
+      missingInXero: count('missing_in_xero'),
+      missingInMaropost: count('missing_in_maropost'),
+      unmatchedXeroLines: unmatchedXeroLines.length,
+      shippingStatus: shipping.status,
+      gstStatus: gst.status,
+      hasDifferences: count('mismatch') + count('missing_in_xero') + count('missing_in_maropost') > 0 ||
+        unmatchedXeroLines.length > 0 || shipping.status === 'mismatch' || gst.status === 'mismatch'
+    }
+  };
+}
+
+/**
+ * Compare a Maropost order with its Xero invoice and list the discrepancies.
+ * Totals and balances are compared in whole cents within the paid-status tolerance.
+ * @param {Object} order - Maropost order
+ * @param {Object|null} invoice - Formatted Xero invoice (lineItems needed for the line check), or null
+ * @returns {Object}
+ */
+function compareOrderWithInvoice(order, invoice) {
+  const maropostGrandTotal = fromCents(toCents(order.GrandTotal));
+  const maropostPaymentsSum = sumOrderPayments(order);
+  const maropostOutstanding = fromCents(toCents(maropostGrandTotal) - toCents(maropostPaymentsSum));
+  const maropostPaidStatus = classifyMaropostPaidStatus(maropostGrandTotal, maropostPaymentsSum);
+  const xeroPaidStatus = classifyXeroPaidStatus(invoice);
+
+  const result = {
+    orderId: order.OrderID,
+    orderStatus: order.OrderStatus || null,
+    datePlaced: order.DatePlaced || null,
+    maropostGrandTotal,
+    maropostPaymentsSum,
+    maropostOutstanding,
+    maropostPaidStatus,
+    xeroInvoiceId: invoice ? invoice.invoiceID : null,
+    xeroTotal: invoice ? invoice.total : null,
+    xeroAmountDue: invoice ? invoice.amountDue : null,
+    xeroPaidStatus,
+    discrepancies: []
+  };
+  const flag = (type, details = {}) => result.discrepancies.push({ type, ...details });
+
+  if (!invoice) {
+    flag('not_exported');
+    return result;
+  }
+
+  if (!amountsMatch(maropostGrandTotal, invoice.total)) {
+    flag('amount_mismatch', { difference: (toCents(maropostGrandTotal) - toCents(invoice.total)) / 100 });
+  }
+
+  const paidInMaropost = maropostPaidStatus === 'paid';
+  const paidInXero = xeroPaidStatus === 'paid';
+  if (paidInMaropost && ['unpaid', 'partial'].includes(xeroPaidStatus)) {
+    flag('paid_in_maropost_only');
+  } else if (paidInXero && ['unpaid', 'partial'].includes(maropostPaidStatus)) {
+    flag('paid_in_xero_only');
+  } else if (!amountsMatch(maropostOutstanding, invoice.amountDue)) {
+    flag('balance_mismatch', { difference: (toCents(maropostOutstanding) - toCents(invoice.amountDue)) / 100 });
+  }
+
+  // Line-level checks need the invoice's line items
+  if (invoice.lineItems) {
+    const lineComparison = compareOrderLines(order, invoice);
+    result.lineComparison = lineComparison;
+
+    const { summary } = lineComparison;
+    if (summary.mismatched + summary.missingInXero + summary.missingInMaropost + summary.unmatchedXeroLines > 0) {
+      flag('line_items_mismatch', {
+        lines: lineComparison.lines.filter(line => !['match', 'rounding'].includes(line.status)),
+        unmatchedXeroLines: lineComparison.unmatchedXeroLines
+      });
+    }
+    if (lineComparison.shipping.status === 'mismatch') {
+      flag('shipping_mismatch', { ...lineComparison.shipping });
+    }
+    if (lineComparison.gst.status === 'mismatch') {
+      flag('gst_mismatch', { maropostTax: lineComparison.gst.maropost, xeroTax: lineComparison.gst.xero, difference: lineComparison.gst.difference });
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  DISCREPANCY_TYPES,
+  sumOrderPayments,
+  selectOrderInvoice,
+  calculateMaropostGst,
+  compareOrderLines,
+  compareOrderWithInvoice
+};
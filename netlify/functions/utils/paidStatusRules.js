@@ -0,0 +1,202 @@
+/**
+ * Paid-status rules for Maropost orders and Xero invoices, and the palette used to show them.
+ * accounting_bot, the reconciliation runs, the tax invoice template and the UI (through
+ * accounting_bot/statusPalette) all read statuses and colours from here.
+ *
+ * Amounts are compared in whole cents, parsed from their decimal text so 0.1 + 0.2 style
+ * float error never decides a status. Differences up to toleranceCents count as equal.
+ *
+ * Statuses look the same for Maropost and Xero except where sources overrides them: a Xero invoice
+ * with nothing paid keeps the grey accounting_bot has always shown, so it stands apart from an
+ * unpaid Maropost order.
+ *
+ * Env:
+ *   PAID_STATUS_CONFIG  JSON merged over DEFAULT_STATUS_CONFIG, e.g.
+ *                       {"toleranceCents": 1, "statuses": {"partial": {"background": "rgb(255, 235, 59)"}},
+ *                        "sources": {"xero": {"unpaid": {"background": "rgb(244, 67, 54)", "font": "rgb(255, 255, 255)"}}}}
+ */
+
+const WHITE = 'rgb(255, 255, 255)';
+const BLACK = 'rgb(0, 0, 0)';
+
+const DEFAULT_STATUS_CONFIG = {
+  toleranceCents: 0,
+  statuses: {
+    paid: { label: 'Paid', background: 'rgb(76, 175, 80)', font: WHITE, description: 'Payments equal the total' },
+    free: { label: 'Free', background: 'rgb(156, 39, 176)', font: WHITE, description: 'Nothing to pay' },
+    partial: { label: 'Partial', background: 'rgb(255, 193, 7)', font: BLACK, description: 'Some of the total has been paid' },
+    overpaid: { label: 'Overpaid', background: 'rgb(255, 152, 0)', font: BLACK, description: 'Payments exceed the total' },
+    unpaid: { label: 'Unpaid', background: 'rgb(244, 67, 54)', font: WHITE, description: 'No payments yet' },
+    unknown: { label: 'Unknown', background: 'rgb(96, 125, 139)', font: WHITE, description: 'Xero amounts that fit no other status' },
+    not_exported: { label: 'Not exported', background: 'rgb(117, 117, 117)', font: WHITE, description: 'No invoice in Xero' }
+  },
+  // Per-source changes to the statuses above (maropost | xero)
+  sources: {
+    xero: {
+      unpaid: { background: 'rgb(117, 117, 117)', font: BLACK }
+    }
+  },
+  // Amount comparison indicators (e.g. Maropost outstanding vs Xero amount due)
+  indicators: {
+    match: { label: 'Match', background: 'rgb(76, 175, 80)', font: WHITE },
+    mismatch: { label: 'Mismatch', background: 'rgb(244, 67, 54)', font: WHITE }
+  }
+};
+
+const FALLBACK_STYLE = { background: 'rgb(96, 125, 139)', font: WHITE };
+
+let cachedConfig = null;
+let cachedSource = null;
+
+const mergeStyles = (defaults, overrides = {}) =>
+  Object.keys({ ...defaults, ...overrides }).reduce((merged, key) => ({
+    ...merged,
+    [key]: { ...(defaults[key] || {}), ...(overrides[key] || {}) }
+  }), {});
+
+/**
+ * The status configuration: defaults with PAID_STATUS_CONFIG merged over them.
+ * @returns {Object} { toleranceCents, statuses, sources, indicators }
+ */
+function getStatusConfig() {
+  const source = process.env.PAID_STATUS_CONFIG || '';
+  if (cachedConfig && cachedSource === source) return cachedConfig;
+
+  let overrides = {};
+  if (source) {
+    try {
+      overrides = JSON.parse(source);
+    } catch (error) {
+      throw new Error(`PAID_STATUS_CONFIG is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const toleranceCents = overrides.toleranceCents ?? DEFAULT_STATUS_CONFIG.toleranceCents;
+  if (!Number.isInteger(toleranceCents) || toleranceCents < 0) {
+    throw new Error('PAID_STATUS_CONFIG.toleranceCents must be a whole number of cents, 0 or more');
+  }
+
+  cachedConfig = {
+    toleranceCents,
+    statuses: mergeStyles(DEFAULT_STATUS_CONFIG.statuses, overrides.statuses),
+    sources: Object.keys({ ...DEFAULT_STATUS_CONFIG.sources, ...overrides.sources }).reduce((merged, source) => ({
+      ...merged,
+      [source]: mergeStyles(DEFAULT_STATUS_CONFIG.sources[source] || {}, overrides.sources?.[source])
+    }), {}),
+    indicators: mergeStyles(DEFAULT_STATUS_CONFIG.indicators, overrides.indicators)
+  };
+  cachedSource = source;
+  return cachedConfig;
+}
+
+/**
+ * Convert an amount to whole cents, rounding half away from zero at the third decimal.
+ * Strings are read digit by digit; numbers go through their shortest decimal text first.
+ * @param {string|number|null|undefined} value
+ * @returns {number}
+ */
+function toCents(value) {
+  if (value === null || value === undefined || value === '') return 0;
+  const text = String(value).trim();
+  const match = text.match(/^([+-])?(\d*)(?:\.(\d*))?$/);
+  if (!match) {
+    // Exponent notation and the like; still good to the cent
+    const number = parseFloat(text);
+    return isNaN(number) ? 0 : Math.round(number * 100);
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  const digits = (fraction + '000').slice(0, 3);
+  const roundUp = parseInt(digits[2], 10) >= 5 ? 1 : 0;
+  const cents = parseInt(whole || '0', 10) * 100 + parseInt(digits.slice(0, 2), 10) + roundUp;
+  return sign === '-' ? -cents : cents;
+}
+
+const fromCents = (cents) => cents / 100;
+
+/**
+ * @param {string|number} a
+ * @param {string|number} b
+ * @param {Object} [config=getStatusConfig()]
+ * @returns {boolean} Whether the amounts are equal within the tolerance
+ */
+function amountsMatch(a, b, config = getStatusConfig()) {
+  return Math.abs(toCents(a) - toCents(b)) <= config.toleranceCents;
+}
+
+/**
+ * @param {string|number} grandTotal
+ * @param {string|number} paymentsSum
+ * @param {Object} [config=getStatusConfig()]
+ * @returns {string} free | paid | overpaid | partial | unpaid
+ */
+function classifyMaropostPaidStatus(grandTotal, paymentsSum, config = getStatusConfig()) {
+  const total = toCents(grandTotal);
+  const paid = toCents(paymentsSum);
+
+  if (total === 0) return 'free';
+  if (Math.abs(paid - total) <= config.toleranceCents) return 'paid';
+  if (paid > total) return 'overpaid';
+  if (paid > 0) return 'partial';
+  return 'unpaid';
+}
+
+/**
+ * @param {Object|null} invoice - Formatted Xero invoice, or null when not exported
+ * @param {Object} [config=getStatusConfig()]
+ * @returns {string} free | paid | unpaid | partial | overpaid | unknown | not_exported
+ */
+function classifyXeroPaidStatus(invoice, config = getStatusConfig()) {
+  if (!invoice) return 'not_exported';
+
+  const total = toCents(invoice.total);
+  const amountPaid = toCents(invoice.amountPaid);
+  const amountDue = toCents(invoice.amountDue);
+  const equal = (a, b) => Math.abs(a - b) <= config.toleranceCents;
+
+  if (total === 0 && amountPaid === 0 && amountDue === 0) return 'free';
+  if (equal(total, amountPaid) && equal(amountDue, 0)) return 'paid';
+  if (amountPaid === 0 && amountDue > 0) return 'unpaid';
+  if (!equal(total, amountPaid)) return amountDue > 0 ? 'partial' : 'overpaid';
+  return 'unknown';
+}
+
+/**
+ * Label and colours for a paid status.
+ * @param {string} status
+ * @param {Object} [options]
+ * @param {string} [options.source] - maropost | xero, for that source's colours
+ * @param {Object} [options.config=getStatusConfig()]
+ * @returns {{label: string, background: string, font: string}}
+ */
+function statusStyle(status, { source, config = getStatusConfig() } = {}) {
+  const style = config.statuses[status] && { ...config.statuses[status], ...config.sources[source]?.[status] };
+  if (!style) {
+    const label = String(status || 'unknown').replace(/_/g, ' ');
+    return { label: label.charAt(0).toUpperCase() + label.slice(1), ...FALLBACK_STYLE };
+  }
+  return { label: style.label, background: style.background, font: style.font };
+}
+
+/**
+ * Colours for an amount comparison.
+ * @param {boolean} matches
+ * @param {Object} [config=getStatusConfig()]
+ * @returns {{label: string, background: string, font: string}}
+ */
+function matchStyle(matches, config = getStatusConfig()) {
+  const { label, background, font } = config.indicators[matches ? 'match' : 'mismatch'];
+  return { label, background, font };
+}
+
+module.exports = {
+  DEFAULT_STATUS_CONFIG,
+  getStatusConfig,
+  toCents,
+  fromCents,
+  amountsMatch,
+  classifyMaropostPaidStatus,
+  classifyXeroPaidStatus,
+  statusStyle,
+  matchStyle
+};
@@ -0,0 +1,276 @@
+/**
+ * Batch Maropost vs Xero reconciliation over a DatePlaced range, persisted in Supabase.
+ * A run walks the Maropost orders page by page, looks up the Xero invoices with the same
+ * numbers, compares each pair (utils/orderReconciliation) and stores one row per discrepancy.
+ * Runs that hit their time budget keep the next page to fetch and are continued by a later call.
+ *
+ * Tables:
+ *   reconciliation_runs           (id uuid default gen_random_uuid(), tenant_id, date_from date, date_to date,
+ *                                  order_statuses text[], status, next_page int, orders_checked int,
+ *                                  discrepancy_count int, last_error, requested_by, started_at, updated_at,
+ *                                  completed_at)
+ *   reconciliation_discrepancies  (run_id, tenant_id, order_id, discrepancy_type, date_placed, xero_invoice_id,
+ *                                  maropost_total, maropost_outstanding, maropost_paid_status, xero_total,
+ *                                  xero_amount_due, xero_paid_status, difference, details jsonb, created_at)
+ *                                  unique (run_id, order_id, discrepancy_type)
+ */
+
+const { supabase } = require('./supabaseInit');
+const { getXeroSession, getXeroCollection } = require('./xeroSession');
+const { xeroString } = require('./xeroFilter');
+const { formatXeroInvoice } = require('./xeroInvoiceFormat');
+const { fetchOrdersPlacedBetween } = require('./maropostApi');
+const { compareOrderWithInvoice, selectOrderInvoice, DISCREPANCY_TYPES } = require('./orderReconciliation');
+
+const DEFAULT_ORDER_STATUSES = ['Dispatched'];
+// Invoice numbers per where clause
+const INVOICE_NUMBER_CHUNK_SIZE = 40;
+
+function requireSupabase() {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+  return supabase;
+}
+
+function chunkArray(array, chunkSize) {
+  const chunks = [];
+  for (let i = 0; i < array.length; i += chunkSize) {
+    chunks.push(array.slice(i, i + chunkSize));
+  }
+  return chunks;
+}
+
+/**
+ * Fetch sales invoices (with line items) for a set of order IDs.
+ * @param {Object} session - From getXeroSession
+ * @param {string[]} orderIds
+ * @returns {Promise<Object>} Invoice number -> formatted invoices
+ */
+async function fetchInvoicesForOrders(session, orderIds) {
+  const byNumber = {};
+  for (const chunk of chunkArray(orderIds, INVOICE_NUMBER_CHUNK_SIZE)) {
+    const numbers = chunk.map(orderId => `InvoiceNumber=${xeroString(orderId)}`).join(' OR ');
+    // Paged requests include line items
+    const { body } = await session.request('Invoices', {
+      query: { where: `Type="ACCREC" AND (${numbers})`, page: 1 }
+    });
+    getXeroCollection(body, 'Invoices').forEach(invoice => {
+      const formatted = formatXeroInvoice(invoice, { includeLineItems: true });
+      (byNumber[formatted.invoiceNumber] = byNumber[formatted.invoiceNumber] || []).push(formatted);
+    });
+  }
+  return byNumber;
+}
+
+const discrepancyRow = (run, result, discrepancy) => {
+  const { type, difference, ...details } = discrepancy;
+  return {
+    run_id: run.id,
+    tenant_id: run.tenant_id,
+    order_id: result.orderId,
+    discrepancy_type: type,
+    date_placed: result.datePlaced,
+    xero_invoice_id: result.xeroInvoiceId,
+    maropost_total: result.maropostGrandTotal,
+    maropost_outstanding: result.maropostOutstanding,
+    maropost_paid_status: result.maropostPaidStatus,
+    xero_total: result.xeroTotal,
+    xero_amount_due: result.xeroAmountDue,
+    xero_paid_status: result.xeroPaidStatus,
+    difference: difference ?? null,
+    details
+  };
+};
+
+async function updateRun(runId, changes) {
+  const { data, error } = await requireSupabase()
+    .from('reconciliation_runs')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', runId)
+    .select()
+    .single();
+  if (error) throw new Error(`Failed to update reconciliation run: ${error.message}`);
+  return data;
+}
+
+/**
+ * Create a run. Dates are Sydney calendar dates (YYYY-MM-DD) matched against DatePlaced.
+ * @param {Object} options
+ * @param {string} options.tenantId
+ * @param {string} options.dateFrom
+ * @param {string} options.dateTo
+ * @param {string[]} [options.orderStatuses=DEFAULT_ORDER_STATUSES]
+ * @param {string} [options.requestedBy]
+ * @returns {Promise<Object>} The run row
+ */
+async function startReconciliationRun({ tenantId, dateFrom, dateTo, orderStatuses = DEFAULT_ORDER_STATUSES, requestedBy }) {
+  const now = new Date().toISOString();
+  const { data, error } = await requireSupabase()
+    .from('reconciliation_runs')
+    .insert({
+      tenant_id: tenantId,
+      date_from: dateFrom,
+      date_to: dateTo,
+      order_statuses: orderStatuses,
+      status: 'running',
+      next_page: 0,
+      orders_checked: 0,
+      discrepancy_count: 0,
+      requested_by: requestedBy || null,
+      started_at: now,
+      updated_at: now
+    })
+    .select()
+    .single();
+  if (error) throw new Error(`Failed to create reconciliation run: ${error.message}`);
+  return data;
+}
+
+/**
+ * @param {string} runId
+ * @returns {Promise<Object|null>}
+ */
+async function getReconciliationRun(runId) {
+  const { data, error } = await requireSupabase()
+    .from('reconciliation_runs')
+    .select('*')
+    .eq('id', runId)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to load reconciliation run: ${error.message}`);
+  return data;
+}
+
+/**
+ * Process Maropost order pages for a run until it completes or the deadline passes.
+ * @param {Object} run - Run row
+ * @param {Object} options
+ * @param {number} options.deadline - Epoch ms after which no new page is started
+ * @returns {Promise<Object>} The updated run row
+ */
+async function continueReconciliationRun(run, { deadline }) {
+  if (run.status === 'completed') return run;
+
+  const session = await getXeroSession(run.tenant_id);
+  let current = run;
+
+  try {
+    while (Date.now() < deadline) {
+      const { orders, hasMore } = await fetchOrdersPlacedBetween({
+        dateFrom: current.date_from,
+        dateTo: current.date_to,
+        orderStatus: current.order_statuses,
+        page: current.next_page
+      });
+
+      const invoicesByNumber = orders.length > 0
+        ? await fetchInvoicesForOrders(session, orders.map(order => order.OrderID))
+        : {};
+      const rows = orders
+        .map(order => compareOrderWithInvoice(order, selectOrderInvoice(invoicesByNumber[order.OrderID])))
+        .flatMap(result => result.discrepancies.map(discrepancy => discrepancyRow(current, result, discrepancy)));
+
+      if (rows.length > 0) {
+        const { error } = await requireSupabase()
+          .from('reconciliation_discrepancies')
+          .upsert(rows.map(row => ({ ...row, created_at: new Date().toISOString() })), {
+            onConflict: 'run_id,order_id,discrepancy_type'
+          });
+        if (error) throw new Error(`Failed to save discrepancies: ${error.message}`);
+      }
+
+      current = await updateRun(current.id, {
+        next_page: current.next_page + 1,
+        orders_checked: current.orders_checked + orders.length,
+        discrepancy_count: current.discrepancy_count + rows.length,
+        last_error: null,
+        ...(hasMore ? {} : { status: 'completed', completed_at: new Date().toISOString() })
+      });
+      console.log(`Reconciliation run ${current.id}: page ${current.next_page - 1} checked ${orders.length} orders, ${rows.length} discrepancies`);
+
+      if (!hasMore) break;
+    }
+  } catch (error) {
+    // The run stays resumable from the page that failed
+    await updateRun(current.id, { last_error: error.message })
+      .catch(updateError => console.error('Failed to record reconciliation error:', updateError.message));
+    throw error;
+  }
+
+  return current;
+}
+
+/**
+ * Recent runs, newest first.
+ * @param {Object} [options]
+ * @param {string} [options.tenantId]
+ * @param {number} [options.limit=20]
+ * @returns {Promise<Object[]>}
+ */
+async function listReconciliationRuns({ tenantId, limit = 20 } = {}) {
+  let query = requireSupabase()
+    .from('reconciliation_runs')
+    .select('*')
+    .order('started_at', { ascending: false })
+    .limit(limit);
+  if (tenantId) query = query.eq('tenant_id', tenantId);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to load reconciliation runs: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Discrepancy counts per type for a run.
+ * @param {string} runId
+ * @returns {Promise<Object>} type -> count (every type present, zero when none)
+ */
+async function countDiscrepanciesByType(runId) {
+  const db = requireSupabase();
+  // Counted by the database per type: selecting the rows would stop at the API's 1000-row cap
+  const counts = await Promise.all(DISCREPANCY_TYPES.map(async type => {
+    const { count, error } = await db
+      .from('reconciliation_discrepancies')
+      .select('*', { count: 'exact', head: true })
+      .eq('run_id', runId)
+      .eq('discrepancy_type', type);
+    if (error) throw new Error(`Failed to count discrepancies: ${error.message}`);
+    return [type, count || 0];
+  }));
+  return Object.fromEntries(counts);
+}
+
+/**
+ * One page of a run's discrepancies.
+ * @param {string} runId
+ * @param {Object} [options]
+ * @param {string} [options.type] - Only this discrepancy type
+ * @param {number} [options.page=1]
+ * @param {number} [options.pageSize=100]
+ * @returns {Promise<Object[]>}
+ */
+async function listDiscrepancies(runId, { type, page = 1, pageSize = 100 } = {}) {
+  let query = requireSupabase()
+    .from('reconciliation_discrepancies')
+    .select('*')
+    .eq('run_id', runId)
+    .order('order_id', { ascending: true })
+    .order('discrepancy_type', { ascending: true })
+    .range((page - 1) * pageSize, page * pageSize - 1);
+  if (type) query = query.eq('discrepancy_type', type);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to load discrepancies: ${error.message}`);
+  return data || [];
+}
+
+module.exports = {
+  DEFAULT_ORDER_STATUSES,
+  fetchInvoicesForOrders,
+  startReconciliationRun,
+  getReconciliationRun,
+  continueReconciliationRun,
+  listReconciliationRuns,
+  countDiscrepanciesByType,
+  listDiscrepancies
+};
@@ -0,0 +1,155 @@
+/**
+ * Envelope encryption for OAuth tokens stored in Firestore.
+ * Each record gets a random data key (AES-256-GCM) that encrypts the tokens; the data key
+ * is itself encrypted ("wrapped") with a versioned key-encryption key from the environment.
+ * Rotating keys only re-wraps the data key, the token ciphertext stays the same.
+ *
+ * Env:
+ *   XERO_TOKEN_ENCRYPTION_KEYS        JSON map of version -> base64 32-byte key, e.g. {"1":"...","2":"..."}
+ *   XERO_TOKEN_ENCRYPTION_KEY_VERSION version used for new encryptions (defaults to the highest version)
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_FORMAT = 1;
+
+/**
+ * Load the key-encryption keys from the environment.
+ * @returns {{keys: Object<string, Buffer>, currentVersion: string|null}}
+ */
+function loadKeys() {
+  const raw = process.env.XERO_TOKEN_ENCRYPTION_KEYS;
+  if (!raw) return { keys: {}, currentVersion: null };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error('XERO_TOKEN_ENCRYPTION_KEYS must be a JSON object of version -> base64 key');
+  }
+
+  const keys = {};
+  Object.entries(parsed).forEach(([version, value]) => {
+    const key = Buffer.from(String(value), 'base64');
+    if (key.length !== 32) {
+      throw new Error(`Token encryption key version ${version} must be 32 bytes (base64 encoded)`);
+    }
+    keys[version] = key;
+  });
+
+  const versions = Object.keys(keys).sort((a, b) => Number(a) - Number(b));
+  const currentVersion = process.env.XERO_TOKEN_ENCRYPTION_KEY_VERSION || versions[versions.length - 1] || null;
+  if (currentVersion && !keys[currentVersion]) {
+    throw new Error(`XERO_TOKEN_ENCRYPTION_KEY_VERSION ${currentVersion} has no matching key`);
+  }
+
+  return { keys, currentVersion };
+}
+
+// Encrypt a buffer or string as "iv.tag.ciphertext" (base64url parts)
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+}
+
+function open(key, sealed) {
+  const [iv, tag, ciphertext] = String(sealed).split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * @returns {boolean} True when a key-encryption key is configured
+ */
+function isTokenEncryptionConfigured() {
+  return !!loadKeys().currentVersion;
+}
+
+/**
+ * @returns {string|null} Key version used for new encryptions
+ */
+function getCurrentKeyVersion() {
+  return loadKeys().currentVersion;
+}
+
+/**
+ * Encrypt a set of token values into one envelope.
+ * @param {Object<string, string>} tokens - e.g. { accessToken, refreshToken }
+ * @returns {Object} Envelope to store in Firestore
+ */
+function encryptTokens(tokens) {
+  const { keys, currentVersion } = loadKeys();
+  if (!currentVersion) {
+    throw new Error('Token encryption key is not configured (XERO_TOKEN_ENCRYPTION_KEYS)');
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  const values = {};
+  Object.entries(tokens).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) {
+      values[name] = seal(dataKey, String(value));
+    }
+  });
+
+  return {
+    format: ENVELOPE_FORMAT,
+    keyVersion: currentVersion,
+    wrappedKey: seal(keys[currentVersion], dataKey),
+    values
+  };
+}
+
+/**
+ * Decrypt an envelope created by encryptTokens.
+ * @param {Object} envelope
+ * @returns {Object<string, string>}
+ */
+function decryptTokens(envelope) {
+  const { keys } = loadKeys();
+  const key = keys[envelope?.keyVersion];
+  if (!key) {
+    throw new Error(`Token encryption key version ${envelope?.keyVersion} is not configured`);
+  }
+
+  const dataKey = open(key, envelope.wrappedKey);
+  const tokens = {};
+  Object.entries(envelope.values || {}).forEach(([name, sealed]) => {
+    tokens[name] = open(dataKey, sealed).toString('utf8');
+  });
+  return tokens;
+}
+
+/**
+ * Re-wrap an envelope's data key with the current key version.
+ * @param {Object} envelope
+ * @returns {Object} New envelope (same token ciphertext)
+ */
+function rewrapEnvelope(envelope) {
+  const { keys, currentVersion } = loadKeys();
+  const oldKey = keys[envelope?.keyVersion];
+  if (!oldKey) {
+    throw new Error(`Token encryption key version ${envelope?.keyVersion} is not configured`);
+  }
+  if (!currentVersion) {
+    throw new Error('Token encryption key is not configured (XERO_TOKEN_ENCRYPTION_KEYS)');
+  }
+
+  const dataKey = open(oldKey, envelope.wrappedKey);
+  return {
+    ...envelope,
+    keyVersion: currentVersion,
+    wrappedKey: seal(keys[currentVersion], dataKey)
+  };
+}
+
+module.exports = {
+  isTokenEncryptionConfigured,
+  getCurrentKeyVersion,
+  encryptTokens,
+  decryptTokens,
+  rewrapEnvelope
+};
@@ -0,0 +1,157 @@
+/**
+ * Idempotency store for Maropost webhook events.
+ *
+ * Maropost retries a webhook until it gets a response in time, so the same EventID can arrive
+ * more than once. Each EventID + OrderStatus is claimed once: a replay of an event that completed
+ * (or is still being processed) is answered from the store instead of being processed again.
+ * An event that failed, or whose processing stopped without finishing, can be claimed again.
+ *
+ * Table:
+ *   maropost_webhook_events  (id uuid default gen_random_uuid(), event_id text, order_status text, order_id,
+ *                             event_type, display_mode, document_id, status processing|completed|failed,
+ *                             attempts int, replay_count int, outcome jsonb, error, received_at,
+ *                             started_at, completed_at, last_seen_at)
+ *                            unique (event_id, order_status)
+ */
+
+const { supabase } = require('./supabaseInit');
+
+// Processing that hasn't finished after this long is assumed to have died with its function
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+const UNIQUE_VIOLATION = '23505';
+
+function requireSupabase() {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+  return supabase;
+}
+
+async function loadEvent(eventId, orderStatus) {
+  const { data, error } = await requireSupabase()
+    .from('maropost_webhook_events')
+    .select('*')
+    .eq('event_id', eventId)
+    .eq('order_status', orderStatus)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to load webhook event: ${error.message}`);
+  return data;
+}
+
+// Count the replay; losing the count isn't worth failing the response over
+async function recordReplay(row) {
+  const { error } = await requireSupabase()
+    .from('maropost_webhook_events')
+    .update({ replay_count: (row.replay_count || 0) + 1, last_seen_at: new Date().toISOString() })
+    .eq('id', row.id);
+  if (error) console.error('Failed to record webhook replay:', error.message);
+}
+
+/**
+ * Claim an event for processing.
+ * @param {Object} event
+ * @param {string|number} event.eventId - EventID
+ * @param {string} event.orderStatus - OrderStatus
+ * @param {string} [event.orderId]
+ * @param {string} [event.eventType]
+ * @param {string} [event.displayMode]
+ * @param {string} event.documentId - Document ID generated for this request
+ * @returns {Promise<{claimed: boolean, event: Object}>} claimed is false for a replay;
+ *   event is the stored row (for a replay, the original's)
+ */
+async function claimWebhookEvent({ eventId, orderStatus, orderId, eventType, displayMode, documentId }) {
+  const db = requireSupabase();
+  const now = new Date().toISOString();
+  const key = { event_id: String(eventId), order_status: String(orderStatus) };
+
+  const { data, error } = await db
+    .from('maropost_webhook_events')
+    .insert({
+      ...key,
+      order_id: orderId || null,
+      event_type: eventType || null,
+      display_mode: displayMode || null,
+      document_id: documentId,
+      status: 'processing',
+      attempts: 1,
+      replay_count: 0,
+      received_at: now,
+      started_at: now,
+      last_seen_at: now
+    })
+    .select()
+    .single();
+  if (!error) return { claimed: true, event: data };
+  if (error.code !== UNIQUE_VIOLATION) throw new Error(`Failed to record webhook event: ${error.message}`);
+
+  const existing = await loadEvent(key.event_id, key.order_status);
+  if (!existing) {
+    // Removed between the insert and the read
+    throw new Error(`Webhook event ${key.event_id} (${key.order_status}) could not be claimed`);
+  }
+
+  const stale = existing.status === 'processing'
+    && Date.now() - new Date(existing.started_at).getTime() > STALE_PROCESSING_MS;
+  if (existing.status !== 'failed' && !stale) {
+    await recordReplay(existing);
+    return { claimed: false, event: existing };
+  }
+
+  // Retry a failed (or abandoned) event; the status/attempts guard lets only one retry win
+  const { data: retried, error: retryError } = await db
+    .from('maropost_webhook_events')
+    .update({
+      status: 'processing',
+      attempts: (existing.attempts || 0) + 1,
+      document_id: documentId,
+      display_mode: displayMode || existing.display_mode,
+      error: null,
+      started_at: now,
+      last_seen_at: now
+    })
+    .eq('id', existing.id)
+    .eq('status', existing.status)
+    .eq('attempts', existing.attempts)
+    .select()
+    .maybeSingle();
+  if (retryError) throw new Error(`Failed to claim webhook event: ${retryError.message}`);
+  if (!retried) {
+    await recordReplay(existing);
+    return { claimed: false, event: await loadEvent(key.event_id, key.order_status) || existing };
+  }
+  return { claimed: true, event: retried };
+}
+
+/**
+ * Record how a claimed event was processed.
+ * @param {string} id - Stored event id
+ * @param {Object} outcome - Summary of what was produced (stored as JSON)
+ * @returns {Promise<void>}
+ */
+async function completeWebhookEvent(id, outcome) {
+  const { error } = await requireSupabase()
+    .from('maropost_webhook_events')
+    .update({ status: 'completed', outcome, error: null, completed_at: new Date().toISOString() })
+    .eq('id', id);
+  if (error) throw new Error(`Failed to complete webhook event: ${error.message}`);
+}
+
+/**
+ * Record that processing a claimed event failed, so a retry can claim it again.
+ * @param {string} id
+ * @param {string} message
+ * @returns {Promise<void>}
+ */
+async function failWebhookEvent(id, message) {
+  const { error } = await requireSupabase()
+    .from('maropost_webhook_events')
+    .update({ status: 'failed', error: message, completed_at: new Date().toISOString() })
+    .eq('id', id);
+  if (error) throw new Error(`Failed to mark webhook event as failed: ${error.message}`);
+}
+
+module.exports = {
+  claimWebhookEvent,
+  completeWebhookEvent,
+  failWebhookEvent
+};
@@ -0,0 +1,94 @@
+/**
+ * Checks that a webhook request really comes from Maropost (or the flow relaying it).
+ * Either method is enough:
+ *   - HMAC: X-Webhook-Signature (or ?signature=) is the HMAC-SHA256 of the raw body with the shared
+ *     secret, hex or base64, optionally prefixed "sha256="
+ *   - Token: X-Webhook-Token (or ?token=) is one of the allow-listed tokens, for senders that can't sign
+ *
+ * Env:
+ *   MAROPOST_WEBHOOK_SECRET  shared HMAC secret
+ *   MAROPOST_WEBHOOK_TOKENS  JSON array (or comma-separated list) of accepted tokens
+ *   MAROPOST_WEBHOOK_VERIFY  "false" turns verification off (e.g. local runs); requests are then only
+ *                            checked against the endpoint's API key
+ *
+ * With neither a secret nor tokens set (and verification not turned off), every request is rejected.
+ */
+
+const crypto = require('crypto');
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest();
+
+// Headers arrive lower-cased from Netlify, but be lenient for local tooling
+const getHeader = (event, name) => {
+  const headers = event.headers || {};
+  const match = Object.keys(headers).find(key => key.toLowerCase() === name);
+  return match ? headers[match] : undefined;
+};
+
+function loadTokens() {
+  const value = process.env.MAROPOST_WEBHOOK_TOKENS;
+  if (!value) return [];
+  try {
+    const tokens = JSON.parse(value);
+    return (Array.isArray(tokens) ? tokens : [tokens]).map(token => String(token).trim()).filter(Boolean);
+  } catch (error) {
+    return value.split(',').map(token => token.trim()).filter(Boolean);
+  }
+}
+
+const rawBody = (event) => Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'utf8');
+
+// Signatures may be hex or base64; compare the decoded bytes in constant time
+function signatureMatches(signature, expected) {
+  const value = String(signature).trim().replace(/^sha256=/i, '');
+  const candidates = [];
+  if (/^[0-9a-f]+$/i.test(value) && value.length % 2 === 0) candidates.push(Buffer.from(value, 'hex'));
+  candidates.push(Buffer.from(value, 'base64'));
+  return candidates.some(candidate => candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected));
+}
+
+/**
+ * @param {Object} event - Netlify function event
+ * @returns {{verified: boolean, method?: string, reason?: string}}
+ *   method is hmac | token | disabled; reason is why verification failed
+ */
+function verifyWebhook(event) {
+  if (String(process.env.MAROPOST_WEBHOOK_VERIFY || '').trim().toLowerCase() === 'false') {
+    console.warn('MAROPOST_WEBHOOK_VERIFY is false; webhook origin is not verified');
+    return { verified: true, method: 'disabled' };
+  }
+
+  const secret = process.env.MAROPOST_WEBHOOK_SECRET;
+  const tokens = loadTokens();
+
+  if (!secret && tokens.length === 0) {
+    console.error('MAROPOST_WEBHOOK_SECRET and MAROPOST_WEBHOOK_TOKENS are not set; rejecting webhook');
+    return { verified: false, reason: 'Webhook verification is not configured' };
+  }
+
+  const signature = getHeader(event, 'x-webhook-signature') || event.queryStringParameters?.signature;
+  if (secret && signature) {
+    const expected = crypto.createHmac('sha256', secret).update(rawBody(event)).digest();
+    return signatureMatches(signature, expected)
+      ? { verified: true, method: 'hmac' }
+      : { verified: false, reason: 'Signature does not match the request body' };
+  }
+
+  const token = getHeader(event, 'x-webhook-token') || event.queryStringParameters?.token;
+  if (tokens.length > 0 && token) {
+    // Compare digests so the check takes the same time whatever the token
+    const presented = hash(String(token));
+    return tokens.some(candidate => crypto.timingSafeEqual(hash(candidate), presented))
+      ? { verified: true, method: 'token' }
+      : { verified: false, reason: 'Token is not allow-listed' };
+  }
+
+  return {
+    verified: false,
+    reason: [secret && 'X-Webhook-Signature', tokens.length > 0 && 'X-Webhook-Token'].filter(Boolean).join(' or ') + ' is required'
+  };
+}
+
+module.exports = {
+  verifyWebhook
+};
@@ -0,0 +1,124 @@
+/**
+ * Xero contact lookup and creation for Maropost customers.
+ * Customers are looked up by ContactNumber (the Maropost Username), then email address, then name.
+ */
+
+const { getXeroCollection } = require('./xeroSession');
+const { xeroString } = require('./xeroFilter');
+
+// Xero pages contacts 100 at a time
+const CONTACTS_PAGE_SIZE = 100;
+
+const formatAddress = (address) => ({
+  addressType: address.AddressType || address.addresstype || null,
+  addressLine1: address.AddressLine1 || address.addressline1 || null,
+  addressLine2: address.AddressLine2 || address.addressline2 || null,
+  city: address.City || address.city || null,
+  region: address.Region || address.region || null,
+  postalCode: address.PostalCode || address.postalcode || null,
+  country: address.Country || address.country || null
+});
+
+/**
+ * @param {Object} contact - Contact from a Xero response (JSON or XML)
+ * @returns {Object}
+ */
+function formatXeroContact(contact) {
+  return {
+    contactID: contact.ContactID || contact.contactid || null,
+    contactNumber: contact.ContactNumber || contact.contactnumber || null,
+    name: contact.Name || contact.name || null,
+    firstName: contact.FirstName || contact.firstname || null,
+    lastName: contact.LastName || contact.lastname || null,
+    emailAddress: contact.EmailAddress || contact.emailaddress || null,
+    taxNumber: contact.TaxNumber || contact.taxnumber || null,
+    contactStatus: contact.ContactStatus || contact.contactstatus || null,
+    isCustomer: String(contact.IsCustomer ?? contact.iscustomer ?? '') === 'true',
+    // Xero always returns both address types; keep the ones with something in them
+    addresses: getXeroCollection(contact, 'Addresses', 'Address')
+      .map(formatAddress)
+      .filter(address => address.addressLine1 || address.city || address.postalCode)
+  };
+}
+
+async function findContactsWhere(session, where) {
+  const { body } = await session.request('Contacts', { query: { where } });
+  return getXeroCollection(body, 'Contacts').map(formatXeroContact);
+}
+
+/**
+ * Find an existing contact for a customer.
+ * @param {Object} session - From getXeroSession
+ * @param {Object} customer
+ * @param {string} [customer.contactNumber] - Maropost Username
+ * @param {string} [customer.email]
+ * @param {string} [customer.name]
+ * @returns {Promise<{contact: Object, matchedOn: string}|null>}
+ */
+async function findContact(session, { contactNumber, email, name }) {
+  const lookups = [
+    ['contactNumber', contactNumber, value => `ContactNumber==${xeroString(value)}`],
+    // Neither EmailAddress nor Name is unique in Xero, so only a single match counts
+    ['email', email, value => `EmailAddress!=null AND EmailAddress.ToLower()==${xeroString(value.toLowerCase())}`],
+    // Archived contacts keep their names, so they'd shadow the active one
+    ['name', name, value => `ContactStatus=="ACTIVE" AND Name.ToLower()==${xeroString(value.toLowerCase())}`]
+  ];
+
+  for (const [matchedOn, value, where] of lookups) {
+    if (!value || !String(value).trim()) continue;
+    const contacts = await findContactsWhere(session, where(String(value).trim()));
+    if (contacts.length === 1) {
+      return { contact: contacts[0], matchedOn };
+    }
+  }
+  return null;
+}
+
+/**
+ * One page (100 contacts) of active contacts.
+ * @param {Object} session - From getXeroSession
+ * @param {Object} [options]
+ * @param {number} [options.page=1]
+ * @param {string} [options.searchTerm] - Xero's search across name, email and contact number
+ * @returns {Promise<{contacts: Object[], hasMore: boolean}>}
+ */
+async function fetchContactsPage(session, { page = 1, searchTerm } = {}) {
+  const { body } = await session.request('Contacts', {
+    query: {
+      where: 'ContactStatus=="ACTIVE"',
+      order: 'Name ASC',
+      page,
+      ...(searchTerm ? { searchTerm } : {})
+    }
+  });
+  const contacts = getXeroCollection(body, 'Contacts').map(formatXeroContact);
+  return { contacts, hasMore: contacts.length === CONTACTS_PAGE_SIZE };
+}
+
+/**
+ * Create a contact.
+ * @param {Object} session - From getXeroSession
+ * @param {Object} contact - Xero Contact fields (Name, ContactNumber, EmailAddress, ...)
+ * @param {Object} [options]
+ * @param {string} [options.idempotencyKey] - Lets Xero drop a repeated create
+ * @returns {Promise<Object>} The formatted new contact
+ */
+async function createContact(session, contact, { idempotencyKey } = {}) {
+  const { body } = await session.request('Contacts', {
+    method: 'PUT',
+    body: { Contacts: [contact] },
+    headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
+  });
+  const [created] = getXeroCollection(body, 'Contacts');
+  if (!created) {
+    throw new Error('Xero did not return the created contact');
+  }
+  return formatXeroContact(created);
+}
+
+module.exports = {
+  formatXeroContact,
+  fetchContactsPage,
+  findContact,
+  createContact
+};
@@ -0,0 +1,337 @@
+/**
+ * Builds Xero "where" clauses from a filter object.
+ * String values are escaped, dates are read as Australia/Sydney calendar dates (never via
+ * local-time Date parsing), and invalid input throws an error naming the offending field
+ * (error.field) so handlers can answer 400.
+ *
+ * Invoices, credit notes and payments each have their own set of filter keys (FIELD_BUILDERS).
+ *
+ * Filter object: every key is ANDed. Groups nest with "any" (OR) and "all" (AND), e.g.
+ *   { status: ['AUTHORISED'], any: [{ reference: 'PO-1' }, { contact_name_contains: "O'Brien" }] }
+ */
+
+const TIMEZONE = 'Australia/Sydney';
+const MAX_GROUP_DEPTH = 4;
+
+const INVOICE_STATUSES = ['DRAFT', 'SUBMITTED', 'AUTHORISED', 'PAID', 'VOIDED', 'DELETED'];
+const INVOICE_TYPES = ['ACCREC', 'ACCPAY'];
+const CREDIT_NOTE_STATUSES = INVOICE_STATUSES;
+const CREDIT_NOTE_TYPES = ['ACCRECCREDIT', 'ACCPAYCREDIT'];
+const PAYMENT_STATUSES = ['AUTHORISED', 'DELETED'];
+const PAYMENT_TYPES = [
+  'ACCRECPAYMENT', 'ACCPAYPAYMENT', 'ARCREDITPAYMENT', 'APCREDITPAYMENT',
+  'AROVERPAYMENTPAYMENT', 'ARPREPAYMENTPAYMENT', 'APPREPAYMENTPAYMENT', 'APOVERPAYMENTPAYMENT'
+];
+
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function filterError(field, message) {
+  const error = new Error(`Invalid filter "${field}": ${message}`);
+  error.field = field;
+  return error;
+}
+
+/**
+ * Quote a value as a Xero filter string literal.
+ * @param {*} value
+ * @returns {string}
+ */
+function xeroString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Validate a GUID and return it as a Guid("...") literal.
+ * @param {*} value
+ * @param {string} field - Field name for the error
+ * @returns {string}
+ */
+function xeroGuid(value, field) {
+  const guid = String(value).trim();
+  if (!GUID_PATTERN.test(guid)) {
+    throw filterError(field, `"${value}" is not a valid ID`);
+  }
+  return `Guid("${guid}")`;
+}
+
+// Accept a single value, an array, or (unless free text) a comma-separated string
+function toList(value, field, { splitCommas = true } = {}) {
+  const list = Array.isArray(value) ? value : (splitCommas ? String(value).split(',') : [value]);
+  const cleaned = list.map(item => String(item).trim()).filter(item => item.length > 0);
+  if (cleaned.length === 0) {
+    throw filterError(field, 'must not be empty');
+  }
+  return cleaned;
+}
+
+/**
+ * Validate invoice statuses.
+ * @param {string|string[]} value
+ * @param {string} [field='status']
+ * @returns {string[]} Upper-cased statuses
+ */
+function normaliseStatuses(value, field = 'status') {
+  return toList(value, field).map(status => {
+    const upper = status.toUpperCase();
+    if (!INVOICE_STATUSES.includes(upper)) {
+      throw filterError(field, `"${status}" is not one of ${INVOICE_STATUSES.join(', ')}`);
+    }
+    return upper;
+  });
+}
+
+// Offset of Australia/Sydney from UTC (in minutes) at the given instant
+function sydneyOffsetMinutes(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: parseInt(part.value, 10) }), {});
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - date.getTime()) / 60000);
+}
+
+/**
+ * Read a filter value as a Sydney calendar date.
+ * "YYYY-MM-DD" is taken as-is; a timestamp with a time zone is converted to the Sydney date.
+ * @param {*} value
+ * @param {string} field
+ * @returns {{year: number, month: number, day: number}}
+ */
+function parseSydneyDate(value, field) {
+  const text = String(value).trim();
+  const dateOnly = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+
+  if (dateOnly) {
+    const [year, month, day] = dateOnly.slice(1).map(part => parseInt(part, 10));
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+      throw filterError(field, `"${value}" is not a valid date`);
+    }
+    return { year, month, day };
+  }
+
+  // Only accept timestamps that say which zone they are in
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    throw filterError(field, `"${value}" must be YYYY-MM-DD or an ISO timestamp with a time zone`);
+  }
+  const instant = new Date(text);
+  if (isNaN(instant.getTime())) {
+    throw filterError(field, `"${value}" is not a valid date`);
+  }
+  const sydney = new Date(instant.getTime() + sydneyOffsetMinutes(instant) * 60000);
+  return { year: sydney.getUTCFullYear(), month: sydney.getUTCMonth() + 1, day: sydney.getUTCDate() };
+}
+
+/**
+ * Read a filter value as a UTC instant. Date-only values mean midnight in Sydney.
+ * @param {*} value
+ * @param {string} field
+ * @returns {Date}
+ */
+function parseUtcInstant(value, field) {
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const { year, month, day } = parseSydneyDate(text, field);
+    const guess = new Date(Date.UTC(year, month - 1, day));
+    // Sydney's offset at local midnight (checked twice in case midnight is near a DST switch)
+    const firstPass = new Date(guess.getTime() - sydneyOffsetMinutes(guess) * 60000);
+    return new Date(guess.getTime() - sydneyOffsetMinutes(firstPass) * 60000);
+  }
+
+  parseSydneyDate(text, field); // validates the format
+  return new Date(text);
+}
+
+const xeroDate = ({ year, month, day }) => `DateTime(${year}, ${month}, ${day})`;
+
+const xeroDateTime = (date) =>
+  `DateTime(${date.getUTCFullYear()}, ${date.getUTCMonth() + 1}, ${date.getUTCDate()}, ${date.getUTCHours()}, ${date.getUTCMinutes()}, ${date.getUTCSeconds()})`;
+
+function parseAmount(value, field) {
+  const amount = typeof value === 'number' ? value : Number(String(value).trim());
+  if (value === '' || value === null || !Number.isFinite(amount)) {
+    throw filterError(field, `"${value}" is not a number`);
+  }
+  return amount;
+}
+
+function parseText(value, field) {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw filterError(field, 'must be a string');
+  }
+  const text = String(value);
+  if (text.length === 0) {
+    throw filterError(field, 'must not be empty');
+  }
+  return text;
+}
+
+// OR together one condition per value
+const anyOf = (values, toCondition) => {
+  const conditions = values.map(toCondition);
+  return conditions.length === 1 ? conditions[0] : `(${conditions.join(' OR ')})`;
+};
+
+// Builders shared by several record types
+const enumField = (property, allowed) => (value, field) => anyOf(toList(value, field), item => {
+  const upper = item.toUpperCase();
+  if (!allowed.includes(upper)) {
+    throw filterError(field, `"${item}" is not one of ${allowed.join(', ')}`);
+  }
+  return `${property}=${xeroString(upper)}`;
+});
+const textField = (property) => (value, field) =>
+  anyOf(toList(value, field, { splitCommas: false }), text => `${property}=${xeroString(text)}`);
+const containsField = (property) => (value, field) => `${property}.Contains(${xeroString(parseText(value, field))})`;
+const guidField = (property) => (value, field) => anyOf(toList(value, field), id => `${property}=${xeroGuid(id, field)}`);
+const dateField = (property, operator) => (value, field) => `${property} ${operator} ${xeroDate(parseSydneyDate(value, field))}`;
+const amountField = (property, operator) => (value, field) => `${property} ${operator} ${parseAmount(value, field)}`;
+
+const currencyCode = (value, field) => anyOf(toList(value, field), code => {
+  if (!/^[A-Za-z]{3}$/.test(code)) {
+    throw filterError(field, `"${code}" is not a 3-letter currency code`);
+  }
+  return `CurrencyCode=${xeroString(code.toUpperCase())}`;
+});
+
+const updatedFields = {
+  updated_since: (value, field) => `UpdatedDateUTC >= ${xeroDateTime(parseUtcInstant(value, field))}`,
+  updated_before: (value, field) => `UpdatedDateUTC < ${xeroDateTime(parseUtcInstant(value, field))}`
+};
+
+// Field name -> (value, field) => condition, per record type
+const FIELD_BUILDERS = {
+  invoices: {
+    status: (value, field) => anyOf(normaliseStatuses(value, field), status => `Status=${xeroString(status)}`),
+    type: enumField('Type', INVOICE_TYPES),
+    invoice_number: textField('InvoiceNumber'),
+    invoice_number_contains: containsField('InvoiceNumber'),
+    reference: textField('Reference'),
+    reference_contains: containsField('Reference'),
+    contact_id: guidField('Contact.ContactID'),
+    contact_name_contains: containsField('Contact.Name'),
+    currency_code: currencyCode,
+    date_from: dateField('Date', '>='),
+    date_to: dateField('Date', '<='),
+    due_date_from: dateField('DueDate', '>='),
+    due_date_to: dateField('DueDate', '<='),
+    ...updatedFields,
+    total_greater_than: amountField('Total', '>='),
+    total_less_than: amountField('Total', '<='),
+    amount_due_greater_than: amountField('AmountDue', '>=')
+  },
+  credit_notes: {
+    status: enumField('Status', CREDIT_NOTE_STATUSES),
+    type: enumField('Type', CREDIT_NOTE_TYPES),
+    credit_note_number: textField('CreditNoteNumber'),
+    credit_note_number_contains: containsField('CreditNoteNumber'),
+    reference: textField('Reference'),
+    reference_contains: containsField('Reference'),
+    contact_id: guidField('Contact.ContactID'),
+    contact_name_contains: containsField('Contact.Name'),
+    currency_code: currencyCode,
+    date_from: dateField('Date', '>='),
+    date_to: dateField('Date', '<='),
+    ...updatedFields,
+    total_greater_than: amountField('Total', '>='),
+    total_less_than: amountField('Total', '<='),
+    remaining_credit_greater_than: amountField('RemainingCredit', '>=')
+  },
+  payments: {
+    status: enumField('Status', PAYMENT_STATUSES),
+    payment_type: enumField('PaymentType', PAYMENT_TYPES),
+    invoice_id: guidField('Invoice.InvoiceID'),
+    invoice_number: textField('Invoice.InvoiceNumber'),
+    credit_note_id: guidField('CreditNote.CreditNoteID'),
+    account_id: guidField('Account.AccountID'),
+    reference: textField('Reference'),
+    reference_contains: containsField('Reference'),
+    is_reconciled: (value, field) => {
+      if (value !== true && value !== false && value !== 'true' && value !== 'false') {
+        throw filterError(field, 'must be true or false');
+      }
+      return `IsReconciled=${String(value)}`;
+    },
+    date_from: dateField('Date', '>='),
+    date_to: dateField('Date', '<='),
+    ...updatedFields,
+    amount_greater_than: amountField('Amount', '>='),
+    amount_less_than: amountField('Amount', '<=')
+  }
+};
+
+// Conditions for one filter object (to be ANDed)
+function buildConditions(filters, path, depth, options) {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw filterError(path || 'filters', 'must be an object');
+  }
+  if (depth > MAX_GROUP_DEPTH) {
+    throw filterError(path, `groups can be nested at most ${MAX_GROUP_DEPTH} deep`);
+  }
+
+  const conditions = [];
+  Object.entries(filters).forEach(([key, value]) => {
+    const field = path ? `${path}.${key}` : key;
+    if (value === undefined || value === null) return;
+    if ((options.skip || []).includes(key) && depth === 0) return;
+
+    if (key === 'any' || key === 'all') {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw filterError(field, 'must be a non-empty array of filter objects');
+      }
+      const parts = value
+        .map((group, index) => buildGroup(group, `${field}[${index}]`, depth + 1, options))
+        .filter(Boolean);
+      if (parts.length > 0) {
+        conditions.push(parts.length === 1 ? parts[0] : `(${parts.join(key === 'any' ? ' OR ' : ' AND ')})`);
+      }
+      return;
+    }
+
+    const builders = FIELD_BUILDERS[options.entity || 'invoices'];
+    const builder = builders[key];
+    if (!builder) {
+      throw filterError(field, `unknown filter; supported filters: ${Object.keys(builders).join(', ')}, any, all`);
+    }
+    conditions.push(builder(value, field));
+  });
+
+  return conditions;
+}
+
+function buildGroup(filters, path, depth, options) {
+  const conditions = buildConditions(filters, path, depth, options);
+  if (conditions.length === 0) return null;
+  return conditions.length === 1 ? conditions[0] : `(${conditions.join(' AND ')})`;
+}
+
+/**
+ * Build a Xero where clause from a filter object.
+ * @param {Object} filters
+ * @param {Object} [options]
+ * @param {string[]} [options.skip] - Top-level keys handled elsewhere (e.g. status sent as Statuses)
+ * @param {string} [options.entity='invoices'] - Record type the filters apply to (a key of FIELD_BUILDERS)
+ * @returns {string|null} The clause, or null when there is nothing to filter on
+ * @throws {Error} With error.field set when a filter is invalid
+ */
+function buildXeroWhere(filters, options = {}) {
+  if (!filters) return null;
+  if (options.entity && !FIELD_BUILDERS[options.entity]) {
+    throw new Error(`Unknown filter entity: ${options.entity}`);
+  }
+  const conditions = buildConditions(filters, '', 0, options);
+  return conditions.length > 0 ? conditions.join(' AND ') : null;
+}
+
+module.exports = {
+  buildXeroWhere,
+  normaliseStatuses,
+  xeroString,
+  xeroGuid,
+  parseSydneyDate,
+  INVOICE_STATUSES,
+  CREDIT_NOTE_STATUSES,
+  PAYMENT_STATUSES
+};
@@ -0,0 +1,301 @@
+/**
+ * Formatting helpers for Xero invoices, credit notes and payments: a consistent shape for
+ * JSON and XML responses, line-item flattening and CSV / NDJSON output for exports.
+ */
+
+const { getXeroCollection } = require('./xeroSession');
+
+/**
+ * Convert a Xero date ("/Date(1672531200000+0000)/" in JSON, ISO string in XML) to YYYY-MM-DD.
+ * @param {string} value
+ * @returns {string|null}
+ */
+function parseXeroDate(value) {
+  if (!value) return null;
+  const msDate = String(value).match(/\/Date\((-?\d+)([+-]\d{4})?\)\//);
+  const date = msDate ? new Date(parseInt(msDate[1], 10)) : new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Convert a Xero timestamp (e.g. UpdatedDateUTC) to an ISO string.
+ * @param {string} value
+ * @returns {string|null}
+ */
+function parseXeroTimestamp(value) {
+  if (!value) return null;
+  const msDate = String(value).match(/\/Date\((-?\d+)([+-]\d{4})?\)\//);
+  // XML timestamps have no zone but UpdatedDateUTC is always UTC
+  const text = msDate ? null : (/([zZ]|[+-]\d{2}:?\d{2})$/.test(value) ? value : `${value}Z`);
+  const date = msDate ? new Date(parseInt(msDate[1], 10)) : new Date(text);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+const toNumber = (value) => parseFloat(value || 0);
+
+/**
+ * Format one line item (handles both JSON and XML structures)
+ * @param {Object} line
+ * @returns {Object}
+ */
+function formatXeroLineItem(line) {
+  return {
+    lineItemID: line.LineItemID || line.lineitemid || null,
+    itemCode: line.ItemCode || line.itemcode || null,
+    description: line.Description || line.description || null,
+    quantity: toNumber(line.Quantity || line.quantity),
+    unitAmount: toNumber(line.UnitAmount || line.unitamount),
+    discountRate: toNumber(line.DiscountRate || line.discountrate),
+    discountAmount: toNumber(line.DiscountAmount || line.discountamount),
+    lineAmount: toNumber(line.LineAmount || line.lineamount),
+    accountCode: line.AccountCode || line.accountcode || null,
+    taxType: line.TaxType || line.taxtype || null,
+    taxAmount: toNumber(line.TaxAmount || line.taxamount)
+  };
+}
+
+const formatContact = (record) => ({
+  contactID: record.Contact?.ContactID || record.contact?.contactid,
+  name: record.Contact?.Name || record.contact?.name
+});
+
+/**
+ * Payments, credit notes, prepayments and overpayments applied to an invoice.
+ * Xero includes these summaries on invoices fetched by ID or by page.
+ * @param {Object} invoice - Invoice from a Xero response
+ * @returns {Object}
+ */
+function formatInvoiceAllocations(invoice) {
+  const payments = getXeroCollection(invoice, 'Payments', 'Payment').map(payment => ({
+    paymentID: payment.PaymentID || payment.paymentid,
+    date: payment.Date || payment.date || null,
+    amount: toNumber(payment.Amount || payment.amount),
+    reference: payment.Reference || payment.reference || null
+  }));
+  const creditNotes = getXeroCollection(invoice, 'CreditNotes', 'CreditNote').map(creditNote => ({
+    creditNoteID: creditNote.CreditNoteID || creditNote.creditnoteid,
+    creditNoteNumber: creditNote.CreditNoteNumber || creditNote.creditnotenumber || null,
+    date: creditNote.Date || creditNote.date || null,
+    amount: toNumber(creditNote.AppliedAmount || creditNote.appliedamount)
+  }));
+  const prepayments = getXeroCollection(invoice, 'Prepayments', 'Prepayment').map(prepayment => ({
+    prepaymentID: prepayment.PrepaymentID || prepayment.prepaymentid,
+    date: prepayment.Date || prepayment.date || null,
+    amount: toNumber(prepayment.AppliedAmount || prepayment.appliedamount)
+  }));
+  const overpayments = getXeroCollection(invoice, 'Overpayments', 'Overpayment').map(overpayment => ({
+    overpaymentID: overpayment.OverpaymentID || overpayment.overpaymentid,
+    date: overpayment.Date || overpayment.date || null,
+    amount: toNumber(overpayment.AppliedAmount || overpayment.appliedamount)
+  }));
+
+  const sum = (records) => records.reduce((total, record) => total + record.amount, 0);
+  return {
+    payments,
+    creditNotes,
+    prepayments,
+    overpayments,
+    totals: {
+      payments: sum(payments),
+      creditNotes: sum(creditNotes),
+      prepayments: sum(prepayments),
+      overpayments: sum(overpayments),
+      allocated: sum(payments) + sum(creditNotes) + sum(prepayments) + sum(overpayments)
+    }
+  };
+}
+
+/**
+ * Format an invoice (handles both JSON and XML structures)
+ * @param {Object} invoice - Invoice from a Xero response
+ * @param {Object} [options]
+ * @param {boolean} [options.includeLineItems=false]
+ * @param {boolean} [options.includeAllocations=false] - Add the payments and credits applied to it
+ * @returns {Object}
+ */
+function formatXeroInvoice(invoice, { includeLineItems = false, includeAllocations = false } = {}) {
+  const formatted = {
+    invoiceID: invoice.InvoiceID || invoice.invoiceid,
+    invoiceNumber: invoice.InvoiceNumber || invoice.invoicenumber,
+    type: invoice.Type || invoice.type,
+    status: invoice.Status || invoice.status,
+    date: invoice.Date || invoice.date,
+    dueDate: invoice.DueDate || invoice.duedate,
+    subTotal: toNumber(invoice.SubTotal || invoice.subtotal),
+    totalTax: toNumber(invoice.TotalTax || invoice.totaltax),
+    total: toNumber(invoice.Total || invoice.total),
+    amountDue: toNumber(invoice.AmountDue || invoice.amountdue),
+    amountPaid: toNumber(invoice.AmountPaid || invoice.amountpaid),
+    contact: formatContact(invoice),
+    currencyCode: invoice.CurrencyCode || invoice.currencycode,
+    reference: invoice.Reference || invoice.reference
+  };
+
+  if (includeLineItems) {
+    formatted.lineAmountTypes = invoice.LineAmountTypes || invoice.lineamounttypes || null;
+    formatted.lineItems = getXeroCollection(invoice, 'LineItems', 'LineItem').map(formatXeroLineItem);
+  }
+  if (includeAllocations) {
+    formatted.amountCredited = toNumber(invoice.AmountCredited || invoice.amountcredited);
+    formatted.allocations = formatInvoiceAllocations(invoice);
+  }
+
+  return formatted;
+}
+
+/**
+ * Format a credit note (handles both JSON and XML structures)
+ * @param {Object} creditNote - Credit note from a Xero response
+ * @param {Object} [options]
+ * @param {boolean} [options.includeLineItems=false]
+ * @returns {Object}
+ */
+function formatXeroCreditNote(creditNote, { includeLineItems = false } = {}) {
+  const formatted = {
+    creditNoteID: creditNote.CreditNoteID || creditNote.creditnoteid,
+    creditNoteNumber: creditNote.CreditNoteNumber || creditNote.creditnotenumber,
+    type: creditNote.Type || creditNote.type,
+    status: creditNote.Status || creditNote.status,
+    date: creditNote.Date || creditNote.date,
+    subTotal: toNumber(creditNote.SubTotal || creditNote.subtotal),
+    totalTax: toNumber(creditNote.TotalTax || creditNote.totaltax),
+    total: toNumber(creditNote.Total || creditNote.total),
+    remainingCredit: toNumber(creditNote.RemainingCredit || creditNote.remainingcredit),
+    contact: formatContact(creditNote),
+    currencyCode: creditNote.CurrencyCode || creditNote.currencycode,
+    reference: creditNote.Reference || creditNote.reference,
+    // Invoices this credit note has been applied to
+    allocations: getXeroCollection(creditNote, 'Allocations', 'Allocation').map(allocation => ({
+      invoiceID: allocation.Invoice?.InvoiceID || allocation.invoice?.invoiceid,
+      invoiceNumber: allocation.Invoice?.InvoiceNumber || allocation.invoice?.invoicenumber || null,
+      date: allocation.Date || allocation.date || null,
+      amount: toNumber(allocation.Amount || allocation.amount)
+    }))
+  };
+
+  if (includeLineItems) {
+    formatted.lineItems = getXeroCollection(creditNote, 'LineItems', 'LineItem').map(formatXeroLineItem);
+  }
+
+  return formatted;
+}
+
+/**
+ * Format a payment (handles both JSON and XML structures)
+ * @param {Object} payment - Payment from a Xero response
+ * @returns {Object}
+ */
+function formatXeroPayment(payment) {
+  const invoice = payment.Invoice || payment.invoice;
+  const creditNote = payment.CreditNote || payment.creditnote;
+  const account = payment.Account || payment.account;
+  const isReconciled = payment.IsReconciled ?? payment.isreconciled;
+
+  return {
+    paymentID: payment.PaymentID || payment.paymentid,
+    paymentType: payment.PaymentType || payment.paymenttype,
+    status: payment.Status || payment.status,
+    date: payment.Date || payment.date,
+    amount: toNumber(payment.Amount || payment.amount),
+    currencyRate: toNumber(payment.CurrencyRate || payment.currencyrate || 1),
+    reference: payment.Reference || payment.reference || null,
+    isReconciled: isReconciled === true || isReconciled === 'true',
+    invoice: invoice ? {
+      invoiceID: invoice.InvoiceID || invoice.invoiceid,
+      invoiceNumber: invoice.InvoiceNumber || invoice.invoicenumber || null,
+      contact: formatContact(invoice)
+    } : null,
+    creditNote: creditNote ? {
+      creditNoteID: creditNote.CreditNoteID || creditNote.creditnoteid,
+      creditNoteNumber: creditNote.CreditNoteNumber || creditNote.creditnotenumber || null
+    } : null,
+    account: account ? {
+      accountID: account.AccountID || account.accountid,
+      code: account.Code || account.code || null
+    } : null,
+    updatedDateUTC: parseXeroTimestamp(payment.UpdatedDateUTC || payment.updateddateutc)
+  };
+}
+
+const EXPORT_COLUMNS = [
+  'invoiceID', 'invoiceNumber', 'type', 'status', 'date', 'dueDate',
+  'contactID', 'contactName', 'reference', 'currencyCode',
+  'subTotal', 'totalTax', 'total', 'amountDue', 'amountPaid',
+  'lineItemID', 'itemCode', 'description', 'quantity', 'unitAmount',
+  'discountRate', 'lineAmount', 'accountCode', 'taxType', 'taxAmount'
+];
+
+/**
+ * Flatten formatted invoices (with lineItems) to one row per line item.
+ * Invoices without line items still get one row so totals aren't lost.
+ * @param {Object[]} invoices - Output of formatXeroInvoice with includeLineItems
+ * @returns {Object[]} Rows keyed by EXPORT_COLUMNS
+ */
+function flattenInvoiceLines(invoices) {
+  const rows = [];
+  invoices.forEach(invoice => {
+    const invoiceColumns = {
+      invoiceID: invoice.invoiceID,
+      invoiceNumber: invoice.invoiceNumber,
+      type: invoice.type,
+      status: invoice.status,
+      date: parseXeroDate(invoice.date),
+      dueDate: parseXeroDate(invoice.dueDate),
+      contactID: invoice.contact.contactID,
+      contactName: invoice.contact.name,
+      reference: invoice.reference,
+      currencyCode: invoice.currencyCode,
+      subTotal: invoice.subTotal,
+      totalTax: invoice.totalTax,
+      total: invoice.total,
+      amountDue: invoice.amountDue,
+      amountPaid: invoice.amountPaid
+    };
+
+    const lines = invoice.lineItems && invoice.lineItems.length > 0 ? invoice.lineItems : [{}];
+    lines.forEach(line => rows.push({ ...invoiceColumns, ...line }));
+  });
+  return rows;
+}
+
+const csvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Object[]} rows
+ * @param {Object} [options]
+ * @param {string[]} [options.columns=EXPORT_COLUMNS]
+ * @param {boolean} [options.includeHeader=true]
+ * @returns {string}
+ */
+function toCsv(rows, { columns = EXPORT_COLUMNS, includeHeader = true } = {}) {
+  const lines = rows.map(row => columns.map(column => csvValue(row[column])).join(','));
+  if (includeHeader) lines.unshift(columns.join(','));
+  return lines.length > 0 ? `${lines.join('\r\n')}\r\n` : '';
+}
+
+/**
+ * @param {Object[]} rows
+ * @returns {string}
+ */
+function toNdjson(rows) {
+  return rows.map(row => `${JSON.stringify(row)}\n`).join('');
+}
+
+module.exports = {
+  parseXeroDate,
+  parseXeroTimestamp,
+  formatXeroInvoice,
+  formatXeroCreditNote,
+  formatXeroPayment,
+  formatInvoiceAllocations,
+  formatXeroLineItem,
+  flattenInvoiceLines,
+  toCsv,
+  toNdjson,
+  EXPORT_COLUMNS
+};
@@ -0,0 +1,271 @@
+/**
+ * Create the Xero invoice for a Maropost order that was never exported.
+ *
+ * The invoice follows the same conventions the reconciliation expects: InvoiceNumber and
+ * Reference are the OrderID, product lines carry the SKU as ItemCode and freight goes on a
+ * "Freight" line without an item code. Lines are priced the way the tax invoice template does:
+ * Quantity x UnitPrice less ProductDiscount, GST unless TaxCode is FRE.
+ *
+ * The contact is the customer's confirmed mapping when there is one, otherwise it's looked up
+ * (or created) from the order's username, email and billing name.
+ *
+ * Pushing is idempotent: an order that already has a live invoice is never pushed again, and the
+ * create itself carries an Idempotency-Key so a retried request can't add a second invoice.
+ *
+ * Settings (environment):
+ *   XERO_SALES_ACCOUNT_CODE     revenue account for product lines (default 200)
+ *   XERO_FREIGHT_ACCOUNT_CODE   account for the freight line (default: the sales account)
+ *   XERO_GST_TAX_TYPE           tax type for taxable lines (default OUTPUT)
+ *   XERO_GST_FREE_TAX_TYPE      tax type for FRE lines (default EXEMPTOUTPUT)
+ *   XERO_INVOICE_DUE_DAYS       due date when the order has no DatePaymentDue (default 30)
+ *   XERO_INVOICE_STATUS         status of created invoices (default DRAFT)
+ *   XERO_INVOICE_ITEM_CODES     "false" to leave ItemCode off when SKUs aren't Xero items
+ */
+
+const { getXeroSession, getXeroCollection } = require('./xeroSession');
+const { formatXeroInvoice } = require('./xeroInvoiceFormat');
+const { findContact, createContact } = require('./xeroContacts');
+const { getContactMapping } = require('./contactMappings');
+const { fetchOrderById } = require('./maropostApi');
+const { fetchInvoicesForOrders } = require('./reconciliationRuns');
+const { selectOrderInvoice, compareOrderWithInvoice } = require('./orderReconciliation');
+
+const INVOICE_STATUSES = ['DRAFT', 'SUBMITTED', 'AUTHORISED'];
+// Orders in these states aren't sales yet (or any more)
+const NON_INVOICEABLE_ORDER_STATUSES = ['Quote', 'Cancelled', 'Uncommitted'];
+const FREIGHT_DESCRIPTION = 'Freight';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+function getInvoiceSettings() {
+  const salesAccountCode = process.env.XERO_SALES_ACCOUNT_CODE || '200';
+  return {
+    salesAccountCode,
+    freightAccountCode: process.env.XERO_FREIGHT_ACCOUNT_CODE || salesAccountCode,
+    gstTaxType: process.env.XERO_GST_TAX_TYPE || 'OUTPUT',
+    gstFreeTaxType: process.env.XERO_GST_FREE_TAX_TYPE || 'EXEMPTOUTPUT',
+    dueDays: parseInt(process.env.XERO_INVOICE_DUE_DAYS, 10) || 30,
+    status: (process.env.XERO_INVOICE_STATUS || 'DRAFT').toUpperCase(),
+    itemCodes: process.env.XERO_INVOICE_ITEM_CODES !== 'false'
+  };
+}
+
+const toAmount = (value) => parseFloat(value || 0);
+const roundToCents = (value) => Math.round(value * 100) / 100;
+
+// Maropost dates are "YYYY-MM-DD hh:mm:ss" in Sydney time; unset dates come back as 0000-00-00
+const orderDate = (value) =>
+  value && DATE_PATTERN.test(value) && !String(value).startsWith('0000') ? String(value).slice(0, 10) : null;
+
+const addDays = (date, days) => {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split('T')[0];
+};
+
+/**
+ * Contact name for a Maropost order: the billing company, else the billing name, else the username.
+ * @param {Object} order
+ * @returns {string|null}
+ */
+function orderContactName(order) {
+  const fullName = [order.BillFirstName, order.BillLastName]
+    .map(part => (part || '').trim())
+    .filter(Boolean)
+    .join(' ');
+  return (order.BillCompany || '').trim() || fullName || order.Username || null;
+}
+
+/**
+ * Xero Contact for the order's customer.
+ * @param {Object} order
+ * @returns {Object}
+ */
+function buildContactPayload(order) {
+  const contact = {
+    Name: orderContactName(order),
+    ...(order.Username ? { ContactNumber: order.Username } : {}),
+    ...(order.BillFirstName ? { FirstName: order.BillFirstName } : {}),
+    ...(order.BillLastName ? { LastName: order.BillLastName } : {}),
+    ...(order.Email ? { EmailAddress: order.Email } : {})
+  };
+
+  if (order.BillStreetLine1 || order.BillCity) {
+    contact.Addresses = [{
+      AddressType: 'POBOX',
+      AddressLine1: order.BillStreetLine1 || '',
+      AddressLine2: order.BillStreetLine2 || '',
+      City: order.BillCity || '',
+      Region: order.BillState || '',
+      PostalCode: order.BillPostCode || '',
+      Country: order.BillCountry || ''
+    }];
+  }
+  if (order.BillPhone) {
+    contact.Phones = [{ PhoneType: 'DEFAULT', PhoneNumber: order.BillPhone }];
+  }
+  return contact;
+}
+
+/**
+ * Xero Invoice for a Maropost order.
+ * @param {Object} order - Maropost order (INVOICE_ORDER_FIELDS)
+ * @param {Object} contact - Xero Contact reference, e.g. { ContactID }
+ * @param {Object} [settings=getInvoiceSettings()]
+ * @returns {Object}
+ */
+function buildInvoicePayload(order, contact, settings = getInvoiceSettings()) {
+  const date = orderDate(order.DatePlaced);
+  const dueDate = orderDate(order.DatePaymentDue) || (date ? addDays(date, settings.dueDays) : null);
+  const taxInclusive = String(order.TaxInclusive || '').toLowerCase() === 'true';
+
+  const lineItems = (order.OrderLine || []).map(line => {
+    const discount = toAmount(line.ProductDiscount);
+    const taxFree = String(line.TaxCode || '').toUpperCase() === 'FRE';
+    return {
+      ...(settings.itemCodes && line.SKU ? { ItemCode: line.SKU } : {}),
+      Description: line.ProductName || line.SKU || 'Item',
+      Quantity: toAmount(line.Quantity ?? line.Qty),
+      UnitAmount: toAmount(line.UnitPrice),
+      ...(discount ? { DiscountAmount: roundToCents(discount) } : {}),
+      AccountCode: settings.salesAccountCode,
+      TaxType: taxFree ? settings.gstFreeTaxType : settings.gstTaxType
+    };
+  });
+
+  const freight = roundToCents(toAmount(order.ShippingTotal) - toAmount(order.ShippingDiscount));
+  if (freight !== 0) {
+    lineItems.push({
+      Description: FREIGHT_DESCRIPTION,
+      Quantity: 1,
+      UnitAmount: freight,
+      AccountCode: settings.freightAccountCode,
+      TaxType: settings.gstTaxType
+    });
+  }
+
+  return {
+    Type: 'ACCREC',
+    Contact: contact,
+    InvoiceNumber: order.OrderID,
+    Reference: order.OrderID,
+    ...(date ? { Date: date } : {}),
+    ...(dueDate ? { DueDate: dueDate } : {}),
+    LineAmountTypes: taxInclusive ? 'Inclusive' : 'Exclusive',
+    Status: settings.status,
+    LineItems: lineItems
+  };
+}
+
+// A confirmed customer link (accounting_bot/contacts) beats looking the contact up
+async function mappedContact(tenantId, username) {
+  if (!username) return null;
+  try {
+    const mapping = await getContactMapping(tenantId, username);
+    return mapping
+      ? { contact: { contactID: mapping.xero_contact_id, name: mapping.xero_contact_name }, matchedOn: 'mapping' }
+      : null;
+  } catch (error) {
+    console.warn('Contact mapping unavailable:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Push one Maropost order to Xero as a sales invoice.
+ * @param {string} tenantId
+ * @param {string} orderId - Maropost OrderID
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Build the invoice and find the contact without writing anything
+ * @param {string} [options.status] - DRAFT, SUBMITTED or AUTHORISED (default XERO_INVOICE_STATUS)
+ * @returns {Promise<Object>} { orderId, outcome: already_exported | dry_run | created, contact, invoice, ... }
+ */
+async function pushOrderToXero(tenantId, orderId, { dryRun = false, status } = {}) {
+  const settings = getInvoiceSettings();
+  if (status !== undefined && status !== null && status !== '') {
+    settings.status = String(status).toUpperCase();
+  }
+  if (!INVOICE_STATUSES.includes(settings.status)) {
+    const error = new Error(`status must be one of ${INVOICE_STATUSES.join(', ')}`);
+    error.field = 'status';
+    throw error;
+  }
+
+  const order = await fetchOrderById(orderId);
+  if (!order) {
+    const error = new Error(`Maropost order ${orderId} not found`);
+    error.status = 404;
+    throw error;
+  }
+  if (NON_INVOICEABLE_ORDER_STATUSES.includes(order.OrderStatus)) {
+    const error = new Error(`Order ${orderId} is ${order.OrderStatus} and can't be invoiced`);
+    error.status = 409;
+    throw error;
+  }
+
+  const session = await getXeroSession(tenantId);
+  const invoices = (await fetchInvoicesForOrders(session, [orderId]))[orderId] || [];
+  const existing = selectOrderInvoice(invoices);
+  if (existing) {
+    return { orderId, outcome: 'already_exported', invoice: existing };
+  }
+
+  const contactPayload = buildContactPayload(order);
+  const match = await mappedContact(tenantId, order.Username) || await findContact(session, {
+    contactNumber: order.Username,
+    email: order.Email,
+    name: contactPayload.Name
+  });
+  if (!match && !contactPayload.Name) {
+    const error = new Error(`Order ${orderId} has no customer name to create a Xero contact with`);
+    error.status = 422;
+    throw error;
+  }
+
+  if (dryRun) {
+    return {
+      orderId,
+      outcome: 'dry_run',
+      contact: match
+        ? { action: 'existing', matchedOn: match.matchedOn, contact: match.contact }
+        : { action: 'create', contact: contactPayload },
+      invoice: buildInvoicePayload(order, match ? { ContactID: match.contact.contactID } : { Name: contactPayload.Name }, settings)
+    };
+  }
+
+  const contact = match
+    ? match.contact
+    : await createContact(session, contactPayload, { idempotencyKey: `maropost-contact-${order.Username || orderId}` });
+
+  // Voided invoices for the order change the key, so a re-push after a void isn't answered from Xero's replay cache
+  const { body } = await session.request('Invoices', {
+    method: 'PUT',
+    query: { unitdp: 4 },
+    body: { Invoices: [buildInvoicePayload(order, { ContactID: contact.contactID }, settings)] },
+    headers: { 'Idempotency-Key': `maropost-order-${orderId}-${invoices.length}` }
+  });
+  const [created] = getXeroCollection(body, 'Invoices');
+  if (!created) {
+    throw new Error('Xero did not return the created invoice');
+  }
+
+  const invoice = formatXeroInvoice(created, { includeLineItems: true });
+  console.log(`Pushed Maropost order ${orderId} to Xero as invoice ${invoice.invoiceID} (${invoice.status})`);
+
+  return {
+    orderId,
+    outcome: 'created',
+    contact: { action: match ? 'existing' : 'created', ...(match ? { matchedOn: match.matchedOn } : {}), contact },
+    invoice,
+    // Anything the new invoice still doesn't agree with the order on (e.g. GST rounding)
+    discrepancies: compareOrderWithInvoice(order, invoice).discrepancies
+  };
+}
+
+module.exports = {
+  INVOICE_STATUSES,
+  getInvoiceSettings,
+  buildContactPayload,
+  buildInvoicePayload,
+  pushOrderToXero
+};
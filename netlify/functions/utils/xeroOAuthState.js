@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { db } = require('./firebaseInit');
+const admin = require('firebase-admin');
+
+// OAuth state documents live for 10 minutes and can be used exactly once
+const STATE_COLLECTION = 'xero_oauth_states';
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// A nonce cookie set by xero-auth ties the state to the browser that started the flow, so a
+// callback URL from someone else's authorisation can't connect their organisation in this browser
+const NONCE_COOKIE = 'xero_oauth_nonce';
+
+// The raw state only travels through the browser; Firestore keeps its hash
+const hashState = (state) => crypto.createHash('sha256').update(state).digest('hex');
+
+// Constant-time comparison of two hex digests
+const hashesMatch = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+};
+
+const nonceCookie = (nonce) =>
+  `${NONCE_COOKIE}=${nonce}; Max-Age=${STATE_TTL_MS / 1000}; Path=/; HttpOnly; Secure; SameSite=Lax`;
+
+// Expire the nonce cookie once the callback has used it
+const clearNonceCookie = () => `${NONCE_COOKIE}=; Max-Age=0; Path=/; HttpOnly; Secure; SameSite=Lax`;
+
+// The nonce from the request's Cookie header, or null
+const readNonceCookie = (event) => {
+  const eventHeaders = event.headers || {};
+  const cookieHeader = eventHeaders[Object.keys(eventHeaders).find(key => key.toLowerCase() === 'cookie')] || '';
+  for (const part of cookieHeader.split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === NONCE_COOKIE) return value.join('=') || null;
+  }
+  return null;
+};
+
+// Build an error the callback can turn into a specific error page
+const stateError = (reason, message) => {
+  const error = new Error(message);
+  error.reason = reason;
+  return error;
+};
+
+// Create and persist a new state (and PKCE code verifier when enabled).
+// Returns the Set-Cookie value for the browser's nonce along with the state.
+const createOAuthState = async ({ usePkce = false } = {}) => {
+  const state = crypto.randomBytes(32).toString('base64url');
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  const codeVerifier = usePkce ? crypto.randomBytes(48).toString('base64url') : null;
+  const codeChallenge = codeVerifier
+    ? crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+    : null;
+
+  await db.collection(STATE_COLLECTION).doc(hashState(state)).set({
+    codeVerifier,
+    usePkce,
+    nonceHash: hashState(nonce),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    expiresAt: new Date(Date.now() + STATE_TTL_MS),
+    usedAt: null
+  });
+
+  return { state, codeChallenge, cookie: nonceCookie(nonce) };
+};
+
+// Validate a state returned to the callback, with the nonce cookie from the same browser, and mark it as used.
+// Throws an error with reason 'missing', 'mismatch', 'replayed', 'expired' or 'browser_mismatch'.
+const consumeOAuthState = async (state, nonce) => {
+  if (!state) {
+    throw stateError('missing', 'No state parameter was returned by Xero');
+  }
+
+  const stateRef = db.collection(STATE_COLLECTION).doc(hashState(state));
+
+  // Errors thrown inside a transaction roll it back, so the outcome is returned
+  // and raised afterwards to keep expired states marked as used
+  const result = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(stateRef);
+
+    if (!doc.exists) {
+      return { reason: 'mismatch' };
+    }
+
+    const data = doc.data();
+
+    if (data.usedAt) {
+      return { reason: 'replayed' };
+    }
+
+    transaction.update(stateRef, { usedAt: admin.firestore.FieldValue.serverTimestamp() });
+
+    const expiresAtTime = data.expiresAt.toDate ? data.expiresAt.toDate().getTime() : new Date(data.expiresAt).getTime();
+    if (Date.now() > expiresAtTime) {
+      return { reason: 'expired' };
+    }
+
+    if (!nonce || !hashesMatch(hashState(nonce), data.nonceHash)) {
+      return { reason: 'browser_mismatch' };
+    }
+
+    return { data };
+  });
+
+  if (result.reason === 'mismatch') {
+    throw stateError('mismatch', 'The state parameter does not match any authorisation request started by this backend');
+  }
+  if (result.reason === 'replayed') {
+    throw stateError('replayed', 'This authorisation response has already been used');
+  }
+  if (result.reason === 'expired') {
+    throw stateError('expired', 'The authorisation request has expired, please start the connection again');
+  }
+  if (result.reason === 'browser_mismatch') {
+    throw stateError('browser_mismatch', 'This authorisation was not started in this browser');
+  }
+
+  return {
+    usePkce: !!result.data.usePkce,
+    codeVerifier: result.data.codeVerifier || null
+  };
+};
+
+module.exports = { createOAuthState, consumeOAuthState, readNonceCookie, clearNonceCookie };
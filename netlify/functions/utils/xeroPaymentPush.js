@@ -0,0 +1,266 @@
+/**
+ * Apply the payments recorded on a Maropost order to its Xero invoice.
+ *
+ * Each Maropost OrderPayment becomes one Xero payment with a reference built from the OrderID and
+ * the payment's Id. Payments whose reference is already on the invoice in Xero are not posted
+ * again, and the create carries an Idempotency-Key so a retried request can't double up either.
+ * Every payment posted (or that Xero rejected) is recorded in Supabase.
+ *
+ * Settings (environment):
+ *   XERO_PAYMENT_ACCOUNTS  JSON map of Maropost PaymentType -> Xero bank account, either an account
+ *                          code or { "accountId": "..." }. "*" is used for types not listed.
+ *                          e.g. {"Credit Card": "090", "PayPal": "091", "*": "090"}
+ *                          "Account Credit" is store credit, so it's only posted when listed by name.
+ *
+ * Table:
+ *   xero_payment_postings  (id uuid default gen_random_uuid(), tenant_id, order_id, invoice_id, invoice_number,
+ *                           maropost_payment_id, payment_type, reference, amount numeric, payment_date date,
+ *                           account_code, account_id, xero_payment_id, status posted|failed, error,
+ *                           posted_by, created_at)
+ */
+
+const { supabase } = require('./supabaseInit');
+const { getXeroSession, getXeroCollection } = require('./xeroSession');
+const { buildXeroWhere } = require('./xeroFilter');
+const { formatXeroPayment } = require('./xeroInvoiceFormat');
+const { fetchOrderById } = require('./maropostApi');
+const { fetchInvoicesForOrders } = require('./reconciliationRuns');
+const { selectOrderInvoice } = require('./orderReconciliation');
+
+const ACCOUNT_CREDIT = 'Account Credit';
+const DEFAULT_ACCOUNT_KEY = '*';
+
+function requireSupabase() {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+  return supabase;
+}
+
+const toCents = (value) => Math.round(parseFloat(value || 0) * 100);
+
+/**
+ * Payment type -> Xero Account reference, from XERO_PAYMENT_ACCOUNTS.
+ * @returns {Object} Lower-cased payment type -> { Code } or { AccountID }
+ */
+function getPaymentAccounts() {
+  let mapping;
+  try {
+    mapping = JSON.parse(process.env.XERO_PAYMENT_ACCOUNTS || '{}');
+  } catch (error) {
+    throw new Error(`XERO_PAYMENT_ACCOUNTS is not valid JSON: ${error.message}`);
+  }
+
+  return Object.entries(mapping).reduce((accounts, [paymentType, account]) => {
+    const reference = typeof account === 'string'
+      ? { Code: account }
+      : (account?.accountId ? { AccountID: account.accountId } : (account?.code ? { Code: account.code } : null));
+    if (!reference) {
+      throw new Error(`XERO_PAYMENT_ACCOUNTS["${paymentType}"] must be an account code or { "accountId": "..." }`);
+    }
+    return { ...accounts, [paymentType.trim().toLowerCase()]: reference };
+  }, {});
+}
+
+function accountForPaymentType(accounts, paymentType) {
+  const key = String(paymentType || '').trim().toLowerCase();
+  if (accounts[key]) return accounts[key];
+  return key === ACCOUNT_CREDIT.toLowerCase() ? null : accounts[DEFAULT_ACCOUNT_KEY] || null;
+}
+
+// Maropost dates are "YYYY-MM-DD hh:mm:ss" in Sydney time; unset dates come back as 0000-00-00
+const orderDate = (value) =>
+  value && /^\d{4}-\d{2}-\d{2}/.test(value) && !String(value).startsWith('0000') ? String(value).slice(0, 10) : null;
+
+/**
+ * The Maropost payments on an order with the references used for them in Xero.
+ * @param {Object} order - Maropost order with OrderPayment (INVOICE_ORDER_FIELDS)
+ * @returns {Object[]}
+ */
+function orderPayments(order) {
+  return (order.OrderPayment || []).map((payment, index) => {
+    // Older payments may come back without an Id; their position on the order is stable
+    const paymentId = String(payment.Id || payment.ID || index + 1);
+    return {
+      maropostPaymentId: paymentId,
+      paymentType: payment.PaymentType || null,
+      amount: parseFloat(payment.Amount || 0),
+      date: orderDate(payment.DatePaid) || orderDate(order.DatePlaced),
+      reference: `Maropost ${order.OrderID} payment ${paymentId}`
+    };
+  });
+}
+
+async function fetchInvoicePayments(session, invoiceId) {
+  const { body } = await session.request('Payments', {
+    query: { where: buildXeroWhere({ invoice_id: invoiceId }, { entity: 'payments' }) }
+  });
+  return getXeroCollection(body, 'Payments')
+    .map(formatXeroPayment)
+    .filter(payment => payment.status !== 'DELETED');
+}
+
+async function recordPosting(row) {
+  const { error } = await requireSupabase()
+    .from('xero_payment_postings')
+    .insert({ ...row, created_at: new Date().toISOString() });
+  if (error) throw new Error(`Failed to record payment posting: ${error.message}`);
+}
+
+/**
+ * Work out which of an order's Maropost payments still need posting to its Xero invoice.
+ * Actions: post, already_in_xero, unmapped, missing_date, not_a_payment, invoice_not_open, exceeds_amount_due.
+ */
+function planPayments(payments, invoice, existingReferences, accounts) {
+  let remainingCents = toCents(invoice.amountDue);
+
+  return payments.map(payment => {
+    const plan = { ...payment, account: accountForPaymentType(accounts, payment.paymentType) };
+    const cents = toCents(payment.amount);
+
+    if (cents <= 0) return { ...plan, action: 'not_a_payment' };
+    if (existingReferences.has(payment.reference)) return { ...plan, action: 'already_in_xero' };
+    if (!plan.account) return { ...plan, action: 'unmapped' };
+    // Neither DatePaid nor DatePlaced is set; Xero needs a date, so this one is left for a person
+    if (!payment.date) return { ...plan, action: 'missing_date' };
+    if (invoice.status !== 'AUTHORISED') return { ...plan, action: 'invoice_not_open' };
+    // Xero won't take more than the amount due; overpayments need sorting out by hand
+    if (cents > remainingCents) return { ...plan, action: 'exceeds_amount_due' };
+
+    remainingCents -= cents;
+    return { ...plan, action: 'post' };
+  });
+}
+
+/**
+ * Apply an order's Maropost payments to its Xero invoice.
+ * @param {string} tenantId
+ * @param {string} orderId - Maropost OrderID
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Plan the payments without posting or recording anything
+ * @param {string} [options.postedBy] - Who asked, for the audit record
+ * @returns {Promise<Object>} { orderId, invoice, payments[{ ..., action }], summary }
+ */
+async function applyOrderPayments(tenantId, orderId, { dryRun = false, postedBy } = {}) {
+  const accounts = getPaymentAccounts();
+  if (!dryRun) requireSupabase();
+
+  const order = await fetchOrderById(orderId);
+  if (!order) {
+    const error = new Error(`Maropost order ${orderId} not found`);
+    error.status = 404;
+    throw error;
+  }
+
+  const session = await getXeroSession(tenantId);
+  const invoice = selectOrderInvoice((await fetchInvoicesForOrders(session, [orderId]))[orderId]);
+  if (!invoice) {
+    const error = new Error(`Order ${orderId} has no invoice in Xero; push the order first`);
+    error.status = 409;
+    throw error;
+  }
+
+  const existingPayments = await fetchInvoicePayments(session, invoice.invoiceID);
+  const existingReferences = new Set(existingPayments.map(payment => payment.reference).filter(Boolean));
+  const payments = planPayments(orderPayments(order), invoice, existingReferences, accounts);
+
+  if (!dryRun) {
+    for (const payment of payments.filter(plan => plan.action === 'post')) {
+      const audit = {
+        tenant_id: tenantId,
+        order_id: orderId,
+        invoice_id: invoice.invoiceID,
+        invoice_number: invoice.invoiceNumber,
+        maropost_payment_id: payment.maropostPaymentId,
+        payment_type: payment.paymentType,
+        reference: payment.reference,
+        amount: payment.amount,
+        payment_date: payment.date,
+        account_code: payment.account.Code || null,
+        account_id: payment.account.AccountID || null,
+        posted_by: postedBy || null
+      };
+
+      let body;
+      try {
+        ({ body } = await session.request('Payments', {
+          method: 'PUT',
+          body: {
+            Payments: [{
+              Invoice: { InvoiceID: invoice.invoiceID },
+              Account: payment.account,
+              Date: payment.date,
+              Amount: payment.amount,
+              Reference: payment.reference
+            }]
+          },
+          headers: { 'Idempotency-Key': `maropost-payment-${orderId}-${payment.maropostPaymentId}` }
+        }));
+      } catch (error) {
+        payment.action = 'failed';
+        payment.error = error.message;
+        await recordPosting({ ...audit, status: 'failed', error: error.message })
+          .catch(recordError => console.error('Failed to record payment failure:', recordError.message));
+        // Nothing else will get through either
+        if (error.status === 429 || error.message.includes('Token refresh failed')) throw error;
+        continue;
+      }
+
+      const [created] = getXeroCollection(body, 'Payments');
+      payment.action = 'posted';
+      payment.xeroPaymentId = created ? formatXeroPayment(created).paymentID : null;
+      console.log(`Posted Maropost payment ${payment.reference} (${payment.amount}) to Xero invoice ${invoice.invoiceNumber}`);
+      // The payment is in Xero either way; its reference stops it being posted twice
+      await recordPosting({ ...audit, xero_payment_id: payment.xeroPaymentId, status: 'posted' })
+        .catch(recordError => {
+          console.error('Failed to record payment posting:', recordError.message);
+          payment.auditError = recordError.message;
+        });
+    }
+  }
+
+  const summary = payments.reduce((acc, payment) => ({ ...acc, [payment.action]: (acc[payment.action] || 0) + 1 }), {});
+
+  return {
+    orderId,
+    invoice: {
+      invoiceID: invoice.invoiceID,
+      invoiceNumber: invoice.invoiceNumber,
+      status: invoice.status,
+      total: invoice.total,
+      amountDue: invoice.amountDue
+    },
+    existingPayments: existingPayments.map(({ paymentID, date, amount, reference }) => ({ paymentID, date, amount, reference })),
+    payments,
+    summary
+  };
+}
+
+/**
+ * Recorded postings, newest first.
+ * @param {Object} [options]
+ * @param {string} [options.tenantId]
+ * @param {string} [options.orderId]
+ * @param {number} [options.limit=100]
+ * @returns {Promise<Object[]>}
+ */
+async function listPaymentPostings({ tenantId, orderId, limit = 100 } = {}) {
+  let query = requireSupabase()
+    .from('xero_payment_postings')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (tenantId) query = query.eq('tenant_id', tenantId);
+  if (orderId) query = query.eq('order_id', orderId);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to load payment postings: ${error.message}`);
+  return data || [];
+}
+
+module.exports = {
+  getPaymentAccounts,
+  orderPayments,
+  applyOrderPayments,
+  listPaymentPostings
+};
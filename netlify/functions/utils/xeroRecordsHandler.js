@@ -0,0 +1,298 @@
+/**
+ * Shared handler for read-only Xero record endpoints (getPayments, getCreditNotes) with the
+ * same request semantics as getInvoices / getInvoicesBatch:
+ * - GET  ?tenant_id=...&<id_param>=id1,id2&page=1&page_size=10
+ * - POST { tenant_id, <id_param>: [...], filters: {...}, page, page_size, options: {...} }
+ *
+ * With IDs, any number can be sent: they are split into chunks (one where clause each) and
+ * fetched through the tenant's rate-limit queue, optionally narrowed further by filters.
+ * Without IDs, filters (see utils/xeroFilter) select one page of records.
+ * Batch options: load_mode ("all" | "progressive"), return_chunks, chunk_size, max_parallel.
+ */
+
+const { getXeroSession, buildXeroUrl, getXeroCollection } = require('./xeroSession');
+const { buildXeroWhere, xeroGuid } = require('./xeroFilter');
+
+// GUIDs per where clause; each adds ~50 characters so this keeps URLs well under Xero's limit
+const MAX_ID_CHUNK_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const jsonResponse = (statusCode, body, methods, extraHeaders = {}) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': methods,
+    ...extraHeaders
+  },
+  body: JSON.stringify(body, null, 2)
+});
+
+function chunkArray(array, chunkSize) {
+  const chunks = [];
+  for (let i = 0; i < array.length; i += chunkSize) {
+    chunks.push(array.slice(i, i + chunkSize));
+  }
+  return chunks;
+}
+
+// Accept an array or a comma-separated string
+const toIdList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(id => String(id).trim())
+  .filter(id => id.length > 0);
+
+/**
+ * @param {Object} config
+ * @param {string} config.entity - Filter entity for buildXeroWhere ('payments', 'credit_notes')
+ * @param {string} config.path - Xero API path, also the collection name ('Payments')
+ * @param {string} config.idParam - Request parameter holding IDs ('payment_ids')
+ * @param {string} config.idField - Xero ID property ('PaymentID')
+ * @param {string} config.formattedIdKey - ID key in formatted records ('paymentID')
+ * @param {string} config.responseKey - Response property for the records ('payments')
+ * @param {string} config.label - Human-readable name for messages ('payments')
+ * @param {Function} config.format - Xero record -> formatted record
+ * @param {Function} config.summarise - Formatted records -> summary totals
+ * @param {string} [config.order] - Xero order clause for paged requests
+ * @returns {Function} Netlify handler (wrap with withAuth)
+ */
+function createXeroRecordsHandler(config) {
+  const methods = 'GET, POST, OPTIONS';
+  const respond = (statusCode, body, extraHeaders) => jsonResponse(statusCode, body, methods, extraHeaders);
+  const example = {
+    tenant_id: 'your-xero-tenant-id',
+    [config.idParam]: ['id-1', 'id-2'],
+    filters: {}
+  };
+
+  async function fetchIdChunk(session, ids, filterClause) {
+    const idClause = ids.map(id => `${config.idField}=${xeroGuid(id, config.idParam)}`).join(' OR ');
+    const where = filterClause ? `(${idClause}) AND (${filterClause})` : idClause;
+    try {
+      const { body } = await session.request(config.path, { query: { where } });
+      return getXeroCollection(body, config.path).map(config.format);
+    } catch (error) {
+      const chunkError = new Error(`Failed to fetch ${config.label} chunk: ${error.message}`);
+      chunkError.status = error.status;
+      throw chunkError;
+    }
+  }
+
+  async function fetchByIds(session, ids, filterClause, options) {
+    const {
+      load_mode = 'all',
+      chunk_size = MAX_ID_CHUNK_SIZE,
+      return_chunks = false,
+      max_parallel = Math.min(5, Math.ceil(ids.length / MAX_ID_CHUNK_SIZE))
+    } = options;
+    const chunkSize = Math.min(Math.max(parseInt(chunk_size, 10) || MAX_ID_CHUNK_SIZE, 1), MAX_ID_CHUNK_SIZE);
+    const maxParallel = Math.min(Math.max(parseInt(max_parallel, 10) || 1, 1), 10);
+    const chunks = chunkArray(ids, chunkSize);
+    console.log(`Fetching ${ids.length} ${config.label} by ID in ${chunks.length} chunks`);
+
+    if (load_mode === 'progressive' && return_chunks) {
+      // Failed chunks are reported instead of failing the whole request
+      const chunkResults = [];
+      for (let i = 0; i < chunks.length; i += maxParallel) {
+        const batch = chunks.slice(i, i + maxParallel).map(async (chunk, batchIndex) => {
+          const chunkIndex = i + batchIndex;
+          try {
+            const records = await fetchIdChunk(session, chunk, filterClause);
+            return { chunkIndex, requestedIds: chunk, [config.responseKey]: records, success: true, count: records.length };
+          } catch (error) {
+            if (error.field) throw error;
+            console.error(`Chunk ${chunkIndex + 1} failed:`, error.message);
+            return { chunkIndex, requestedIds: chunk, [config.responseKey]: [], success: false, error: error.message, count: 0 };
+          }
+        });
+        chunkResults.push(...await Promise.all(batch));
+      }
+
+      const records = chunkResults.filter(chunk => chunk.success).flatMap(chunk => chunk[config.responseKey]);
+      return { requestType: `progressive_chunked_${config.entity}`, chunks, records, chunkResults };
+    }
+
+    const chunkResults = await Promise.all(chunks.map(chunk => fetchIdChunk(session, chunk, filterClause)));
+    return { requestType: `batch_specific_${config.entity}`, chunks, records: chunkResults.flat() };
+  }
+
+  return async function(event, context) {
+    try {
+      let tenantId, ids, page, pageSize, filters = {}, options = {};
+
+      if (event.httpMethod === 'GET') {
+        const query = event.queryStringParameters || {};
+        tenantId = query.tenant_id;
+        ids = query[config.idParam];
+        page = parseInt(query.page || '1');
+        pageSize = parseInt(query.page_size || '10');
+      } else if (event.httpMethod === 'POST') {
+        let requestBody;
+        try {
+          requestBody = JSON.parse(event.body || '{}');
+        } catch (error) {
+          return respond(400, {
+            success: false,
+            error: 'Invalid JSON in request body',
+            message: `Please provide valid JSON with tenant_id and ${config.label} parameters`
+          });
+        }
+        tenantId = requestBody.tenant_id;
+        ids = requestBody[config.idParam];
+        page = parseInt(requestBody.page || '1');
+        pageSize = parseInt(requestBody.page_size || '10');
+        filters = requestBody.filters || {};
+        options = requestBody.options || {};
+      } else {
+        return respond(405, {
+          success: false,
+          error: 'Method not allowed',
+          message: 'This endpoint accepts GET and POST requests only'
+        });
+      }
+
+      if (!tenantId) {
+        return respond(400, {
+          success: false,
+          error: 'Missing tenant_id',
+          message: 'Please provide tenant_id',
+          example
+        });
+      }
+
+      page = Math.max(page || 1, 1);
+      pageSize = Math.min(Math.max(pageSize || 10, 1), MAX_PAGE_SIZE);
+
+      // Validate filters before opening a session so bad input is a cheap 400
+      const filterClause = buildXeroWhere(filters, { entity: config.entity });
+      const idList = ids ? toIdList(ids) : [];
+      if (ids && idList.length === 0) {
+        return respond(400, {
+          success: false,
+          error: `Invalid ${config.idParam}`,
+          message: `Please provide ${config.idParam} as a non-empty array or comma-separated string`,
+          example
+        });
+      }
+      idList.forEach(id => xeroGuid(id, config.idParam));
+
+      const session = await getXeroSession(tenantId);
+      console.log(`Fetching ${config.label} for tenant:`, tenantId);
+      console.log('Filters applied:', Object.keys(filters).length > 0 ? filters : 'None');
+
+      if (idList.length > 0) {
+        const result = await fetchByIds(session, idList, filterClause, options);
+        const foundIds = result.records.map(record => record[config.formattedIdKey]);
+        const missingIds = idList.filter(id => !foundIds.includes(id));
+
+        return respond(200, {
+          success: true,
+          tenantId,
+          requestType: result.requestType,
+          appliedFilters: Object.keys(filters).length > 0 ? filters : null,
+          summary: {
+            requestedCount: idList.length,
+            foundCount: result.records.length,
+            missingCount: missingIds.length,
+            chunksProcessed: result.chunks.length,
+            ...(result.chunkResults ? {
+              chunksSuccessful: result.chunkResults.filter(chunk => chunk.success).length,
+              chunksFailed: result.chunkResults.filter(chunk => !chunk.success).length
+            } : {}),
+            ...config.summarise(result.records)
+          },
+          ...(result.chunkResults
+            ? { chunks: result.chunkResults }
+            : { requestedIds: idList, foundIds, [config.responseKey]: result.records }),
+          missingIds,
+          metadata: {
+            throttling: session.getStats()
+          },
+          fetchedAt: new Date().toISOString()
+        });
+      }
+
+      const queryParams = { page, pagesize: pageSize };
+      if (filterClause) queryParams.where = filterClause;
+      if (config.order) queryParams.order = config.order;
+      console.log('API URL:', buildXeroUrl(config.path, queryParams));
+
+      const { body } = await session.request(config.path, { query: queryParams });
+      const records = getXeroCollection(body, config.path).map(config.format);
+      console.log(`Successfully fetched ${records.length} ${config.label}`);
+
+      return respond(200, {
+        success: true,
+        tenantId,
+        requestMethod: event.httpMethod,
+        requestType: Object.keys(filters).length > 0 ? `filtered_${config.entity}` : 'paginated_all',
+        appliedFilters: Object.keys(filters).length > 0 ? filters : null,
+        pagination: {
+          page,
+          pageSize,
+          recordsReturned: records.length,
+          nextPage: records.length === pageSize ? page + 1 : null
+        },
+        summary: {
+          count: records.length,
+          ...config.summarise(records)
+        },
+        [config.responseKey]: records,
+        metadata: {
+          throttling: session.getStats()
+        },
+        fetchedAt: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error(`Error fetching ${config.label}:`, error);
+
+      // Invalid filter values or IDs
+      if (error.field) {
+        return respond(400, {
+          success: false,
+          error: 'Invalid filter',
+          field: error.field,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'No Xero tokens found for user') {
+        return respond(401, {
+          success: false,
+          error: 'Authentication required',
+          message: 'Please complete Xero OAuth flow first',
+          authUrl: '/.netlify/functions/auth'
+        });
+      }
+
+      if (error.message.includes('Token refresh failed')) {
+        return respond(401, {
+          success: false,
+          error: 'Token refresh failed',
+          message: 'Please re-authenticate with Xero',
+          authUrl: '/.netlify/functions/auth'
+        });
+      }
+
+      // Rate limits still exceeded after the scheduler's retries
+      if (error.status === 429) {
+        return respond(429, {
+          success: false,
+          error: 'Xero rate limit exceeded',
+          message: error.message,
+          suggestion: 'Retry later or use options.load_mode "progressive" with return_chunks to get partial results'
+        }, { 'Retry-After': '60' });
+      }
+
+      return respond(500, {
+        success: false,
+        error: `Failed to fetch ${config.label} from Xero`,
+        details: error.message,
+        suggestion: `Check if access token is valid and ${config.label} IDs exist`
+      });
+    }
+  };
+}
+
+module.exports = { createXeroRecordsHandler };
@@ -0,0 +1,224 @@
+/**
+ * Per-tenant request scheduler for the Xero API.
+ * Xero allows 5 concurrent calls and 60 calls per minute per tenant, plus a daily cap.
+ * Requests are queued to stay under those limits, the X-MinLimit-Remaining /
+ * X-DayLimit-Remaining headers are tracked, and 429/503 responses are retried
+ * after Retry-After or an exponential backoff.
+ *
+ * State is kept per warm function instance; other instances are only seen
+ * through the remaining-limit headers Xero returns.
+ */
+
+const CONCURRENCY_LIMIT = 5;
+const MINUTE_LIMIT = 60;
+const MINUTE_MS = 60000;
+const DEFAULT_MAX_RETRIES = 4;
+const DEFAULT_MAX_WAIT_MS = 20000;
+const MAX_BACKOFF_MS = 16000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/** @type {Map<string, Object>} */
+const tenantStates = new Map();
+
+function getTenantState(tenantId) {
+  if (!tenantStates.has(tenantId)) {
+    tenantStates.set(tenantId, {
+      active: 0,
+      waiting: [],
+      requestTimes: [],
+      blockedUntil: 0,
+      minLimitRemaining: null,
+      dayLimitRemaining: null,
+      // Set when the daily limit is used up; requests are refused until then
+      dayLimitResetAt: 0
+    });
+  }
+  return tenantStates.get(tenantId);
+}
+
+/**
+ * Create a throttling stats object. Sessions keep one each so the numbers
+ * reported in a response cover just that request's work.
+ * @returns {Object}
+ */
+function createSchedulerStats() {
+  return {
+    requests: 0,
+    retries: 0,
+    rateLimited: 0,
+    serviceUnavailable: 0,
+    queuedMs: 0,
+    minLimitRemaining: null,
+    dayLimitRemaining: null
+  };
+}
+
+// Xero's daily limit is a rolling 24 hours; without a Retry-After, assume it frees up by the next UTC midnight
+function nextUtcMidnight(now = Date.now()) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+function blockForDay(state, resetAt) {
+  state.dayLimitRemaining = 0;
+  state.dayLimitResetAt = Math.max(state.dayLimitResetAt, resetAt);
+}
+
+function rateLimitError(message, problem) {
+  const error = new Error(message);
+  error.status = 429;
+  error.rateLimitProblem = problem;
+  return error;
+}
+
+// Wake the next request queued for a concurrency slot
+function wakeNext(state) {
+  const next = state.waiting.shift();
+  if (next) next();
+}
+
+// Wait for a concurrency slot and room in the per-minute window. A request that gives up after
+// being woken passes the wake-up on, so the slot it was woken for doesn't go unused.
+async function acquireSlot(tenantId, state, stats, maxWaitMs) {
+  const startedAt = Date.now();
+
+  while (true) {
+    const now = Date.now();
+    if (state.dayLimitResetAt > now) {
+      wakeNext(state);
+      throw rateLimitError(`Xero daily API limit reached for tenant ${tenantId}, retry after ${new Date(state.dayLimitResetAt).toISOString()}`, 'day');
+    }
+    if (state.dayLimitResetAt) {
+      // The block has run out; the next response tells us what's left
+      state.dayLimitResetAt = 0;
+      state.dayLimitRemaining = null;
+    }
+
+    state.requestTimes = state.requestTimes.filter(time => now - time < MINUTE_MS);
+
+    if (state.active >= CONCURRENCY_LIMIT) {
+      await new Promise(resolve => state.waiting.push(resolve));
+      continue;
+    }
+
+    let waitMs = 0;
+    if (state.blockedUntil > now) {
+      waitMs = state.blockedUntil - now;
+    } else if (state.requestTimes.length >= MINUTE_LIMIT) {
+      waitMs = state.requestTimes[0] + MINUTE_MS - now;
+    }
+
+    if (waitMs <= 0) break;
+
+    if (now - startedAt + waitMs > maxWaitMs) {
+      wakeNext(state);
+      throw rateLimitError(`Xero minute limit reached for tenant ${tenantId}, retry in ${Math.ceil(waitMs / 1000)}s`, 'minute');
+    }
+    await sleep(waitMs);
+  }
+
+  stats.queuedMs += Date.now() - startedAt;
+  state.active++;
+  state.requestTimes.push(Date.now());
+}
+
+function releaseSlot(state) {
+  state.active--;
+  wakeNext(state);
+}
+
+// Record the remaining-limit headers Xero sends with every response
+function updateLimitsFromHeaders(state, stats, headers) {
+  const minRemaining = parseInt(headers.get('x-minlimit-remaining'), 10);
+  const dayRemaining = parseInt(headers.get('x-daylimit-remaining'), 10);
+
+  if (!Number.isNaN(minRemaining)) {
+    state.minLimitRemaining = minRemaining;
+    stats.minLimitRemaining = minRemaining;
+    // Other instances may have used up the minute; pause until the oldest local call ages out
+    if (minRemaining <= 0) {
+      const windowStart = state.requestTimes[0] || Date.now();
+      state.blockedUntil = Math.max(state.blockedUntil, windowStart + MINUTE_MS);
+    }
+  }
+
+  if (!Number.isNaN(dayRemaining)) {
+    state.dayLimitRemaining = dayRemaining;
+    stats.dayLimitRemaining = dayRemaining;
+    if (dayRemaining <= 0) blockForDay(state, nextUtcMidnight());
+  }
+}
+
+/**
+ * Run a Xero request through the tenant's queue, retrying 429 and 503 responses.
+ * @param {string} tenantId
+ * @param {Function} send - Performs the HTTP call and resolves to a fetch Response; called again on retry
+ *   with the result of options.prepare
+ * @param {Object} [options]
+ * @param {Function} [options.prepare] - Runs before each attempt, outside the tenant's slot (e.g.
+ *   fetching the access token, which can wait on a refresh), so slow setup doesn't hold up other requests
+ * @param {Object} [options.stats] - Stats object from createSchedulerStats()
+ * @param {number} [options.maxRetries=4]
+ * @param {number} [options.maxWaitMs=20000] - Longest the caller is willing to wait for a slot or retry
+ * @returns {Promise<Response>} The final response (may still be a 429/503 once retries run out)
+ */
+async function scheduleXeroRequest(tenantId, send, options = {}) {
+  const {
+    stats = createSchedulerStats(),
+    prepare,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    maxWaitMs = DEFAULT_MAX_WAIT_MS
+  } = options;
+  const state = getTenantState(tenantId);
+
+  for (let attempt = 0; ; attempt++) {
+    const prepared = prepare ? await prepare() : undefined;
+    await acquireSlot(tenantId, state, stats, maxWaitMs);
+
+    let response;
+    try {
+      stats.requests++;
+      response = await send(prepared);
+    } finally {
+      releaseSlot(state);
+    }
+
+    updateLimitsFromHeaders(state, stats, response.headers);
+
+    if (response.status !== 429 && response.status !== 503) {
+      return response;
+    }
+
+    let delayMs;
+    if (response.status === 429) {
+      stats.rateLimited++;
+      const problem = response.headers.get('x-rate-limit-problem');
+      const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+      if (problem && problem.toLowerCase() === 'day') {
+        blockForDay(state, Number.isNaN(retryAfter) ? nextUtcMidnight() : Date.now() + retryAfter * 1000);
+        return response;
+      }
+      delayMs = (Number.isNaN(retryAfter) ? 1 : retryAfter) * 1000;
+      state.blockedUntil = Math.max(state.blockedUntil, Date.now() + delayMs);
+    } else {
+      stats.serviceUnavailable++;
+      delayMs = Math.min(1000 * 2 ** attempt, MAX_BACKOFF_MS) + Math.floor(Math.random() * 250);
+    }
+
+    if (attempt >= maxRetries || delayMs > maxWaitMs) {
+      return response;
+    }
+
+    console.warn(`Xero returned ${response.status} for tenant ${tenantId}, retrying in ${delayMs}ms (attempt ${attempt + 1}/${maxRetries})`);
+    stats.retries++;
+    // Drain the body so the connection can be reused
+    await response.text().catch(() => {});
+    await sleep(delayMs);
+  }
+}
+
+module.exports = {
+  scheduleXeroRequest,
+  createSchedulerStats
+};
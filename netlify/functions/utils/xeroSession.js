@@ -0,0 +1,167 @@
+/**
+ * Shared Xero API session for the accounting bot and xero functions.
+ * Wraps token refresh (via xeroTokenManager), the Xero-tenant-id header,
+ * rate limiting (via xeroScheduler) and JSON/XML response parsing in one place.
+ */
+
+const { parseString } = require('xml2js');
+const { getValidToken } = require('./xeroTokenManager');
+const { scheduleXeroRequest, createSchedulerStats } = require('./xeroScheduler');
+
+const XERO_API_BASE = 'https://api.xero.com/api.xro/2.0';
+
+/**
+ * Build a Xero API URL. Query values are percent-encoded (not form-encoded)
+ * because Xero's where clauses don't accept "+" for spaces.
+ * @param {string} path - Path relative to the accounting API (e.g. "Invoices") or a full URL
+ * @param {Object} [query] - Query parameters; null/undefined values are skipped
+ * @returns {string}
+ */
+function buildXeroUrl(path, query = {}) {
+  const base = path.startsWith('http') ? path : `${XERO_API_BASE}/${path.replace(/^\//, '')}`;
+  const params = Object.entries(query)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+  return params.length > 0 ? `${base}?${params.join('&')}` : base;
+}
+
+/**
+ * Parse a Xero XML payload into a plain object (tags are lower-cased).
+ * @param {string} xmlData
+ * @returns {Promise<Object>}
+ */
+function parseXeroXml(xmlData) {
+  return new Promise((resolve, reject) => {
+    parseString(xmlData, {
+      explicitArray: false,
+      mergeAttrs: true,
+      normalize: true,
+      normalizeTags: true,
+      trim: true
+    }, (err, result) => {
+      if (err) {
+        reject(new Error(`XML parse error: ${err.message}`));
+      } else {
+        resolve(result.response || result.Response);
+      }
+    });
+  });
+}
+
+/**
+ * Read a Xero response body as an object, whether Xero answered in JSON or XML.
+ * @param {Response} response
+ * @returns {Promise<Object|null>}
+ */
+async function parseXeroResponse(response) {
+  const contentType = response.headers.get('content-type') || '';
+
+  if (response.status === 204) {
+    return null;
+  }
+
+  if (contentType.includes('application/json')) {
+    return response.json();
+  }
+
+  if (contentType.includes('text/xml') || contentType.includes('application/xml')) {
+    return parseXeroXml(await response.text());
+  }
+
+  const responseText = await response.text();
+  if (!responseText) {
+    return null;
+  }
+  throw new Error(`Unsupported content-type: ${contentType}. Response: ${responseText.substring(0, 200)}`);
+}
+
+/**
+ * Extract a collection from a parsed response. JSON responses use "Invoices",
+ * XML responses use "invoices.invoice" (a single item is not wrapped in an array).
+ * @param {Object} body - Parsed response body
+ * @param {string} name - Collection name, e.g. "Invoices"
+ * @param {string} [itemName] - Item element name, defaults to the singular of name
+ * @returns {Array}
+ */
+function getXeroCollection(body, name, itemName = name.replace(/s$/, '')) {
+  if (!body) return [];
+  if (Array.isArray(body[name])) return body[name];
+
+  const xmlCollection = body[name.toLowerCase()];
+  if (!xmlCollection) return [];
+
+  const items = xmlCollection[itemName.toLowerCase()] || xmlCollection[itemName];
+  if (!items) return [];
+  return Array.isArray(items) ? items : [items];
+}
+
+/**
+ * Create a session for one tenant. Every request fetches a valid token first
+ * (refreshing it when needed) and goes through the tenant's rate-limit queue.
+ * @param {string} tenantId - Xero tenant ID (also the xero_tokens document ID)
+ * @param {Object} [options]
+ * @param {number} [options.maxRetries] - Retries for 429/503 responses
+ * @param {number} [options.maxWaitMs] - Longest a request may wait on rate limits
+ * @returns {Promise<{tenantId: string, request: Function, get: Function, getStats: Function}>}
+ */
+async function getXeroSession(tenantId, options = {}) {
+  // Fail early (with the token manager's error) when the tenant isn't connected
+  await getValidToken(tenantId);
+
+  const stats = createSchedulerStats();
+
+  /**
+   * @param {string} path - Accounting API path or full URL
+   * @param {Object} [options]
+   * @param {string} [options.method='GET']
+   * @param {Object} [options.query]
+   * @param {Object} [options.body] - JSON request body
+   * @param {Object} [options.headers] - Extra headers (e.g. If-Modified-Since)
+   * @returns {Promise<{status: number, headers: Headers, body: Object|null}>}
+   */
+  const request = async (path, { method = 'GET', query, body, headers = {} } = {}) => {
+    const url = buildXeroUrl(path, query);
+
+    // The token is fetched outside the rate-limit slot: a refresh can wait on another instance's lease
+    const response = await scheduleXeroRequest(tenantId, (accessToken) => {
+      return fetch(url, {
+        method,
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Accept': 'application/json',
+          'Content-Type': 'application/json',
+          'Xero-tenant-id': tenantId,
+          ...headers
+        },
+        ...(body !== undefined ? { body: JSON.stringify(body) } : {})
+      });
+    }, { ...options, stats, prepare: () => getValidToken(tenantId) });
+
+    if (!response.ok && response.status !== 304) {
+      const errorText = await response.text();
+      const error = new Error(`Xero API request failed: ${response.status} ${response.statusText} - ${errorText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: response.status === 304 ? null : await parseXeroResponse(response)
+    };
+  };
+
+  const get = async (path, query, headers) => (await request(path, { query, headers })).body;
+
+  // Throttling counters for everything this session has sent so far
+  const getStats = () => ({ ...stats });
+
+  return { tenantId, request, get, getStats };
+}
+
+module.exports = {
+  getXeroSession,
+  buildXeroUrl,
+  parseXeroResponse,
+  getXeroCollection
+};
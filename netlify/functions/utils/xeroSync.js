@@ -0,0 +1,320 @@
+/**
+ * Incremental sync of Xero invoices, credit notes and payments into Supabase.
+ * Each tenant/entity pair keeps a watermark (the newest UpdatedDateUTC stored); later runs send it
+ * as If-Modified-Since so Xero only returns what changed. Runs that run out of time save the newest
+ * UpdatedDateUTC they stored and the next run starts a fresh walk from there. Page numbers aren't
+ * resumed: a record that changes between runs moves to the end of the ordering and shifts every
+ * later page, so a saved page could skip a record. Re-reading the overlap is harmless (upserts).
+ *
+ * Xero never hard-deletes these records: deleting or voiding changes Status (and UpdatedDateUTC),
+ * so removals arrive as ordinary updates and are flagged with is_removed.
+ *
+ * Tables (unique on tenant_id + the entity ID column):
+ *   xero_invoices      (tenant_id, invoice_id, invoice_number, type, status, contact_id, contact_name, reference,
+ *                       currency_code, date, due_date, sub_total, total_tax, total, amount_due, amount_paid,
+ *                       amount_credited, line_items jsonb, is_removed, updated_date_utc, raw jsonb, synced_at)
+ *   xero_credit_notes  (tenant_id, credit_note_id, credit_note_number, type, status, contact_id, contact_name, reference,
+ *                       currency_code, date, sub_total, total_tax, total, remaining_credit, allocations jsonb,
+ *                       line_items jsonb, is_removed, updated_date_utc, raw jsonb, synced_at)
+ *   xero_payments      (tenant_id, payment_id, invoice_id, invoice_number, credit_note_id, payment_type, status,
+ *                       date, amount, currency_rate, reference, account_id, account_code, is_reconciled,
+ *                       is_removed, updated_date_utc, raw jsonb, synced_at)
+ *   xero_sync_state    (tenant_id, entity, watermark, cursor_max_updated, last_run_at, last_success_at,
+ *                       last_status, last_error, records_synced)  unique (tenant_id, entity)
+ */
+
+const { supabase } = require('./supabaseInit');
+const { getXeroSession, getXeroCollection } = require('./xeroSession');
+const { getAvailableTenants } = require('./xeroTokenManager');
+const { formatXeroLineItem, parseXeroDate, parseXeroTimestamp } = require('./xeroInvoiceFormat');
+
+const PAGE_SIZE = 100;
+// Re-read a little before the watermark so records saved in the same second aren't missed
+const WATERMARK_OVERLAP_MS = 60000;
+const REMOVED_STATUSES = ['DELETED', 'VOIDED'];
+
+// Read a field from a JSON (PascalCase) or XML (lower-case) record
+const field = (record, name) => record?.[name] ?? record?.[name.toLowerCase()];
+const number = (value) => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+const isRemoved = (status) => REMOVED_STATUSES.includes(String(status || '').toUpperCase());
+
+const lineItemsOf = (record) => getXeroCollection(record, 'LineItems', 'LineItem').map(formatXeroLineItem);
+
+function invoiceRow(tenantId, invoice) {
+  const contact = field(invoice, 'Contact');
+  return {
+    tenant_id: tenantId,
+    invoice_id: field(invoice, 'InvoiceID'),
+    invoice_number: field(invoice, 'InvoiceNumber') || null,
+    type: field(invoice, 'Type') || null,
+    status: field(invoice, 'Status') || null,
+    contact_id: field(contact, 'ContactID') || null,
+    contact_name: field(contact, 'Name') || null,
+    reference: field(invoice, 'Reference') || null,
+    currency_code: field(invoice, 'CurrencyCode') || null,
+    date: parseXeroDate(field(invoice, 'Date')),
+    due_date: parseXeroDate(field(invoice, 'DueDate')),
+    sub_total: number(field(invoice, 'SubTotal')),
+    total_tax: number(field(invoice, 'TotalTax')),
+    total: number(field(invoice, 'Total')),
+    amount_due: number(field(invoice, 'AmountDue')),
+    amount_paid: number(field(invoice, 'AmountPaid')),
+    amount_credited: number(field(invoice, 'AmountCredited')),
+    line_items: lineItemsOf(invoice),
+    is_removed: isRemoved(field(invoice, 'Status')),
+    updated_date_utc: parseXeroTimestamp(field(invoice, 'UpdatedDateUTC')),
+    raw: invoice
+  };
+}
+
+function creditNoteRow(tenantId, creditNote) {
+  const contact = field(creditNote, 'Contact');
+  return {
+    tenant_id: tenantId,
+    credit_note_id: field(creditNote, 'CreditNoteID'),
+    credit_note_number: field(creditNote, 'CreditNoteNumber') || null,
+    type: field(creditNote, 'Type') || null,
+    status: field(creditNote, 'Status') || null,
+    contact_id: field(contact, 'ContactID') || null,
+    contact_name: field(contact, 'Name') || null,
+    reference: field(creditNote, 'Reference') || null,
+    currency_code: field(creditNote, 'CurrencyCode') || null,
+    date: parseXeroDate(field(creditNote, 'Date')),
+    sub_total: number(field(creditNote, 'SubTotal')),
+    total_tax: number(field(creditNote, 'TotalTax')),
+    total: number(field(creditNote, 'Total')),
+    remaining_credit: number(field(creditNote, 'RemainingCredit')),
+    allocations: getXeroCollection(creditNote, 'Allocations'),
+    line_items: lineItemsOf(creditNote),
+    is_removed: isRemoved(field(creditNote, 'Status')),
+    updated_date_utc: parseXeroTimestamp(field(creditNote, 'UpdatedDateUTC')),
+    raw: creditNote
+  };
+}
+
+function paymentRow(tenantId, payment) {
+  const invoice = field(payment, 'Invoice');
+  const creditNote = field(payment, 'CreditNote');
+  const account = field(payment, 'Account');
+  return {
+    tenant_id: tenantId,
+    payment_id: field(payment, 'PaymentID'),
+    invoice_id: field(invoice, 'InvoiceID') || null,
+    invoice_number: field(invoice, 'InvoiceNumber') || null,
+    credit_note_id: field(creditNote, 'CreditNoteID') || null,
+    payment_type: field(payment, 'PaymentType') || null,
+    status: field(payment, 'Status') || null,
+    date: parseXeroDate(field(payment, 'Date')),
+    amount: number(field(payment, 'Amount')),
+    currency_rate: number(field(payment, 'CurrencyRate')),
+    reference: field(payment, 'Reference') || null,
+    account_id: field(account, 'AccountID') || null,
+    account_code: field(account, 'Code') || null,
+    is_reconciled: String(field(payment, 'IsReconciled')) === 'true',
+    is_removed: isRemoved(field(payment, 'Status')),
+    updated_date_utc: parseXeroTimestamp(field(payment, 'UpdatedDateUTC')),
+    raw: payment
+  };
+}
+
+const SYNC_ENTITIES = {
+  invoices: { path: 'Invoices', collection: 'Invoices', table: 'xero_invoices', idColumn: 'invoice_id', toRow: invoiceRow },
+  credit_notes: { path: 'CreditNotes', collection: 'CreditNotes', table: 'xero_credit_notes', idColumn: 'credit_note_id', toRow: creditNoteRow },
+  payments: { path: 'Payments', collection: 'Payments', table: 'xero_payments', idColumn: 'payment_id', toRow: paymentRow }
+};
+
+function requireSupabase() {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+  return supabase;
+}
+
+async function loadSyncState(tenantId, entity) {
+  const { data, error } = await requireSupabase()
+    .from('xero_sync_state')
+    .select('*')
+    .eq('tenant_id', tenantId)
+    .eq('entity', entity)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to load sync state: ${error.message}`);
+  return data;
+}
+
+async function saveSyncState(tenantId, entity, changes) {
+  const { error } = await requireSupabase()
+    .from('xero_sync_state')
+    .upsert({ tenant_id: tenantId, entity, ...changes }, { onConflict: 'tenant_id,entity' });
+  if (error) throw new Error(`Failed to save sync state: ${error.message}`);
+}
+
+const laterOf = (a, b) => (!a ? b : !b ? a : (new Date(a) > new Date(b) ? a : b));
+
+// Xero expects If-Modified-Since as a UTC timestamp without zone designator
+const ifModifiedSince = (iso) => new Date(iso).toISOString().slice(0, 19);
+
+/**
+ * Sync one entity for a tenant until it is up to date or the deadline passes.
+ * @param {Object} session - From getXeroSession
+ * @param {string} entity - Key of SYNC_ENTITIES
+ * @param {number} deadline - Epoch ms after which no new page is started
+ * @returns {Promise<{entity: string, status: string, recordsSynced: number, watermark: string|null, error?: string}>}
+ */
+async function syncEntity(session, entity, deadline) {
+  const config = SYNC_ENTITIES[entity];
+  const tenantId = session.tenantId;
+  const state = await loadSyncState(tenantId, entity);
+  const runStartedAt = new Date().toISOString();
+
+  // Continue an unfinished walk from the newest record it stored, otherwise start after the watermark
+  const resumeFrom = state?.cursor_max_updated || state?.watermark || null;
+  const since = resumeFrom ? new Date(new Date(resumeFrom).getTime() - WATERMARK_OVERLAP_MS).toISOString() : null;
+  let page = 1;
+  let maxUpdated = resumeFrom;
+  let recordsSynced = 0;
+
+  try {
+    while (true) {
+      if (Date.now() > deadline) {
+        await saveSyncState(tenantId, entity, {
+          cursor_max_updated: maxUpdated,
+          last_run_at: runStartedAt,
+          last_status: 'partial',
+          last_error: null,
+          records_synced: recordsSynced
+        });
+        return { entity, status: 'partial', recordsSynced, watermark: state?.watermark || null };
+      }
+
+      const { body } = await session.request(config.path, {
+        query: { page, order: 'UpdatedDateUTC ASC' },
+        headers: since ? { 'If-Modified-Since': ifModifiedSince(since) } : {}
+      });
+      const records = getXeroCollection(body, config.collection);
+      const rows = records
+        .map(record => config.toRow(tenantId, record))
+        .filter(row => row[config.idColumn])
+        .map(row => ({ ...row, synced_at: new Date().toISOString() }));
+
+      if (rows.length > 0) {
+        const { error } = await requireSupabase()
+          .from(config.table)
+          .upsert(rows, { onConflict: `tenant_id,${config.idColumn}` });
+        if (error) throw new Error(`Failed to save ${entity}: ${error.message}`);
+
+        recordsSynced += rows.length;
+        rows.forEach(row => { maxUpdated = laterOf(maxUpdated, row.updated_date_utc); });
+      }
+
+      if (records.length < PAGE_SIZE) break;
+      page++;
+    }
+
+    await saveSyncState(tenantId, entity, {
+      watermark: maxUpdated,
+      cursor_max_updated: null,
+      last_run_at: runStartedAt,
+      last_success_at: new Date().toISOString(),
+      last_status: 'ok',
+      last_error: null,
+      records_synced: recordsSynced
+    });
+    return { entity, status: 'ok', recordsSynced, watermark: maxUpdated };
+
+  } catch (error) {
+    // Keep what was stored so the next run carries on from there
+    await saveSyncState(tenantId, entity, {
+      cursor_max_updated: maxUpdated,
+      last_run_at: runStartedAt,
+      last_status: 'error',
+      last_error: error.message,
+      records_synced: recordsSynced
+    }).catch(stateError => console.error('Failed to record sync error:', stateError.message));
+    error.syncEntity = entity;
+    throw error;
+  }
+}
+
+/**
+ * Sync every entity for one tenant.
+ * @param {string} tenantId
+ * @param {Object} options
+ * @param {number} options.deadline - Epoch ms after which no new page is started
+ * @returns {Promise<Object[]>} One result per entity
+ */
+async function syncTenant(tenantId, { deadline }) {
+  const session = await getXeroSession(tenantId);
+  const results = [];
+
+  for (const entity of Object.keys(SYNC_ENTITIES)) {
+    try {
+      results.push(await syncEntity(session, entity, deadline));
+    } catch (error) {
+      console.error(`Xero sync of ${entity} failed for tenant ${tenantId}:`, error.message);
+      results.push({ entity, status: 'error', recordsSynced: 0, error: error.message });
+      // Out of API calls for this tenant; the remaining entities would fail the same way
+      if (error.status === 429) break;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Sync all connected tenants within a time budget.
+ * Tenants whose last keep-alive check found them revoked are skipped.
+ * @param {Object} [options]
+ * @param {number} [options.budgetMs=20000]
+ * @returns {Promise<Object[]>}
+ */
+async function syncAllTenants({ budgetMs = 20000 } = {}) {
+  const deadline = Date.now() + budgetMs;
+  const tenants = await getAvailableTenants();
+  const results = [];
+
+  for (const tenant of tenants) {
+    if (tenant.health?.status === 'revoked') {
+      results.push({ tenantId: tenant.tenantId, skipped: 'revoked' });
+      continue;
+    }
+    if (Date.now() > deadline) {
+      results.push({ tenantId: tenant.tenantId, skipped: 'out of time' });
+      continue;
+    }
+
+    try {
+      results.push({ tenantId: tenant.tenantId, entities: await syncTenant(tenant.tenantId, { deadline }) });
+    } catch (error) {
+      console.error(`Xero sync failed for tenant ${tenant.tenantId}:`, error.message);
+      results.push({ tenantId: tenant.tenantId, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Read sync state rows, optionally for one tenant.
+ * @param {string} [tenantId]
+ * @returns {Promise<Object[]>}
+ */
+async function getSyncStatus(tenantId) {
+  let query = requireSupabase()
+    .from('xero_sync_state')
+    .select('*')
+    .order('tenant_id', { ascending: true })
+    .order('entity', { ascending: true });
+  if (tenantId) query = query.eq('tenant_id', tenantId);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to load sync state: ${error.message}`);
+  return data || [];
+}
+
+module.exports = {
+  SYNC_ENTITIES,
+  syncEntity,
+  syncTenant,
+  syncAllTenants,
+  getSyncStatus
+};
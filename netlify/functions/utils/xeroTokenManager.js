@@ -0,0 +1,369 @@
+const crypto = require('crypto');
+const { db } = require('./firebaseInit');
+const admin = require('firebase-admin');
+const {
+  getCurrentKeyVersion,
+  encryptTokens,
+  decryptTokens,
+  rewrapEnvelope
+} = require('./tokenCrypto');
+
+// Tokens are stored as an encrypted envelope; any legacy plaintext fields are removed on write
+const encryptedTokenFields = (accessToken, refreshToken) => ({
+  encryptedTokens: encryptTokens({ accessToken, refreshToken }),
+  accessToken: admin.firestore.FieldValue.delete(),
+  refreshToken: admin.firestore.FieldValue.delete(),
+});
+
+// Return a stored record with accessToken/refreshToken in plaintext.
+// Documents written before encryption was introduced still carry plaintext fields.
+const decryptTokenRecord = (data) => {
+  if (!data || !data.encryptedTokens) return data;
+  const { encryptedTokens, ...record } = data;
+  return { ...record, ...decryptTokens(encryptedTokens) };
+};
+
+// Build the Firestore record for one tenant from a token response
+const buildTokenRecord = (tokenData, tenantInfo, tokenSetId) => ({
+  ...encryptedTokenFields(tokenData.access_token, tokenData.refresh_token),
+  expiresAt: new Date(Date.now() + tokenData.expires_in * 1000),
+  refreshedAt: new Date(),
+  tenantId: tenantInfo?.tenantId,
+  tenantName: tenantInfo?.tenantName,
+  ...(tenantInfo?.tenantType ? { tenantType: tenantInfo.tenantType } : {}),
+  ...(tenantInfo?.connectionId ? { connectionId: tenantInfo.connectionId } : {}),
+  ...(tenantInfo?.authEventId ? { authEventId: tenantInfo.authEventId } : {}),
+  ...(tokenSetId ? { tokenSetId } : {}),
+  updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+});
+
+// Store tokens in Firestore
+const storeTokens = async (userId, tokenData, tenantInfo) => {
+  const tokensRef = db.collection('xero_tokens').doc(userId);
+  await tokensRef.set(buildTokenRecord(tokenData, tenantInfo), { merge: true });
+};
+
+// Store one token set against every tenant connected in the same authorisation.
+// Xero issues a single access/refresh token pair per authorisation, so every tenant
+// document keeps a copy and is linked by tokenSetId so refreshes update them together.
+const storeTokensForTenants = async (tokenData, tenants, tokenSetId) => {
+  const batch = db.batch();
+  tenants.forEach(tenant => {
+    const tokensRef = db.collection('xero_tokens').doc(tenant.tenantId);
+    batch.set(tokensRef, buildTokenRecord(tokenData, tenant, tokenSetId), { merge: true });
+  });
+  await batch.commit();
+};
+
+// Get the documents sharing a token set with the given tenant (including itself)
+const getTokenSetDocs = async (userId, tokenData) => {
+  if (!tokenData.tokenSetId) {
+    return [db.collection('xero_tokens').doc(userId)];
+  }
+  const snapshot = await db.collection('xero_tokens')
+    .where('tokenSetId', '==', tokenData.tokenSetId)
+    .get();
+  const refs = snapshot.docs.map(doc => doc.ref);
+  if (!refs.some(ref => ref.id === userId)) {
+    refs.push(db.collection('xero_tokens').doc(userId));
+  }
+  return refs;
+};
+
+// Refresh lease settings: one caller per token set refreshes, the others wait for it
+const LEASE_COLLECTION = 'xero_token_leases';
+const REFRESH_LEASE_MS = 30000;
+const REFRESH_WAIT_MS = 25000;
+const REFRESH_POLL_MS = 500;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const toTime = (value) => {
+  if (!value) return 0;
+  return value.toDate ? value.toDate().getTime() : new Date(value).getTime();
+};
+
+// Tokens are refreshed when expired (or within 5 minute buffer). With maxRefreshTokenAgeMs they are
+// also refreshed once the refresh token is that old, which keeps it from hitting Xero's 60 day expiry.
+const needsRefresh = (tokenData, maxRefreshTokenAgeMs) => {
+  if (Date.now() > toTime(tokenData.expiresAt) - 300000) return true;
+  return !!maxRefreshTokenAgeMs && Date.now() - toTime(tokenData.refreshedAt) > maxRefreshTokenAgeMs;
+};
+
+// Take the refresh lease for a token set if nobody holds it and the token still needs refreshing
+const acquireRefreshLease = async (tokenRef, leaseRef, owner, maxRefreshTokenAgeMs) => {
+  return db.runTransaction(async (transaction) => {
+    const [tokenDoc, leaseDoc] = await Promise.all([
+      transaction.get(tokenRef),
+      transaction.get(leaseRef)
+    ]);
+
+    if (!tokenDoc.exists) {
+      throw new Error('No Xero tokens found for user');
+    }
+
+    const tokenData = decryptTokenRecord(tokenDoc.data());
+    if (!needsRefresh(tokenData, maxRefreshTokenAgeMs)) {
+      return { acquired: false, needsRefresh: false, tokenData };
+    }
+
+    const lease = leaseDoc.exists ? leaseDoc.data() : null;
+    if (lease && lease.owner !== owner && toTime(lease.expiresAt) > Date.now()) {
+      return { acquired: false, needsRefresh: true, tokenData };
+    }
+
+    transaction.set(leaseRef, {
+      owner,
+      tenantId: tokenRef.id,
+      expiresAt: new Date(Date.now() + REFRESH_LEASE_MS),
+      acquiredAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return { acquired: true, needsRefresh: true, tokenData };
+  });
+};
+
+// Release the lease, unless it has already expired and been taken by someone else
+const releaseRefreshLease = async (leaseRef, owner) => {
+  try {
+    await db.runTransaction(async (transaction) => {
+      const leaseDoc = await transaction.get(leaseRef);
+      if (leaseDoc.exists && leaseDoc.data().owner === owner) {
+        transaction.delete(leaseRef);
+      }
+    });
+  } catch (error) {
+    console.error('Failed to release Xero refresh lease:', error.message);
+  }
+};
+
+// Post a refresh_token grant to Xero
+const requestTokenRefresh = async (refreshToken) => {
+  const response = await fetch('https://identity.xero.com/connect/token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+      client_id: process.env.XERO_CLIENT_ID,
+      client_secret: process.env.XERO_CLIENT_SECRET,
+    }),
+  });
+
+  let body = null;
+  try {
+    body = await response.json();
+  } catch {
+    body = null;
+  }
+
+  return { ok: response.ok, status: response.status, error: body?.error, tokens: body };
+};
+
+// Refresh the token set while holding the lease and store the rotated pair on every tenant
+const refreshTokenSet = async (userId, tokenData, maxRefreshTokenAgeMs) => {
+  const tokenRef = db.collection('xero_tokens').doc(userId);
+  let current = tokenData;
+  let result = await requestTokenRefresh(current.refreshToken);
+
+  // invalid_grant usually means the refresh token was rotated by someone else,
+  // so re-read the document and retry once with the latest refresh token
+  if (!result.ok && result.error === 'invalid_grant') {
+    const latestDoc = await tokenRef.get();
+    const latest = latestDoc.exists ? decryptTokenRecord(latestDoc.data()) : null;
+
+    if (latest && latest.refreshToken !== current.refreshToken) {
+      if (!needsRefresh(latest, maxRefreshTokenAgeMs)) {
+        return latest.accessToken;
+      }
+      current = latest;
+      result = await requestTokenRefresh(current.refreshToken);
+    }
+  }
+
+  if (!result.ok) {
+    throw new Error(`Token refresh failed: ${result.status}${result.error ? ` ${result.error}` : ''}`);
+  }
+
+  const newTokens = result.tokens;
+
+  // The refresh token rotates, so every tenant on this token set gets the new pair
+  const refs = await getTokenSetDocs(userId, current);
+  const batch = db.batch();
+  refs.forEach(ref => {
+    batch.set(ref, {
+      ...encryptedTokenFields(newTokens.access_token, newTokens.refresh_token),
+      expiresAt: new Date(Date.now() + newTokens.expires_in * 1000),
+      refreshedAt: new Date(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+  });
+  await batch.commit();
+
+  return newTokens.access_token;
+};
+
+/**
+ * Get valid token (auto-refresh if expired)
+ * @param {string} userId - Tenant ID (xero_tokens document ID)
+ * @param {Object} [options]
+ * @param {number} [options.maxRefreshTokenAgeMs] - Also refresh when the refresh token is older than this
+ * @returns {Promise<string>} Access token
+ */
+const getValidToken = async (userId, { maxRefreshTokenAgeMs } = {}) => {
+  const tokenRef = db.collection('xero_tokens').doc(userId);
+  const doc = await tokenRef.get();
+
+  if (!doc.exists) {
+    throw new Error('No Xero tokens found for user');
+  }
+
+  const tokenData = decryptTokenRecord(doc.data());
+  if (!needsRefresh(tokenData, maxRefreshTokenAgeMs)) {
+    return tokenData.accessToken;
+  }
+
+  // Xero rotates refresh tokens, so concurrent refreshes would invalidate each other.
+  // Only the lease holder refreshes; everyone else polls until the new token is stored.
+  const leaseRef = db.collection(LEASE_COLLECTION).doc(tokenData.tokenSetId || userId);
+  const owner = crypto.randomUUID();
+  const deadline = Date.now() + REFRESH_WAIT_MS;
+
+  while (Date.now() < deadline) {
+    const lease = await acquireRefreshLease(tokenRef, leaseRef, owner, maxRefreshTokenAgeMs);
+
+    if (!lease.needsRefresh) {
+      return lease.tokenData.accessToken;
+    }
+
+    if (lease.acquired) {
+      try {
+        return await refreshTokenSet(userId, lease.tokenData, maxRefreshTokenAgeMs);
+      } finally {
+        await releaseRefreshLease(leaseRef, owner);
+      }
+    }
+
+    await sleep(REFRESH_POLL_MS);
+  }
+
+  throw new Error('Token refresh failed: timed out waiting for another refresh to complete');
+};
+
+// Get all available tenant IDs
+const getAvailableTenants = async () => {
+  const snapshot = await db.collection('xero_tokens').get();
+  const tenants = [];
+
+  snapshot.forEach(doc => {
+    const data = doc.data();
+    tenants.push({
+      tenantId: doc.id,
+      tenantName: data.tenantName,
+      connectionType: data.tenantType || null,
+      connectionId: data.connectionId || null,
+      authEventId: data.authEventId || null,
+      health: data.health || null,
+      updatedAt: data.updatedAt
+    });
+  });
+
+  return tenants;
+};
+
+// Get the stored token record for a tenant, tokens decrypted (null when the tenant isn't connected)
+const getTokenRecord = async (tenantId) => {
+  const doc = await db.collection('xero_tokens').doc(tenantId).get();
+  return doc.exists ? decryptTokenRecord(doc.data()) : null;
+};
+
+// Get the IDs of the other tenants sharing the tenant's token set
+const getTokenSetSiblings = async (tenantId) => {
+  const tokenData = await getTokenRecord(tenantId);
+  if (!tokenData) return [];
+  const refs = await getTokenSetDocs(tenantId, tokenData);
+  return refs.map(ref => ref.id).filter(id => id !== tenantId);
+};
+
+// Record the keep-alive health check result on the tenant's token record.
+// update() rather than set() so a tenant disconnected mid-check isn't recreated.
+const recordTenantHealth = async (tenantId, health) => {
+  await db.collection('xero_tokens').doc(tenantId).update({
+    health: {
+      ...health,
+      checkedAt: admin.firestore.FieldValue.serverTimestamp()
+    }
+  });
+};
+
+// Remove a tenant's token record
+const deleteTenantTokens = async (tenantId) => {
+  await db.collection('xero_tokens').doc(tenantId).delete();
+};
+
+// Bring one token document up to the current key version. Plaintext documents are
+// encrypted, envelopes under an older key are re-wrapped. Runs in a transaction so a
+// concurrent refresh can't be overwritten with the previous token pair.
+const reencryptTokenDoc = async (tokenRef, currentVersion, dryRun) => {
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(tokenRef);
+    if (!doc.exists) return 'missing';
+
+    const data = doc.data();
+    const hasPlaintext = data.accessToken !== undefined || data.refreshToken !== undefined;
+
+    if (data.encryptedTokens && !hasPlaintext) {
+      if (data.encryptedTokens.keyVersion === currentVersion) return 'unchanged';
+      if (!dryRun) {
+        transaction.update(tokenRef, { encryptedTokens: rewrapEnvelope(data.encryptedTokens) });
+      }
+      return 'rotated';
+    }
+
+    // Plaintext fields win over an envelope if both are somehow present, as they were written last
+    if (!dryRun) {
+      const tokens = hasPlaintext ? data : decryptTokens(data.encryptedTokens);
+      transaction.update(tokenRef, encryptedTokenFields(tokens.accessToken, tokens.refreshToken));
+    }
+    return 'migrated';
+  });
+};
+
+/**
+ * Re-encrypt every xero_tokens document with the current key version.
+ * Also migrates documents that still hold plaintext tokens.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only report what would change
+ * @returns {Promise<{keyVersion: string, migrated: string[], rotated: string[], unchanged: string[], failed: Array}>}
+ */
+const reencryptAllTokens = async ({ dryRun = false } = {}) => {
+  const currentVersion = getCurrentKeyVersion();
+  if (!currentVersion) {
+    throw new Error('Token encryption key is not configured (XERO_TOKEN_ENCRYPTION_KEYS)');
+  }
+
+  const snapshot = await db.collection('xero_tokens').get();
+  const result = { keyVersion: currentVersion, migrated: [], rotated: [], unchanged: [], failed: [] };
+
+  for (const doc of snapshot.docs) {
+    try {
+      const outcome = await reencryptTokenDoc(doc.ref, currentVersion, dryRun);
+      if (result[outcome]) result[outcome].push(doc.id);
+    } catch (error) {
+      result.failed.push({ tenantId: doc.id, error: error.message });
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  storeTokens,
+  storeTokensForTenants,
+  getValidToken,
+  getAvailableTenants,
+  getTokenRecord,
+  getTokenSetSiblings,
+  deleteTenantTokens,
+  recordTenantHealth,
+  reencryptAllTokens
+};
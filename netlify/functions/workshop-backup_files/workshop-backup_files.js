@@ -4,6 +4,7 @@ const { Readable } = require('stream');
 const { supabase } = require('../utils/supabaseInit');
 const { getDisplayableMediaUrls } = require('../utils/workshopPhotoUrls');
 const { getDisplayableUrlsWithPresigned, isB2Url, getKeyFromB2Url, getB2Client } = require('../utils/b2Presigned');
+const { withAuth, roleByAction } = require('../utils/auth');
 
 // Table and storage bucket names
 const WORKSHOP_TABLE = 'workshop';
@@ -607,4 +608,4 @@ const handler = async (event) => {
     }
 };
 
-module.exports = { handler };
+module.exports = { handler: withAuth(handler, { role: roleByAction(['getCompletedAndScrapped']) }) };
@@ -0,0 +1,3 @@
+const { handler } = require('./xero/xero-disconnect');
+
+module.exports = { handler };
@@ -0,0 +1,3 @@
+const { handler } = require('./xero/xero-keepalive');
+
+module.exports = { handler };
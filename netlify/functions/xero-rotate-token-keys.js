@@ -0,0 +1,3 @@
+const { handler } = require('./xero/xero-rotate-token-keys');
+
+module.exports = { handler };
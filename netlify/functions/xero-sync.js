@@ -0,0 +1,3 @@
+const { handler } = require('./xero/xero-sync');
+
+module.exports = { handler };
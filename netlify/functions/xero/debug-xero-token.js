@@ -1,6 +1,7 @@
-const { db } = require('./utils/firebaseInit');
+const { db } = require('../utils/firebaseInit');
+const { withAuth } = require('../utils/auth');
 
-exports.handler = async function(event, context) {
+const handler = async function(event, context) {
   try {
     const tenantId = event.queryStringParameters?.tenant_id;
     
@@ -55,9 +56,11 @@ exports.handler = async function(event, context) {
         tenantId: tenantId,
         tokenInfo: {
           tenantName: tokenData.tenantName,
-          hasAccessToken: !!tokenData.accessToken,
-          hasRefreshToken: !!tokenData.refreshToken,
-          accessTokenPreview: tokenData.accessToken ? tokenData.accessToken.substring(0, 20) + '...' : null,
+          // Token values are never returned, only whether they are present and how they are stored
+          hasAccessToken: !!(tokenData.encryptedTokens?.values?.accessToken || tokenData.accessToken),
+          hasRefreshToken: !!(tokenData.encryptedTokens?.values?.refreshToken || tokenData.refreshToken),
+          encrypted: !!tokenData.encryptedTokens && !tokenData.accessToken && !tokenData.refreshToken,
+          keyVersion: tokenData.encryptedTokens?.keyVersion || null,
           expiresAt: tokenData.expiresAt,
           isExpired: isExpired,
           expiresInMinutes: expiresInMinutes,
@@ -87,4 +90,6 @@ exports.handler = async function(event, context) {
       }, null, 2)
     };
   }
-}; 
\ No newline at end of file
+};
+
+exports.handler = withAuth(handler, { role: 'admin', methods: 'GET, OPTIONS' });
@@ -1,15 +0,0 @@
-const admin = require('firebase-admin');
-
-if (!admin.apps.length) {
-  admin.initializeApp({
-    credential: admin.credential.cert({
-      projectId: process.env.FIREBASE_PROJECT_ID,
-      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-      privateKey: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : '',
-    }),
-    databaseURL: process.env.FIREBASE_DATABASE_URL,
-  });
-}
-
-const db = admin.firestore();
-module.exports = { db }; 
\ No newline at end of file
@@ -1,6 +1,10 @@
 // This function initiates the Xero OAuth2 flow by redirecting the user to Xero's authorization page
+// It is opened by browser navigation (no auth headers), so it isn't wrapped in withAuth;
+// the callback only accepts the single-use state issued here, together with the nonce cookie
+// set here, and the user must sign in to Xero
 
 const { XeroClient } = require('xero-node');
+const { createOAuthState } = require('../utils/xeroOAuthState');
 
 exports.handler = async function(event, context) {
   try {
@@ -20,9 +24,11 @@ exports.handler = async function(event, context) {
       };
     }
 
-    // Generate state parameter for security
-    const state = Math.random().toString(36).substring(2, 15);
-    
+    // Generate and persist a single-use state (and PKCE challenge) for CSRF protection
+    // PKCE is used when explicitly enabled or when no client secret is configured
+    const usePkce = process.env.XERO_USE_PKCE === 'true' || !process.env.XERO_CLIENT_SECRET;
+    const { state, codeChallenge, cookie } = await createOAuthState({ usePkce });
+
     // Build Xero OAuth URL
     const authUrl = new URL('https://login.xero.com/identity/connect/authorize');
     authUrl.searchParams.set('response_type', 'code');
@@ -30,12 +36,16 @@ exports.handler = async function(event, context) {
     authUrl.searchParams.set('redirect_uri', redirectUri);
     authUrl.searchParams.set('scope', scopes);
     authUrl.searchParams.set('state', state);
+    if (codeChallenge) {
+      authUrl.searchParams.set('code_challenge', codeChallenge);
+      authUrl.searchParams.set('code_challenge_method', 'S256');
+    }
 
     console.log('Redirecting to Xero OAuth:', {
       clientId,
       redirectUri,
       scopes,
-      state
+      usePkce
     });
 
     // Redirect to Xero OAuth
@@ -43,6 +53,7 @@ exports.handler = async function(event, context) {
       statusCode: 302,
       headers: {
         'Location': authUrl.toString(),
+        'Set-Cookie': cookie,
         'Cache-Control': 'no-cache'
       },
       body: ''
@@ -1,6 +1,73 @@
 const { XeroClient } = require('xero-node');
-const { storeTokens } = require('./utils/tokenManager');
+const { storeTokensForTenants } = require('../utils/xeroTokenManager');
+const { consumeOAuthState, readNonceCookie, clearNonceCookie } = require('../utils/xeroOAuthState');
 
+// Escape values interpolated into the HTML pages
+const escapeHtml = (text) => {
+  if (text === null || text === undefined) return '';
+  const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+  return String(text).replace(/[&<>"']/g, m => map[m]);
+};
+
+// Build the error page shown in the popup window
+const buildErrorHtml = (title, rows) => `
+    <html>
+      <head>
+        <title>${escapeHtml(title)}</title>
+        <style>
+          body { 
+            font-family: Arial, sans-serif; 
+            text-align: center; 
+            padding: 2rem;
+            background: linear-gradient(135deg, #ff6b6b 0%, #ee5a24 100%);
+            color: white;
+            min-height: 100vh;
+            margin: 0;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+          }
+          .container {
+            background: rgba(255,255,255,0.1);
+            padding: 2rem;
+            border-radius: 10px;
+            backdrop-filter: blur(10px);
+          }
+          .error { color: #ff4757; font-size: 3rem; margin-bottom: 1rem; }
+          .details { 
+            background: rgba(255,255,255,0.1); 
+            padding: 1rem; 
+            border-radius: 5px; 
+            margin: 1rem 0;
+            text-align: left;
+            font-family: monospace;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="error">✗</div>
+          <h1>${escapeHtml(title)}</h1>
+          <div class="details">
+            ${rows.map(([label, value]) => `<p><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</p>`).join('\n            ')}
+          </div>
+          <button onclick="window.close()" style="padding: 10px 20px; background: #ff4757; color: white; border: none; border-radius: 5px; cursor: pointer;">Close Window</button>
+        </div>
+      </body>
+    </html>
+  `;
+
+// Titles for the error pages shown when the OAuth state fails validation
+const STATE_ERROR_TITLES = {
+  missing: 'Missing Authorisation State',
+  mismatch: 'Authorisation State Mismatch',
+  replayed: 'Authorisation Already Used',
+  expired: 'Authorisation Request Expired',
+  browser_mismatch: 'Authorisation Started Elsewhere'
+};
+
+// Xero redirects the browser here, so there are no auth headers; the single-use OAuth state
+// issued by xero-auth, and the nonce cookie it set in this browser, tie the callback to a request we started
 exports.handler = async function(event, context) {
   // Validate incoming request
   if (!event.queryStringParameters?.code) {
@@ -15,13 +82,43 @@ exports.handler = async function(event, context) {
   }
 
   const code = event.queryStringParameters.code;
-  const state = event.queryStringParameters.state || 'no_state_provided';
+  const state = event.queryStringParameters.state;
 
+  // Verify the state was issued by xero-auth to this browser, is unused and has not expired
+  let oauthState;
   try {
-    // Validate environment variables
+    oauthState = await consumeOAuthState(state, readNonceCookie(event));
+  } catch (stateError) {
+    console.error('Rejected Xero OAuth callback state:', {
+      reason: stateError.reason,
+      message: stateError.message
+    });
+
+    if (!stateError.reason) {
+      return {
+        statusCode: 500,
+        headers: { 'Content-Type': 'text/html', 'Set-Cookie': clearNonceCookie() },
+        body: buildErrorHtml('Xero Connection Failed', [
+          ['Error', `Unable to verify authorisation state: ${stateError.message}`]
+        ])
+      };
+    }
+
+    return {
+      statusCode: 400,
+      headers: { 'Content-Type': 'text/html', 'Set-Cookie': clearNonceCookie() },
+      body: buildErrorHtml(STATE_ERROR_TITLES[stateError.reason], [
+        ['Error', stateError.message],
+        ['Next step', 'Close this window and start the Xero connection again from the application']
+      ])
+    };
+  }
+
+  try {
+    // Validate environment variables (the client secret is optional for PKCE requests)
     const requiredVars = {
       XERO_CLIENT_ID: process.env.XERO_CLIENT_ID,
-      XERO_CLIENT_SECRET: process.env.XERO_CLIENT_SECRET,
+      ...(oauthState.usePkce ? {} : { XERO_CLIENT_SECRET: process.env.XERO_CLIENT_SECRET }),
       XERO_REDIRECT_URI: process.env.XERO_REDIRECT_URI,
       XERO_SCOPES: process.env.XERO_SCOPES
     };
@@ -38,17 +135,22 @@ exports.handler = async function(event, context) {
       clientId: requiredVars.XERO_CLIENT_ID,
       redirectUri: requiredVars.XERO_REDIRECT_URI,
       scopes: requiredVars.XERO_SCOPES,
-      state
+      usePkce: oauthState.usePkce
     });
 
     // Use direct API call since SDK has bugs
     const tokenRequestBody = new URLSearchParams({
       grant_type: 'authorization_code',
       client_id: requiredVars.XERO_CLIENT_ID,
-      client_secret: requiredVars.XERO_CLIENT_SECRET,
       code: code,
       redirect_uri: requiredVars.XERO_REDIRECT_URI
     });
+    if (process.env.XERO_CLIENT_SECRET) {
+      tokenRequestBody.set('client_secret', process.env.XERO_CLIENT_SECRET);
+    }
+    if (oauthState.codeVerifier) {
+      tokenRequestBody.set('code_verifier', oauthState.codeVerifier);
+    }
 
     console.log('Exchanging authorization code for tokens...');
     const tokenResponse = await fetch('https://identity.xero.com/connect/token', {
@@ -92,28 +194,47 @@ exports.handler = async function(event, context) {
       }
     });
 
-    let tenantInfo = null;
-    if (tenantsResponse.ok) {
-      const tenants = await tenantsResponse.json();
-      tenantInfo = tenants[0]; // Get first tenant
-      console.log('Tenant info retrieved:', {
-        tenantId: tenantInfo?.tenantId,
-        tenantName: tenantInfo?.tenantName,
-        tenantType: tenantInfo?.tenantType
-      });
+    if (!tenantsResponse.ok) {
+      const errorText = await tenantsResponse.text();
+      throw new Error(`Failed to fetch connections: ${tenantsResponse.status} ${tenantsResponse.statusText} - ${errorText}`);
     }
 
-    // Store tokens in Firestore
+    const connections = await tenantsResponse.json();
+    const tenants = (Array.isArray(connections) ? connections : [])
+      .filter(connection => connection.tenantId)
+      .map(connection => ({
+        tenantId: connection.tenantId,
+        tenantName: connection.tenantName,
+        tenantType: connection.tenantType,
+        connectionId: connection.id,
+        authEventId: connection.authEventId
+      }));
+
+    if (tenants.length === 0) {
+      throw new Error('No Xero organisations were connected during authorisation');
+    }
+
+    console.log('Tenant info retrieved:', tenants.map(tenant => ({
+      tenantId: tenant.tenantId,
+      tenantName: tenant.tenantName,
+      tenantType: tenant.tenantType,
+      authEventId: tenant.authEventId
+    })));
+
+    // Store the token set against every connected tenant in Firestore
+    // All tenants share the same refresh token, so they are linked by one token set ID
+    let storeError = null;
     try {
-      // Use tenant ID as the user identifier, or fallback to a default
-      const userId = tenantInfo?.tenantId || `xero_${Date.now()}`;
-      await storeTokens(userId, tokenData, tenantInfo);
-      console.log('Tokens stored successfully in Firestore with userId:', userId);
-    } catch (storeError) {
-      console.error('Failed to store tokens:', storeError);
+      const tokenSetId = tenants.find(tenant => tenant.authEventId)?.authEventId || `xero_${Date.now()}`;
+      await storeTokensForTenants(tokenData, tenants, tokenSetId);
+      console.log('Tokens stored successfully in Firestore for tenants:', tenants.map(tenant => tenant.tenantId));
+    } catch (error) {
+      storeError = error;
+      console.error('Failed to store tokens:', error);
       // Continue with success page but log the error
     }
 
+    const tenantInfo = tenants[0];
     const expiresAt = new Date(Date.now() + (tokenData.expires_in * 1000));
     
     const successHtml = `
@@ -179,6 +300,33 @@ exports.handler = async function(event, context) {
             .copy-btn:hover {
               background: #27ae60;
             }
+            .tenant-picker select {
+              padding: 6px 10px;
+              border-radius: 3px;
+              border: none;
+              font-size: 14px;
+              max-width: 100%;
+            }
+            .disconnect-btn {
+              background: #ff4757;
+              color: white;
+              border: none;
+              padding: 6px 12px;
+              border-radius: 3px;
+              cursor: pointer;
+              font-size: 13px;
+              margin-left: 8px;
+            }
+            .disconnect-btn:disabled {
+              opacity: 0.6;
+              cursor: default;
+            }
+            .warning {
+              background: rgba(255, 71, 87, 0.3);
+              padding: 0.5rem 1rem;
+              border-radius: 5px;
+              margin: 1rem 0;
+            }
           </style>
         </head>
         <body>
@@ -186,11 +334,20 @@ exports.handler = async function(event, context) {
             <div class="success">✓</div>
             <h1>Xero Connection Successful!</h1>
             <div class="details">
-              <p><strong>Organization:</strong> ${tenantInfo?.tenantName || 'Connected'}</p>
-              <p><strong>Tenant ID:</strong> ${tenantInfo?.tenantId || 'N/A'}</p>
+              <p><strong>Connected organisations:</strong> ${tenants.length}</p>
+              <div class="tenant-picker">
+                <label for="tenantPicker"><strong>Organisation:</strong></label>
+                <select id="tenantPicker" onchange="selectTenant(this.value)">
+                  ${tenants.map(tenant => `<option value="${escapeHtml(tenant.tenantId)}">${escapeHtml(tenant.tenantName || tenant.tenantId)}${tenant.tenantType ? ` (${escapeHtml(tenant.tenantType)})` : ''}</option>`).join('')}
+                </select>
+                <button class="disconnect-btn" id="disconnectBtn" onclick="disconnectTenant()">Disconnect</button>
+              </div>
+              <p id="disconnectStatus"></p>
+              <p><strong>Tenant ID:</strong> <span id="selectedTenantId">${escapeHtml(tenantInfo.tenantId)}</span></p>
               <p><strong>Token expires:</strong> ${expiresAt.toLocaleString()}</p>
-              <p><strong>Scopes:</strong> ${tokenData.scope}</p>
+              <p><strong>Scopes:</strong> ${escapeHtml(tokenData.scope)}</p>
             </div>
+            ${storeError ? `<div class="warning">Tokens could not be saved: ${escapeHtml(storeError.message)}</div>` : ''}
             <div class="token-section">
               <h3>Access Token (for testing):</h3>
               <div class="token-display" id="tokenDisplay" onclick="copyToken()">
@@ -206,18 +363,64 @@ exports.handler = async function(event, context) {
               <p>Your Xero integration is ready to use!</p>
             </div>
           </div>
+          <script src="/auth-client.js"></script>
           <script>
             // Log token to console
-            const accessToken = '${tokenData.access_token}';
-            const tenantId = '${tenantInfo?.tenantId || ''}';
+            const accessToken = ${JSON.stringify(tokenData.access_token)};
+            const tenants = ${JSON.stringify(tenants.map(tenant => ({ tenantId: tenant.tenantId, tenantName: tenant.tenantName, tenantType: tenant.tenantType }))).replace(/</g, '\\u003c')};
+            let selectedTenant = tenants[0];
             
             console.log('=== XERO ACCESS TOKEN ===');
             console.log('Access Token:', accessToken);
-            console.log('Tenant ID:', tenantId);
+            console.log('Tenants:', tenants);
             console.log('Expires At:', '${expiresAt.toISOString()}');
-            console.log('Test URL:', \`/.netlify/functions/getInvoices?access_token=\${accessToken}\`);
+            console.log('Test URL:', \`/.netlify/functions/getInvoices?tenant_id=\${selectedTenant.tenantId}\`);
             console.log('========================');
             
+            // Switch the organisation reported back to the opener window
+            function selectTenant(tenantId) {
+              selectedTenant = tenants.find(tenant => tenant.tenantId === tenantId) || tenants[0];
+              document.getElementById('selectedTenantId').textContent = selectedTenant.tenantId;
+              notifyOpener();
+            }
+            
+            // Disconnect the selected organisation (revokes access and removes stored tokens)
+            async function disconnectTenant() {
+              const tenant = selectedTenant;
+              if (!confirm(\`Disconnect \${tenant.tenantName || tenant.tenantId} from RapidTools?\`)) return;
+              
+              const btn = document.getElementById('disconnectBtn');
+              const status = document.getElementById('disconnectStatus');
+              btn.disabled = true;
+              status.textContent = 'Disconnecting...';
+              
+              try {
+                const response = await rapidtoolsFetch('/.netlify/functions/xero-disconnect', {
+                  method: 'POST',
+                  headers: { 'Content-Type': 'application/json' },
+                  body: JSON.stringify({ tenant_id: tenant.tenantId })
+                });
+                const result = await response.json();
+                if (!response.ok || !result.success) {
+                  throw new Error(result.details || result.error || \`HTTP \${response.status}\`);
+                }
+                status.textContent = \`\${tenant.tenantName || tenant.tenantId} has been disconnected.\`;
+                const picker = document.getElementById('tenantPicker');
+                picker.querySelector(\`option[value="\${tenant.tenantId}"]\`)?.remove();
+                const remaining = tenants.filter(t => t.tenantId !== tenant.tenantId);
+                tenants.length = 0;
+                tenants.push(...remaining);
+                if (tenants.length > 0) {
+                  selectTenant(picker.value);
+                  btn.disabled = false;
+                }
+              } catch (err) {
+                console.error('Failed to disconnect tenant:', err);
+                status.textContent = \`Disconnect failed: \${err.message}\`;
+                btn.disabled = false;
+              }
+            }
+            
             // Copy token function
             function copyToken() {
               navigator.clipboard.writeText(accessToken).then(() => {
@@ -241,18 +444,26 @@ exports.handler = async function(event, context) {
               });
             }
             
-            setTimeout(() => window.close(), 10000); // Extended to 10 seconds for token copying
-            if (window.opener) {
-              window.opener.postMessage({
-                type: 'xero-auth-success',
-                data: {
-                  tenantId: '${tenantInfo?.tenantId || ''}',
-                  tenantName: '${tenantInfo?.tenantName || ''}',
-                  expiresAt: '${expiresAt.toISOString()}',
-                  accessToken: accessToken
-                }
-              }, '*');
+            function notifyOpener() {
+              if (window.opener) {
+                window.opener.postMessage({
+                  type: 'xero-auth-success',
+                  data: {
+                    tenantId: selectedTenant.tenantId,
+                    tenantName: selectedTenant.tenantName || '',
+                    tenants: tenants,
+                    expiresAt: '${expiresAt.toISOString()}',
+                    accessToken: accessToken
+                  }
+                }, '*');
+              }
             }
+            
+            // Keep the window open when there is more than one organisation to pick from
+            if (tenants.length === 1) {
+              setTimeout(() => window.close(), 10000); // Extended to 10 seconds for token copying
+            }
+            notifyOpener();
           </script>
         </body>
       </html>
@@ -260,71 +471,23 @@ exports.handler = async function(event, context) {
 
     return {
       statusCode: 200,
-      headers: { 'Content-Type': 'text/html' },
+      headers: { 'Content-Type': 'text/html', 'Set-Cookie': clearNonceCookie() },
       body: successHtml
     };
 
   } catch (error) {
     console.error('Xero Callback Error:', {
       message: error.message,
-      stack: error.stack,
-      code,
-      state
+      stack: error.stack
     });
 
-    const errorHtml = `
-      <html>
-        <head>
-          <title>Xero Connection Failed</title>
-          <style>
-            body { 
-              font-family: Arial, sans-serif; 
-              text-align: center; 
-              padding: 2rem;
-              background: linear-gradient(135deg, #ff6b6b 0%, #ee5a24 100%);
-              color: white;
-              min-height: 100vh;
-              margin: 0;
-              display: flex;
-              align-items: center;
-              justify-content: center;
-            }
-            .container {
-              background: rgba(255,255,255,0.1);
-              padding: 2rem;
-              border-radius: 10px;
-              backdrop-filter: blur(10px);
-            }
-            .error { color: #ff4757; font-size: 3rem; margin-bottom: 1rem; }
-            .details { 
-              background: rgba(255,255,255,0.1); 
-              padding: 1rem; 
-              border-radius: 5px; 
-              margin: 1rem 0;
-              text-align: left;
-              font-family: monospace;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="error">✗</div>
-            <h1>Xero Connection Failed</h1>
-            <div class="details">
-              <p><strong>Error:</strong> ${error.message}</p>
-              <p><strong>Code:</strong> ${code}</p>
-              <p><strong>State:</strong> ${state}</p>
-            </div>
-            <button onclick="window.close()" style="padding: 10px 20px; background: #ff4757; color: white; border: none; border-radius: 5px; cursor: pointer;">Close Window</button>
-          </div>
-        </body>
-      </html>
-    `;
-
     return {
       statusCode: 500,
-      headers: { 'Content-Type': 'text/html' },
-      body: errorHtml
+      headers: { 'Content-Type': 'text/html', 'Set-Cookie': clearNonceCookie() },
+      body: buildErrorHtml('Xero Connection Failed', [
+        ['Error', error.message],
+        ['State', state || 'no_state_provided']
+      ])
     };
   }
 };
\ No newline at end of file
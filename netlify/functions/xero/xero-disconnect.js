@@ -0,0 +1,237 @@
+// This function disconnects a Xero organisation from the backend
+// POST /xero-disconnect with payload: {"tenant_id": "YOUR_TENANT_ID", "note": "optional reason"}
+// The disconnection is recorded against the authenticated caller; the note is kept alongside it
+// 1. Deletes the tenant's connection at Xero (DELETE /connections/{id})
+// 2. Revokes the refresh token when no other tenant shares it
+// 3. Removes the xero_tokens document and records the disconnection in xero_disconnections
+//    (only when step 1 or 2 succeeded; otherwise the tokens are kept and a 502 returned)
+
+const admin = require('firebase-admin');
+const { db } = require('../utils/firebaseInit');
+const {
+  getValidToken,
+  getTokenRecord,
+  getTokenSetSiblings,
+  deleteTenantTokens
+} = require('../utils/xeroTokenManager');
+const { withAuth } = require('../utils/auth');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+// Remove the tenant's connection so it no longer appears under the app in Xero
+const deleteConnection = async (accessToken, connectionId) => {
+  const response = await fetch(`https://api.xero.com/connections/${encodeURIComponent(connectionId)}`, {
+    method: 'DELETE',
+    headers: { 'Authorization': `Bearer ${accessToken}` }
+  });
+
+  // 404 means Xero no longer knows the connection, which is the state we want
+  if (!response.ok && response.status !== 404) {
+    const errorText = await response.text();
+    throw new Error(`Connection delete failed: ${response.status} ${response.statusText} - ${errorText}`);
+  }
+};
+
+// Revoke the refresh token (and with it every connection of that authorisation)
+const revokeRefreshToken = async (refreshToken) => {
+  const credentials = Buffer.from(`${process.env.XERO_CLIENT_ID}:${process.env.XERO_CLIENT_SECRET || ''}`).toString('base64');
+  const response = await fetch('https://identity.xero.com/connect/revocation', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Basic ${credentials}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({ token: refreshToken })
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Token revocation failed: ${response.status} ${response.statusText} - ${errorText}`);
+  }
+};
+
+const handler = async function(event, context) {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Method not allowed',
+        message: 'This endpoint only accepts POST requests'
+      }, null, 2)
+    };
+  }
+
+  let requestBody;
+  try {
+    requestBody = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Invalid JSON in request body',
+        message: 'Please provide valid JSON with tenant_id'
+      }, null, 2)
+    };
+  }
+
+  const tenantId = requestBody.tenant_id;
+  const disconnectedBy = {
+    name: event.auth?.name || 'unknown',
+    type: event.auth?.type || null,
+    userId: event.auth?.userId || null
+  };
+  // Free text from the caller (disconnected_by is what older clients send)
+  const note = requestBody.note || requestBody.disconnected_by || null;
+
+  if (!tenantId) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Missing tenant_id parameter',
+        message: 'Please provide tenant_id in the request body'
+      }, null, 2)
+    };
+  }
+
+  try {
+    const tokenRecord = await getTokenRecord(tenantId);
+
+    if (!tokenRecord) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: 'No token found for this tenant ID',
+          tenantId: tenantId
+        }, null, 2)
+      };
+    }
+
+    const errors = [];
+    let connectionDeleted = false;
+    let tokenRevoked = false;
+
+    // Tenants authorised together share one refresh token; revoking it would
+    // disconnect all of them, so only the connection is removed while others remain
+    const siblingTenantIds = await getTokenSetSiblings(tenantId);
+
+    let accessToken = null;
+    try {
+      accessToken = await getValidToken(tenantId);
+    } catch (tokenError) {
+      errors.push(`Could not obtain an access token: ${tokenError.message}`);
+    }
+
+    if (accessToken && tokenRecord.connectionId) {
+      try {
+        await deleteConnection(accessToken, tokenRecord.connectionId);
+        connectionDeleted = true;
+      } catch (connectionError) {
+        errors.push(connectionError.message);
+      }
+    } else if (!tokenRecord.connectionId) {
+      errors.push('No connection ID stored for this tenant; re-authorise to record it');
+    }
+
+    if (siblingTenantIds.length === 0) {
+      try {
+        // getValidToken may have rotated the refresh token, so read the latest one
+        const latestRecord = await getTokenRecord(tenantId);
+        await revokeRefreshToken(latestRecord?.refreshToken || tokenRecord.refreshToken);
+        tokenRevoked = true;
+      } catch (revokeError) {
+        errors.push(revokeError.message);
+      }
+    }
+
+    // Nothing was undone at Xero: keep the tokens so the disconnect can be retried
+    if (!connectionDeleted && !tokenRevoked) {
+      console.error('Xero disconnect failed, tokens kept:', { tenantId, errors });
+      return {
+        statusCode: 502,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: 'Failed to disconnect Xero organisation',
+          message: 'Neither the connection delete nor the token revocation succeeded; the tenant is still connected',
+          tenantId: tenantId,
+          details: errors
+        }, null, 2)
+      };
+    }
+
+    await deleteTenantTokens(tenantId);
+
+    const disconnection = {
+      tenantId: tenantId,
+      tenantName: tokenRecord.tenantName || null,
+      connectionId: tokenRecord.connectionId || null,
+      disconnectedBy: disconnectedBy,
+      note: note ? String(note) : null,
+      disconnectedAt: admin.firestore.FieldValue.serverTimestamp(),
+      connectionDeleted,
+      tokenRevoked,
+      remainingTenantIds: siblingTenantIds,
+      errors
+    };
+    await db.collection('xero_disconnections').add(disconnection);
+
+    console.log('Xero tenant disconnected:', {
+      tenantId,
+      disconnectedBy,
+      connectionDeleted,
+      tokenRevoked,
+      errors
+    });
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        message: 'Xero organisation disconnected',
+        tenantId: tenantId,
+        tenantName: tokenRecord.tenantName || null,
+        disconnectedBy: disconnectedBy,
+        connectionDeleted,
+        tokenRevoked,
+        tokenRevocationSkipped: siblingTenantIds.length > 0
+          ? `Refresh token is still used by ${siblingTenantIds.length} other tenant(s)`
+          : null,
+        warnings: errors.length > 0 ? errors : undefined,
+        disconnectedAt: new Date().toISOString()
+      }, null, 2)
+    };
+
+  } catch (error) {
+    console.error('Xero disconnect error:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Failed to disconnect Xero organisation',
+        details: error.message
+      }, null, 2)
+    };
+  }
+};
+
+exports.handler = withAuth(handler, { role: 'admin', methods: 'POST, OPTIONS' });
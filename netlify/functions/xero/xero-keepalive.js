@@ -0,0 +1,101 @@
+// Scheduled keep-alive for Xero connections (schedule is set in netlify.toml)
+// Xero refresh tokens expire after 60 days without use, so tenants that aren't queried
+// regularly would drop off silently. For every stored tenant this:
+// 1. Refreshes the token set when the access token is near expiry or the refresh token is getting old
+// 2. Calls /connections to confirm the tenant is still connected
+// 3. Writes health { status: ok | refresh_failed | revoked } onto the tenant's xero_tokens document
+// Scheduled functions can't be invoked by URL in production, so this isn't wrapped in withAuth.
+
+const { getAvailableTenants, getValidToken, recordTenantHealth } = require('../utils/xeroTokenManager');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Refresh well before the 60 day limit so a few failed runs don't lose the connection
+const maxRefreshTokenAgeMs = () => (parseInt(process.env.XERO_KEEPALIVE_REFRESH_DAYS, 10) || 7) * DAY_MS;
+
+// List the tenant IDs the access token can still reach
+const fetchConnectedTenantIds = async (accessToken) => {
+  const response = await fetch('https://api.xero.com/connections', {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(`Connections check failed: ${response.status} ${response.statusText} - ${errorText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const connections = await response.json();
+  return connections.map(connection => connection.tenantId);
+};
+
+const checkTenant = async (tenant) => {
+  let accessToken;
+  try {
+    accessToken = await getValidToken(tenant.tenantId, { maxRefreshTokenAgeMs: maxRefreshTokenAgeMs() });
+  } catch (error) {
+    return { status: 'refresh_failed', error: error.message };
+  }
+
+  try {
+    const connectedTenantIds = await fetchConnectedTenantIds(accessToken);
+    if (!connectedTenantIds.includes(tenant.tenantId)) {
+      return { status: 'revoked', error: 'Tenant is no longer in the Xero connections list' };
+    }
+  } catch (error) {
+    // A token we just validated being rejected means the app's access was removed
+    if (error.status === 401 || error.status === 403) {
+      return { status: 'revoked', error: error.message };
+    }
+    throw error;
+  }
+
+  return { status: 'ok', error: null };
+};
+
+exports.handler = async function(event, context) {
+  const tenants = await getAvailableTenants();
+  const results = [];
+
+  // Sequential on purpose: tenants from one authorisation share a token set,
+  // so the first refresh also freshens the ones after it
+  for (const tenant of tenants) {
+    let result;
+    try {
+      result = await checkTenant(tenant);
+    } catch (error) {
+      // Xero unavailable or similar; record it without changing the tenant's status
+      console.error(`Keep-alive check failed for tenant ${tenant.tenantId}:`, error.message);
+      results.push({ tenantId: tenant.tenantId, status: 'error', error: error.message });
+      continue;
+    }
+
+    const lastOkAt = result.status === 'ok' ? new Date() : (tenant.health?.lastOkAt || null);
+    try {
+      await recordTenantHealth(tenant.tenantId, { ...result, lastOkAt });
+    } catch (error) {
+      // The tenant was disconnected while the check ran
+      console.warn(`Could not record health for tenant ${tenant.tenantId}:`, error.message);
+    }
+
+    results.push({ tenantId: tenant.tenantId, tenantName: tenant.tenantName, ...result });
+  }
+
+  const summary = results.reduce((counts, result) => {
+    counts[result.status] = (counts[result.status] || 0) + 1;
+    return counts;
+  }, {});
+  console.log('Xero keep-alive completed:', { tenants: tenants.length, summary });
+  results
+    .filter(result => result.status !== 'ok')
+    .forEach(result => console.warn(`Xero tenant ${result.tenantId} is ${result.status}: ${result.error}`));
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({ success: true, tenants: tenants.length, summary, results }, null, 2)
+  };
+};
@@ -0,0 +1,97 @@
+// This function re-encrypts every stored Xero token with the current encryption key
+// POST /xero-rotate-token-keys with optional payload: {"dry_run": true}
+// Run it after adding a new key version to XERO_TOKEN_ENCRYPTION_KEYS (and pointing
+// XERO_TOKEN_ENCRYPTION_KEY_VERSION at it), and once after deploying encryption to
+// migrate documents that still hold plaintext tokens. Old key versions can be removed
+// from the environment once a run reports no failures.
+
+const { reencryptAllTokens } = require('../utils/xeroTokenManager');
+const { withAuth } = require('../utils/auth');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+const handler = async function(event, context) {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Method not allowed',
+        message: 'This endpoint only accepts POST requests'
+      }, null, 2)
+    };
+  }
+
+  let requestBody;
+  try {
+    requestBody = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Invalid JSON in request body'
+      }, null, 2)
+    };
+  }
+
+  const dryRun = requestBody.dry_run === true;
+
+  try {
+    const result = await reencryptAllTokens({ dryRun });
+
+    console.log('Xero token re-encryption:', {
+      dryRun,
+      keyVersion: result.keyVersion,
+      migrated: result.migrated.length,
+      rotated: result.rotated.length,
+      unchanged: result.unchanged.length,
+      failed: result.failed.length
+    });
+
+    return {
+      statusCode: result.failed.length > 0 ? 207 : 200,
+      headers,
+      body: JSON.stringify({
+        success: result.failed.length === 0,
+        dryRun,
+        keyVersion: result.keyVersion,
+        summary: {
+          migrated: result.migrated.length,
+          rotated: result.rotated.length,
+          unchanged: result.unchanged.length,
+          failed: result.failed.length
+        },
+        migrated: result.migrated,
+        rotated: result.rotated,
+        failed: result.failed
+      }, null, 2)
+    };
+
+  } catch (error) {
+    console.error('Xero token re-encryption error:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Failed to re-encrypt Xero tokens',
+        details: error.message
+      }, null, 2)
+    };
+  }
+};
+
+exports.handler = withAuth(handler, { role: 'admin', methods: 'POST, OPTIONS' });
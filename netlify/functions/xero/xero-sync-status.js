@@ -0,0 +1,133 @@
+// This function reports (and can trigger) the Xero -> Supabase sync
+// GET  /xero-sync-status?tenant_id=TENANT_ID   (tenant_id optional) - sync state per tenant and entity
+// POST /xero-sync-status with payload: {"tenant_id": "TENANT_ID"} - sync that tenant now
+
+const { getSyncStatus, syncTenant } = require('../utils/xeroSync');
+const { withAuth } = require('../utils/auth');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+// Manual syncs stop starting new pages after this long
+const MANUAL_SYNC_BUDGET_MS = 8000;
+
+// Group state rows by tenant: { tenantId, entities: { invoices: {...}, ... } }
+const groupByTenant = (rows) => {
+  const tenants = {};
+  rows.forEach(row => {
+    tenants[row.tenant_id] = tenants[row.tenant_id] || { tenantId: row.tenant_id, entities: {} };
+    tenants[row.tenant_id].entities[row.entity] = {
+      watermark: row.watermark,
+      inProgress: !!row.cursor_max_updated,
+      lastRunAt: row.last_run_at,
+      lastSuccessAt: row.last_success_at,
+      lastStatus: row.last_status,
+      lastError: row.last_error,
+      recordsSynced: row.records_synced
+    };
+  });
+  return Object.values(tenants);
+};
+
+const handler = async function(event, context) {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    if (event.httpMethod === 'GET') {
+      const tenantId = event.queryStringParameters?.tenant_id;
+      const rows = await getSyncStatus(tenantId);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          success: true,
+          tenants: groupByTenant(rows),
+          checkedAt: new Date().toISOString()
+        }, null, 2)
+      };
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return {
+        statusCode: 405,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: 'Method not allowed',
+          message: 'This endpoint accepts GET and POST requests only'
+        }, null, 2)
+      };
+    }
+
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body || '{}');
+    } catch (error) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ success: false, error: 'Invalid JSON in request body' }, null, 2)
+      };
+    }
+
+    if (!requestBody.tenant_id) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: 'Missing tenant_id parameter',
+          message: 'Please provide tenant_id in the request body'
+        }, null, 2)
+      };
+    }
+
+    const results = await syncTenant(requestBody.tenant_id, { deadline: Date.now() + MANUAL_SYNC_BUDGET_MS });
+    const rows = await getSyncStatus(requestBody.tenant_id);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: results.every(result => result.status !== 'error'),
+        tenantId: requestBody.tenant_id,
+        results,
+        // "partial" entities continue on the next scheduled run (or another POST)
+        complete: results.every(result => result.status === 'ok'),
+        status: groupByTenant(rows)[0] || null
+      }, null, 2)
+    };
+
+  } catch (error) {
+    console.error('Xero sync status error:', error);
+
+    if (error.message === 'No Xero tokens found for user') {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ success: false, error: 'No token found for this tenant ID' }, null, 2)
+      };
+    }
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Failed to read or run Xero sync',
+        details: error.message
+      }, null, 2)
+    };
+  }
+};
+
+exports.handler = withAuth(handler, {
+  role: (event) => (event.httpMethod === 'POST' ? 'write' : 'read')
+});
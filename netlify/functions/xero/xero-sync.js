@@ -0,0 +1,30 @@
+// Scheduled incremental sync of Xero invoices, credit notes and payments into Supabase
+// (schedule is set in netlify.toml). Each run picks up where the previous one stopped,
+// so a first full sync may take several runs. See utils/xeroSync.js for the tables.
+// Scheduled functions can't be invoked by URL in production, so this isn't wrapped in withAuth;
+// use POST /xero-sync-status to sync a tenant on demand.
+
+const { syncAllTenants } = require('../utils/xeroSync');
+
+// Scheduled functions get 30 seconds; leave room to save state after the last page
+const SYNC_BUDGET_MS = 20000;
+
+exports.handler = async function(event, context) {
+  const startedAt = Date.now();
+  const results = await syncAllTenants({ budgetMs: SYNC_BUDGET_MS });
+
+  console.log('Xero sync completed:', JSON.stringify({
+    elapsedMs: Date.now() - startedAt,
+    tenants: results.map(result => ({
+      tenantId: result.tenantId,
+      skipped: result.skipped,
+      error: result.error,
+      entities: result.entities?.map(entity => `${entity.entity}:${entity.status}:${entity.recordsSynced}`)
+    }))
+  }));
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({ success: true, results }, null, 2)
+  };
+};